@@ -0,0 +1,208 @@
+// Structured access log — one JSON line per request, with request IDs
+// Lines go to logs.file (see lib/config) through an append stream, and the file rotates
+// to .1 … .<keep> once it passes logs.maxBytes. GET /api/logs reads them back with
+// filters, streaming each file line by line.
+//
+// Entry: { time, id, method, path, route, status, durationMs, identity, bytes }
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('./config');
+
+const INCOMING_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+const REDACTED_PARAMS = ['access_token'];
+
+// The live log file's append stream and size, tracked so rotation doesn't stat on every request
+let current = { file: null, size: 0, stream: null };
+// Streams of files we moved off (rotation, a new logs.file) that are still flushing
+const retiring = new Set();
+
+function settings() {
+  return config.get().logs;
+}
+
+// Reuse a well-formed X-Request-Id from the caller (proxies, retries), else mint one
+function requestId(req) {
+  const incoming = req.headers && req.headers['x-request-id'];
+  return typeof incoming === 'string' && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Path + query with credentials masked
+function redactUrl(url) {
+  const parsed = new URL(url, 'http://localhost');
+  for (const name of REDACTED_PARAMS) {
+    if (parsed.searchParams.has(name)) parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.pathname + parsed.search;
+}
+
+// The fd is opened here rather than by the stream, so lines queued before a rotation
+// still land in the file they were written to after it is renamed
+function open(file) {
+  const stream = fs.createWriteStream(file, { fd: fs.openSync(file, 'a') });
+  stream.on('error', err => console.error(`[accesslog] Cannot write ${file}: ${err.message}`));
+  return stream;
+}
+
+function retire(stream) {
+  const done = new Promise(resolve => stream.end(resolve));
+  retiring.add(done);
+  done.then(() => retiring.delete(done));
+}
+
+function rotate(file, keep) {
+  retire(current.stream);
+  for (let i = keep; i >= 1; i--) {
+    const from = i === 1 ? file : `${file}.${i - 1}`;
+    if (!fs.existsSync(from)) continue;
+    if (i === keep) fs.rmSync(`${file}.${i}`, { force: true });
+    fs.renameSync(from, `${file}.${i}`);
+  }
+  if (keep === 0) fs.rmSync(file, { force: true });
+  current.stream = open(file);
+  current.size = 0;
+}
+
+function write(entry) {
+  const { file, maxBytes, keep } = settings();
+  if (!file) return;
+  const line = JSON.stringify(entry) + '\n';
+  const bytes = Buffer.byteLength(line);
+  try {
+    if (current.file !== file) {
+      if (current.stream) retire(current.stream);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      current = { file, size: fs.existsSync(file) ? fs.statSync(file).size : 0, stream: open(file) };
+    }
+    if (current.size > 0 && current.size + bytes > maxBytes) rotate(file, keep);
+    current.stream.write(line);
+    current.size += bytes;
+  } catch (err) {
+    console.error(`[accesslog] Cannot write ${file}: ${err.message}`);
+  }
+}
+
+// Resolves once every line written so far has reached its file
+function flush() {
+  const { stream } = current;
+  const pending = [...retiring];
+  if (stream && !stream.destroyed) pending.push(new Promise(resolve => stream.write('', resolve)));
+  return Promise.all(pending);
+}
+
+// Flush and close the live file (on shutdown)
+function close() {
+  if (current.stream) retire(current.stream);
+  current = { file: null, size: 0, stream: null };
+  return Promise.all([...retiring]);
+}
+
+// Count response bytes and write the entry once the response is finished (or the client goes away)
+// onEntry(entry) also receives each entry (server.js feeds lib/metrics from it)
+function track(req, res, { started = process.hrtime.bigint(), onEntry } = {}) {
+  let bytes = 0;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+  res.write = function (chunk, encoding, cb) { count(chunk, encoding); return originalWrite.call(this, chunk, encoding, cb); };
+  res.end = function (chunk, encoding, cb) { count(chunk, encoding); return originalEnd.call(this, chunk, encoding, cb); };
+
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    const entry = {
+      time: new Date().toISOString(),
+      id: req.id,
+      method: req.method,
+      path: redactUrl(req.url),
+      route: req.route ? req.route.pattern : null,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      identity: req.auth ? req.auth.identity : null,
+      bytes,
+      ...(!res.writableFinished && { aborted: true }),
+    };
+    write(entry);
+    if (onEntry) onEntry(entry);
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+}
+
+// "15m" / "2h" / "1d" ago, or any Date.parse-able timestamp → epoch ms
+function parseSince(value, now = Date.now()) {
+  const relative = /^(\d+)([smhd])$/.exec(value);
+  if (relative) {
+    const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[relative[2]];
+    return now - Number(relative[1]) * unit;
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// "404" matches exactly, "4xx" matches the class
+function matchesStatus(filter, status) {
+  if (/^[1-5]xx$/i.test(filter)) return Math.floor(status / 100) === Number(filter[0]);
+  return status === Number(filter);
+}
+
+// One file's entries at or after sinceMs that pass match, oldest first — at most the last
+// `max` of them. older: the file reaches back past sinceMs, so its rotations would too.
+async function scan(file, { sinceMs, match, max }) {
+  const found = [];
+  let older = false;
+  const input = fs.createReadStream(file);
+  try {
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; }
+      if (sinceMs !== null && Date.parse(entry.time) < sinceMs) {
+        older = true;
+        continue;
+      }
+      if (!match(entry)) continue;
+      found.push(entry);
+      if (found.length >= 2 * max) found.splice(0, found.length - max);
+    }
+  } catch (err) {
+    // No such rotation (yet), or it was rotated away: nothing to add
+    if (err.code !== 'ENOENT') throw err;
+  } finally {
+    input.destroy();
+  }
+  return { entries: found.slice(-max), older };
+}
+
+// Newest first across the live file and its rotations
+// filter: { route, status, since, method, identity, limit }
+async function query({ route, status, since, method, identity, limit = 100 } = {}) {
+  const { file, keep } = settings();
+  if (!file) return [];
+  const sinceMs = since ? parseSince(since) : null;
+  const match = entry => {
+    if (route && entry.route !== route && !(entry.path || '').startsWith(route)) return false;
+    if (status && !matchesStatus(String(status), entry.status)) return false;
+    if (method && entry.method !== method.toUpperCase()) return false;
+    if (identity && entry.identity !== identity) return false;
+    return true;
+  };
+  const results = [];
+  const files = [file, ...Array.from({ length: keep }, (_, i) => `${file}.${i + 1}`)];
+
+  for (const f of files) {
+    const { entries, older } = await scan(f, { sinceMs, match, max: limit - results.length });
+    results.push(...entries.reverse());
+    if (results.length >= limit || older) break;
+  }
+  return results;
+}
+
+module.exports = { requestId, track, query, parseSince, redactUrl, write, flush, close };
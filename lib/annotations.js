@@ -0,0 +1,145 @@
+// Annotations on MemoryAtlas assets — our own stars, tags, people, summaries and task flags
+// atlas.db belongs to MemoryAtlas and is opened read-only, so annotations live in
+// their own database (paths.atlasAnnotations), keyed by asset id. Unlike the search
+// index this is user data that can't be rebuilt, so it defaults to ~/.claude next
+// to tasks.db rather than next to atlas.db.
+
+const fs = require('fs');
+const config = require('./config');
+const events = require('./events');
+
+// Writable fields and their defaults (a missing row reads as all defaults)
+const FIELDS = { starred: false, tags: [], people: [], summary: null, to_task: false };
+const LISTS = ['tags', 'people'];
+
+let _db = null;
+
+// Read at open time so tests (and config reloads) can point at another file
+function dbPath() {
+  return config.get().paths.atlasAnnotations;
+}
+
+// The annotations database; with create: false, null until the first annotation is written
+function getDb({ create = true } = {}) {
+  if (!_db) {
+    if (!create && !fs.existsSync(dbPath())) return null;
+    const Database = require('better-sqlite3');
+    _db = new Database(dbPath());
+    _db.pragma('journal_mode = WAL');
+    _db.exec(`
+      CREATE TABLE IF NOT EXISTS annotations (
+        asset_id TEXT PRIMARY KEY,
+        starred INTEGER NOT NULL DEFAULT 0,
+        tags TEXT NOT NULL DEFAULT '[]',
+        people TEXT NOT NULL DEFAULT '[]',
+        summary TEXT,
+        to_task INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE INDEX IF NOT EXISTS idx_annotations_starred ON annotations(starred);
+    `);
+  }
+  return _db;
+}
+
+function close() {
+  if (_db) {
+    _db.close();
+    _db = null;
+  }
+}
+
+function fromRow(row) {
+  return {
+    asset_id: row.asset_id,
+    starred: Boolean(row.starred),
+    tags: JSON.parse(row.tags),
+    people: JSON.parse(row.people),
+    summary: row.summary,
+    to_task: Boolean(row.to_task),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+// Trimmed, de-duplicated list entries, first spelling wins
+function cleanList(values) {
+  const seen = new Set();
+  return values.map(v => String(v).trim()).filter((v) => {
+    const key = v.toLowerCase();
+    if (!v || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function get(assetId) {
+  const db = getDb({ create: false });
+  const row = db && db.prepare('SELECT * FROM annotations WHERE asset_id = ?').get(String(assetId));
+  return row ? fromRow(row) : null;
+}
+
+// Annotations for many assets in one query, as a Map of asset id (string) → annotations
+function getMany(assetIds) {
+  const db = getDb({ create: false });
+  if (!db || !assetIds.length) return new Map();
+  const rows = db.prepare('SELECT * FROM annotations WHERE asset_id IN (SELECT value FROM json_each(?))')
+    .all(JSON.stringify(assetIds.map(String)));
+  return new Map(rows.map(row => [row.asset_id, fromRow(row)]));
+}
+
+// Write fields over the current annotations (or the defaults when there are none)
+function write(assetId, fields) {
+  const id = String(assetId);
+  const existing = get(id);
+  const base = existing || FIELDS;
+  const next = {};
+  for (const key of Object.keys(FIELDS)) {
+    const value = fields[key] === undefined ? base[key] : fields[key];
+    next[key] = LISTS.includes(key) ? cleanList(value) : value;
+  }
+
+  getDb().prepare(`
+    INSERT INTO annotations (asset_id, starred, tags, people, summary, to_task)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (asset_id) DO UPDATE SET
+      starred = excluded.starred, tags = excluded.tags, people = excluded.people,
+      summary = excluded.summary, to_task = excluded.to_task, updated_at = datetime('now')
+  `).run(id, next.starred ? 1 : 0, JSON.stringify(next.tags), JSON.stringify(next.people), next.summary, next.to_task ? 1 : 0);
+
+  const annotations = get(id);
+  const changed = Object.keys(FIELDS).filter(k => JSON.stringify((existing || FIELDS)[k]) !== JSON.stringify(annotations[k]));
+  events.publish('atlas.annotated', { asset_id: id, annotations, changed, created: !existing });
+  return { annotations, created: !existing };
+}
+
+function remove(assetId) {
+  const id = String(assetId);
+  const db = getDb({ create: false });
+  if (!db) return false;
+  const { changes } = db.prepare('DELETE FROM annotations WHERE asset_id = ?').run(id);
+  if (changes) events.publish('atlas.annotated', { asset_id: id, annotations: null, changed: Object.keys(FIELDS), created: false });
+  return changes > 0;
+}
+
+// Asset ids whose annotations match every given filter:
+// { starred, to_task } booleans, { tag, person } names (case-insensitive)
+function matchingIds({ starred, to_task, tag, person } = {}) {
+  const db = getDb({ create: false });
+  if (!db) return [];
+  const where = [];
+  const args = [];
+  for (const [key, value] of Object.entries({ starred, to_task })) {
+    if (value !== undefined) { where.push(`${key} = ?`); args.push(value ? 1 : 0); }
+  }
+  for (const [column, value] of [['tags', tag], ['people', person]]) {
+    if (value === undefined) continue;
+    where.push(`EXISTS (SELECT 1 FROM json_each(${column}) WHERE lower(value) = lower(?))`);
+    args.push(value);
+  }
+  const sql = `SELECT asset_id FROM annotations${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`;
+  return db.prepare(sql).all(...args).map(r => r.asset_id);
+}
+
+module.exports = { get, getMany, write, remove, matchingIds, close, dbPath, FIELDS };
@@ -0,0 +1,134 @@
+// MemoryAtlas assets — atlas.db's asset table mapped onto a stable public shape
+// The asset table belongs to MemoryAtlas and its columns change between releases, so
+// only this module names them. inspect() reads the table's columns (again after any
+// migration: PRAGMA schema_version) and maps each public field to the first candidate
+// column present. A field with no column reads as null: queries keep working, and
+// routes turn off what can't work without it. Columns we don't map never leave this
+// process; they are listed as unknown in report() (/api/atlas/schema).
+
+const { getDb } = require('./db');
+
+// Public asset fields → candidate columns, first match wins. { column, divide } reads a
+// column kept in another unit.
+const FIELDS = {
+  id: ['id', 'asset_id'],
+  title: ['title', 'name'],
+  source_type: ['source_type', 'kind'],
+  duration_sec: ['duration_sec', 'duration_seconds', 'duration', { column: 'duration_ms', divide: 1000 }],
+  recorded_at: ['recorded_at', 'recorded', 'captured_at'],
+  transcript_status: ['transcript_status', 'transcription_status'],
+  note_path: ['note_path', 'vault_note_path'],
+  published_at: ['published_at'],
+  file_size_bytes: ['file_size_bytes', 'file_size', 'size_bytes'],
+};
+const PUBLIC = Object.keys(FIELDS);
+// Columns that may hold the recording's path, in order of preference (read, never returned)
+const SOURCE_COLUMNS = ['file_path', 'source_path', 'audio_path', 'media_path', 'original_path', 'path'];
+// Transcript columns lib/transcripts may read (never returned)
+const TRANSCRIPT_COLUMNS = ['transcript', 'transcript_text', 'transcript_path', 'transcript_file'];
+
+const _schemas = new WeakMap();
+
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function detect(db) {
+  const columns = db.prepare('PRAGMA table_info(asset)').all().map(c => ({ name: c.name, type: c.type || null }));
+  const byName = new Map(columns.map(c => [c.name.toLowerCase(), c.name]));
+  const fields = {};
+  const sql = {};
+  const read = {};
+  for (const [field, candidates] of Object.entries(FIELDS)) {
+    const found = candidates.map(c => (typeof c === 'string' ? { column: c } : c)).find(c => byName.has(c.column));
+    const column = found ? byName.get(found.column) : null;
+    fields[field] = column;
+    if (!column) {
+      sql[field] = 'NULL';
+      read[field] = () => null;
+    } else if (found.divide) {
+      sql[field] = `(${quote(column)} / ${found.divide}.0)`;
+      read[field] = row => (row[column] === null ? null : row[column] / found.divide);
+    } else {
+      sql[field] = quote(column);
+      read[field] = row => row[column];
+    }
+  }
+  const mapped = new Set(Object.values(fields).filter(Boolean));
+  const source = SOURCE_COLUMNS.map(c => byName.get(c)).find(Boolean) || null;
+  const internal = columns.map(c => c.name).filter(name => !mapped.has(name) &&
+    (SOURCE_COLUMNS.includes(name.toLowerCase()) || TRANSCRIPT_COLUMNS.includes(name.toLowerCase())));
+
+  return {
+    table: columns.length > 0,
+    // Without an id column assets can't be addressed at all
+    usable: Boolean(fields.id),
+    columns,
+    fields,
+    sql,
+    read,
+    source,
+    missing: PUBLIC.filter(f => !fields[f]),
+    unknown: columns.map(c => c.name).filter(name => !mapped.has(name) && !internal.includes(name)),
+    internal,
+  };
+}
+
+// How this connection's asset table maps onto the public fields:
+// { table, usable, columns, fields (field → column or null), sql (field → SQL expression,
+// NULL when missing), source (recording path column), missing, unknown, internal }
+function inspect(db) {
+  const version = db.pragma('schema_version', { simple: true });
+  const known = _schemas.get(db);
+  if (known && known.version === version) return known.schema;
+  const schema = detect(db);
+  _schemas.set(db, { version, schema });
+  return schema;
+}
+
+// atlas.db and its schema ({ db, schema }), or null when atlas.db can't be opened
+function open() {
+  const db = getDb();
+  return db ? { db, schema: inspect(db) } : null;
+}
+
+// An asset table row → the public asset (every field, null when the column is missing)
+function publicAsset(schema, row) {
+  return Object.fromEntries(PUBLIC.map(f => [f, schema.read[f](row)]));
+}
+
+// Public assets from SELECT * FROM asset + clause; clause uses inspect(db).sql expressions
+function select(db, clause = '', args = []) {
+  const schema = inspect(db);
+  return db.prepare(`SELECT * FROM asset${clause}`).all(...args).map(row => publicAsset(schema, row));
+}
+
+// For use inside this process only: rows with the public fields laid over the raw
+// columns (reading transcripts and recordings needs both)
+function records(db, clause = '', args = []) {
+  const schema = inspect(db);
+  return db.prepare(`SELECT * FROM asset${clause}`).all(...args).map(row => ({ ...row, ...publicAsset(schema, row) }));
+}
+
+// One asset's record by public id, or null
+function find(db, id) {
+  return records(db, ` WHERE ${inspect(db).sql.id} = ?`, [id])[0] || null;
+}
+
+// What /api/atlas/schema shows about the asset table
+function report(db) {
+  const { table, usable, columns, fields, missing, unknown, internal, source } = inspect(db);
+  return {
+    table,
+    usable,
+    schema_version: db.pragma('schema_version', { simple: true }),
+    columns,
+    fields,
+    missing,
+    unknown,
+    internal,
+    recording_column: source,
+  };
+}
+
+module.exports = { inspect, open, publicAsset, select, records, find, report, FIELDS, PUBLIC };
@@ -0,0 +1,157 @@
+// MemoryAtlas change feed — which assets were created, transcribed or published, and when
+// atlas.db has no change history, so each scan compares its key columns against a
+// snapshot kept in a sidecar database (paths.atlasChanges, default atlas-changes.db
+// next to atlas.db) and appends what moved to a change log. The first scan only
+// records the snapshot. Scans run before each read of the feed and, while anyone is
+// subscribed to /api/events, on a timer (routes/events.js); every change is also
+// published as atlas.created / atlas.transcribed / atlas.published.
+// Cursors are change sequence numbers. The log keeps the last MAX_CHANGES entries;
+// a cursor from before that (or from a rebuilt sidecar) has expired.
+
+const path = require('path');
+const config = require('./config');
+const events = require('./events');
+const { getDb } = require('./db');
+const atlasAssets = require('./atlas');
+
+// Bump to rebuild existing sidecars after a change to the tables
+const STORE_VERSION = 1;
+const MAX_CHANGES = 10000;
+const KINDS = ['created', 'transcribed', 'published'];
+
+let _db = null;
+let _scanned = null; // { atlas, version }
+
+function storePath() {
+  const { atlasChanges, atlasDb } = config.get().paths;
+  return atlasChanges || path.join(path.dirname(atlasDb), 'atlas-changes.db');
+}
+
+// The sidecar database, created on first use; null when it can't be opened
+function getStore() {
+  if (!_db) {
+    try {
+      const Database = require('better-sqlite3');
+      _db = new Database(storePath());
+      _db.pragma('journal_mode = WAL');
+      if (_db.pragma('user_version', { simple: true }) !== STORE_VERSION) {
+        _db.exec(`
+          DROP TABLE IF EXISTS snapshot;
+          DROP TABLE IF EXISTS changes;
+          DROP TABLE IF EXISTS meta;
+          CREATE TABLE snapshot (asset_id TEXT PRIMARY KEY, transcript_status TEXT, published_at TEXT);
+          CREATE TABLE changes (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            asset_id TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            detected_at TEXT NOT NULL
+          );
+          CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+          PRAGMA user_version = ${STORE_VERSION};
+        `);
+      }
+    } catch (err) {
+      console.error(`[atlaschanges] Cannot open ${storePath()}: ${err.message}`);
+      _db = null;
+    }
+  }
+  return _db;
+}
+
+function meta(db, key) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+// What changed for one asset between its snapshot (undefined when new) and its row now
+function kindsFor(previous, status, published) {
+  const kinds = [];
+  if (!previous) kinds.push('created');
+  if (status === 'done' && (!previous || previous.transcript_status !== 'done')) kinds.push('transcribed');
+  if (published !== null && (!previous || previous.published_at === null)) kinds.push('published');
+  return kinds;
+}
+
+// Compare atlas.db with the snapshot, log and publish the differences; returns the new changes.
+// Skipped while atlas.db is unchanged (PRAGMA data_version) unless force is set. Without a
+// transcript_status or published_at column those changes are simply never seen.
+function scan({ force = false } = {}) {
+  const atlas = getDb();
+  const db = getStore();
+  if (!atlas || !db || !atlasAssets.inspect(atlas).usable) return [];
+
+  const version = atlas.pragma('data_version', { simple: true });
+  if (!force && _scanned && _scanned.atlas === atlas && _scanned.version === version) return [];
+
+  const rows = atlasAssets.select(atlas);
+  const known = new Map(db.prepare('SELECT * FROM snapshot').all().map(r => [r.asset_id, r]));
+  const baseline = meta(db, 'baselined_at') === null;
+  const upsert = db.prepare('INSERT OR REPLACE INTO snapshot (asset_id, transcript_status, published_at) VALUES (?, ?, ?)');
+  const forget = db.prepare('DELETE FROM snapshot WHERE asset_id = ?');
+  const log = db.prepare('INSERT INTO changes (asset_id, kind, detected_at) VALUES (?, ?, ?)');
+  const now = new Date().toISOString();
+  const found = [];
+
+  db.transaction(() => {
+    for (const row of rows) {
+      const id = String(row.id);
+      const status = row.transcript_status;
+      const published = row.published_at;
+      const previous = known.get(id);
+      known.delete(id);
+      if (previous && previous.transcript_status === status && previous.published_at === published) continue;
+      upsert.run(id, status, published);
+      if (baseline) continue;
+      for (const kind of kindsFor(previous, status, published)) {
+        const seq = Number(log.run(id, kind, now).lastInsertRowid);
+        found.push({ seq, asset_id: id, kind, detected_at: now, asset: row });
+      }
+    }
+    for (const id of known.keys()) forget.run(id);
+    if (baseline) db.prepare("INSERT INTO meta (key, value) VALUES ('baselined_at', ?)").run(now);
+
+    const latest = latestSeq(db);
+    if (latest - MAX_CHANGES > Number(meta(db, 'pruned_through') || 0)) {
+      db.prepare('DELETE FROM changes WHERE seq <= ?').run(latest - MAX_CHANGES);
+      db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('pruned_through', ?)").run(String(latest - MAX_CHANGES));
+    }
+  })();
+
+  _scanned = { atlas, version };
+  for (const { seq, asset_id, kind, detected_at, asset } of found) {
+    events.publish(`atlas.${kind}`, { seq, asset_id, detected_at, asset });
+  }
+  return found;
+}
+
+function latestSeq(db) {
+  const row = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'changes'").get();
+  return row ? row.seq : 0;
+}
+
+// Changes after since (a sequence number; null → everything retained), oldest first:
+// { changes: [{ seq, asset_id, kind, detected_at }], cursor, more }, { expired: true, cursor }
+// when since is no longer (or was never) in the log, or null when the sidecar is unavailable.
+// kinds narrows the result; the cursor still moves past changes it skipped.
+function read(since, { limit = 100, kinds = null } = {}) {
+  const db = getStore();
+  if (!db) return null;
+  const latest = latestSeq(db);
+  const pruned = Number(meta(db, 'pruned_through') || 0);
+  const from = since === null ? pruned : since;
+  if (from > latest || from < pruned) return { expired: true, cursor: String(latest) };
+
+  const filter = kinds ? ' AND kind IN (SELECT value FROM json_each(?))' : '';
+  const args = kinds ? [from, JSON.stringify(kinds)] : [from];
+  const rows = db.prepare(`SELECT * FROM changes WHERE seq > ?${filter} ORDER BY seq LIMIT ?`).all(...args, limit + 1);
+  const more = rows.length > limit;
+  const changes = rows.slice(0, limit);
+  return { changes, cursor: String(more ? changes[changes.length - 1].seq : latest), more };
+}
+
+function close() {
+  if (_db) { _db.close(); _db = null; }
+  _scanned = null;
+}
+
+module.exports = { scan, read, close, storePath, KINDS };
@@ -0,0 +1,252 @@
+// Full-text index over MemoryAtlas titles and transcripts (SQLite FTS5)
+// atlas.db is opened read-only, so the index lives in a sidecar database
+// (paths.atlasIndex, default atlas-search.db next to atlas.db). Each asset is
+// split into chunks of consecutive transcript segments that keep their start/end
+// times. The index catches up incrementally: when atlas.db has changed (PRAGMA
+// data_version) or RESCAN_MS has passed, assets whose row or transcript changed
+// are re-indexed and deleted assets are dropped. Searches never wait for that:
+// each one starts a background refresh() if needed and answers from the index as
+// it stands (or, before the first build has finished, not at all: null).
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('./config');
+const { getDb } = require('./db');
+const atlasAssets = require('./atlas');
+const transcripts = require('./transcripts');
+
+// Bump to rebuild existing indexes after a change to the tables or chunking
+const INDEX_VERSION = 1;
+// Transcript files can change without atlas.db changing
+const RESCAN_MS = 5 * 60 * 1000;
+// Target chunk size (characters); segments are never split
+const CHUNK_CHARS = 400;
+// Assets indexed per turn of the event loop during a background refresh
+const BATCH_SIZE = 25;
+const MARK = ['<mark>', '</mark>'];
+
+let _db = null;
+let _synced = null; // { atlas, version, at }
+let _refreshing = null; // Promise of the running background refresh
+let _generation = 0; // bumped by close() to abandon a running refresh
+
+function indexPath() {
+  const { atlasIndex, atlasDb } = config.get().paths;
+  return atlasIndex || path.join(path.dirname(atlasDb), 'atlas-search.db');
+}
+
+// The sidecar database, created on first use; null when it can't be opened
+function getIndex() {
+  if (!_db) {
+    try {
+      const Database = require('better-sqlite3');
+      _db = new Database(indexPath());
+      _db.pragma('journal_mode = WAL');
+      if (_db.pragma('user_version', { simple: true }) !== INDEX_VERSION) {
+        _db.exec(`
+          DROP TABLE IF EXISTS indexed;
+          DROP TABLE IF EXISTS chunks;
+          CREATE TABLE indexed (asset_id TEXT PRIMARY KEY, fingerprint TEXT NOT NULL, indexed_at TEXT NOT NULL);
+          CREATE VIRTUAL TABLE chunks USING fts5(
+            title, text, asset_id UNINDEXED, start_sec UNINDEXED, end_sec UNINDEXED,
+            tokenize = 'porter unicode61 remove_diacritics 2'
+          );
+          PRAGMA user_version = ${INDEX_VERSION};
+        `);
+      }
+    } catch (err) {
+      console.error(`[atlasindex] Cannot open ${indexPath()}: ${err.message}`);
+      _db = null;
+    }
+  }
+  return _db;
+}
+
+// Transcript → [{ text, start, end }] chunks of about CHUNK_CHARS
+function chunk(transcript) {
+  const pieces = transcript.segments || transcript.text.split(/(?<=[.!?])\s+|\n+/).map(text => ({ text, start: null, end: null }));
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (!current || current.text.length >= CHUNK_CHARS) {
+      current = { text: piece.text, start: piece.start, end: piece.end };
+      chunks.push(current);
+    } else {
+      current.text += ' ' + piece.text;
+      current.end = piece.end;
+    }
+  }
+  return chunks;
+}
+
+function fingerprint(asset, version) {
+  return crypto.createHash('sha1').update(JSON.stringify(asset)).update(version || '').digest('hex');
+}
+
+// What the index is missing: assets whose row or transcript changed since they were
+// indexed, and ids no longer in atlas.db. null when atlas.db has no usable asset table.
+function pending(atlas, index) {
+  const schema = atlasAssets.inspect(atlas);
+  if (!schema.usable) return null;
+  const assets = atlasAssets.records(atlas);
+  const versions = transcripts.versions(atlas, assets);
+  const known = new Map(index.prepare('SELECT asset_id, fingerprint FROM indexed').all().map(r => [r.asset_id, r.fingerprint]));
+  const changed = [];
+  for (const asset of assets) {
+    const id = String(asset.id);
+    const print = fingerprint(asset, versions.get(id));
+    if (known.get(id) !== print) changed.push({ asset, print });
+    known.delete(id);
+  }
+  return { schema, changed, removed: [...known.keys()] };
+}
+
+// (Re)index changed assets and drop removed ones, in one transaction
+function apply(atlas, index, schema, changed, removed = []) {
+  const drop = index.prepare('DELETE FROM chunks WHERE asset_id = ?');
+  const forget = index.prepare('DELETE FROM indexed WHERE asset_id = ?');
+  const insert = index.prepare('INSERT INTO chunks (title, text, asset_id, start_sec, end_sec) VALUES (?, ?, ?, ?, ?)');
+  const mark = index.prepare('INSERT OR REPLACE INTO indexed (asset_id, fingerprint, indexed_at) VALUES (?, ?, ?)');
+  const now = new Date().toISOString();
+
+  index.transaction(() => {
+    for (const id of removed) { drop.run(id); forget.run(id); }
+    for (const { asset, print } of changed) {
+      const id = String(asset.id);
+      drop.run(id);
+      const transcript = !schema.fields.transcript_status || asset.transcript_status === 'done'
+        ? transcripts.readTranscript(atlas, asset) : null;
+      const chunks = transcript ? chunk(transcript) : [{ text: '', start: null, end: null }];
+      // The title goes on the first chunk only, so a title match counts once per asset
+      chunks.forEach((c, i) => insert.run(i === 0 ? asset.title || '' : '', c.text, id, c.start, c.end));
+      mark.run(id, print, now);
+    }
+  })();
+}
+
+// Is the index behind atlas.db (changed since the last sync, or RESCAN_MS old)?
+function stale(atlas) {
+  const version = atlas.pragma('data_version', { simple: true });
+  return !_synced || _synced.atlas !== atlas || _synced.version !== version || Date.now() - _synced.at >= RESCAN_MS;
+}
+
+// Bring the index up to date with atlas.db in one go; returns the number of assets (re)indexed
+function sync({ force = false } = {}) {
+  const atlas = getDb();
+  const index = getIndex();
+  if (!atlas || !index) return 0;
+  if (!force && !stale(atlas)) return 0;
+
+  const version = atlas.pragma('data_version', { simple: true });
+  const todo = pending(atlas, index);
+  if (!todo) return 0;
+  apply(atlas, index, todo.schema, todo.changed, todo.removed);
+  _synced = { atlas, version, at: Date.now() };
+  return todo.changed.length;
+}
+
+// Catch the index up in the background, BATCH_SIZE assets per turn of the event loop, so
+// requests keep being served (from the index as it is) while a transcription batch lands.
+// Resolves with the number of assets (re)indexed; concurrent calls share one run.
+function refresh() {
+  if (_refreshing) return _refreshing;
+  const atlas = getDb();
+  const index = getIndex();
+  if (!atlas || !index || !stale(atlas)) return Promise.resolve(0);
+
+  const generation = _generation;
+  _refreshing = new Promise((resolve) => {
+    const finish = (count) => { _refreshing = null; resolve(count); };
+    setImmediate(() => {
+      let todo;
+      try {
+        const version = atlas.pragma('data_version', { simple: true });
+        todo = pending(atlas, index);
+        if (!todo) return finish(0);
+        todo.version = version;
+      } catch (err) {
+        console.error(`[atlasindex] Refresh failed: ${err.message}`);
+        return finish(0);
+      }
+      let offset = 0;
+      const step = () => {
+        // close() (config reload, shutdown) abandons the run
+        if (generation !== _generation) return finish(offset);
+        try {
+          apply(atlas, index, todo.schema, todo.changed.slice(offset, offset + BATCH_SIZE), offset === 0 ? todo.removed : []);
+        } catch (err) {
+          console.error(`[atlasindex] Refresh failed: ${err.message}`);
+          return finish(offset);
+        }
+        offset += BATCH_SIZE;
+        if (offset < todo.changed.length) return setImmediate(step);
+        _synced = { atlas, version: todo.version, at: Date.now() };
+        return finish(todo.changed.length);
+      };
+      step();
+    });
+  });
+  return _refreshing;
+}
+
+// User query → FTS5 MATCH expression. "Quoted phrases", word* prefixes and OR are
+// kept; every other term is quoted so punctuation can't break the query syntax.
+// Terms are ANDed. Returns '' when nothing searchable is left.
+function toMatchQuery(query) {
+  const terms = [];
+  for (const m of String(query).matchAll(/"([^"]*)"?|(\S+)/g)) {
+    if (m[2] === 'OR') {
+      if (terms.length && terms[terms.length - 1] !== 'OR') terms.push('OR');
+      continue;
+    }
+    const words = (m[1] !== undefined ? m[1] : m[2]).match(/[\p{L}\p{N}_]+/gu);
+    if (!words) continue;
+    const prefix = m[2] !== undefined && m[2].endsWith('*');
+    terms.push(`"${words.join(' ')}"${prefix ? '*' : ''}`);
+  }
+  if (terms[terms.length - 1] === 'OR') terms.pop();
+  return terms.join(' ');
+}
+
+// Ranked assets for a query: [{ asset_id, score, snippet, matches: [{ start_sec, end_sec, snippet }] }]
+// Returns null when the index is unavailable or hasn't been built yet
+function search(query, { limit = 20, matches = 3 } = {}) {
+  const index = getIndex();
+  if (!index) return null;
+  refresh();
+  // Nothing indexed yet: the first build is still running
+  if (!index.prepare('SELECT 1 FROM indexed LIMIT 1').get()) return null;
+  const expression = toMatchQuery(query);
+  if (!expression) return [];
+
+  const rows = index.prepare(`
+    SELECT asset_id, start_sec, end_sec, bm25(chunks, 4.0, 1.0) AS score,
+      snippet(chunks, -1, '${MARK[0]}', '${MARK[1]}', '…', 16) AS snippet
+    FROM chunks WHERE chunks MATCH ? ORDER BY score LIMIT 1000
+  `).all(expression);
+
+  const byAsset = new Map();
+  for (const row of rows) {
+    let result = byAsset.get(row.asset_id);
+    if (!result) {
+      if (byAsset.size === limit) continue;
+      // bm25 is lower-is-better and negative; report higher-is-better
+      result = { asset_id: row.asset_id, score: Math.round(-row.score * 1000) / 1000, snippet: row.snippet, matches: [] };
+      byAsset.set(row.asset_id, result);
+    }
+    if (row.start_sec !== null && result.matches.length < matches) {
+      result.matches.push({ start_sec: row.start_sec, end_sec: row.end_sec, snippet: row.snippet });
+    }
+  }
+  for (const result of byAsset.values()) result.matches.sort((a, b) => a.start_sec - b.start_sec);
+  return [...byAsset.values()];
+}
+
+function close() {
+  if (_db) { _db.close(); _db = null; }
+  _synced = null;
+  _refreshing = null;
+  _generation += 1;
+}
+
+module.exports = { search, sync, refresh, toMatchQuery, indexPath, close };
@@ -0,0 +1,209 @@
+// API token authentication — hashed tokens tied to an identity, with scopes
+// Tokens live in a local SQLite file; only their SHA-256 hash is stored.
+//
+// Scopes are "<resource>:<level>" with levels read < write < admin, so
+// tasks:admin also grants tasks:write and tasks:read. Wildcards: "*" grants
+// everything, "*:read" grants read on every resource, "tasks:*" every level.
+
+const crypto = require('crypto');
+const config = require('./config');
+
+const TOKEN_PREFIX = 'plife_';
+const LEVELS = ['read', 'write', 'admin'];
+const PUBLIC = 'public';
+// Pages served from this machine (any port)
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+// Host headers naming this machine (any port)
+const LOCAL_HOST = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i;
+
+// Token DB and loopback scopes (auth.tokensDb, auth.loopbackScopes) are read from
+// config when first needed. Requests from this machine get the loopback scopes
+// without a token; PLIFE_LOOPBACK_SCOPES='' disables that. A browser on this machine
+// also connects from loopback, so requests a page on another site sends (its Origin
+// header isn't localhost) don't get them, nor do requests whose Host isn't localhost:
+// a DNS-rebinding page sends same-origin GETs without an Origin, but with its own name.
+function dbPath() {
+  return config.get().auth.tokensDb;
+}
+
+let _db = null;
+
+function getDb() {
+  if (!_db) {
+    const Database = require('better-sqlite3');
+    _db = new Database(dbPath());
+    _db.pragma('journal_mode = WAL');
+    _db.exec(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identity TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL DEFAULT '[]',
+        label TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_identity ON api_tokens(identity);
+    `);
+  }
+  return _db;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseScope(scope) {
+  if (scope === '*') return { resource: '*', level: '*' };
+  const [resource, level] = scope.split(':');
+  return { resource, level: level || 'read' };
+}
+
+function isValidScope(scope) {
+  if (scope === '*') return true;
+  if (!scope.includes(':')) return false;
+  const { resource, level } = parseScope(scope);
+  return /^(\*|[a-z][a-z0-9-]*)$/.test(resource) && (level === '*' || LEVELS.includes(level));
+}
+
+// Does any granted scope cover the required one?
+function hasScope(granted, required) {
+  if (!required || required === PUBLIC) return true;
+  const need = parseScope(required);
+  return (granted || []).some(g => {
+    const have = parseScope(g);
+    if (have.resource !== '*' && have.resource !== need.resource) return false;
+    if (have.level === '*') return true;
+    return LEVELS.indexOf(have.level) >= LEVELS.indexOf(need.level);
+  });
+}
+
+// --- TOKEN STORE ---
+
+function createToken({ identity, scopes, label }) {
+  if (!identity || !/^[a-z0-9][a-z0-9._-]*$/i.test(identity)) {
+    throw new Error('identity must be a name like peretz, kevin, or an agent name');
+  }
+  const invalid = (scopes || []).filter(s => !isValidScope(s));
+  if (invalid.length) throw new Error(`Invalid scope(s): ${invalid.join(', ')}`);
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO api_tokens (identity, token_hash, token_prefix, scopes, label)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(identity.toLowerCase(), hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify(scopes || []), label || null);
+  return { id: Number(result.lastInsertRowid), identity: identity.toLowerCase(), scopes: scopes || [], token };
+}
+
+function listTokens() {
+  const db = getDb();
+  return db.prepare('SELECT id, identity, token_prefix, scopes, label, created_at, last_used_at, revoked_at FROM api_tokens ORDER BY id')
+    .all()
+    .map(t => { t.scopes = JSON.parse(t.scopes); return t; });
+}
+
+function revokeToken(id) {
+  const db = getDb();
+  return db.prepare("UPDATE api_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL").run(id).changes > 0;
+}
+
+function verifyToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL').get(hashToken(token));
+  if (!row) return null;
+  db.prepare("UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?").run(row.id);
+  return { identity: row.identity, scopes: JSON.parse(row.scopes), tokenId: row.id, via: 'token' };
+}
+
+// --- REQUEST AUTHENTICATION ---
+
+function bearerToken(req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  // Routes that serve EventSource clients (which can't set headers) may accept ?access_token=
+  if (req.route && req.route.meta.queryToken && req.url) {
+    return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  }
+  return null;
+}
+
+function isLoopback(req) {
+  const addr = req.socket && req.socket.remoteAddress;
+  return addr === '127.0.0.1' || addr === '::1' || addr === '::ffff:127.0.0.1';
+}
+
+function isLocalOrigin(origin) {
+  return LOCAL_ORIGIN.test(origin);
+}
+
+// Requests made in-process (lib/dispatch without a Host) count as local
+function isLocalHost(req) {
+  const host = req.headers && req.headers.host;
+  return !host || LOCAL_HOST.test(host);
+}
+
+// Resolve the caller: a valid token, a loopback request, or null
+function authenticate(req) {
+  const token = bearerToken(req);
+  if (token) return verifyToken(token);
+  const loopbackScopes = config.get().auth.loopbackScopes;
+  const origin = req.headers && req.headers.origin;
+  if (isLoopback(req) && loopbackScopes.length && (!origin || isLocalOrigin(origin)) && isLocalHost(req)) {
+    return { identity: 'local', scopes: loopbackScopes, tokenId: null, via: 'loopback' };
+  }
+  return null;
+}
+
+// Router middleware: enforce the scope each route declares, plus any it alsoRequires
+// (e.g. atlas routes that return vault content). This runs before the cache, so a
+// cached response is never served to a caller the route itself would turn away.
+function middleware(req, params, next) {
+  const required = req.route.meta.scope;
+  if (required === PUBLIC) {
+    req.auth = authenticate(req);
+    return next();
+  }
+
+  // Fail closed: a route that forgot to declare a scope is not reachable
+  if (!required) {
+    console.error(`[auth] ${req.route.method} ${req.route.pattern} declares no scope`);
+    return { status: 403, body: { error: 'Route has no access scope configured' } };
+  }
+
+  const hadToken = Boolean(bearerToken(req));
+  const auth = authenticate(req);
+  if (!auth) {
+    return {
+      status: 401,
+      headers: { 'WWW-Authenticate': `Bearer realm="practicelife"${hadToken ? ', error="invalid_token"' : ''}` },
+      body: { error: hadToken ? 'Invalid or revoked token' : 'Authentication required', required },
+    };
+  }
+
+  req.auth = auth;
+  const lacking = [required, ...(req.route.meta.alsoRequires || [])].find(scope => !hasScope(auth.scopes, scope));
+  if (lacking) {
+    return {
+      status: 403,
+      headers: { 'WWW-Authenticate': `Bearer realm="practicelife", error="insufficient_scope", scope="${lacking}"` },
+      body: { error: 'Insufficient scope', required: lacking, identity: auth.identity },
+    };
+  }
+  return next();
+}
+
+function close() {
+  if (_db) { _db.close(); _db = null; }
+}
+
+module.exports = {
+  dbPath, PUBLIC,
+  getDb, close,
+  createToken, listTokens, revokeToken, verifyToken,
+  hasScope, isValidScope, isLocalOrigin, authenticate, middleware,
+};
@@ -0,0 +1,125 @@
+// Response cache with ETag / conditional GET
+// Routes opt in with metadata: cache: { ttl: <seconds>, key: '<invalidation key>' }
+// Entries are dropped when their TTL expires or their key is invalidated —
+// task and message events invalidate 'tasks', vault events 'vault', and so on.
+// ?fresh=1 bypasses (and refreshes) the cached entry. Entries and ETags are kept
+// per negotiated format (req.format, see lib/negotiate) so a CSV and a JSON
+// response for the same URL never share a validator.
+
+const crypto = require('crypto');
+const events = require('./events');
+
+const MAX_ENTRIES = 500;
+
+const store = new Map();
+
+// Event topic family → invalidation key
+const INVALIDATED_BY = {
+  task: 'tasks',
+  message: 'tasks',
+  vault: 'vault',
+  agent: 'agents',
+  fleet: 'fleet',
+  atlas: 'atlas',
+};
+
+events.subscribe(event => {
+  const key = INVALIDATED_BY[event.topic.split('.')[0]];
+  if (key) invalidate(key);
+}, { passive: true });
+
+function etagFor(body, variant) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  const hash = crypto.createHash('sha1').update(text || '').digest('base64url');
+  return variant ? `W/"${hash}.${variant}"` : `W/"${hash}"`;
+}
+
+// Cache key: invalidation key + URL without the fresh override (+ non-JSON format)
+function cacheKey(key, url, variant) {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.delete('fresh');
+  parsed.searchParams.sort();
+  return `${key} ${parsed.pathname}${parsed.search}${variant ? ` [${variant}]` : ''}`;
+}
+
+function get(entryKey) {
+  const entry = store.get(entryKey);
+  if (!entry) return null;
+  if (entry.expires <= Date.now()) {
+    store.delete(entryKey);
+    return null;
+  }
+  return entry;
+}
+
+function set(entryKey, entry) {
+  store.delete(entryKey);
+  store.set(entryKey, entry);
+  while (store.size > MAX_ENTRIES) store.delete(store.keys().next().value);
+}
+
+// Drop every entry under an invalidation key (or everything)
+function invalidate(key) {
+  if (!key) { store.clear(); return; }
+  for (const entryKey of store.keys()) {
+    if (entryKey.startsWith(key + ' ')) store.delete(entryKey);
+  }
+}
+
+function matchesEtag(req, etag) {
+  const header = req.headers && req.headers['if-none-match'];
+  if (!header) return false;
+  return header === '*' || header.split(',').map(t => t.trim()).includes(etag);
+}
+
+function respond(req, entry, state) {
+  const maxAge = Math.max(0, Math.ceil((entry.expires - Date.now()) / 1000));
+  const headers = {
+    ...entry.result.headers,
+    'ETag': entry.etag,
+    'Cache-Control': `private, max-age=${maxAge}`,
+    'X-Cache': state,
+  };
+  if (matchesEtag(req, entry.etag)) {
+    return { status: 304, headers };
+  }
+  return { ...entry.result, headers };
+}
+
+function fresh(req) {
+  const value = new URL(req.url, 'http://localhost').searchParams.get('fresh');
+  return value === '1' || value === 'true';
+}
+
+// Router middleware: serve cached GET responses, populate on miss
+function middleware(req, params, next) {
+  const policy = req.route.meta.cache;
+  if (!policy || (req.method !== 'GET' && req.method !== 'HEAD')) return next();
+
+  const variant = req.format && req.format !== 'json' ? req.format : null;
+  const entryKey = cacheKey(policy.key, req.url, variant);
+  if (!fresh(req)) {
+    const entry = get(entryKey);
+    if (entry) return respond(req, entry, 'HIT');
+  }
+
+  const save = (result) => {
+    if (!result || result.status !== 200 || result.stream) return result;
+    const entry = {
+      result,
+      etag: etagFor(result.body, variant),
+      expires: Date.now() + policy.ttl * 1000,
+    };
+    set(entryKey, entry);
+    return respond(req, entry, 'MISS');
+  };
+
+  const result = next();
+  return result && typeof result.then === 'function' ? result.then(save) : save(result);
+}
+
+function stats() {
+  return { entries: store.size, keys: [...new Set([...store.keys()].map(k => k.split(' ')[0]))] };
+}
+
+module.exports = { middleware, invalidate, etagFor, stats };
@@ -0,0 +1,462 @@
+// plife — command-line client for the API (scripts/plife.js is the executable)
+// Each command turns its arguments into one API request and prints the response
+// as a table or plain text; --json prints the response body as the API sent it.
+// The server and token come from config (client.url / client.token, i.e.
+// PLIFE_URL / PLIFE_TOKEN); --url and --token override them per call.
+
+const fs = require('fs');
+const config = require('./config');
+
+class UsageError extends Error {}
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  json: { flag: true },
+  url: {},
+  token: {},
+  help: { alias: 'h', flag: true },
+};
+
+// argv → { args, opts } for a command's options ({ name: { alias, flag } })
+function parseArgs(argv, options = {}) {
+  const spec = { ...GLOBAL_OPTIONS, ...options };
+  const aliases = Object.fromEntries(Object.entries(spec).filter(([, o]) => o.alias).map(([name, o]) => [o.alias, name]));
+  const args = [];
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') { args.push(...argv.slice(i + 1)); break; }
+    const long = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    const short = !long && arg.match(/^-([a-zA-Z])$/);
+    if (!long && !short) { args.push(arg); continue; }
+    const name = long ? long[1] : aliases[short[1]];
+    if (!name || !spec[name]) throw new UsageError(`Unknown option: ${arg}`);
+    if (spec[name].flag) { opts[name] = true; continue; }
+    const value = long && long[2] !== undefined ? long[2] : argv[++i];
+    if (value === undefined) throw new UsageError(`Missing value for ${arg}`);
+    opts[name] = value;
+  }
+  return { args, opts };
+}
+
+// --- Output ---
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(',');
+  return String(value).replace(/\s+/g, ' ');
+}
+
+// Rows → aligned text table; columns are [key, label] pairs. Lines are cut at width (if given)
+function table(rows, columns, { width } = {}) {
+  if (!rows.length) return '(none)';
+  const cells = [columns.map(([, label]) => label), ...rows.map(row => columns.map(([key]) => cell(row[key])))];
+  const widths = columns.map((_, i) => Math.max(...cells.map(r => r[i].length)));
+  return cells.map(r => {
+    const line = r.map((c, i) => (i === r.length - 1 ? c : c.padEnd(widths[i]))).join('  ');
+    return width && line.length > width ? line.slice(0, width - 1) + '…' : line;
+  }).join('\n');
+}
+
+// { a: 1, b: 'x' } → "a  1\nb  x"
+function fields(obj) {
+  const keys = Object.keys(obj).filter(k => obj[k] !== null && obj[k] !== undefined && typeof obj[k] !== 'object');
+  const pad = Math.max(0, ...keys.map(k => k.length));
+  return keys.map(k => `${k.padEnd(pad)}  ${obj[k]}`).join('\n');
+}
+
+function duration(seconds) {
+  if (!seconds) return '';
+  const s = Math.round(seconds);
+  return s >= 3600 ? `${Math.floor(s / 3600)}h${String(Math.floor(s % 3600 / 60)).padStart(2, '0')}m` : `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+const TASK_COLUMNS = [['id', 'ID'], ['priority', 'P'], ['status', 'STATUS'], ['owner', 'OWNER'], ['assignee', 'ASSIGNEE'], ['due_date', 'DUE'], ['title', 'TITLE']];
+
+function printTask(task) {
+  const lines = [`#${task.id} ${task.title}`];
+  lines.push(fields({
+    status: task.status, priority: task.priority, owner: task.owner, assignee: task.assignee,
+    category: task.category, due: task.due_date, tags: (task.tags || []).join(', ') || null, updated: task.updated_at,
+  }));
+  if (task.description) lines.push('', task.description);
+  if (task.messages && task.messages.length) {
+    lines.push('', 'Thread:');
+    for (const m of task.messages) lines.push(`  ${m.created_at}  ${m.author} [${m.type}] ${m.content}`);
+  }
+  return lines.join('\n');
+}
+
+// /api/fleet → one row per machine service
+function fleetRows(fleet) {
+  const { hearth, anvil } = fleet.machines || {};
+  const rows = [];
+  for (const [name, s] of Object.entries((hearth && hearth.services) || {})) {
+    rows.push({ host: 'hearth', service: name, port: s.port, status: s.status });
+  }
+  if (anvil) {
+    rows.push({ host: 'anvil', service: 'dashboard', status: anvil.dashboard && anvil.dashboard.status });
+    const models = anvil.ollama && anvil.ollama.models ? ` (${anvil.ollama.models.length} models)` : '';
+    rows.push({ host: 'anvil', service: 'ollama', port: 11434, status: anvil.ollama && anvil.ollama.status + models });
+    for (const [link, c] of Object.entries(anvil.connectivity || {})) {
+      rows.push({ host: 'anvil', service: link, status: c.reachable ? `reachable ${c.latencyMs}ms` : 'unreachable' });
+    }
+  }
+  return rows;
+}
+
+// --- Commands ---
+// name → { usage, summary, options, request(args, opts) → { method, path, query, body }, print(body, opts) → text }
+
+function required(value, what) {
+  if (value === undefined || value === '') throw new UsageError(`Missing ${what}`);
+  return value;
+}
+
+const COMMANDS = {
+  'q ls': {
+    usage: 'q ls [--owner name] [--assignee name] [--status s] [-p n] [--category c] [-n limit] [--sort priority|updated]',
+    summary: 'List tasks (--status open = pending, in_progress or blocked)',
+    options: { owner: {}, assignee: {}, status: {}, priority: { alias: 'p' }, category: {}, source: {}, limit: { alias: 'n' }, sort: {} },
+    request: (args, opts) => ({
+      method: 'GET', path: '/api/q/tasks',
+      query: { owner: opts.owner, assignee: opts.assignee, status: opts.status, priority: opts.priority, category: opts.category, source: opts.source, limit: opts.limit, sort: opts.sort },
+    }),
+    print: (body, { width }) => {
+      const more = body.total > body.offset + body.tasks.length ? `\n${body.tasks.length} of ${body.total} tasks` : '';
+      return table(body.tasks, TASK_COLUMNS, { width }) + more;
+    },
+  },
+  'q show': {
+    usage: 'q show <id>',
+    summary: 'Show a task with its thread',
+    request: (args) => ({ method: 'GET', path: `/api/q/tasks/${required(args[0], 'task id')}` }),
+    print: printTask,
+  },
+  'q add': {
+    usage: 'q add <title> [-p n] [--owner name] [--assignee name] [--category c] [--due YYYY-MM-DD] [-d description] [--tags a,b]',
+    summary: 'Create a task',
+    options: { priority: { alias: 'p' }, owner: {}, assignee: {}, category: {}, source: {}, due: {}, description: { alias: 'd' }, tags: {} },
+    request: (args, opts) => ({
+      method: 'POST', path: '/api/q/tasks',
+      body: {
+        title: required(args.join(' '), 'title'),
+        priority: opts.priority === undefined ? undefined : Number(opts.priority),
+        owner: opts.owner, assignee: opts.assignee, category: opts.category, source: opts.source || 'cli',
+        due_date: opts.due, description: opts.description,
+        tags: opts.tags ? opts.tags.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+      },
+    }),
+    print: (task) => `Created #${task.id} ${task.title}`,
+  },
+  'q ack': {
+    usage: 'q ack <id> --agent name',
+    summary: 'Claim a task (assigns it and marks it in_progress)',
+    options: { agent: {} },
+    request: (args, opts) => ({
+      method: 'POST', path: `/api/q/tasks/${required(args[0], 'task id')}/ack`,
+      body: { agent: required(opts.agent, '--agent') },
+    }),
+    print: (task) => `#${task.id} ${task.status}, assigned to ${task.assignee}`,
+  },
+  'q msg': {
+    usage: 'q msg <id> <text> --author name [--type update|question|answer|note|blocker]',
+    summary: 'Post a message to a task thread',
+    options: { author: {}, type: {} },
+    request: (args, opts) => ({
+      method: 'POST', path: `/api/q/tasks/${required(args[0], 'task id')}/messages`,
+      body: { author: required(opts.author, '--author'), type: opts.type, content: required(args.slice(1).join(' '), 'message text') },
+    }),
+    print: (msg) => `Posted to #${msg.task_id}`,
+  },
+  'q done': {
+    usage: 'q done <id>',
+    summary: 'Mark a task completed',
+    request: (args) => ({ method: 'PATCH', path: `/api/q/tasks/${required(args[0], 'task id')}`, body: { status: 'completed' } }),
+    print: (task) => `#${task.id} ${task.status}`,
+  },
+  'q search': {
+    usage: 'q search <query>',
+    summary: 'Search tasks and messages',
+    request: (args) => ({ method: 'GET', path: '/api/q/search', query: { q: required(args.join(' '), 'query') } }),
+    print: (body, { width }) => table(body.results, TASK_COLUMNS, { width }),
+  },
+  'q stats': {
+    usage: 'q stats',
+    summary: 'Task queue statistics',
+    request: () => ({ method: 'GET', path: '/api/q/stats' }),
+    print: (stats) => [
+      fields({ total: stats.total, completedToday: stats.completedToday, messages24h: stats.recentMessages }),
+      '', table(stats.byStatus, [['status', 'STATUS'], ['count', 'COUNT']]),
+      '', table(stats.byOwner, [['owner', 'OWNER'], ['count', 'OPEN']]),
+    ].join('\n'),
+  },
+
+  'vault ls': {
+    usage: 'vault ls [dir]',
+    summary: 'List notes in a vault folder',
+    request: (args) => ({ method: 'GET', path: '/api/vault/notes', query: { dir: args[0] } }),
+    print: (body, { width }) => table(body.notes, [['modified', 'MODIFIED'], ['path', 'PATH']], { width }),
+  },
+  'vault cat': {
+    usage: 'vault cat <path>',
+    summary: 'Print a note',
+    request: (args) => ({ method: 'GET', path: '/api/vault/note', query: { path: required(args.join(' '), 'note path') } }),
+    print: (note) => note.content.replace(/\n$/, ''),
+  },
+  'vault search': {
+    usage: 'vault search <query> [-n limit]',
+    summary: 'Search note names and contents',
+    options: { limit: { alias: 'n' } },
+    request: (args, opts) => ({ method: 'GET', path: '/api/vault/search', query: { q: required(args.join(' '), 'query'), limit: opts.limit } }),
+    print: (body, { width }) => table(body.results, [['path', 'PATH'], ['snippet', 'MATCH']], { width }),
+  },
+  'vault stats': {
+    usage: 'vault stats',
+    summary: 'Vault note count',
+    request: () => ({ method: 'GET', path: '/api/vault/stats' }),
+    print: fields,
+  },
+
+  'atlas ls': {
+    usage: 'atlas ls [--type t] [--status s] [--from date] [--to date] [--starred true] [--tag t] [--sort -recorded_at] [-n limit] [--cursor c]',
+    summary: 'List recordings',
+    options: { type: {}, status: {}, from: {}, to: {}, starred: {}, tag: {}, sort: {}, limit: { alias: 'n' }, cursor: {} },
+    request: (args, opts) => ({
+      method: 'GET', path: '/api/atlas/assets',
+      query: {
+        type: opts.type, status: opts.status, from: opts.from, to: opts.to, starred: opts.starred, tag: opts.tag,
+        sort: opts.sort, limit: opts.limit || 20, cursor: opts.cursor,
+      },
+    }),
+    print: (body, { width }) => {
+      const more = body.next_cursor ? `\n${body.assets.length} of ${body.total}; next page: --cursor ${body.next_cursor}` : '';
+      return table(body.assets.map(a => ({ ...a, length: duration(a.duration_sec) })),
+        [['id', 'ID'], ['recorded_at', 'RECORDED'], ['length', 'LENGTH'], ['transcript_status', 'TRANSCRIPT'], ['title', 'TITLE']], { width }) + more;
+    },
+  },
+  'atlas search': {
+    usage: 'atlas search <query> [-n limit]',
+    summary: 'Search recordings by title and transcript ("phrases", prefix*)',
+    options: { limit: { alias: 'n' } },
+    request: (args, opts) => ({ method: 'GET', path: '/api/atlas/search', query: { q: required(args.join(' '), 'query'), limit: opts.limit } }),
+    print: (body, { width }) => table(body.results.map(a => ({
+      ...a,
+      at: a.matches && a.matches.length ? duration(a.matches[0].start_sec) || '0:00' : '',
+      match: (a.snippet || '').replace(/<\/?mark>/g, ''),
+    })), [['id', 'ID'], ['recorded_at', 'RECORDED'], ['title', 'TITLE'], ['at', 'AT'], ['match', 'MATCH']], { width }),
+  },
+  'atlas transcript': {
+    usage: 'atlas transcript <id> [--format txt|md|srt|vtt|json]',
+    summary: 'Print or export a transcript',
+    options: { format: { alias: 'f' } },
+    request: (args, opts) => ({
+      method: 'GET', path: `/api/atlas/assets/${encodeURIComponent(required(args[0], 'asset id'))}/transcript`,
+      query: { format: opts.format || 'txt' },
+    }),
+    print: (transcript) => transcript.text,
+  },
+  'atlas timeline': {
+    usage: 'atlas timeline [--bucket day|week|month] [--from date] [--to date] [--type t]',
+    summary: 'Recordings, minutes and progress per day, week or month',
+    options: { bucket: { alias: 'b' }, from: {}, to: {}, type: {} },
+    request: (args, opts) => ({
+      method: 'GET', path: '/api/atlas/timeline',
+      query: { bucket: opts.bucket, from: opts.from, to: opts.to, type: opts.type },
+    }),
+    print: (body, { width }) => table(body.buckets, [
+      ['period', 'PERIOD'], ['assets', 'MEMOS'], ['minutes', 'MINUTES'], ['transcribed', 'TRANSCRIBED'], ['published', 'PUBLISHED'],
+    ], { width }),
+  },
+  'atlas today': {
+    usage: 'atlas today [--date YYYY-MM-DD]',
+    summary: 'Recordings from this day in earlier years',
+    options: { date: {} },
+    request: (args, opts) => ({ method: 'GET', path: '/api/atlas/on-this-day', query: { date: opts.date } }),
+    print: (body, { width }) => (body.count ? table(body.years.flatMap(y => y.assets.map(a => ({ ...a, ago: `${y.years_ago}y` }))),
+      [['ago', 'AGO'], ['id', 'ID'], ['recorded_at', 'RECORDED'], ['title', 'TITLE']], { width }) : `Nothing recorded on this day before ${body.date.slice(0, 4)}`),
+  },
+  'atlas note': {
+    usage: 'atlas note <id>',
+    summary: 'Print the vault note published for a recording',
+    request: (args) => ({ method: 'GET', path: `/api/atlas/assets/${encodeURIComponent(required(args[0], 'asset id'))}/note` }),
+    print: (note) => `${note.path}\n\n${note.body.replace(/\n$/, '')}`,
+  },
+  'atlas annotate': {
+    usage: 'atlas annotate <id> [--star | --unstar] [--tags a,b] [--people a,b] [--summary text] [--task | --no-task]',
+    summary: 'Star, tag or summarize a recording',
+    options: { star: { flag: true }, unstar: { flag: true }, tags: {}, people: {}, summary: {}, task: { flag: true }, 'no-task': { flag: true } },
+    request: (args, opts) => {
+      const list = value => (value === undefined ? undefined : value.split(',').map(v => v.trim()).filter(Boolean));
+      const flag = (on, off) => (on ? true : off ? false : undefined);
+      return {
+        method: 'PATCH', path: `/api/atlas/assets/${encodeURIComponent(required(args[0], 'asset id'))}/annotations`,
+        body: {
+          starred: flag(opts.star, opts.unstar), to_task: flag(opts.task, opts['no-task']),
+          tags: list(opts.tags), people: list(opts.people), summary: opts.summary,
+        },
+      };
+    },
+    print: (a) => fields({ ...a, tags: a.tags.join(', '), people: a.people.join(', ') }),
+  },
+  'atlas changes': {
+    usage: 'atlas changes [--since cursor] [--kind created,transcribed,published] [-n limit]',
+    summary: 'Recordings created, transcribed or published since a cursor',
+    options: { since: {}, kind: {}, limit: { alias: 'n' } },
+    request: (args, opts) => ({ method: 'GET', path: '/api/atlas/changes', query: { since: opts.since, kind: opts.kind, limit: opts.limit } }),
+    print: (body, { width }) => table(body.changes.map(c => ({ ...c, title: c.asset ? c.asset.title : '(deleted)' })),
+      [['seq', 'SEQ'], ['detected_at', 'DETECTED'], ['kind', 'KIND'], ['asset_id', 'ID'], ['title', 'TITLE']], { width }) +
+      `\nnext: --since ${body.cursor}${body.more ? ' (more waiting)' : ''}`,
+  },
+  'atlas stats': {
+    usage: 'atlas stats',
+    summary: 'MemoryAtlas statistics',
+    request: () => ({ method: 'GET', path: '/api/atlas/stats' }),
+    print: (stats) => fields(stats) + '\n\n' + table(stats.byType, [['source_type', 'TYPE'], ['count', 'COUNT']]),
+  },
+  'atlas schema': {
+    usage: 'atlas schema',
+    summary: 'How atlas.db columns map onto asset fields, and what is unsupported',
+    request: () => ({ method: 'GET', path: '/api/atlas/schema' }),
+    print: (schema) => table(Object.entries(schema.fields).map(([field, column]) => ({ field, column: column || '(missing)' })),
+      [['field', 'FIELD'], ['column', 'COLUMN']]) + '\n\n' + fields({
+      unknown: schema.unknown.join(', ') || '-',
+      unavailable: Object.keys(schema.features).filter(f => !schema.features[f]).join(', ') || '-',
+    }),
+  },
+
+  'agents': {
+    usage: 'agents',
+    summary: 'List agent session logs',
+    request: () => ({ method: 'GET', path: '/api/agents/sessions' }),
+    print: (body, { width }) => table(body.sessions, [['modified', 'MODIFIED'], ['sizeBytes', 'BYTES'], ['name', 'NAME']], { width }),
+  },
+  'fleet': {
+    usage: 'fleet',
+    summary: 'Fleet status: Hearth and Anvil services, Tailscale',
+    request: () => ({ method: 'GET', path: '/api/fleet' }),
+    print: (fleet, { width }) => {
+      const devices = (fleet.tailscale && fleet.tailscale.devices) || [];
+      return table(fleetRows(fleet), [['host', 'HOST'], ['service', 'SERVICE'], ['port', 'PORT'], ['status', 'STATUS']], { width }) +
+        `\n\nTailscale: ${devices.filter(d => d.online).length}/${devices.length} devices online`;
+    },
+  },
+  'health': {
+    usage: 'health',
+    summary: 'Server health',
+    request: () => ({ method: 'GET', path: '/health' }),
+    print: fields,
+  },
+};
+
+function usage() {
+  const pad = Math.max(...Object.values(COMMANDS).map(c => c.usage.split(' [')[0].length));
+  const lines = Object.values(COMMANDS).map(c => `  plife ${c.usage.split(' [')[0].padEnd(pad)}  ${c.summary}`);
+  return `Usage: plife <command> [options]
+
+${lines.join('\n')}
+
+Options: --json (print the API response), --url <base URL>, --token <token>, -h (command help)
+Server and token default to config client.url / client.token (PLIFE_URL / PLIFE_TOKEN).`;
+}
+
+// argv → [name, command, rest] for the longest matching command name
+function findCommand(argv) {
+  for (const words of [2, 1]) {
+    const name = argv.slice(0, words).join(' ');
+    if (argv.length >= words && COMMANDS[name]) return [name, COMMANDS[name], argv.slice(words)];
+  }
+  return [null, null, argv];
+}
+
+// --- HTTP ---
+
+// Base URL: client.url, else this machine's server (https when it has its TLS files)
+function baseUrl() {
+  const { client, server } = config.get();
+  if (client.url) return client.url.replace(/\/$/, '');
+  const tls = server.tlsKey && server.tlsCert && fs.existsSync(server.tlsKey) && fs.existsSync(server.tlsCert);
+  return tls ? `https://localhost:${server.port}` : `http://127.0.0.1:${server.port}`;
+}
+
+function buildUrl(base, { path, query }) {
+  const url = new URL(base + path);
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+// One API call → { status, body }; body is parsed JSON, or text for other content types
+async function send(request, { url, token, fetch = globalThis.fetch }) {
+  const headers = { accept: 'application/json' };
+  if (token) headers.authorization = `Bearer ${token}`;
+  const init = { method: request.method, headers };
+  if (request.body !== undefined) {
+    headers['content-type'] = 'application/json';
+    init.body = JSON.stringify(request.body);
+  }
+  const target = buildUrl(url, request);
+  let res;
+  try {
+    res = await fetch(target, init);
+  } catch (err) {
+    throw new Error(`Cannot reach ${url}: ${(err.cause && err.cause.message) || err.message}`);
+  }
+  const text = await res.text();
+  const json = (res.headers.get('content-type') || '').includes('json');
+  return { status: res.status, body: json && text ? JSON.parse(text) : text };
+}
+
+function describeError({ status, body }) {
+  if (!body || typeof body !== 'object') return `HTTP ${status}${body ? `: ${body}` : ''}`;
+  const details = (body.violations || []).map(v => `\n  ${v.in} ${v.path}: ${v.message}`).join('');
+  const required = body.required ? ` (needs ${body.required})` : '';
+  return `${body.error || 'Request failed'}${required} [HTTP ${status}]${details}`;
+}
+
+// Run one CLI invocation; resolves to the exit code (0 ok, 1 API or network error, 2 usage)
+// io: { stdout, stderr, fetch, width } — defaults to the process streams and global fetch
+async function run(argv, io = {}) {
+  const stdout = io.stdout || (text => process.stdout.write(text + '\n'));
+  const stderr = io.stderr || (text => process.stderr.write(text + '\n'));
+  const [name, command, rest] = findCommand(argv);
+
+  if (!command) {
+    if (!argv.length || ['help', '-h', '--help'].includes(argv[0])) { stdout(usage()); return 0; }
+    stderr(`Unknown command: ${argv.join(' ')}\n\n${usage()}`);
+    return 2;
+  }
+
+  let request;
+  let opts;
+  try {
+    const parsed = parseArgs(rest, command.options);
+    opts = parsed.opts;
+    if (opts.help) { stdout(`Usage: plife ${command.usage}\n\n${command.summary}`); return 0; }
+    request = command.request(parsed.args, opts);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    stderr(`${err.message}\nUsage: plife ${command.usage}`);
+    return 2;
+  }
+
+  try {
+    const token = opts.token || config.get().client.token;
+    const url = opts.url ? opts.url.replace(/\/$/, '') : baseUrl();
+    const response = await send(request, { url, token, fetch: io.fetch });
+    if (response.status >= 400) {
+      stderr(`plife ${name}: ${describeError(response)}`);
+      return 1;
+    }
+    stdout(opts.json || typeof response.body !== 'object'
+      ? (typeof response.body === 'string' ? response.body.replace(/\n$/, '') : JSON.stringify(response.body, null, 2))
+      : command.print(response.body, { width: io.width }));
+    return 0;
+  } catch (err) {
+    stderr(`plife ${name}: ${err.message}`);
+    return 1;
+  }
+}
+
+module.exports = { run, parseArgs, table, COMMANDS, UsageError };
@@ -0,0 +1,206 @@
+// Configuration — defaults, overridden by a JSON config file, overridden by env vars
+// The config file is $PLIFE_CONFIG or ~/.claude/api-config.json (optional) and uses
+// the nested shape below, e.g. { "paths": { "vault": "~/Notes" }, "server": { "port": 3101 } }.
+// Every setting is validated against its schema at boot; GET /api/config shows the
+// merged result (secrets redacted) along with where each value came from.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validate, coerce } = require('./validate');
+
+const PATH = { type: 'string', minLength: 1 };
+const HOST = { type: 'string', minLength: 1 };
+const PORT = { type: 'integer', minimum: 1, maximum: 65535 };
+
+// dotted key → { env, default, schema, path (expand ~), list (comma-separated env; 'path': path.delimiter), secret }
+const SETTINGS = {
+  'server.host': { env: 'HOST', default: '0.0.0.0', schema: HOST },
+  'server.port': { env: 'PORT', default: 3001, schema: PORT },
+  // Both set and present → HTTPS; otherwise the server falls back to plain HTTP
+  'server.tlsKey': { env: 'PLIFE_TLS_KEY', default: '~/.ssl/localhost.key', schema: { type: ['string', 'null'] }, path: true },
+  'server.tlsCert': { env: 'PLIFE_TLS_CERT', default: '~/.ssl/localhost.crt', schema: { type: ['string', 'null'] }, path: true },
+  // Web origins (scheme://host[:port]) allowed to read responses cross-origin, besides pages on localhost
+  'server.corsOrigins': { env: 'PLIFE_CORS_ORIGINS', default: [], schema: { type: 'array', items: { type: 'string', pattern: '^https?://[^/]+$' } }, list: true },
+
+  'paths.vault': { env: 'VAULT_PATH', default: '~/Library/Mobile Documents/iCloud~md~obsidian/Documents/PracticeLife', schema: PATH, path: true },
+  'paths.atlasDb': { env: 'DB_PATH', default: '~/tools/memoryatlas/data/atlas.db', schema: PATH, path: true },
+  // Full-text index over atlas transcripts (written by the API); null → atlas-search.db next to atlasDb
+  'paths.atlasIndex': { env: 'ATLAS_INDEX_PATH', default: null, schema: { type: ['string', 'null'] }, path: true },
+  // Snapshot and change log behind /api/atlas/changes; null → atlas-changes.db next to atlasDb
+  'paths.atlasChanges': { env: 'ATLAS_CHANGES_PATH', default: null, schema: { type: ['string', 'null'] }, path: true },
+  // Directories recordings may be served from (GET /api/atlas/assets/:id/audio)
+  'paths.mediaRoots': {
+    env: 'PLIFE_MEDIA_ROOTS',
+    default: [
+      '~/Library/Group Containers/group.com.apple.VoiceMemos.shared/Recordings',
+      '~/Library/Application Support/com.apple.voicememos/Recordings',
+      '~/tools/memoryatlas/data',
+    ],
+    schema: { type: 'array', items: PATH },
+    path: true,
+    list: 'path',
+  },
+  // Our stars, tags and summaries for atlas assets (atlas.db itself is read-only)
+  'paths.atlasAnnotations': { env: 'ATLAS_ANNOTATIONS_PATH', default: '~/.claude/atlas-annotations.db', schema: PATH, path: true },
+  'paths.tasksDb': { env: 'TASKS_DB_PATH', default: '~/.claude/tasks.db', schema: PATH, path: true },
+
+  'auth.tokensDb': { env: 'PLIFE_TOKENS_DB', default: '~/.claude/api-tokens.db', schema: PATH, path: true },
+  'auth.loopbackScopes': { env: 'PLIFE_LOOPBACK_SCOPES', default: ['*:read'], schema: { type: 'array', items: { type: 'string', minLength: 1 } }, list: true },
+
+  // Access log (JSON lines); rotated to <file>.1 … <file>.<keep> past maxBytes. null disables
+  'logs.file': { env: 'PLIFE_LOG_FILE', default: '~/.claude/logs/api-access.log', schema: { type: ['string', 'null'] }, path: true },
+  'logs.maxBytes': { env: 'PLIFE_LOG_MAX_BYTES', default: 5 * 1024 * 1024, schema: { type: 'integer', minimum: 1024 } },
+  'logs.keep': { env: 'PLIFE_LOG_KEEP', default: 3, schema: { type: 'integer', minimum: 0, maximum: 20 } },
+
+  // Bearer token the stdio MCP server (npm run mcp) presents; null → loopback scopes only
+  'mcp.token': { env: 'PLIFE_MCP_TOKEN', default: null, schema: { type: ['string', 'null'] }, secret: true },
+
+  // Server the plife CLI talks to; null → this machine's server.port (https when the TLS files exist)
+  'client.url': { env: 'PLIFE_URL', default: null, schema: { type: ['string', 'null'], pattern: '^https?://' } },
+  'client.token': { env: 'PLIFE_TOKEN', default: null, schema: { type: ['string', 'null'] }, secret: true },
+
+  'fleet.anvilLan': { env: 'ANVIL_LAN', default: '192.168.1.105', schema: HOST },
+  'fleet.anvilTailscale': { env: 'ANVIL_TS', default: '100.116.17.120', schema: HOST },
+  'fleet.litellmHost': { env: 'LITELLM_HOST', default: '127.0.0.1', schema: HOST },
+  'fleet.litellmPort': { env: 'LITELLM_PORT', default: 4000, schema: PORT },
+  'fleet.litellmToken': { env: 'LITELLM_TOKEN', default: 'sk-litellm-local', schema: { type: 'string' }, secret: true },
+};
+
+const REDACTED = '[redacted]';
+
+class ConfigError extends Error {
+  constructor(violations) {
+    super('Invalid configuration:\n' + violations.map(v => `  ${v.key} (${v.source}): ${v.message}`).join('\n'));
+    this.name = 'ConfigError';
+    this.violations = violations;
+  }
+}
+
+function defaultConfigFile(env) {
+  return env.PLIFE_CONFIG || path.join(os.homedir(), '.claude', 'api-config.json');
+}
+
+function expandHome(value) {
+  if (typeof value !== 'string') return value;
+  if (value === '~') return os.homedir();
+  if (value.startsWith('~/')) return path.join(os.homedir(), value.slice(2));
+  return value;
+}
+
+// Flatten { paths: { vault } } → { 'paths.vault': ... }
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, dotted, out);
+    else out[dotted] = value;
+  }
+  return out;
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new ConfigError([{ key: file, source: 'file', message: 'config file not found' }]);
+    return {};
+  }
+  try {
+    return flatten(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (err) {
+    throw new ConfigError([{ key: file, source: 'file', message: `cannot parse: ${err.message}` }]);
+  }
+}
+
+function fromEnv(setting, raw) {
+  if (setting.list) return raw.split(setting.list === 'path' ? path.delimiter : /[\s,]+/).filter(Boolean);
+  if (raw === '' && [].concat(setting.schema.type).includes('null')) return null;
+  return coerce(setting.schema, raw);
+}
+
+// Merge defaults, file and env into { values: { 'a.b': v }, sources: { 'a.b': 'default|file|env' }, file }
+// Throws ConfigError listing every invalid or unknown setting
+function load({ env = process.env, file } = {}) {
+  const configFile = file || defaultConfigFile(env);
+  const fileValues = readConfigFile(configFile, Boolean(file || env.PLIFE_CONFIG));
+  const values = {};
+  const sources = {};
+  const violations = [];
+
+  for (const key of Object.keys(fileValues)) {
+    if (!SETTINGS[key]) violations.push({ key, source: 'file', message: 'is not a known setting' });
+  }
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    let value = setting.default;
+    let source = 'default';
+    if (fileValues[key] !== undefined) { value = fileValues[key]; source = 'file'; }
+    if (env[setting.env] !== undefined) { value = fromEnv(setting, env[setting.env]); source = 'env'; }
+
+    for (const v of validate(setting.schema, value)) {
+      violations.push({ key, source: source === 'env' ? `$${setting.env}` : source, message: v.message });
+    }
+    values[key] = setting.path ? (Array.isArray(value) ? value.map(expandHome) : expandHome(value)) : value;
+    sources[key] = source;
+  }
+
+  if (violations.length) throw new ConfigError(violations);
+  return { values, sources, file: configFile };
+}
+
+// { 'a.b': v } → { a: { b: v } }
+function nest(values) {
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    const parts = key.split('.');
+    let node = out;
+    for (const part of parts.slice(0, -1)) node = node[part] = node[part] || {};
+    node[parts[parts.length - 1]] = value;
+  }
+  return out;
+}
+
+function redact(values) {
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    out[key] = SETTINGS[key].secret && value ? REDACTED : value;
+  }
+  return out;
+}
+
+let _loaded = null;
+let _config = null;
+
+// The process-wide config (loaded once; .env is applied first)
+function get() {
+  if (!_config) {
+    require('dotenv').config({ quiet: true });
+    _loaded = load();
+    _config = deepFreeze(nest(_loaded.values));
+  }
+  return _config;
+}
+
+// Re-read file and env (tests, or after editing the config file)
+function reload() {
+  _loaded = null;
+  _config = null;
+  return get();
+}
+
+// Read-only view for /api/config: nested values with secrets redacted, plus sources
+function describe() {
+  get();
+  return {
+    file: _loaded.file,
+    config: nest(redact(_loaded.values)),
+    sources: _loaded.sources,
+  };
+}
+
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
+
+module.exports = { get, reload, load, describe, nest, ConfigError, SETTINGS, REDACTED };
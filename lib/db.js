@@ -1,9 +1,20 @@
 // SQLite access to MemoryAtlas database (read-only)
 // Requires: npm install better-sqlite3
 
+const os = require('os');
 const path = require('path');
+const config = require('./config');
 
-const DB_PATH = path.join(process.env.HOME, 'tools/memoryatlas/data/atlas.db');
+// Read at open time so tests (and config reloads) can point at another file
+function dbPath() {
+  return config.get().paths.atlasDb;
+}
+
+// Paths stored in atlas.db (recordings, transcripts) may be relative to its directory
+function resolvePath(file) {
+  if (file.startsWith('~/')) return path.join(os.homedir(), file.slice(2));
+  return path.resolve(path.dirname(dbPath()), file);
+}
 
 let _db = null;
 
@@ -11,10 +22,10 @@ function getDb() {
   if (!_db) {
     try {
       const Database = require('better-sqlite3');
-      _db = new Database(DB_PATH, { readonly: true });
+      _db = new Database(dbPath(), { readonly: true });
       _db.pragma('journal_mode = WAL');
     } catch (err) {
-      console.error(`[db] Cannot open ${DB_PATH}: ${err.message}`);
+      console.error(`[db] Cannot open ${dbPath()}: ${err.message}`);
       return null;
     }
   }
@@ -28,4 +39,4 @@ function close() {
   }
 }
 
-module.exports = { getDb, close, DB_PATH };
+module.exports = { getDb, close, dbPath, resolvePath };
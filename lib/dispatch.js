@@ -0,0 +1,32 @@
+// In-process dispatch — run a request through the Router without an HTTP round trip
+// Used by /api/batch and the MCP server: the request goes through the same
+// middleware (auth, validation, negotiation, cache) as one arriving over HTTP,
+// with the caller's credentials, and comes back as a handler result
+// ({ status, headers?, body } or a stream result), or a Promise of one.
+
+// A request-shaped object: { id, method, url, headers, socket, body }
+// headers only carries what the middleware reads (authorization, origin, host, accept)
+function createRequest({ id, method, url, body, headers = {}, socket }) {
+  const forwarded = {};
+  for (const name of ['authorization', 'origin', 'host', 'accept']) {
+    if (headers[name]) forwarded[name] = headers[name];
+  }
+  return { id, method, url, headers: forwarded, socket, body };
+}
+
+function dispatch(router, request) {
+  const req = createRequest(request);
+  const match = router.match(req.method, req.url);
+  if (!match) {
+    const allow = router.allowed(req.url);
+    if (!allow.length) return { status: 404, body: { error: 'Not found', path: req.url } };
+    return {
+      status: 405,
+      headers: { 'Allow': allow.join(', ') },
+      body: { error: 'Method not allowed', method: req.method, allow },
+    };
+  }
+  return match.handler(req, match.params);
+}
+
+module.exports = { dispatch, createRequest };
@@ -0,0 +1,91 @@
+// In-process event bus for live API events (served as SSE at /api/events)
+// Topics are dotted: task.created, task.updated, task.deleted, message.added,
+// agent.health, fleet.probe, vault.modified, atlas.annotated, atlas.created,
+// atlas.transcribed, atlas.published. A filter of "task" matches task.*.
+//
+// The last BUFFER_SIZE events are kept so reconnecting clients can resume
+// from Last-Event-ID. Producers that need polling or file watching register
+// as sources and only run while at least one subscriber is connected.
+
+const BUFFER_SIZE = 500;
+
+let seq = 0;
+const buffer = [];
+const subscribers = new Set();
+const sources = [];
+
+function publish(topic, data) {
+  const event = { id: ++seq, topic, data, time: new Date().toISOString() };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  for (const sub of subscribers) {
+    if (matchesTopics(sub.topics, topic)) {
+      try { sub.fn(event); } catch (err) { console.error('[events] subscriber failed:', err.message); }
+    }
+  }
+  return event;
+}
+
+function matchesTopics(topics, topic) {
+  if (!topics || !topics.length) return true;
+  return topics.some(t => topic === t || topic.startsWith(t + '.'));
+}
+
+// Subscribe to events (optionally filtered by topic prefixes); returns unsubscribe()
+// Passive subscribers (in-process listeners like the cache) don't keep sources running
+function subscribe(fn, { topics, passive = false } = {}) {
+  const sub = { fn, topics, passive };
+  const wasIdle = subscriberCount() === 0;
+  subscribers.add(sub);
+  if (wasIdle && subscriberCount() === 1) startSources();
+  return () => {
+    if (!subscribers.delete(sub)) return;
+    if (!passive && subscriberCount() === 0) stopSources();
+  };
+}
+
+// Buffered events after lastId (for Last-Event-ID resume)
+function since(lastId, { topics } = {}) {
+  return buffer.filter(e => e.id > lastId && matchesTopics(topics, e.topic));
+}
+
+// Register a producer: start() is called when the first subscriber connects and
+// returns a stop function called when the last one leaves
+function addSource(name, start) {
+  const source = { name, start, stop: null };
+  sources.push(source);
+  if (subscriberCount() > 0) runSource(source);
+}
+
+function runSource(source) {
+  try {
+    source.stop = source.start(publish) || null;
+  } catch (err) {
+    console.error(`[events] source ${source.name} failed to start:`, err.message);
+  }
+}
+
+function startSources() {
+  for (const source of sources) runSource(source);
+}
+
+function stopSources() {
+  for (const source of sources) {
+    if (source.stop) {
+      try { source.stop(); } catch {}
+      source.stop = null;
+    }
+  }
+}
+
+function subscriberCount() {
+  let count = 0;
+  for (const sub of subscribers) if (!sub.passive) count++;
+  return count;
+}
+
+function lastId() {
+  return seq;
+}
+
+module.exports = { publish, subscribe, since, addSource, matchesTopics, subscriberCount, lastId };
@@ -0,0 +1,178 @@
+// Model Context Protocol server — API routes exposed as agent tools
+// Routes opt in with metadata: tool: '<tool name>'. A tool's input schema is the
+// route's path params, query and body schemas merged into one object, and a call
+// is dispatched through the Router (lib/dispatch) with the client's credentials,
+// so it gets the same auth, validation and handler as the HTTP request would.
+// handle() takes one parsed JSON-RPC message and is transport-neutral:
+// scripts/mcp.js serves it over stdio, POST /mcp over HTTP (routes/mcp.js).
+
+const { schemas } = require('./schemas');
+const { dispatch } = require('./dispatch');
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'practicelife-api', version };
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Inline #/components/schemas/* refs so each tool schema stands on its own
+function deref(schema) {
+  if (Array.isArray(schema)) return schema.map(deref);
+  if (!schema || typeof schema !== 'object') return schema;
+  if (schema.$ref) return deref(schemas[schema.$ref.split('/').pop()]);
+  return Object.fromEntries(Object.entries(schema).map(([k, v]) => [k, deref(v)]));
+}
+
+function pathParams(route) {
+  return [...route.pattern.matchAll(/:(\w+)/g)].map(m => m[1]);
+}
+
+function queryKeys(route) {
+  return Object.keys((route.meta.query && deref(route.meta.query).properties) || {});
+}
+
+// Tool definition (tools/list entry) for a route with meta.tool
+function toolFor(route) {
+  const meta = route.meta;
+  const properties = {};
+  const required = [];
+  const paramSchema = (meta.params && deref(meta.params).properties) || {};
+  for (const name of pathParams(route)) {
+    properties[name] = paramSchema[name] || { type: 'string' };
+    required.push(name);
+  }
+  for (const part of [meta.query, meta.body]) {
+    if (!part) continue;
+    const schema = deref(part);
+    Object.assign(properties, schema.properties);
+    required.push(...(schema.required || []));
+  }
+  const inputSchema = { type: 'object', properties, additionalProperties: false };
+  if (required.length) inputSchema.required = required;
+  return {
+    name: meta.tool,
+    title: meta.summary,
+    description: [meta.summary, meta.description].filter(Boolean).join('. '),
+    inputSchema,
+    annotations: { readOnlyHint: route.method === 'GET' },
+  };
+}
+
+function toolRoutes(router) {
+  return router.routes.filter(r => r.meta.tool);
+}
+
+// Tool arguments → { method, url, body } for the tool's route
+function requestFor(route, args) {
+  const params = pathParams(route);
+  const query = queryKeys(route);
+  const missing = params.filter(name => args[name] === undefined || args[name] === null);
+  if (missing.length) throw new RpcError(INVALID_PARAMS, `Missing required argument(s): ${missing.join(', ')}`);
+
+  const url = new URL(route.pattern.replace(/:(\w+)/g, (_, name) => encodeURIComponent(String(args[name]))), 'http://localhost');
+  const body = {};
+  for (const [key, value] of Object.entries(args)) {
+    if (params.includes(key) || value === undefined) continue;
+    if (query.includes(key)) url.searchParams.set(key, String(value));
+    else if (route.meta.body) body[key] = value;
+    else throw new RpcError(INVALID_PARAMS, `Unknown argument: ${key}`);
+  }
+  return { method: route.method, url: url.pathname + url.search, body: route.meta.body ? body : undefined };
+}
+
+// Handler result → tools/call result; API errors are tool errors the model can read
+function toolResult(result) {
+  if (!result || typeof result.status === 'undefined') {
+    return { content: [{ type: 'text', text: 'Internal server error - invalid handler response' }], isError: true };
+  }
+  if (typeof result.stream === 'function') {
+    return { content: [{ type: 'text', text: 'Streaming responses are not available as tool results' }], isError: true };
+  }
+  const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body, null, 2);
+  return { content: [{ type: 'text', text }], isError: result.status >= 400 };
+}
+
+const METHODS = {
+  initialize(router, params) {
+    const requested = params.protocolVersion;
+    return {
+      protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: SERVER_INFO,
+      instructions: 'PracticeLife API: MemoryAtlas voice memos, the Obsidian vault, the shared task queue, ' +
+        'agent coordination and fleet status. Claim a task (task_claim) before working on it and post progress with task_message.',
+    };
+  },
+
+  'notifications/initialized'() {
+    return {};
+  },
+
+  ping() {
+    return {};
+  },
+
+  'tools/list'(router) {
+    return { tools: toolRoutes(router).map(toolFor) };
+  },
+
+  async 'tools/call'(router, params, client) {
+    const route = toolRoutes(router).find(r => r.meta.tool === params.name);
+    if (!route) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    const args = params.arguments || {};
+    if (typeof args !== 'object' || Array.isArray(args)) throw new RpcError(INVALID_PARAMS, 'arguments must be an object');
+    const request = requestFor(route, args);
+    try {
+      return toolResult(await dispatch(router, { ...request, id: client.id, headers: client.headers, socket: client.socket }));
+    } catch (err) {
+      console.error(`[mcp] ${params.name} failed:`, err);
+      return toolResult({ status: 500, body: { error: 'Internal server error' } });
+    }
+  },
+};
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error: { code, message } };
+}
+
+// Handle one JSON-RPC message from a client ({ id, headers, socket } for dispatch)
+// Resolves to the response, or null for notifications and client responses
+async function handle(router, message, client) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+    return rpcError(message && message.id, INVALID_REQUEST, 'Invalid Request');
+  }
+  if (message.method === undefined && ('result' in message || 'error' in message)) return null;
+  if (typeof message.method !== 'string') return rpcError(message.id, INVALID_REQUEST, 'Invalid Request');
+
+  const notification = message.id === undefined;
+  const method = METHODS[message.method];
+  if (!method) return notification ? null : rpcError(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+
+  try {
+    const result = await method(router, message.params || {}, client);
+    return notification ? null : { jsonrpc: '2.0', id: message.id, result };
+  } catch (err) {
+    if (notification) return null;
+    if (err instanceof RpcError) return rpcError(message.id, err.code, err.message);
+    console.error(`[mcp] ${message.method} failed:`, err);
+    return rpcError(message.id, INTERNAL_ERROR, 'Internal error');
+  }
+}
+
+function parseError() {
+  return rpcError(null, PARSE_ERROR, 'Parse error');
+}
+
+module.exports = { handle, parseError, toolFor, requestFor, PROTOCOL_VERSIONS };
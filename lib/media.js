@@ -0,0 +1,118 @@
+// Media files — serve recordings from disk with HTTP Range support
+// fileResult() turns a file into a handler result: 200 with the whole file,
+// 206 Partial Content for a single byte range, 304 when If-None-Match matches,
+// 416 for a range past the end. The ETag is derived from size and mtime; If-Range
+// falls back to the full file when it no longer matches. Multiple ranges
+// (bytes=0-1,5-9) are answered with the whole file, which RFC 9110 allows.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const MIME_TYPES = {
+  '.m4a': 'audio/mp4',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.aif': 'audio/aiff',
+  '.aiff': 'audio/aiff',
+  '.caf': 'audio/x-caf',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.webm': 'audio/webm',
+};
+
+function mimeType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+// Is file (already resolved, symlinks included) inside one of the configured media roots?
+function insideRoots(file, roots = config.get().paths.mediaRoots) {
+  return roots.some((root) => {
+    let real;
+    try { real = fs.realpathSync(root); } catch { return false; }
+    const rel = path.relative(real, file);
+    return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+  });
+}
+
+// Range header → { start, end } (inclusive), 'unsatisfiable', or null to send the whole file
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  if (m[1] === '') {
+    const suffix = Number(m[2]);
+    if (suffix === 0 || size === 0) return 'unsatisfiable';
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+  const start = Number(m[1]);
+  const end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  if (m[2] !== '' && Number(m[2]) < start) return null;
+  if (start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+function etagFor(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+// If-Range holds an ETag or an HTTP date; the range only applies while it still matches
+function rangeApplies(ifRange, etag, stat) {
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && Math.floor(stat.mtimeMs / 1000) <= Math.floor(date / 1000);
+}
+
+// Handler result serving file (an existing regular file) for req
+function fileResult(req, file, stat = fs.statSync(file)) {
+  const headers = req.headers || {};
+  const etag = etagFor(stat);
+  const common = {
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': stat.mtime.toUTCString(),
+    'Cache-Control': 'private, max-age=3600',
+  };
+
+  const inm = headers['if-none-match'];
+  if (inm && inm.split(',').map(t => t.trim()).some(t => t === etag || t === '*')) {
+    return { status: 304, headers: common };
+  }
+
+  const range = headers.range && rangeApplies(headers['if-range'], etag, stat) ? parseRange(headers.range, stat.size) : null;
+  if (range === 'unsatisfiable') {
+    return {
+      status: 416,
+      headers: { ...common, 'Content-Range': `bytes */${stat.size}` },
+      body: { error: 'Range not satisfiable', size: stat.size },
+    };
+  }
+
+  const { start, end } = range || { start: 0, end: stat.size - 1 };
+  return {
+    status: range ? 206 : 200,
+    headers: {
+      ...common,
+      'Content-Type': mimeType(file),
+      'Content-Length': String(end - start + 1),
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${stat.size}` }),
+    },
+    stream: (req, res) => {
+      if (stat.size === 0) return res.end();
+      const input = fs.createReadStream(file, { start, end });
+      input.on('error', (err) => {
+        console.error(`[media] ${file}: ${err.message}`);
+        res.destroy(err);
+      });
+      res.on('close', () => input.destroy());
+      input.pipe(res);
+    },
+  };
+}
+
+module.exports = { fileResult, parseRange, mimeType, insideRoots };
@@ -0,0 +1,131 @@
+// Prometheus metrics — request counters/latency histograms plus text exposition
+// Request series are fed from the access log (server.js passes each finished
+// entry to observeRequest). Everything else is gathered at scrape time by the
+// collectors in routes/metrics.js and rendered alongside as metric families:
+//   { name, help, type: 'counter'|'gauge'|'histogram', samples: [{ labels, value }] }
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const requestCounts = new Map();   // labelKey → { labels, value }
+const requestLatency = new Map();  // labelKey → { labels, buckets[], sum, count }
+let loopDelay = null;
+
+function labelKey(labels) {
+  return JSON.stringify(labels);
+}
+
+// Record one finished request (an access log entry)
+function observeRequest({ method, route, status, durationMs }) {
+  const routeLabel = route || 'unmatched';
+  const countLabels = { method, route: routeLabel, status: String(status) };
+  const countKey = labelKey(countLabels);
+  const counted = requestCounts.get(countKey) || { labels: countLabels, value: 0 };
+  counted.value++;
+  requestCounts.set(countKey, counted);
+
+  const latencyLabels = { method, route: routeLabel };
+  const latencyKey = labelKey(latencyLabels);
+  const hist = requestLatency.get(latencyKey) || { labels: latencyLabels, buckets: BUCKETS.map(() => 0), sum: 0, count: 0 };
+  const seconds = durationMs / 1000;
+  BUCKETS.forEach((le, i) => { if (seconds <= le) hist.buckets[i]++; });
+  hist.sum += seconds;
+  hist.count++;
+  requestLatency.set(latencyKey, hist);
+}
+
+function requestFamilies() {
+  return [
+    {
+      name: 'plife_http_requests_total',
+      help: 'HTTP requests by method, route pattern and status',
+      type: 'counter',
+      samples: [...requestCounts.values()],
+    },
+    {
+      name: 'plife_http_request_duration_seconds',
+      help: 'HTTP request latency by method and route pattern',
+      type: 'histogram',
+      samples: [...requestLatency.values()],
+    },
+  ];
+}
+
+// Event-loop delay is sampled continuously once metrics are first read
+function startLoopMonitor() {
+  if (!loopDelay) {
+    loopDelay = monitorEventLoopDelay({ resolution: 10 });
+    loopDelay.enable();
+  }
+  return loopDelay;
+}
+
+function processFamilies() {
+  const mem = process.memoryUsage();
+  const delay = startLoopMonitor();
+  const lag = q => (delay.count ? delay.percentile(q) / 1e9 : 0);
+  const families = [
+    { name: 'process_resident_memory_bytes', help: 'Resident set size', type: 'gauge', samples: [{ labels: {}, value: mem.rss }] },
+    { name: 'nodejs_heap_used_bytes', help: 'V8 heap in use', type: 'gauge', samples: [{ labels: {}, value: mem.heapUsed }] },
+    { name: 'nodejs_heap_total_bytes', help: 'V8 heap allocated', type: 'gauge', samples: [{ labels: {}, value: mem.heapTotal }] },
+    { name: 'nodejs_external_memory_bytes', help: 'Memory held by C++ objects bound to JS', type: 'gauge', samples: [{ labels: {}, value: mem.external }] },
+    { name: 'process_uptime_seconds', help: 'Seconds since the process started', type: 'gauge', samples: [{ labels: {}, value: process.uptime() }] },
+    {
+      name: 'nodejs_eventloop_lag_seconds',
+      help: 'Event-loop delay since the previous scrape',
+      type: 'gauge',
+      samples: [
+        { labels: { quantile: '0.5' }, value: lag(50) },
+        { labels: { quantile: '0.99' }, value: lag(99) },
+        { labels: { quantile: '1' }, value: delay.count ? delay.max / 1e9 : 0 },
+      ],
+    },
+  ];
+  delay.reset();
+  return families;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// Prometheus text exposition format (version 0.0.4)
+function render(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      if (family.type === 'histogram') {
+        BUCKETS.forEach((le, i) => {
+          lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le: String(le) })} ${sample.buckets[i]}`);
+        });
+        lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+        lines.push(`${family.name}_sum${formatLabels(sample.labels)} ${formatValue(sample.sum)}`);
+        lines.push(`${family.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+      } else {
+        lines.push(`${family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function reset() {
+  requestCounts.clear();
+  requestLatency.clear();
+}
+
+module.exports = { observeRequest, requestFamilies, processFamilies, render, reset, BUCKETS };
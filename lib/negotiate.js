@@ -0,0 +1,157 @@
+// Content negotiation for list endpoints — JSON, CSV, NDJSON or Markdown
+// Routes opt in with metadata: list: '<key of the row array in the JSON body>'.
+// The format comes from ?format=csv|ndjson|md|json, else the Accept header,
+// else JSON. Handlers (and the cache) keep working with plain JSON bodies; the
+// conversion happens here on the way out, so req.format is set before the cache
+// runs and cached entries/ETags are per format.
+
+const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  md: 'text/markdown; charset=utf-8',
+};
+
+// Accept media types → format
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'text/markdown': 'md',
+  'text/x-markdown': 'md',
+};
+
+// NDJSON rows per write when streaming
+const NDJSON_CHUNK = 200;
+
+// Highest-q supported type in an Accept header (ties keep header order), or null
+function fromAccept(accept) {
+  if (!accept) return null;
+  const ranked = accept.split(',')
+    .map((part, i) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';').map(s => s.trim());
+      const q = params.find(p => p.startsWith('q='));
+      return { format: MEDIA_TYPES[type], q: q ? parseFloat(q.slice(2)) : 1, i };
+    })
+    .filter(t => t.format && t.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length ? ranked[0].format : null;
+}
+
+// Requested format for a request: { format } or { error } for an unknown ?format=
+function formatFor(req) {
+  const requested = new URL(req.url, 'http://localhost').searchParams.get('format');
+  if (requested) {
+    const format = requested.toLowerCase() === 'markdown' ? 'md' : requested.toLowerCase();
+    return FORMATS[format] ? { format } : { error: requested };
+  }
+  return { format: fromAccept(req.headers && req.headers.accept) || 'json' };
+}
+
+// { a: { b: 1 }, tags: ['x', 'y'] } → { 'a.b': 1, tags: 'x; y' }
+function flatten(row, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(row || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, name, out);
+    } else if (Array.isArray(value)) {
+      out[name] = value.every(v => v === null || typeof v !== 'object') ? value.join('; ') : JSON.stringify(value);
+    } else {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+// Union of column names in first-seen order
+function columnsOf(rows) {
+  const columns = new Set();
+  for (const row of rows) for (const key of Object.keys(row)) columns.add(key);
+  return [...columns];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const flat = rows.map(r => flatten(r));
+  const columns = columnsOf(flat);
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of flat) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function mdCell(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function toMarkdown(rows) {
+  if (!rows.length) return '_No rows_\n';
+  const flat = rows.map(r => flatten(r));
+  const columns = columnsOf(flat);
+  const lines = [
+    `| ${columns.map(mdCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...flat.map(row => `| ${columns.map(c => mdCell(row[c])).join(' | ')} |`),
+  ];
+  return lines.join('\n') + '\n';
+}
+
+// Stream one JSON object per line, yielding to the socket when it's full
+function ndjsonStream(rows) {
+  return (req, res) => {
+    let i = 0;
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    const pump = () => {
+      while (i < rows.length && !closed) {
+        const chunk = rows.slice(i, i + NDJSON_CHUNK).map(r => JSON.stringify(r)).join('\n') + '\n';
+        i += NDJSON_CHUNK;
+        if (!res.write(chunk)) {
+          res.once('drain', pump);
+          return;
+        }
+      }
+      res.end();
+    };
+    pump();
+  };
+}
+
+// Convert a JSON list result into the negotiated format
+function convert(result, format, listKey) {
+  const rows = result.body && Array.isArray(result.body[listKey]) ? result.body[listKey] : null;
+  if (!rows) return result;
+  const headers = { ...result.headers, 'Content-Type': FORMATS[format] };
+  if (format === 'ndjson') return { status: result.status, headers, stream: ndjsonStream(rows) };
+  return { status: result.status, headers, body: format === 'csv' ? toCsv(rows) : toMarkdown(rows) };
+}
+
+// Router middleware
+function middleware(req, params, next) {
+  const listKey = req.route.meta.list;
+  if (!listKey) return next();
+
+  const { format, error } = formatFor(req);
+  if (error) {
+    return { status: 400, body: { error: 'Unsupported format', format: error, supported: Object.keys(FORMATS) } };
+  }
+  req.format = format;
+
+  const finish = (result) => {
+    if (!result) return result;
+    const headers = { ...result.headers, 'Vary': 'Accept' };
+    if (format === 'json' || result.status !== 200) return { ...result, headers };
+    return convert({ ...result, headers }, format, listKey);
+  };
+  const result = next();
+  return result && typeof result.then === 'function' ? result.then(finish) : finish(result);
+}
+
+module.exports = { middleware, formatFor, fromAccept, flatten, toCsv, toMarkdown, FORMATS };
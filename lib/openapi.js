@@ -0,0 +1,173 @@
+// OpenAPI 3.1 document and /api index, generated from route registrations
+// Route metadata (see lib/router.js): summary, params, query, body, response,
+// status (success code, default 200), errors ({ code: description }), tag, cache, list, tool
+
+const { schemas } = require('./schemas');
+const { FORMATS } = require('./negotiate');
+const { version } = require('../package.json');
+
+const ERROR = { $ref: '#/components/schemas/ErrorResponse' };
+
+// Group name for a route: /api/atlas/assets → atlas, /api/q/tasks → queue
+function routeTag(route) {
+  if (route.meta.tag) return route.meta.tag;
+  const parts = route.pattern.split('/').filter(Boolean);
+  if (parts[0] !== 'api') return 'meta';
+  if (parts.length === 1 || parts[1] === 'openapi.json') return 'meta';
+  if (parts[1] === 'q') return 'queue';
+  return parts[1];
+}
+
+// /api/atlas/assets/:id → /api/atlas/assets/{id}
+function toOpenApiPath(pattern) {
+  return pattern.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function pathParamNames(pattern) {
+  return (pattern.match(/:([A-Za-z0-9_]+)/g) || []).map(p => p.slice(1));
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function buildParameters(route) {
+  const { params, query } = route.meta;
+  const parameters = [];
+
+  for (const name of pathParamNames(route.pattern)) {
+    const schema = (params && params.properties && params.properties[name]) || { type: 'string' };
+    const { description, ...rest } = schema;
+    parameters.push({ name, in: 'path', required: true, ...(description && { description }), schema: rest });
+  }
+
+  if (route.meta.list) {
+    parameters.push({
+      name: 'format',
+      in: 'query',
+      description: `Row format for ${route.meta.list} (or use the Accept header)`,
+      schema: { type: 'string', enum: Object.keys(FORMATS), default: 'json' },
+    });
+  }
+
+  if (route.meta.cache) {
+    parameters.push({
+      name: 'fresh',
+      in: 'query',
+      description: `Bypass the ${route.meta.cache.ttl}s response cache`,
+      schema: { type: 'integer', enum: [0, 1] },
+    });
+  }
+
+  if (query && query.properties) {
+    const required = query.required || [];
+    for (const [name, schema] of Object.entries(query.properties)) {
+      const { description, ...rest } = schema;
+      parameters.push({
+        name,
+        in: 'query',
+        ...(required.includes(name) && { required: true }),
+        ...(description && { description }),
+        schema: rest,
+      });
+    }
+  }
+
+  return parameters;
+}
+
+function buildOperation(route) {
+  const meta = route.meta;
+  const status = String(meta.status || 200);
+  const operation = {
+    tags: [routeTag(route)],
+    summary: meta.summary || `${route.method} ${route.pattern}`,
+  };
+  if (meta.description) operation.description = meta.description;
+
+  const parameters = buildParameters(route);
+  if (parameters.length) operation.parameters = parameters;
+
+  if (meta.body) {
+    operation.requestBody = { required: true, content: jsonContent(meta.body) };
+  }
+
+  operation.responses = {
+    [status]: {
+      description: meta.summary || 'OK',
+      ...(meta.response && { content: meta.contentType
+        ? { [meta.contentType]: { schema: meta.response } }
+        : jsonContent(meta.response) }),
+    },
+  };
+  if (meta.list && operation.responses[status].content) {
+    for (const [format, type] of Object.entries(FORMATS)) {
+      if (format !== 'json') operation.responses[status].content[type.split(';')[0]] = { schema: { type: 'string' } };
+    }
+  }
+  if (meta.cache) {
+    operation.responses['304'] = { description: 'Not modified (matches If-None-Match)' };
+    operation['x-cache'] = meta.cache;
+  }
+  if (meta.tool) operation['x-mcp-tool'] = meta.tool;
+  if ((meta.params || meta.query || meta.body) && !(meta.errors && meta.errors[400])) {
+    operation.responses['400'] = { description: 'Validation failed', content: jsonContent(ERROR) };
+  }
+  for (const [code, description] of Object.entries(meta.errors || {})) {
+    operation.responses[code] = { description, content: jsonContent(ERROR) };
+  }
+
+  if (meta.scope && meta.scope !== 'public') {
+    const scopes = [meta.scope, ...(meta.alsoRequires || [])];
+    operation.security = [{ bearerAuth: scopes }];
+    operation['x-scope'] = meta.scope;
+    if (meta.alsoRequires) operation['x-also-requires'] = meta.alsoRequires;
+    operation.responses['401'] = { description: 'Missing or invalid token', content: jsonContent(ERROR) };
+    operation.responses['403'] = { description: scopes.length > 1 ? `Token lacks one of ${scopes.join(', ')}` : `Token lacks scope ${meta.scope}`, content: jsonContent(ERROR) };
+  } else {
+    operation.security = [];
+  }
+
+  return operation;
+}
+
+function buildSpec(router, { servers } = {}) {
+  const paths = {};
+  for (const route of router.routes) {
+    if (route.meta.hidden) continue;
+    const p = toOpenApiPath(route.pattern);
+    paths[p] = paths[p] || {};
+    paths[p][route.method.toLowerCase()] = buildOperation(route);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'PracticeLife API',
+      version,
+      description: 'Local-first personal API for MemoryAtlas, Obsidian vault, system state, and agent coordination.',
+    },
+    servers: servers || [{ url: 'https://127.0.0.1:3001', description: 'Local server' }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API token (npm run token -- create ...)' },
+      },
+    },
+  };
+}
+
+// Compact catalog for GET /api: { group: { 'GET /api/...': 'summary' } }
+function buildIndex(router) {
+  const endpoints = {};
+  for (const route of router.routes) {
+    if (route.meta.hidden) continue;
+    const tag = routeTag(route);
+    endpoints[tag] = endpoints[tag] || {};
+    endpoints[tag][`${route.method} ${route.pattern}`] = route.meta.summary || '';
+  }
+  return endpoints;
+}
+
+module.exports = { buildSpec, buildIndex, routeTag, toOpenApiPath };
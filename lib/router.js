@@ -1,36 +1,113 @@
 // Minimal router — no framework, just pattern matching
 // Mirrors life-dashboard's zero-dependency philosophy
+//
+// Middleware: router.use([scope], fn) where fn(req, params, next) either
+// returns a response ({ status, body }) to short-circuit, or calls next()
+// and returns (or decorates) whatever the downstream handler produced.
+// next() may return a Promise if anything downstream is async.
+// Scope is a path prefix: '/api/q' and '/api/q/*' both cover /api/q/...
+//
+// HEAD is answered by the GET route for the same path (the server drops the
+// body). allowed(url) lists every method a path supports, for 405 Allow
+// headers and OPTIONS.
 
 class Router {
   constructor() {
     this.routes = [];
+    this.middleware = [];
   }
 
-  get(pattern, handler) {
-    this.routes.push({ method: 'GET', pattern, handler });
+  use(scope, fn) {
+    if (typeof scope === 'function') { fn = scope; scope = null; }
+    this.middleware.push({ scope: normalizeScope(scope), fn });
   }
 
-  post(pattern, handler) {
-    this.routes.push({ method: 'POST', pattern, handler });
+  // Registration: router.get(pattern, [options], handler)
+  // options.scope names the auth scope the route needs ('public' for none);
+  // options.alsoRequires lists further scopes the caller must hold as well
+  add(method, pattern, options, handler) {
+    if (typeof options === 'function') { handler = options; options = {}; }
+    this.routes.push({ method, pattern, handler, meta: options || {} });
   }
 
-  patch(pattern, handler) {
-    this.routes.push({ method: 'PATCH', pattern, handler });
+  get(pattern, options, handler) {
+    this.add('GET', pattern, options, handler);
   }
 
-  delete(pattern, handler) {
-    this.routes.push({ method: 'DELETE', pattern, handler });
+  post(pattern, options, handler) {
+    this.add('POST', pattern, options, handler);
+  }
+
+  put(pattern, options, handler) {
+    this.add('PUT', pattern, options, handler);
+  }
+
+  patch(pattern, options, handler) {
+    this.add('PATCH', pattern, options, handler);
+  }
+
+  delete(pattern, options, handler) {
+    this.add('DELETE', pattern, options, handler);
   }
 
   match(method, url) {
     const pathname = new URL(url, 'http://localhost').pathname;
+    const found = this.find(method, pathname) || (method === 'HEAD' ? this.find('GET', pathname) : null);
+    if (!found) return null;
+    const stack = this.middleware.filter(m => inScope(m.scope, pathname));
+    return { handler: compose(stack, found.route), params: found.params, route: found.route };
+  }
+
+  find(method, pathname) {
     for (const route of this.routes) {
       if (route.method !== method) continue;
       const params = matchPattern(route.pattern, pathname);
-      if (params !== null) return { handler: route.handler, params };
+      if (params !== null) return { route, params };
     }
     return null;
   }
+
+  // Methods registered for a URL's path, plus HEAD (with GET) and OPTIONS; [] if no route matches
+  allowed(url) {
+    const pathname = new URL(url, 'http://localhost').pathname;
+    const methods = new Set();
+    for (const route of this.routes) {
+      if (matchPattern(route.pattern, pathname) !== null) methods.add(route.method);
+    }
+    if (!methods.size) return [];
+    if (methods.has('GET')) methods.add('HEAD');
+    methods.add('OPTIONS');
+    return METHOD_ORDER.filter(m => methods.has(m));
+  }
+}
+
+const METHOD_ORDER = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Wrap a route handler in its middleware stack (outermost first)
+function compose(stack, route) {
+  return (req, params) => {
+    req.route = route;
+    const dispatch = (i) => {
+      if (i === stack.length) return route.handler(req, params);
+      let called = false;
+      return stack[i].fn(req, params, () => {
+        if (called) throw new Error('next() called multiple times');
+        called = true;
+        return dispatch(i + 1);
+      });
+    };
+    return dispatch(0);
+  };
+}
+
+function normalizeScope(scope) {
+  if (!scope) return null;
+  return scope.replace(/\/\*$/, '').replace(/\/$/, '');
+}
+
+function inScope(scope, pathname) {
+  if (scope === null) return true;
+  return pathname === scope || pathname.startsWith(scope + '/');
 }
 
 // Simple pattern matching: /api/atlas/:id → { id: '...' }
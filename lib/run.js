@@ -0,0 +1,79 @@
+// Shared async command runner for system probes (df, lsof, ssh, ps, ...)
+// Commands run through the shell without blocking the event loop. Each one has
+// a timeout, at most MAX_CONCURRENT run at once (the rest queue), and callers
+// can memoize output for a few seconds so bursts of requests share one process.
+//
+// run() never rejects: it resolves to trimmed stdout, or null when the command
+// fails, times out or exits non-zero — the same contract the old execSync helpers had.
+
+const { exec } = require('child_process');
+
+const MAX_CONCURRENT = 4;
+const DEFAULT_TIMEOUT = 5000;
+const MAX_BUFFER = 4 * 1024 * 1024;
+
+let active = 0;
+const queue = [];
+const memo = new Map();
+const counts = { started: 0, failed: 0, timedOut: 0, memoHits: 0 };
+
+function execute(cmd, timeout) {
+  return new Promise(resolve => {
+    active++;
+    counts.started++;
+    exec(cmd, { timeout, killSignal: 'SIGKILL', maxBuffer: MAX_BUFFER, encoding: 'utf8' }, (err, stdout) => {
+      active--;
+      if (queue.length) queue.shift()();
+      if (err) {
+        counts.failed++;
+        if (err.killed) counts.timedOut++;
+        resolve(null);
+        return;
+      }
+      resolve(stdout.trim());
+    });
+  });
+}
+
+function schedule(cmd, timeout) {
+  if (active < MAX_CONCURRENT) return execute(cmd, timeout);
+  return new Promise(resolve => queue.push(() => resolve(execute(cmd, timeout))));
+}
+
+// run(cmd, { timeout = 5000, memoize = 0 }) → Promise<string|null>
+// memoize: ms to reuse the result; concurrent calls for the same command share one process
+function run(cmd, { timeout = DEFAULT_TIMEOUT, memoize = 0 } = {}) {
+  if (memoize > 0) {
+    const cached = memo.get(cmd);
+    if (cached && (cached.expires === null || cached.expires > Date.now())) {
+      counts.memoHits++;
+      return cached.promise;
+    }
+    pruneMemo();
+    const entry = { expires: null, promise: null };
+    entry.promise = schedule(cmd, timeout).then(output => {
+      entry.expires = Date.now() + memoize;
+      return output;
+    });
+    memo.set(cmd, entry);
+    return entry.promise;
+  }
+  return schedule(cmd, timeout);
+}
+
+function pruneMemo() {
+  const now = Date.now();
+  for (const [cmd, entry] of memo) {
+    if (entry.expires !== null && entry.expires <= now) memo.delete(cmd);
+  }
+}
+
+function clearMemo() {
+  memo.clear();
+}
+
+function stats() {
+  return { active, queued: queue.length, memoized: memo.size, maxConcurrent: MAX_CONCURRENT, ...counts };
+}
+
+module.exports = { run, clearMemo, stats, MAX_CONCURRENT };
@@ -0,0 +1,693 @@
+// Shared JSON Schemas — referenced from route metadata and published as
+// components.schemas in the generated OpenAPI document
+
+const TASK_STATUSES = ['pending', 'in_progress', 'blocked', 'completed', 'cancelled'];
+const MESSAGE_TYPES = ['update', 'question', 'answer', 'ack', 'clarification', 'note', 'blocker'];
+
+function ref(name) {
+  if (!schemas[name]) throw new Error(`Unknown schema: ${name}`);
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const nullable = type => ({ type: [type, 'null'] });
+
+const schemas = {
+  ApiIndexResponse: {
+    type: 'object',
+    required: ['name', 'version', 'endpoints'],
+    properties: {
+      name: { type: 'string' },
+      version: { type: 'string' },
+      routes: { type: 'integer' },
+      openapi: { type: 'string' },
+      endpoints: {
+        type: 'object',
+        description: 'Route group → { "METHOD /path": summary }',
+        additionalProperties: { type: 'object', additionalProperties: { type: 'string' } },
+      },
+    },
+  },
+  HealthResponse: {
+    type: 'object',
+    required: ['ok', 'uptime'],
+    properties: { ok: { type: 'boolean' }, uptime: { type: 'number' } },
+  },
+  ErrorResponse: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      path: { type: 'string' },
+      requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+      violations: {
+        type: 'array',
+        description: 'Present on 400 Validation failed',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            path: { type: 'string' },
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+    additionalProperties: true,
+  },
+  Asset: {
+    type: 'object',
+    description: 'Record from MemoryAtlas SQLite `asset` table, mapped onto these fields (see /api/atlas/schema). ' +
+      'Fields atlas.db has no column for are null.',
+    properties: {
+      id: { type: ['string', 'integer'] },
+      source_type: { type: ['string', 'null'] },
+      title: { type: ['string', 'null'] },
+      duration_sec: { type: ['number', 'null'] },
+      recorded_at: { type: ['string', 'null'] },
+      transcript_status: { type: ['string', 'null'] },
+      note_path: { type: ['string', 'null'] },
+      published_at: { type: ['string', 'null'] },
+      file_size_bytes: { type: ['integer', 'null'] },
+      annotations: {
+        anyOf: [{ $ref: '#/components/schemas/AtlasAnnotations' }, { type: 'null' }],
+        description: 'Our annotations (stored outside atlas.db); null when there are none',
+      },
+    },
+    additionalProperties: true,
+  },
+  AtlasAssetNote: {
+    type: 'object',
+    required: ['asset_id', 'note_path', 'path', 'name', 'modified', 'frontmatter', 'body'],
+    properties: {
+      asset_id: { type: ['string', 'integer'] },
+      note_path: { type: 'string', description: 'note_path as stored in atlas.db' },
+      path: { type: 'string', description: 'Vault-relative path of the note' },
+      name: { type: 'string' },
+      modified: { type: 'string', format: 'date-time' },
+      frontmatter: { type: 'object', additionalProperties: true, description: 'Parsed YAML frontmatter ({} when absent)' },
+      body: { type: 'string', description: 'Note content after the frontmatter' },
+    },
+  },
+  AtlasNoteReport: {
+    type: 'object',
+    required: ['dir', 'assets_with_notes', 'linked', 'missing_notes', 'orphan_notes'],
+    properties: {
+      dir: { type: 'string' },
+      assets_with_notes: { type: 'integer', description: 'Assets with a note_path' },
+      linked: { type: 'integer', description: 'Of those, notes found in the vault' },
+      missing_notes: { type: 'array', items: { $ref: '#/components/schemas/AtlasSearchResult' } },
+      orphan_notes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['path', 'name', 'modified'],
+          properties: { path: { type: 'string' }, name: { type: 'string' }, modified: { type: 'string', format: 'date-time' } },
+        },
+      },
+    },
+  },
+  AtlasChangesResponse: {
+    type: 'object',
+    required: ['changes', 'cursor', 'more'],
+    properties: {
+      changes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['seq', 'asset_id', 'kind', 'detected_at', 'asset'],
+          properties: {
+            seq: { type: 'integer' },
+            asset_id: { type: 'string' },
+            kind: { type: 'string', enum: ['created', 'transcribed', 'published'] },
+            detected_at: { type: 'string', format: 'date-time' },
+            asset: {
+              anyOf: [{ $ref: '#/components/schemas/AtlasSearchResult' }, { type: 'null' }],
+              description: 'The asset as it is now; null if it has since been deleted',
+            },
+          },
+        },
+      },
+      cursor: { type: 'string', description: 'Pass as ?since= on the next call' },
+      more: { type: 'boolean', description: 'More changes are waiting past limit; call again right away' },
+    },
+  },
+  AtlasAnnotationInput: {
+    type: 'object',
+    properties: {
+      starred: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 50 },
+      people: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 50, description: 'People mentioned in the memo' },
+      summary: nullable('string'),
+      to_task: { type: 'boolean', description: 'Flag the memo to be turned into a task' },
+    },
+    additionalProperties: false,
+  },
+  AtlasAnnotations: {
+    type: 'object',
+    required: ['asset_id', 'starred', 'tags', 'people', 'summary', 'to_task'],
+    properties: {
+      asset_id: { type: 'string' },
+      starred: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string' } },
+      people: { type: 'array', items: { type: 'string' } },
+      summary: nullable('string'),
+      to_task: { type: 'boolean' },
+      created_at: { type: 'string' },
+      updated_at: { type: 'string' },
+    },
+  },
+  AtlasAssetListResponse: {
+    type: 'object',
+    required: ['assets', 'total', 'limit', 'next_cursor'],
+    properties: {
+      assets: { type: 'array', items: { $ref: '#/components/schemas/Asset' } },
+      total: { type: 'integer', description: 'Assets matching the filters' },
+      limit: { type: 'integer' },
+      next_cursor: { type: ['string', 'null'], description: 'Pass as ?cursor= for the next page; null on the last page' },
+    },
+  },
+  AtlasTranscript: {
+    type: 'object',
+    required: ['asset_id', 'timed', 'text', 'segments'],
+    properties: {
+      asset_id: { type: ['string', 'integer'] },
+      title: { type: ['string', 'null'] },
+      timed: { type: 'boolean', description: 'Whether atlas.db has segment timestamps for this transcript' },
+      text: { type: 'string' },
+      segments: {
+        type: ['array', 'null'],
+        items: {
+          type: 'object',
+          required: ['start', 'text'],
+          properties: { start: { type: 'number' }, end: { type: ['number', 'null'] }, text: { type: 'string' } },
+        },
+      },
+    },
+  },
+  AtlasStatsByType: {
+    type: 'object',
+    required: ['source_type', 'count'],
+    properties: { source_type: { type: ['string', 'null'] }, count: { type: 'integer' } },
+  },
+  AtlasStatsResponse: {
+    type: 'object',
+    required: ['total_assets', 'byType'],
+    properties: {
+      total_assets: { type: 'integer' },
+      total_duration_seconds: { type: ['number', 'null'] },
+      earliest: { type: ['string', 'null'] },
+      latest: { type: ['string', 'null'] },
+      transcribed_count: { type: ['integer', 'null'] },
+      published_count: { type: ['integer', 'null'] },
+      total_size_bytes: { type: ['integer', 'null'] },
+      byType: { type: 'array', items: { $ref: '#/components/schemas/AtlasStatsByType' } },
+    },
+    additionalProperties: true,
+  },
+  AtlasSchemaReport: {
+    type: 'object',
+    required: ['table', 'usable', 'columns', 'fields', 'missing', 'unknown', 'features'],
+    properties: {
+      table: { type: 'boolean', description: 'atlas.db has an asset table' },
+      usable: { type: 'boolean', description: 'The asset table has an id column; when false every atlas endpoint is 503' },
+      schema_version: { type: 'integer', description: 'PRAGMA schema_version; changes when MemoryAtlas migrates atlas.db' },
+      columns: {
+        type: 'array',
+        items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, type: { type: ['string', 'null'] } } },
+      },
+      fields: {
+        type: 'object',
+        additionalProperties: { type: ['string', 'null'] },
+        description: 'Asset field → the column it is read from, null when atlas.db has none',
+      },
+      missing: { type: 'array', items: { type: 'string' }, description: 'Asset fields with no column (always null)' },
+      unknown: { type: 'array', items: { type: 'string' }, description: 'Columns not mapped to a field; never returned' },
+      internal: { type: 'array', items: { type: 'string' }, description: 'Columns read internally (recording path, transcript) but not returned' },
+      recording_column: { type: ['string', 'null'], description: 'Column /audio reads the recording path from' },
+      features: { type: 'object', additionalProperties: { type: 'boolean' }, description: 'Endpoints that work with this schema' },
+      unsupported: {
+        type: 'object',
+        properties: {
+          filters: { type: 'array', items: { type: 'string' }, description: '/api/atlas/assets filters that are a 400' },
+          sorts: { type: 'array', items: { type: 'string' }, description: '/api/atlas/assets sorts that are a 400' },
+        },
+      },
+    },
+  },
+  AtlasSearchResult: {
+    type: 'object',
+    properties: {
+      id: { type: ['string', 'integer'] },
+      title: { type: ['string', 'null'] },
+      source_type: { type: ['string', 'null'] },
+      duration_sec: { type: ['number', 'null'] },
+      recorded_at: { type: ['string', 'null'] },
+      transcript_status: { type: ['string', 'null'] },
+      note_path: { type: ['string', 'null'] },
+      published_at: { type: ['string', 'null'] },
+      file_size_bytes: { type: ['integer', 'null'] },
+      score: { type: 'number', description: 'Relevance (BM25, higher is better); absent in title mode' },
+      snippet: { type: 'string', description: 'Best matching passage, matches wrapped in <mark></mark>' },
+      matches: {
+        type: 'array',
+        description: 'Matching transcript passages with their position in the recording, in order',
+        items: {
+          type: 'object',
+          required: ['start_sec', 'snippet'],
+          properties: {
+            start_sec: { type: 'number' },
+            end_sec: { type: ['number', 'null'] },
+            snippet: { type: 'string' },
+          },
+        },
+      },
+    },
+    additionalProperties: true,
+  },
+  AtlasSearchResponse: {
+    type: 'object',
+    required: ['results', 'query', 'count'],
+    properties: {
+      results: { type: 'array', items: { $ref: '#/components/schemas/AtlasSearchResult' } },
+      query: { type: 'string' },
+      count: { type: 'integer' },
+      mode: {
+        type: 'string',
+        enum: ['fulltext', 'title'],
+        description: 'fulltext: ranked title and transcript search; title: substring match on titles (index unavailable)',
+      },
+    },
+  },
+  AtlasTimelineBucket: {
+    type: 'object',
+    required: ['period', 'assets', 'minutes', 'transcribed', 'published'],
+    properties: {
+      period: { type: 'string', description: 'YYYY-MM-DD (day, or the Monday starting a week) or YYYY-MM' },
+      assets: { type: 'integer' },
+      minutes: { type: 'number', description: 'Total recorded minutes' },
+      transcribed: { type: 'integer', description: 'Assets with transcript_status done' },
+      published: { type: 'integer', description: 'Assets with published_at set' },
+    },
+  },
+  AtlasTimelineResponse: {
+    type: 'object',
+    required: ['bucket', 'buckets', 'totals'],
+    properties: {
+      bucket: { type: 'string', enum: ['day', 'week', 'month'] },
+      from: { type: ['string', 'null'] },
+      to: { type: ['string', 'null'] },
+      buckets: { type: 'array', items: { $ref: '#/components/schemas/AtlasTimelineBucket' } },
+      totals: {
+        type: 'object',
+        properties: {
+          assets: { type: 'integer' },
+          minutes: { type: 'number' },
+          transcribed: { type: 'integer' },
+          published: { type: 'integer' },
+        },
+      },
+    },
+  },
+  AtlasHeatmapResponse: {
+    type: 'object',
+    required: ['weekdays', 'counts', 'minutes', 'total', 'max'],
+    properties: {
+      weekdays: { type: 'array', items: { type: 'string' }, description: 'Row labels, Sun first' },
+      counts: { type: 'array', items: { type: 'array', items: { type: 'integer' } }, description: '7 rows × 24 hours' },
+      minutes: { type: 'array', items: { type: 'array', items: { type: 'number' } }, description: '7 rows × 24 hours' },
+      total: { type: 'integer' },
+      max: { type: 'integer', description: 'Largest cell in counts' },
+    },
+  },
+  AtlasOnThisDayResponse: {
+    type: 'object',
+    required: ['date', 'years', 'count'],
+    properties: {
+      date: { type: 'string', format: 'date' },
+      years: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['year', 'years_ago', 'assets'],
+          properties: {
+            year: { type: 'integer' },
+            years_ago: { type: 'integer' },
+            assets: { type: 'array', items: { $ref: '#/components/schemas/AtlasSearchResult' } },
+          },
+        },
+      },
+      count: { type: 'integer' },
+    },
+  },
+  VaultStatsResponse: {
+    type: 'object',
+    required: ['totalNotes', 'vaultPath'],
+    properties: { totalNotes: { type: 'integer' }, vaultPath: { type: 'string' } },
+  },
+  VaultNoteListItem: {
+    type: 'object',
+    required: ['name', 'path', 'modified'],
+    properties: {
+      name: { type: 'string' },
+      path: { type: 'string' },
+      modified: { type: 'string', format: 'date-time' },
+    },
+  },
+  VaultNotesResponse: {
+    type: 'object',
+    required: ['notes', 'directory'],
+    properties: {
+      notes: { type: 'array', items: { $ref: '#/components/schemas/VaultNoteListItem' } },
+      directory: { type: 'string' },
+    },
+  },
+  VaultNoteResponse: {
+    type: 'object',
+    required: ['path', 'content'],
+    properties: { path: { type: 'string' }, content: { type: 'string' } },
+  },
+  VaultSearchResponse: {
+    type: 'object',
+    required: ['query', 'results'],
+    properties: {
+      query: { type: 'string' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['path', 'name'],
+          properties: {
+            path: { type: 'string' },
+            name: { type: 'string' },
+            modified: { type: 'string', format: 'date-time' },
+            snippet: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  VaultStructureEntry: {
+    type: 'object',
+    required: ['name', 'type'],
+    properties: { name: { type: 'string' }, type: { type: 'string', enum: ['directory', 'file'] } },
+  },
+  VaultStructureResponse: {
+    type: 'object',
+    required: ['structure'],
+    properties: { structure: { type: 'array', items: { $ref: '#/components/schemas/VaultStructureEntry' } } },
+  },
+  SystemStateResponse: {
+    type: 'object',
+    required: ['hostname', 'platform', 'arch', 'cpus', 'totalMemoryGB', 'freeMemoryGB', 'diskUsed', 'diskFree', 'uptime', 'loadAvg'],
+    properties: {
+      hostname: { type: 'string' },
+      platform: { type: 'string' },
+      arch: { type: 'string' },
+      cpus: { type: 'integer' },
+      totalMemoryGB: { type: 'number' },
+      freeMemoryGB: { type: 'number' },
+      diskUsed: { type: ['string', 'null'] },
+      diskFree: { type: ['string', 'null'] },
+      uptime: { type: ['string', 'null'] },
+      loadAvg: {
+        type: 'object',
+        required: ['1m', '5m', '15m'],
+        properties: { '1m': { type: 'number' }, '5m': { type: 'number' }, '15m': { type: 'number' } },
+      },
+    },
+  },
+  SystemVolumesResponse: {
+    type: 'object',
+    required: ['volumes'],
+    properties: { volumes: { type: 'array', items: { type: 'string' } } },
+  },
+  SystemOllamaModel: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      size: { type: ['string', 'null'] },
+      modified: { type: ['string', 'null'] },
+    },
+    additionalProperties: true,
+  },
+  SystemOllamaResponse: {
+    type: 'object',
+    required: ['available', 'models'],
+    properties: {
+      available: { type: 'boolean' },
+      models: { type: 'array', items: { $ref: '#/components/schemas/SystemOllamaModel' } },
+    },
+  },
+  AgentProtocolResponse: {
+    type: 'object',
+    required: ['path', 'content'],
+    properties: { path: { type: 'string' }, content: { type: 'string' } },
+  },
+  AgentSessionListItem: {
+    type: 'object',
+    required: ['name', 'modified', 'sizeBytes'],
+    properties: {
+      name: { type: 'string' },
+      modified: { type: 'string', format: 'date-time' },
+      sizeBytes: { type: 'integer' },
+    },
+  },
+  AgentSessionsResponse: {
+    type: 'object',
+    required: ['sessions'],
+    properties: { sessions: { type: 'array', items: { $ref: '#/components/schemas/AgentSessionListItem' } } },
+  },
+  AgentSessionResponse: {
+    type: 'object',
+    required: ['name', 'content'],
+    properties: { name: { type: 'string' }, content: { type: 'string' } },
+  },
+  AgentCollabBriefResponse: { type: 'object', required: ['content'], properties: { content: { type: 'string' } } },
+
+  // --- Task queue ---
+
+  Task: {
+    type: 'object',
+    required: ['id', 'title', 'owner', 'status', 'priority'],
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      description: nullable('string'),
+      owner: { type: 'string' },
+      assignee: nullable('string'),
+      status: { type: 'string', enum: TASK_STATUSES },
+      priority: { type: 'integer', minimum: 1, maximum: 5 },
+      source: nullable('string'),
+      category: nullable('string'),
+      section: nullable('string'),
+      tags: { type: 'array', items: { type: 'string' } },
+      due_date: nullable('string'),
+      created_at: { type: 'string' },
+      updated_at: { type: 'string' },
+      completed_at: nullable('string'),
+      messages: { type: 'array', items: { $ref: '#/components/schemas/TaskMessage' } },
+      watchers: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  TaskMessage: {
+    type: 'object',
+    required: ['id', 'task_id', 'author', 'type', 'content'],
+    properties: {
+      id: { type: 'integer' },
+      task_id: { type: 'integer' },
+      author: { type: 'string' },
+      type: { type: 'string', enum: MESSAGE_TYPES },
+      content: { type: 'string' },
+      created_at: { type: 'string' },
+    },
+  },
+  TaskInput: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: nullable('string'),
+      owner: { type: 'string', minLength: 1 },
+      assignee: nullable('string'),
+      priority: { type: 'integer', minimum: 1, maximum: 5 },
+      source: { type: 'string' },
+      category: nullable('string'),
+      section: nullable('string'),
+      tags: { type: 'array', items: { type: 'string' } },
+      due_date: nullable('string'),
+    },
+    additionalProperties: false,
+  },
+  TaskUpdate: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: nullable('string'),
+      owner: { type: 'string', minLength: 1 },
+      assignee: nullable('string'),
+      status: { type: 'string', enum: TASK_STATUSES },
+      priority: { type: 'integer', minimum: 1, maximum: 5 },
+      category: nullable('string'),
+      section: nullable('string'),
+      tags: { type: 'array', items: { type: 'string' } },
+      due_date: nullable('string'),
+    },
+    additionalProperties: false,
+  },
+  TaskReplace: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: nullable('string'),
+      owner: { type: 'string', minLength: 1 },
+      assignee: nullable('string'),
+      status: { type: 'string', enum: TASK_STATUSES },
+      priority: { type: 'integer', minimum: 1, maximum: 5 },
+      source: { type: 'string' },
+      category: nullable('string'),
+      section: nullable('string'),
+      tags: { type: 'array', items: { type: 'string' } },
+      due_date: nullable('string'),
+    },
+    additionalProperties: false,
+  },
+  TaskListResponse: {
+    type: 'object',
+    required: ['tasks', 'total', 'limit', 'offset'],
+    properties: {
+      tasks: { type: 'array', items: { $ref: '#/components/schemas/Task' } },
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+    },
+  },
+  MessageInput: {
+    type: 'object',
+    required: ['author', 'content'],
+    properties: {
+      author: { type: 'string', minLength: 1 },
+      type: { type: 'string', enum: MESSAGE_TYPES },
+      content: { type: 'string', minLength: 1 },
+    },
+    additionalProperties: false,
+  },
+  AckInput: {
+    type: 'object',
+    required: ['agent'],
+    properties: { agent: { type: 'string', minLength: 1 } },
+    additionalProperties: false,
+  },
+  QueueResponse: {
+    type: 'object',
+    required: ['owner', 'pending', 'in_progress', 'blocked', 'recently_completed', 'counts'],
+    properties: {
+      owner: { type: 'string' },
+      pending: { type: 'array', items: { $ref: '#/components/schemas/Task' } },
+      in_progress: { type: 'array', items: { $ref: '#/components/schemas/Task' } },
+      blocked: { type: 'array', items: { $ref: '#/components/schemas/Task' } },
+      recently_completed: { type: 'array', items: { $ref: '#/components/schemas/Task' } },
+      counts: { type: 'object', additionalProperties: { type: 'integer' } },
+    },
+  },
+  TaskSearchResponse: {
+    type: 'object',
+    required: ['query', 'results', 'count'],
+    properties: {
+      query: { type: 'string' },
+      results: { type: 'array', items: { $ref: '#/components/schemas/Task' } },
+      count: { type: 'integer' },
+    },
+  },
+
+  // --- Files served as text ---
+
+  FileContentResponse: {
+    type: 'object',
+    required: ['content'],
+    properties: { path: { type: 'string' }, content: { type: 'string' }, updated: { type: 'string', format: 'date-time' } },
+  },
+
+  // --- Agents ---
+
+  AgentHealth: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      id: { type: 'string' },
+      model: { type: 'string' },
+      status: { type: 'string' },
+      focus: { type: 'string' },
+      source: { type: 'string', enum: ['protocol', 'session-log'] },
+      lastActivity: { type: 'string' },
+      sessionLog: { type: 'string' },
+      ageMs: { type: 'integer' },
+    },
+    additionalProperties: true,
+  },
+  AgentHealthResponse: {
+    type: 'object',
+    required: ['agents', 'summary', 'processes', 'timestamp'],
+    properties: {
+      agents: { type: 'array', items: { $ref: '#/components/schemas/AgentHealth' } },
+      summary: { type: 'object', additionalProperties: { type: 'integer' } },
+      processes: { type: 'array', items: { type: 'object' } },
+      timestamp: { type: 'string', format: 'date-time' },
+    },
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['requests'],
+    properties: {
+      requests: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 25,
+        items: {
+          type: 'object',
+          required: ['method', 'path'],
+          properties: {
+            id: { type: 'string', description: 'Echoed back on the matching response' },
+            method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+            path: { type: 'string', pattern: '^/', description: 'Path and query, e.g. /api/q/tasks?status=pending' },
+            body: { description: 'JSON body for POST/PUT/PATCH/DELETE' },
+          },
+          additionalProperties: false,
+        },
+      },
+      transaction: {
+        type: 'boolean',
+        default: false,
+        description: 'Run every sub-request in order inside one tasks.db transaction (task queue paths only)',
+      },
+    },
+    additionalProperties: false,
+  },
+  BatchResponse: {
+    type: 'object',
+    required: ['responses'],
+    properties: {
+      responses: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'integer' },
+            headers: { type: 'object', additionalProperties: { type: 'string' } },
+            body: {},
+          },
+        },
+      },
+      committed: { type: 'boolean', description: 'Present for transaction batches' },
+    },
+  },
+  NotImplementedResponse: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string' }, instructions: { type: 'string' }, planned: { type: 'object' } },
+  },
+};
+
+module.exports = { schemas, ref, TASK_STATUSES, MESSAGE_TYPES };
@@ -1,17 +1,20 @@
 // Unified Task Queue — SQLite database for cross-agent, cross-human task management
 // Everyone (Peretz, Kevin, agents) shares one queue with per-task conversation threads
 
-const path = require('path');
-const os = require('os');
+const config = require('./config');
+const events = require('./events');
 
-const DB_PATH = path.join(os.homedir(), '.claude', 'tasks.db');
+// Read at open time so tests (and config reloads) can point at another file
+function dbPath() {
+  return config.get().paths.tasksDb;
+}
 
 let _db = null;
 
 function getDb() {
   if (!_db) {
     const Database = require('better-sqlite3');
-    _db = new Database(DB_PATH);
+    _db = new Database(dbPath());
     _db.pragma('journal_mode = WAL');
     _db.pragma('foreign_keys = ON');
     initSchema();
@@ -19,6 +22,30 @@ function getDb() {
   return _db;
 }
 
+// Events raised inside transaction() wait for the commit (and are dropped on rollback)
+let deferred = null;
+
+function publish(topic, data) {
+  if (deferred) deferred.push([topic, data]);
+  else events.publish(topic, data);
+}
+
+// Run fn inside one tasks.db transaction; fn must be synchronous and throw to roll back
+function transaction(fn) {
+  const db = getDb();
+  if (db.inTransaction) return fn();
+  const queued = [];
+  deferred = queued;
+  let result;
+  try {
+    result = db.transaction(fn)();
+  } finally {
+    deferred = null;
+  }
+  for (const [topic, data] of queued) events.publish(topic, data);
+  return result;
+}
+
 function initSchema() {
   const db = _db;
 
@@ -116,7 +143,9 @@ function createTask({ title, description, owner, assignee, priority, source, cat
     JSON.stringify(tags || []),
     due_date || null
   );
-  return getTask(result.lastInsertRowid);
+  const task = getTask(result.lastInsertRowid);
+  publish('task.created', task);
+  return task;
 }
 
 function getTask(id) {
@@ -188,12 +217,60 @@ function updateTask(id, updates) {
   params.push(id);
 
   db.prepare(`UPDATE tasks SET ${sets.join(', ')} WHERE id = ?`).run(...params);
-  return getTask(id);
+  const task = getTask(id);
+  if (task) publish('task.updated', { task, changed: Object.keys(updates).filter(k => allowed.includes(k)) });
+  return task;
+}
+
+// Full replacement (PUT): omitted fields go back to their defaults
+function replaceTask(id, fields) {
+  const db = getDb();
+  const existing = getTask(id);
+  if (!existing) return null;
+  const next = {
+    title: fields.title,
+    description: fields.description ?? null,
+    owner: fields.owner || 'peretz',
+    assignee: fields.assignee ?? null,
+    status: fields.status || 'pending',
+    priority: fields.priority || 3,
+    source: fields.source || 'manual',
+    category: fields.category ?? null,
+    section: fields.section ?? null,
+    tags: fields.tags || [],
+    due_date: fields.due_date ?? null,
+  };
+
+  // completed_at keeps its original value if the task was already completed
+  db.prepare(`
+    UPDATE tasks SET
+      completed_at = CASE WHEN ? != 'completed' THEN NULL
+        WHEN status = 'completed' THEN completed_at ELSE datetime('now') END,
+      title = ?, description = ?, owner = ?, assignee = ?, status = ?, priority = ?, source = ?,
+      category = ?, section = ?, tags = ?, due_date = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(
+    next.status,
+    next.title, next.description, next.owner, next.assignee, next.status, next.priority, next.source,
+    next.category, next.section, JSON.stringify(next.tags), next.due_date, id
+  );
+  const task = getTask(id);
+  const changed = Object.keys(next).filter(k => JSON.stringify(existing[k]) !== JSON.stringify(next[k]));
+  publish('task.updated', { task, changed });
+  return task;
 }
 
 function deleteTask(id) {
   const db = getDb();
-  db.prepare('DELETE FROM tasks WHERE id = ?').run(id);
+  const { changes } = db.prepare('DELETE FROM tasks WHERE id = ?').run(id);
+  if (changes) publish('task.deleted', { id });
+}
+
+// Tasks for many ids in one query (without their threads), keyed by id
+function getTasksById(ids) {
+  const db = getDb();
+  const rows = db.prepare('SELECT * FROM tasks WHERE id IN (SELECT value FROM json_each(?))').all(JSON.stringify(ids));
+  return new Map(rows.map(t => [t.id, { ...t, tags: JSON.parse(t.tags || '[]') }]));
 }
 
 // --- MESSAGES (per-task conversation thread) ---
@@ -207,7 +284,9 @@ function addMessage(taskId, { author, type, content }) {
   const result = stmt.run(taskId, author, type || 'update', content);
   // Touch the task's updated_at
   db.prepare("UPDATE tasks SET updated_at = datetime('now') WHERE id = ?").run(taskId);
-  return db.prepare('SELECT * FROM task_messages WHERE id = ?').get(result.lastInsertRowid);
+  const message = db.prepare('SELECT * FROM task_messages WHERE id = ?').get(result.lastInsertRowid);
+  publish('message.added', message);
+  return message;
 }
 
 function getMessages(taskId) {
@@ -215,6 +294,15 @@ function getMessages(taskId) {
   return db.prepare('SELECT * FROM task_messages WHERE task_id = ? ORDER BY created_at ASC').all(taskId);
 }
 
+// Threads for many tasks in one query, keyed by task id
+function getMessagesByTask(taskIds) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT * FROM task_messages WHERE task_id IN (SELECT value FROM json_each(?)) ORDER BY created_at ASC, id ASC
+  `).all(JSON.stringify(taskIds));
+  return groupBy(rows, 'task_id');
+}
+
 // --- WATCHERS ---
 
 function addWatcher(taskId, watcher) {
@@ -229,6 +317,25 @@ function removeWatcher(taskId, watcher) {
   db.prepare('DELETE FROM task_watchers WHERE task_id = ? AND watcher = ?').run(taskId, watcher);
 }
 
+// Watchers for many tasks in one query, keyed by task id
+function getWatchersByTask(taskIds) {
+  const db = getDb();
+  const rows = db.prepare('SELECT * FROM task_watchers WHERE task_id IN (SELECT value FROM json_each(?))')
+    .all(JSON.stringify(taskIds));
+  const grouped = groupBy(rows, 'task_id');
+  for (const [id, list] of grouped) grouped.set(id, list.map(r => r.watcher));
+  return grouped;
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+}
+
 // --- SEARCH ---
 
 function searchTasks(query) {
@@ -305,14 +412,19 @@ function getStats() {
   return { total, byStatus, byOwner, byPriority, recentMessages, completedToday };
 }
 
+// Task counts per (owner, status) — feeds the queue depth metric
+function getDepth() {
+  return getDb().prepare('SELECT owner, status, COUNT(*) as count FROM tasks GROUP BY owner, status').all();
+}
+
 function close() {
   if (_db) { _db.close(); _db = null; }
 }
 
 module.exports = {
-  getDb, close, DB_PATH,
-  createTask, getTask, listTasks, updateTask, deleteTask,
-  addMessage, getMessages,
-  addWatcher, removeWatcher,
-  searchTasks, getQueue, getPriorities, getStats
+  getDb, close, transaction, dbPath,
+  createTask, getTask, getTasksById, listTasks, updateTask, replaceTask, deleteTask,
+  addMessage, getMessages, getMessagesByTask,
+  addWatcher, removeWatcher, getWatchersByTask,
+  searchTasks, getQueue, getPriorities, getStats, getDepth
 };
@@ -0,0 +1,240 @@
+// MemoryAtlas transcripts — find where atlas.db keeps transcript text and read it
+// The atlas schema isn't ours, so the source is detected from the schema, first match wins:
+//   segments  a table with asset_id, text/content and start/start_sec/start_ms columns (timestamps)
+//   table     a table with asset_id and text/content (one transcript per asset)
+//   column    a transcript/transcript_text column on asset
+//   file      a transcript_path column on asset: Whisper JSON, .srt, .vtt or plain text
+// readTranscript() returns { text, segments } where segments is [{ start, end, text }]
+// in seconds, or null when the source has no timestamps.
+// The export helpers at the bottom render a transcript as SRT, WebVTT, text or Markdown.
+
+const fs = require('fs');
+const path = require('path');
+const { resolvePath } = require('./db');
+
+const ASSET_KEYS = ['asset_id', 'assetid', 'asset'];
+const TEXT_KEYS = ['text', 'content', 'transcript', 'body'];
+const START_KEYS = ['start_sec', 'start', 'start_time', 'start_ms', 'offset_ms'];
+const END_KEYS = ['end_sec', 'end', 'end_time', 'end_ms'];
+
+const _sources = new WeakMap();
+
+function columnsOf(db, table) {
+  return db.prepare(`PRAGMA table_info(${quote(table)})`).all().map(c => c.name);
+}
+
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function pick(columns, keys) {
+  const lower = columns.map(c => c.toLowerCase());
+  for (const key of keys) {
+    const i = lower.indexOf(key);
+    if (i >= 0) return columns[i];
+  }
+  return null;
+}
+
+function detect(db) {
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'asset'").all()
+    .map(t => t.name)
+    // Prefer tables that say what they hold
+    .sort((a, b) => /transcript|segment/i.test(b) - /transcript|segment/i.test(a));
+
+  const candidates = tables.map(table => {
+    const columns = columnsOf(db, table);
+    return { table, asset: pick(columns, ASSET_KEYS), text: pick(columns, TEXT_KEYS), start: pick(columns, START_KEYS), end: pick(columns, END_KEYS) };
+  }).filter(c => c.asset && c.text && (/transcript|segment/i.test(c.table) || c.start));
+
+  const segments = candidates.find(c => c.start);
+  if (segments) return { kind: 'segments', ...segments, ms: /_ms$/i.test(segments.start) };
+  if (candidates.length) return { kind: 'table', ...candidates[0] };
+
+  const assetColumns = columnsOf(db, 'asset');
+  const column = pick(assetColumns, ['transcript', 'transcript_text']);
+  if (column) return { kind: 'column', column };
+  const file = pick(assetColumns, ['transcript_path', 'transcript_file']);
+  if (file) return { kind: 'file', column: file };
+  return null;
+}
+
+// Where transcripts live in this atlas.db ({ kind, ... }), or null if it has none
+function source(db) {
+  if (!_sources.has(db)) _sources.set(db, detect(db));
+  return _sources.get(db);
+}
+
+// "00:01:02,500" / "01:02.500" → seconds
+function timestamp(value) {
+  const parts = value.trim().replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// SRT and WebVTT cues → segments
+function parseCues(content) {
+  const segments = [];
+  for (const block of content.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const i = lines.findIndex(l => l.includes('-->'));
+    if (i < 0) continue;
+    const [start, end] = lines[i].split('-->').map(s => s.trim().split(/\s+/)[0]);
+    const text = lines.slice(i + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+    if (text) segments.push({ start: timestamp(start), end: timestamp(end), text });
+  }
+  return segments;
+}
+
+function fromSegments(segments) {
+  const clean = segments
+    .map(s => ({ start: Number(s.start), end: s.end === null || s.end === undefined ? null : Number(s.end), text: String(s.text || '').trim() }))
+    .filter(s => s.text);
+  return { text: clean.map(s => s.text).join(' '), segments: clean };
+}
+
+function readFile(file) {
+  let content;
+  try {
+    content = fs.readFileSync(resolvePath(file), 'utf8');
+  } catch {
+    return null;
+  }
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.json') {
+    try {
+      const data = JSON.parse(content);
+      if (Array.isArray(data.segments) && data.segments.length) return fromSegments(data.segments);
+      return { text: String(data.text || '').trim(), segments: null };
+    } catch {
+      return null;
+    }
+  }
+  if (ext === '.srt' || ext === '.vtt') return fromSegments(parseCues(content));
+  return { text: content.trim(), segments: null };
+}
+
+// { text, segments } for an asset row, or null when it has no transcript
+function readTranscript(db, asset) {
+  const src = source(db);
+  if (!src) return null;
+  let transcript = null;
+
+  if (src.kind === 'segments') {
+    const rows = db.prepare(
+      `SELECT ${quote(src.start)} AS start, ${src.end ? quote(src.end) : 'NULL'} AS "end", ${quote(src.text)} AS text
+       FROM ${quote(src.table)} WHERE ${quote(src.asset)} = ? ORDER BY ${quote(src.start)}`
+    ).all(asset.id);
+    if (src.ms) rows.forEach(r => { r.start /= 1000; if (r.end !== null) r.end /= 1000; });
+    if (rows.length) transcript = fromSegments(rows);
+  } else if (src.kind === 'table') {
+    const rows = db.prepare(`SELECT ${quote(src.text)} AS text FROM ${quote(src.table)} WHERE ${quote(src.asset)} = ? ORDER BY rowid`).all(asset.id);
+    if (rows.length) transcript = { text: rows.map(r => r.text).filter(Boolean).join('\n\n').trim(), segments: null };
+  } else if (src.kind === 'column') {
+    if (asset[src.column]) transcript = { text: String(asset[src.column]).trim(), segments: null };
+  } else if (asset[src.column]) {
+    transcript = readFile(asset[src.column]);
+  }
+
+  return transcript && transcript.text ? transcript : null;
+}
+
+// Cheap per-asset change marker for the source's transcript data: Map of asset id → string
+// (row count and text length for tables, mtime and size for files, '' otherwise)
+function versions(db, assets) {
+  const src = source(db);
+  const out = new Map();
+  if (!src) return out;
+  if (src.kind === 'segments' || src.kind === 'table') {
+    const rows = db.prepare(
+      `SELECT ${quote(src.asset)} AS id, COUNT(*) AS n, SUM(LENGTH(${quote(src.text)})) AS len FROM ${quote(src.table)} GROUP BY ${quote(src.asset)}`
+    ).all();
+    for (const r of rows) out.set(String(r.id), `${r.n}:${r.len}`);
+  } else if (src.kind === 'file') {
+    for (const asset of assets) {
+      if (!asset[src.column]) continue;
+      try {
+        const stat = fs.statSync(resolvePath(asset[src.column]));
+        out.set(String(asset.id), `${stat.mtimeMs}:${stat.size}`);
+      } catch {}
+    }
+  }
+  return out;
+}
+
+// --- Export ---
+
+// Speaking rate used to spread untimed text over a recording of unknown length
+const CHARS_PER_SEC = 15;
+// Segments per paragraph in the text and Markdown exports
+const PARAGRAPH_SEGMENTS = 6;
+
+// Cues for a transcript: its own segments, or (estimated: true) sentences spread over
+// the recording in proportion to their length. Missing end times run to the next start.
+function cues(transcript, durationSec) {
+  if (transcript.segments) {
+    const segments = transcript.segments.map((s, i, all) => ({
+      ...s,
+      end: s.end !== null ? s.end : (all[i + 1] ? all[i + 1].start : s.start + s.text.length / CHARS_PER_SEC),
+    }));
+    return { estimated: false, segments };
+  }
+  const sentences = transcript.text.split(/(?<=[.!?])\s+|\n+/).map(t => t.trim()).filter(Boolean);
+  const chars = sentences.reduce((sum, t) => sum + t.length, 0);
+  const total = durationSec > 0 ? durationSec : chars / CHARS_PER_SEC;
+  let at = 0;
+  const segments = sentences.map((text) => {
+    const start = at;
+    at += total * text.length / chars;
+    return { start, end: at, text };
+  });
+  return { estimated: true, segments };
+}
+
+// 62.25 → "00:01:02,250" (SRT) / "00:01:02.250" (WebVTT)
+function clock(seconds, separator) {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// 62.25 → "1:02", 3725 → "1:02:05"
+function shortClock(seconds) {
+  const s = Math.floor(seconds);
+  const mmss = `${Math.floor(s / 60) % 60}:${String(s % 60).padStart(2, '0')}`;
+  return s >= 3600 ? `${Math.floor(s / 3600)}:${mmss.padStart(5, '0')}` : mmss;
+}
+
+function toSrt({ segments }) {
+  return segments.map((s, i) => `${i + 1}\n${clock(s.start, ',')} --> ${clock(s.end, ',')}\n${s.text}\n`).join('\n');
+}
+
+function toVtt({ segments, estimated }) {
+  const note = estimated ? 'NOTE Timings are estimated: the transcript has no timestamps.\n\n' : '';
+  return `WEBVTT\n\n${note}` + segments.map(s => `${clock(s.start, '.')} --> ${clock(s.end, '.')}\n${s.text}\n`).join('\n');
+}
+
+function paragraphs(transcript) {
+  if (!transcript.segments) return transcript.text.split(/\n\s*\n/).map(p => ({ start: null, text: p.trim() })).filter(p => p.text);
+  const out = [];
+  for (let i = 0; i < transcript.segments.length; i += PARAGRAPH_SEGMENTS) {
+    const group = transcript.segments.slice(i, i + PARAGRAPH_SEGMENTS);
+    out.push({ start: group[0].start, text: group.map(s => s.text).join(' ') });
+  }
+  return out;
+}
+
+function toText(transcript) {
+  return paragraphs(transcript).map(p => p.text).join('\n\n') + '\n';
+}
+
+// Markdown with YAML frontmatter from the asset row; paragraphs carry [m:ss] timestamps when timed
+function toMarkdown(transcript, asset) {
+  const meta = { title: asset.title, recorded_at: asset.recorded_at, duration_sec: asset.duration_sec, source_type: asset.source_type, asset_id: asset.id };
+  const yaml = Object.entries(meta)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === 'string' ? JSON.stringify(value) : value === null ? 'null' : value}`);
+  const body = paragraphs(transcript).map(p => (p.start === null ? p.text : `**[${shortClock(p.start)}]** ${p.text}`));
+  return ['---', ...yaml, '---', '', `# ${asset.title || `Recording ${asset.id}`}`, '', body.join('\n\n'), ''].join('\n');
+}
+
+module.exports = { source, readTranscript, versions, parseCues, cues, toSrt, toVtt, toText, toMarkdown };
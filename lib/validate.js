@@ -0,0 +1,190 @@
+// Request validation against the JSON Schemas declared on each route
+// Covers the JSON Schema subset our route metadata uses: type (incl. integer,
+// null, type arrays), enum, const, min/max(Length|imum|Items), pattern, format,
+// required, properties, additionalProperties, items, anyOf and $ref into lib/schemas.
+//
+// Query strings and path params arrive as text, so they are coerced to the
+// declared type first; the coerced values are exposed as req.query / req.params.
+// The params argument handlers receive stays as matched from the URL (text).
+
+const { schemas } = require('./schemas');
+
+const FORMATS = {
+  'date-time': v => !isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+  date: v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+};
+
+function resolve(schema) {
+  while (schema && schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    if (!schemas[name]) throw new Error(`Unresolvable $ref ${schema.$ref}`);
+    schema = schemas[name];
+  }
+  return schema || {};
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeOf(value) === 'object';
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+// Validate value against schema; returns a list of { path, message } (empty = valid)
+function validate(schema, value, path = '') {
+  schema = resolve(schema);
+  const errors = [];
+  const fail = (message) => errors.push({ path: path || '(root)', message });
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some(s => validate(s, value, path).length === 0);
+    if (!ok) fail('does not match any allowed schema');
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} character(s)`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: join(path, key), message: 'is required' });
+    }
+    for (const [key, val] of Object.entries(value)) {
+      if (val === undefined) continue;
+      if (props[key]) {
+        errors.push(...validate(props[key], val, join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, val, join(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Turn a query/path string into the type its schema declares (left as-is if it doesn't parse)
+function coerce(schema, raw) {
+  schema = resolve(schema);
+  const types = [].concat(schema.type || 'string');
+  if (types.includes('string')) return raw;
+  if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false' || raw === '1' || raw === '0')) {
+    return raw === 'true' || raw === '1';
+  }
+  if (types.includes('null') && raw === 'null') return null;
+  return raw;
+}
+
+// Build a typed object from string inputs for an object schema ({ properties, required })
+function coerceAll(objectSchema, raw) {
+  const props = (objectSchema && objectSchema.properties) || {};
+  const out = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!props[key]) { out[key] = value; continue; }
+    const itemSchema = resolve(props[key]);
+    out[key] = itemSchema.type === 'array'
+      ? [].concat(value).map(v => coerce(itemSchema.items || {}, v))
+      : coerce(itemSchema, [].concat(value).pop());
+  }
+  return out;
+}
+
+function queryObject(url) {
+  const searchParams = new URL(url, 'http://localhost').searchParams;
+  const out = {};
+  for (const key of new Set(searchParams.keys())) {
+    const all = searchParams.getAll(key);
+    out[key] = all.length > 1 ? all : all[0];
+  }
+  return out;
+}
+
+function asObjectSchema(schema) {
+  return { type: 'object', ...schema };
+}
+
+// Validate a request against a route's params/query/body schemas
+// Returns { violations, params, query } with coerced params and query
+function validateRequest(route, req, params) {
+  const { params: paramsSchema, query: querySchema, body: bodySchema } = route.meta;
+  const violations = [];
+  const tag = where => e => violations.push({ in: where, ...e });
+
+  const typedParams = coerceAll(paramsSchema, params || {});
+  if (paramsSchema) validate(asObjectSchema(paramsSchema), typedParams).forEach(tag('path'));
+
+  const typedQuery = coerceAll(querySchema, queryObject(req.url || '/'));
+  if (querySchema) validate(asObjectSchema(querySchema), typedQuery).forEach(tag('query'));
+
+  if (bodySchema) validate(bodySchema, req.body === undefined ? {} : req.body).forEach(tag('body'));
+
+  return { violations, params: typedParams, query: typedQuery };
+}
+
+// Router middleware: reject invalid requests with a structured 400 before the handler runs
+function middleware(req, params, next) {
+  const { violations, params: typedParams, query } = validateRequest(req.route, req, params);
+  if (violations.length) {
+    return {
+      status: 400,
+      body: {
+        error: 'Validation failed',
+        violations: violations.map(v => ({ in: v.in, path: v.path, message: v.message })),
+      },
+    };
+  }
+  req.query = query;
+  req.params = typedParams;
+  return next();
+}
+
+module.exports = { validate, validateRequest, coerce, middleware };
@@ -1,14 +1,15 @@
 // Obsidian vault filesystem helpers
 const fs = require('fs');
 const path = require('path');
+const config = require('./config');
 
-const VAULT_PATH = path.join(
-  process.env.HOME,
-  'Library/Mobile Documents/iCloud~md~obsidian/Documents/PracticeLife'
-);
+// Read on each call so tests (and config reloads) can point at another vault
+function vaultPath() {
+  return config.get().paths.vault;
+}
 
 function listNotes(subdir = '') {
-  const dir = path.join(VAULT_PATH, subdir);
+  const dir = path.join(vaultPath(), subdir);
   if (!fs.existsSync(dir)) return [];
   return fs.readdirSync(dir, { recursive: false })
     .filter(f => f.endsWith('.md'))
@@ -20,25 +21,146 @@ function listNotes(subdir = '') {
 }
 
 function readNote(relativePath) {
-  const fullPath = path.join(VAULT_PATH, relativePath);
+  const fullPath = path.join(vaultPath(), relativePath);
   // Prevent path traversal
-  if (!fullPath.startsWith(VAULT_PATH)) return null;
+  if (!fullPath.startsWith(vaultPath())) return null;
   if (!fs.existsSync(fullPath)) return null;
   return fs.readFileSync(fullPath, 'utf8');
 }
 
-function vaultStats() {
-  let count = 0;
+// Create or replace a note; returns { created } or null for a path outside the vault
+// Written to a temp file and renamed so Obsidian never sees a half-written note.
+function writeNote(relativePath, content) {
+  if (!relativePath.endsWith('.md')) return null;
+  const fullPath = path.resolve(vaultPath(), relativePath);
+  if (!fullPath.startsWith(path.resolve(vaultPath()) + path.sep)) return null;
+  const created = !fs.existsSync(fullPath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  const tmp = path.join(path.dirname(fullPath), `.${path.basename(fullPath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, fullPath);
+  return { created };
+}
+
+// Vault-relative paths of every note (under subdir), skipping dot-folders (.obsidian, .trash)
+function allNotes(subdir = '') {
+  const root = vaultPath();
+  const notes = [];
   function walk(dir) {
     for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
       if (entry.name.startsWith('.')) continue;
       const full = path.join(dir, entry.name);
       if (entry.isDirectory()) walk(full);
-      else if (entry.name.endsWith('.md')) count++;
+      else if (entry.name.endsWith('.md')) notes.push(path.relative(root, full));
+    }
+  }
+  const start = path.join(root, subdir);
+  if (fs.existsSync(start)) walk(start);
+  return notes;
+}
+
+// Case-insensitive search over note names and contents, name matches first
+// → [{ path, name, modified, snippet }]
+function searchNotes(query, { limit = 20 } = {}) {
+  const needle = query.toLowerCase();
+  const hits = [];
+  for (const relativePath of allNotes()) {
+    const name = path.basename(relativePath, '.md');
+    const fullPath = path.join(vaultPath(), relativePath);
+    const content = fs.readFileSync(fullPath, 'utf8');
+    const inName = name.toLowerCase().includes(needle);
+    const at = content.toLowerCase().indexOf(needle);
+    if (!inName && at === -1) continue;
+    const snippet = at === -1 ? content.slice(0, 160) : content.slice(Math.max(0, at - 60), at + needle.length + 100);
+    hits.push({
+      path: relativePath,
+      name,
+      modified: fs.statSync(fullPath).mtime.toISOString(),
+      snippet: snippet.replace(/\s+/g, ' ').trim(),
+      inName,
+    });
+  }
+  hits.sort((a, b) => b.inName - a.inName || b.modified.localeCompare(a.modified));
+  return hits.slice(0, limit).map(({ inName, ...hit }) => hit);
+}
+
+function vaultStats() {
+  return { totalNotes: allNotes().length, vaultPath: vaultPath() };
+}
+
+// A note reference as stored elsewhere (vault-relative or absolute, .md optional) → vault-relative
+// path with .md, or null when it points outside the vault. The note need not exist.
+function notePath(reference) {
+  if (!reference) return null;
+  const root = vaultPath();
+  const relative = path.normalize(path.isAbsolute(reference) ? path.relative(root, reference) : reference);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return path.extname(relative) ? relative : `${relative}.md`;
+}
+
+// The note a reference points to as { path, name }, or null when it isn't in the vault
+function resolveNote(reference) {
+  const relative = notePath(reference);
+  if (!relative || !fs.existsSync(path.join(vaultPath(), relative))) return null;
+  return { path: relative, name: path.basename(relative, '.md') };
+}
+
+// YAML scalar → string, number, boolean or null; [a, b] → array
+function yamlValue(raw) {
+  const value = raw.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (/^".*"$/.test(value)) {
+    try { return JSON.parse(value); } catch {}
+  }
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (/^\[.*\]$/.test(value)) return value.slice(1, -1).split(',').map(v => v.trim()).filter(Boolean).map(yamlValue);
+  return value;
+}
+
+// Note content → { frontmatter, body }. Frontmatter handles the flat YAML Obsidian writes:
+// key: value pairs, inline [lists] and "- item" block lists. Anything else is left out.
+function parseNote(content) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(content);
+  if (!m) return { frontmatter: {}, body: content };
+  const frontmatter = {};
+  const blocks = new Map();
+  let list = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    const item = /^\s+-\s*(.*)$|^-\s+(.*)$/.exec(line);
+    if (item && list) {
+      list.push(yamlValue(item[1] !== undefined ? item[1] : item[2]));
+      continue;
+    }
+    const pair = /^([\w][\w -]*?):(?:\s+(.*))?$/.exec(line);
+    if (!pair) { list = null; continue; }
+    if (pair[2] === undefined || pair[2].trim() === '') {
+      list = [];
+      frontmatter[pair[1]] = list;
+      blocks.set(pair[1], list);
+    } else {
+      list = null;
+      frontmatter[pair[1]] = yamlValue(pair[2]);
     }
   }
-  walk(VAULT_PATH);
-  return { totalNotes: count, vaultPath: VAULT_PATH };
+  // A key with nothing under it is null, not an empty list
+  for (const [key, items] of blocks) frontmatter[key] = items.length ? items : null;
+  return { frontmatter, body: content.slice(m[0].length) };
+}
+
+// A note with its parsed frontmatter: { path, name, modified, frontmatter, body }, or null
+function getNote(reference) {
+  const note = resolveNote(reference);
+  if (!note) return null;
+  const full = path.join(vaultPath(), note.path);
+  const { frontmatter, body } = parseNote(fs.readFileSync(full, 'utf8'));
+  return { ...note, modified: fs.statSync(full).mtime.toISOString(), frontmatter, body };
 }
 
-module.exports = { listNotes, readNote, vaultStats, VAULT_PATH };
+module.exports = {
+  listNotes, readNote, writeNote, allNotes, searchNotes, vaultStats,
+  notePath, resolveNote, parseNote, getNote, vaultPath,
+  // Existing callers read the vault path as a property
+  get VAULT_PATH() { return vaultPath(); },
+};
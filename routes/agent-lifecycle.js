@@ -1,20 +1,13 @@
 // /api/agents/lifecycle/* — Agent spawn/park/health management
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { run } = require('../lib/run');
+const { ref } = require('../lib/schemas');
 
 const SESSION_LOGS_DIR = path.join(process.env.HOME, '.claude/session-logs');
 const PROTOCOL_PATH = path.join(process.env.HOME, 'agent-protocol.md');
 const PROMPT_STORE = path.join(process.env.HOME, '.claude/prompts.db');
 
-function run(cmd, timeout = 5000) {
-  try {
-    return execSync(cmd, { timeout, encoding: 'utf8' }).trim();
-  } catch (e) {
-    return '';
-  }
-}
-
 // Parse agent-protocol.md to extract active agents
 function getActiveAgents() {
   if (!fs.existsSync(PROTOCOL_PATH)) return [];
@@ -42,10 +35,10 @@ function getActiveAgents() {
 }
 
 // Get running Claude Code processes (heuristic: look for node processes with claude-related patterns)
-function getRunningAgentProcesses() {
+async function getRunningAgentProcesses() {
   try {
     // Look for processes that might be Claude Code instances
-    const psOutput = run('ps aux | grep -E "(claude|sonnet|opus)" | grep -v grep', 10000);
+    const psOutput = (await run('ps aux | grep -E "(claude|sonnet|opus)" | grep -v grep', { timeout: 10000, memoize: 5000 })) || '';
     const lines = psOutput.split('\n').filter(l => l.trim());
 
     return lines.map(line => {
@@ -106,9 +99,9 @@ function getActiveAgentSessions() {
 }
 
 // Aggregate agent health from multiple sources
-function getAgentHealth() {
+async function getAgentHealth() {
   const protocolAgents = getActiveAgents();
-  const processAgents = getRunningAgentProcesses();
+  const processAgents = await getRunningAgentProcesses();
   const sessionAgents = getActiveAgentSessions();
 
   // Merge data from multiple sources
@@ -168,14 +161,31 @@ function getAgentHealth() {
 
 function register(router) {
   // GET /api/agents/health — Comprehensive agent health check
-  router.get('/api/agents/health', (req, params) => {
-    const health = getAgentHealth();
+  router.get('/api/agents/health', {
+    scope: 'agents:read',
+    cache: { ttl: 15, key: 'agents' },
+    summary: 'Comprehensive agent health check (active, parked, processes)',
+    response: ref('AgentHealthResponse'),
+  }, async (req, params) => {
+    const health = await getAgentHealth();
     return { status: 200, body: health };
   });
 
   // GET /api/agents/active — List active agents (simplified)
-  router.get('/api/agents/active', (req, params) => {
-    const health = getAgentHealth();
+  router.get('/api/agents/active', {
+    scope: 'agents:read',
+    cache: { ttl: 15, key: 'agents' },
+    summary: 'List currently active agents',
+    response: {
+      type: 'object',
+      properties: {
+        active: { type: 'array', items: ref('AgentHealth') },
+        count: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' },
+      },
+    },
+  }, async (req, params) => {
+    const health = await getAgentHealth();
     const active = health.agents.filter(a =>
       a.status === 'Active' || (a.ageMs && a.ageMs < 3600000)
     );
@@ -190,7 +200,12 @@ function register(router) {
   });
 
   // POST /api/agents/spawn — Spawn new agent (placeholder)
-  router.post('/api/agents/spawn', (req, params) => {
+  router.post('/api/agents/spawn', {
+    scope: 'agents:admin',
+    summary: 'Spawn new agent (planned)',
+    status: 501,
+    response: ref('NotImplementedResponse'),
+  }, (req, params) => {
     // TODO: Implement agent spawning via AppleScript/iTerm automation
     // For now, return 501 Not Implemented with instructions
     return {
@@ -213,7 +228,12 @@ function register(router) {
   });
 
   // POST /api/agents/park — Park running agent (placeholder)
-  router.post('/api/agents/park', (req, params) => {
+  router.post('/api/agents/park', {
+    scope: 'agents:admin',
+    summary: 'Park running agent (planned)',
+    status: 501,
+    response: ref('NotImplementedResponse'),
+  }, (req, params) => {
     return {
       status: 501,
       body: {
@@ -234,7 +254,12 @@ function register(router) {
   });
 
   // POST /api/agents/handoff — Create handoff entry programmatically
-  router.post('/api/agents/handoff', (req, params) => {
+  router.post('/api/agents/handoff', {
+    scope: 'agents:admin',
+    summary: 'Create handoff entry (planned)',
+    status: 501,
+    response: ref('NotImplementedResponse'),
+  }, (req, params) => {
     return {
       status: 501,
       body: {
@@ -1,14 +1,42 @@
 // /api/agents/* — Agent coordination state endpoints
 const fs = require('fs');
 const path = require('path');
+const { ref } = require('../lib/schemas');
 
 const PROTOCOL_PATH = path.join(process.env.HOME, 'agent-protocol.md');
 const SESSION_LOGS_DIR = path.join(process.env.HOME, '.claude/session-logs');
 const COLLAB_BRIEF = path.join(process.env.HOME, 'claude-collab-brief.md');
 
+// Session logs, newest first: [{ name, modified, sizeBytes }]
+function listSessions() {
+  if (!fs.existsSync(SESSION_LOGS_DIR)) return [];
+  return fs.readdirSync(SESSION_LOGS_DIR)
+    .filter(f => f.endsWith('.md'))
+    .map(f => {
+      const stat = fs.statSync(path.join(SESSION_LOGS_DIR, f));
+      return { name: f, modified: stat.mtime.toISOString(), sizeBytes: stat.size };
+    })
+    .sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+// Contents of one session log; undefined for a path outside the log directory, null if missing
+function readSession(name) {
+  const logPath = path.join(SESSION_LOGS_DIR, name);
+  if (!logPath.startsWith(SESSION_LOGS_DIR)) return undefined;
+  if (!fs.existsSync(logPath)) return null;
+  return fs.readFileSync(logPath, 'utf8');
+}
+
 function register(router) {
   // Current coordination protocol
-  router.get('/api/agents/protocol', (req, params) => {
+  router.get('/api/agents/protocol', {
+    scope: 'agents:read',
+    tool: 'agents_protocol',
+    cache: { ttl: 30, key: 'agents' },
+    summary: 'Current agent coordination protocol',
+    response: ref('AgentProtocolResponse'),
+    errors: { 404: 'No agent-protocol.md found' },
+  }, (req, params) => {
     if (!fs.existsSync(PROTOCOL_PATH)) {
       return { status: 404, body: { error: 'No agent-protocol.md found' } };
     }
@@ -17,30 +45,41 @@ function register(router) {
   });
 
   // List session logs
-  router.get('/api/agents/sessions', (req, params) => {
-    if (!fs.existsSync(SESSION_LOGS_DIR)) {
-      return { status: 200, body: { sessions: [] } };
-    }
-    const logs = fs.readdirSync(SESSION_LOGS_DIR)
-      .filter(f => f.endsWith('.md'))
-      .map(f => {
-        const stat = fs.statSync(path.join(SESSION_LOGS_DIR, f));
-        return { name: f, modified: stat.mtime.toISOString(), sizeBytes: stat.size };
-      })
-      .sort((a, b) => b.modified.localeCompare(a.modified));
-    return { status: 200, body: { sessions: logs } };
+  router.get('/api/agents/sessions', {
+    scope: 'agents:read',
+    tool: 'agents_sessions',
+    cache: { ttl: 30, key: 'agents' },
+    list: 'sessions',
+    summary: 'List Claude session logs',
+    response: ref('AgentSessionsResponse'),
+  }, (req, params) => {
+    return { status: 200, body: { sessions: listSessions() } };
   });
 
   // Read a specific session log
-  router.get('/api/agents/sessions/:name', (req, params) => {
-    const logPath = path.join(SESSION_LOGS_DIR, params.name);
-    if (!logPath.startsWith(SESSION_LOGS_DIR)) return { status: 400, body: { error: 'Invalid path' } };
-    if (!fs.existsSync(logPath)) return { status: 404, body: { error: 'Session log not found' } };
-    return { status: 200, body: { name: params.name, content: fs.readFileSync(logPath, 'utf8') } };
+  router.get('/api/agents/sessions/:name', {
+    scope: 'agents:read',
+    tool: 'agents_session_read',
+    cache: { ttl: 30, key: 'agents' },
+    summary: 'Read specific session log',
+    params: { properties: { name: { type: 'string', description: 'Session log file name, e.g. 2026-02-08-watcher.md' } } },
+    response: ref('AgentSessionResponse'),
+    errors: { 400: 'Invalid path', 404: 'Session log not found' },
+  }, (req, params) => {
+    const content = readSession(params.name);
+    if (content === undefined) return { status: 400, body: { error: 'Invalid path' } };
+    if (content === null) return { status: 404, body: { error: 'Session log not found' } };
+    return { status: 200, body: { name: params.name, content } };
   });
 
   // Collaboration brief
-  router.get('/api/agents/collab-brief', (req, params) => {
+  router.get('/api/agents/collab-brief', {
+    scope: 'agents:read',
+    cache: { ttl: 60, key: 'agents' },
+    summary: 'Codex-Claude collaboration brief',
+    response: ref('AgentCollabBriefResponse'),
+    errors: { 404: 'No claude-collab-brief.md found' },
+  }, (req, params) => {
     if (!fs.existsSync(COLLAB_BRIEF)) {
       return { status: 404, body: { error: 'No claude-collab-brief.md found' } };
     }
@@ -48,4 +87,4 @@ function register(router) {
   });
 }
 
-module.exports = { register };
+module.exports = { register, listSessions, readSession };
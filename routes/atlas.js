@@ -1,85 +1,893 @@
 // /api/atlas/* — MemoryAtlas voice memo endpoints
-const { getDb } = require('../lib/db');
+const fs = require('fs');
+const path = require('path');
+const { resolvePath } = require('../lib/db');
+const atlas = require('../lib/atlas');
+const vault = require('../lib/vault');
+const { fileResult, insideRoots } = require('../lib/media');
+const annotations = require('../lib/annotations');
+const atlaschanges = require('../lib/atlaschanges');
+const atlasindex = require('../lib/atlasindex');
+const transcripts = require('../lib/transcripts');
+const { ref } = require('../lib/schemas');
+
+const UNAVAILABLE = { 503: 'MemoryAtlas database unavailable, or it lacks the columns this needs' };
+
+// Fields ?sort= accepts on /api/atlas/assets (ties break on id)
+const SORTS = ['recorded_at', 'duration_sec', 'file_size_bytes', 'title', 'published_at', 'id'];
+const TRANSCRIPT_FORMATS = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+};
+const DATE = '^\\d{4}-\\d{2}-\\d{2}';
+// Query parameters assetFilters() understands, shared by the list and aggregate routes
+const FILTERS = {
+  type: { type: 'string', description: 'Asset source type: voice_memo, video, audio_import' },
+  status: { type: 'string', description: 'transcript_status, e.g. done, pending, failed' },
+  from: { type: 'string', pattern: DATE, description: 'Recorded on or after (date or date-time)' },
+  to: { type: 'string', pattern: DATE, description: 'Recorded on or before (a date includes the whole day)' },
+  min_duration: { type: 'number', minimum: 0, description: 'Seconds' },
+  max_duration: { type: 'number', minimum: 0, description: 'Seconds' },
+  min_size: { type: 'integer', minimum: 0, description: 'File size in bytes' },
+  max_size: { type: 'integer', minimum: 0, description: 'File size in bytes' },
+  published: { type: 'boolean', description: 'true: published_at set; false: not published' },
+  has_note: { type: 'boolean', description: 'true: linked to a vault note (note_path set); false: no note' },
+  starred: { type: 'boolean', description: 'Annotations: starred (false includes unannotated assets)' },
+  to_task: { type: 'boolean', description: 'Annotations: flagged to turn into a task' },
+  tag: { type: 'string', description: 'Annotations: has this tag (case-insensitive)' },
+  person: { type: 'string', description: 'Annotations: mentions this person (case-insensitive)' },
+  annotated: { type: 'boolean', description: 'true: has annotations; false: none' },
+};
+// Asset field each atlas.db filter reads; it is a 400 when atlas.db has no column for it
+const FILTER_FIELDS = {
+  type: 'source_type',
+  status: 'transcript_status',
+  from: 'recorded_at',
+  to: 'recorded_at',
+  min_duration: 'duration_sec',
+  max_duration: 'duration_sec',
+  min_size: 'file_size_bytes',
+  max_size: 'file_size_bytes',
+  published: 'published_at',
+  has_note: 'note_path',
+};
+// Features that can't work without these asset fields (503 when atlas.db lacks them)
+const FEATURES = {
+  timeline: ['recorded_at'],
+  heatmap: ['recorded_at'],
+  on_this_day: ['recorded_at'],
+  notes: ['note_path'],
+};
+// recorded_at's own date and time of day, without its offset: SQLite's date functions
+// convert '2024-05-01T23:30:00-07:00' to UTC, which would move it to May 2nd, 06:00
+const localTime = at => `substr(${at}, 1, 19)`;
+// ?bucket= on /api/atlas/timeline → SQL for the bucket's first day (or month) of a recorded_at expression
+const BUCKETS = {
+  day: at => `date(${at})`,
+  week: at => `date(${at}, 'weekday 0', '-6 days')`,
+  month: at => `strftime('%Y-%m', ${at})`,
+};
+// Zero-filled buckets one timeline response may span
+const MAX_BUCKETS = 5000;
+// Where MemoryAtlas publishes voice memo notes in the vault
+const VOICE_NOTES_DIR = 'MemoryAtlas/voice';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// atlas.db and its asset schema ({ db, schema }), or { error } with the 503 to return
+function openAtlas() {
+  const opened = atlas.open();
+  if (!opened) return { error: { status: 503, body: { error: 'MemoryAtlas database unavailable' } } };
+  if (!opened.schema.usable) {
+    const reason = opened.schema.table ? 'atlas.db asset table has no id column' : 'atlas.db has no asset table';
+    return { error: { status: 503, body: { error: reason, schema: '/api/atlas/schema' } } };
+  }
+  return opened;
+}
+
+// 503 when atlas.db has no column for a field the feature needs, otherwise null
+function featureMissing(schema, feature) {
+  const missing = FEATURES[feature].filter(field => !schema.fields[field]);
+  if (!missing.length) return null;
+  return { status: 503, body: { error: `Not supported by this atlas.db (no ${missing.join(', ')} column)`, feature, missing } };
+}
+
+// Query filters → SQL conditions for /api/atlas/assets; get(key) reads a query parameter.
+// { error } when a filter needs a field atlas.db has no column for.
+function assetFilters(get, schema) {
+  const unsupported = Object.keys(FILTER_FIELDS).filter(key => get(key) !== null && !schema.fields[FILTER_FIELDS[key]]);
+  if (unsupported.length) {
+    return {
+      error: {
+        status: 400,
+        body: { error: 'Filter not supported by this atlas.db', filters: unsupported, missing: [...new Set(unsupported.map(k => FILTER_FIELDS[k]))] },
+      },
+    };
+  }
+
+  const c = schema.sql;
+  const where = [];
+  const args = [];
+  const add = (sql, ...values) => { where.push(sql); args.push(...values); };
+  const bool = key => (get(key) === null ? null : ['true', '1'].includes(get(key)));
+
+  if (get('type')) add(`${c.source_type} = ?`, get('type'));
+  if (get('status')) add(`${c.transcript_status} = ?`, get('status'));
+  if (get('from')) add(`${c.recorded_at} >= ?`, get('from'));
+  // A bare date covers the whole day
+  if (get('to')) add(/^\d{4}-\d{2}-\d{2}$/.test(get('to')) ? `${c.recorded_at} < date(?, '+1 day')` : `${c.recorded_at} <= ?`, get('to'));
+  if (get('min_duration')) add(`${c.duration_sec} >= ?`, Number(get('min_duration')));
+  if (get('max_duration')) add(`${c.duration_sec} <= ?`, Number(get('max_duration')));
+  if (get('min_size')) add(`${c.file_size_bytes} >= ?`, Number(get('min_size')));
+  if (get('max_size')) add(`${c.file_size_bytes} <= ?`, Number(get('max_size')));
+  if (bool('published') !== null) add(`${c.published_at} IS ${bool('published') ? 'NOT ' : ''}NULL`);
+  if (bool('has_note') !== null) {
+    add(bool('has_note') ? `(${c.note_path} IS NOT NULL AND ${c.note_path} != '')` : `(${c.note_path} IS NULL OR ${c.note_path} = '')`);
+  }
+
+  // Annotations live in another database: match ids there, then filter on them here
+  const ids = (match, include = true) => add(`${c.id} ${include ? '' : 'NOT '}IN (SELECT value FROM json_each(?))`, JSON.stringify(annotations.matchingIds(match)));
+  if (bool('starred') !== null) ids({ starred: true }, bool('starred'));
+  if (bool('to_task') !== null) ids({ to_task: true }, bool('to_task'));
+  if (get('tag')) ids({ tag: get('tag') });
+  if (get('person')) ids({ person: get('person') });
+  if (bool('annotated') !== null) ids({}, bool('annotated'));
+  return { where, args };
+}
+
+function whereClause(where) {
+  return where.length ? ` WHERE ${where.join(' AND ')}` : '';
+}
+
+// Cursor = the sort and the (sort value, id) of the last row on the page, base64url JSON
+function encodeCursor({ sort, value, id }) {
+  return Buffer.from(JSON.stringify([sort, value === undefined ? null : value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sort !== 'string' || id === undefined || id === null) return null;
+    return { sort, value, id };
+  } catch {
+    return null;
+  }
+}
+
+// Rows after the cursor in (column, id) order, both SQL expressions. SQLite sorts NULLs
+// first ascending and last descending, so a NULL sort value needs its own condition.
+function keyset({ column, id: idColumn, desc }, { value, id }) {
+  const cmp = desc ? '<' : '>';
+  if (column === idColumn) return { sql: `${idColumn} ${cmp} ?`, args: [id] };
+  if (value === null) {
+    return desc
+      ? { sql: `(${column} IS NULL AND ${idColumn} < ?)`, args: [id] }
+      : { sql: `((${column} IS NULL AND ${idColumn} > ?) OR ${column} IS NOT NULL)`, args: [id] };
+  }
+  const after = `${column} ${cmp} ? OR (${column} = ? AND ${idColumn} ${cmp} ?)`;
+  return { sql: desc ? `(${after} OR ${column} IS NULL)` : `(${after})`, args: [value, value, id] };
+}
+
+// Every bucket label from first to last inclusive: 2025-01-06, 2025-01-13, ... or 2025-01, 2025-02, ...
+// Returns null past MAX_BUCKETS.
+function bucketRange(bucket, first, last) {
+  const labels = [];
+  const day = new Date(`${bucket === 'month' ? `${first.slice(0, 7)}-01` : first.slice(0, 10)}T00:00:00Z`);
+  const label = () => day.toISOString().slice(0, bucket === 'month' ? 7 : 10);
+  if (bucket === 'week') day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+  while (label() <= last) {
+    if (labels.length === MAX_BUCKETS) return null;
+    labels.push(label());
+    if (bucket === 'month') day.setUTCMonth(day.getUTCMonth() + 1);
+    else day.setUTCDate(day.getUTCDate() + (bucket === 'week' ? 7 : 1));
+  }
+  return labels;
+}
+
+// Today's date on the server's clock, YYYY-MM-DD
+function today() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+// { id } as atlas.db stores it (SQLite matches '05' to 5), or { error } with the 404/503 to
+// return. Annotations are keyed by this id so every spelling of it reaches the same record.
+function findAssetId(id) {
+  const { db, schema, error } = openAtlas();
+  if (error) return { error };
+  const row = db.prepare(`SELECT ${schema.sql.id} AS id FROM asset WHERE ${schema.sql.id} = ?`).get(id);
+  if (!row) return { error: { status: 404, body: { error: 'Asset not found' } } };
+  return { id: row.id };
+}
+
+// Case-insensitive comparison key for a note reference (the vault is on a case-insensitive volume)
+function noteKey(reference) {
+  const relative = vault.notePath(reference);
+  return relative ? relative.split(path.sep).join('/').toLowerCase() : null;
+}
+
+// Asset rows with their annotations (null when there are none) under "annotations"
+function withAnnotations(rows) {
+  const byId = annotations.getMany(rows.map(row => row.id));
+  return rows.map(row => ({ ...row, annotations: byId.get(String(row.id)) || null }));
+}
+
+// Ranked title + transcript search through the FTS index; titles only (LIKE) when the index is unavailable
+function searchAssets(db, schema, query, limit) {
+  const c = schema.sql;
+  const ranked = atlasindex.search(query, { limit });
+  if (!ranked) {
+    const rows = atlas.select(db, ` WHERE ${c.title} LIKE ? ORDER BY ${c.recorded_at} DESC, ${c.id} DESC LIMIT ?`, [`%${query}%`, limit]);
+    return { results: withAnnotations(rows), query, count: rows.length, mode: 'title' };
+  }
+  const rows = atlas.select(db, ` WHERE ${c.id} IN (SELECT value FROM json_each(?))`, [JSON.stringify(ranked.map(r => r.asset_id))]);
+  const byId = new Map(rows.map(row => [String(row.id), row]));
+  const results = withAnnotations(ranked
+    .filter(r => byId.has(r.asset_id))
+    .map(({ asset_id, ...match }) => ({ ...byId.get(asset_id), ...match })));
+  return { results, query, count: results.length, mode: 'fulltext' };
+}
 
 function register(router) {
-  // List all assets (paginated)
-  router.get('/api/atlas/assets', (req, params) => {
-    const db = getDb();
-    if (!db) return { status: 503, body: { error: 'MemoryAtlas database unavailable' } };
+  // List assets with filters, sort, field projection and cursor paging
+  // e.g. /api/atlas/assets?status=done&published=false&from=2025-01-01&sort=-duration_sec&fields=id,title
+  router.get('/api/atlas/assets', {
+    scope: 'atlas:read',
+    cache: { ttl: 30, key: 'atlas' },
+    list: 'assets',
+    summary: 'List assets (filters, sort, fields, cursor paging)',
+    description: 'Filters combine with AND. Pages are keyset-based: pass next_cursor back as ?cursor= with the same ' +
+      'sort and filters to get the following page, which stays stable while new recordings are inserted. ' +
+      'next_cursor is null on the last page. Sorting or filtering on a field this atlas.db has no column for ' +
+      'is a 400 (see /api/atlas/schema); without recorded_at the default sort is -id.',
+    query: {
+      properties: {
+        limit: { type: 'integer', default: 50, minimum: 1, maximum: 200 },
+        cursor: { type: 'string', description: 'next_cursor from the previous page' },
+        sort: { type: 'string', enum: SORTS.flatMap(c => [c, `-${c}`]), default: '-recorded_at', description: 'Field; prefix with - for descending' },
+        fields: { type: 'string', pattern: '^\\w+(,\\w+)*$', description: 'Comma-separated fields to return, e.g. id,title,recorded_at' },
+        ...FILTERS,
+      },
+    },
+    response: ref('AtlasAssetListResponse'),
+    errors: { 400: 'Invalid cursor, unknown fields, or a sort or filter atlas.db has no column for', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
 
     const url = new URL(req.url, 'http://localhost');
-    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
-    const offset = parseInt(url.searchParams.get('offset') || '0');
-    const type = url.searchParams.get('type'); // voice_memo, video, audio_import
-
-    let query = 'SELECT * FROM asset';
-    const args = [];
-    if (type) {
-      query += ' WHERE source_type = ?';
-      args.push(type);
+    const get = key => url.searchParams.get(key);
+    const limit = Math.min(parseInt(get('limit') || '50'), 200);
+    if (get('offset') !== null) {
+      return { status: 400, body: { error: 'offset paging was replaced by cursors: pass next_cursor as ?cursor=' } };
+    }
+
+    const sortParam = get('sort') || (schema.fields.recorded_at ? '-recorded_at' : '-id');
+    const field = sortParam.replace(/^-/, '');
+    if (!schema.fields[field]) return { status: 400, body: { error: 'Sort not supported by this atlas.db', sort: sortParam, missing: [field] } };
+    const sort = { field, column: schema.sql[field], id: schema.sql.id, desc: sortParam.startsWith('-') };
+
+    let fields = null;
+    if (get('fields')) {
+      const available = [...atlas.PUBLIC, 'annotations'];
+      fields = [...new Set(get('fields').split(','))];
+      const unknown = fields.filter(f => !available.includes(f));
+      if (unknown.length) return { status: 400, body: { error: 'Unknown fields', fields: unknown, available } };
     }
-    query += ' ORDER BY recorded_at DESC LIMIT ? OFFSET ?';
-    args.push(limit, offset);
 
-    const rows = db.prepare(query).all(...args);
+    const { where, args, error: badFilter } = assetFilters(get, schema);
+    if (badFilter) return badFilter;
+    const total = db.prepare(`SELECT COUNT(*) as count FROM asset${whereClause(where)}`).get(...args).count;
 
-    let countQuery = 'SELECT COUNT(*) as count FROM asset';
-    const countArgs = [];
-    if (type) {
-      countQuery += ' WHERE source_type = ?';
-      countArgs.push(type);
+    if (get('cursor')) {
+      const cursor = decodeCursor(get('cursor'));
+      if (!cursor || cursor.sort !== sortParam) return { status: 400, body: { error: 'Invalid cursor for this sort' } };
+      const after = keyset(sort, cursor);
+      where.push(after.sql);
+      args.push(...after.args);
     }
-    const total = db.prepare(countQuery).get(...countArgs);
 
-    return { status: 200, body: { assets: rows, total: total.count, limit, offset } };
+    const dir = sort.desc ? 'DESC' : 'ASC';
+    const order = field === 'id' ? `${sort.id} ${dir}` : `${sort.column} ${dir}, ${sort.id} ${dir}`;
+    const rows = atlas.select(db, `${whereClause(where)} ORDER BY ${order} LIMIT ?`, [...args, limit + 1]);
+
+    const more = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = more ? encodeCursor({ sort: sortParam, value: last[field], id: last.id }) : null;
+    const merged = !fields || fields.includes('annotations') ? withAnnotations(page) : page;
+    const assets = fields ? merged.map(row => Object.fromEntries(fields.map(f => [f, row[f]]))) : merged;
+
+    return { status: 200, body: { assets, total, limit, next_cursor: nextCursor } };
   });
 
   // Get single asset by ID
-  router.get('/api/atlas/assets/:id', (req, params) => {
-    const db = getDb();
-    if (!db) return { status: 503, body: { error: 'MemoryAtlas database unavailable' } };
+  router.get('/api/atlas/assets/:id', {
+    scope: 'atlas:read',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'Get single asset by ID',
+    response: ref('Asset'),
+    errors: { 404: 'Asset not found', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+
+    const row = atlas.select(db, ` WHERE ${schema.sql.id} = ?`, [params.id])[0];
+    if (!row) return { status: 404, body: { error: 'Asset not found' } };
+
+    return { status: 200, body: withAnnotations([row])[0] };
+  });
+
+  // The vault note MemoryAtlas published for an asset (its note_path)
+  router.get('/api/atlas/assets/:id/note', {
+    scope: 'atlas:read',
+    alsoRequires: ['vault:read'],
+    tool: 'atlas_note',
+    cache: { ttl: 30, key: 'vault' },
+    summary: 'Get the vault note published for an asset',
+    description: 'Resolves the asset\'s note_path in the vault and returns the note with its frontmatter parsed. ' +
+      'Also needs vault:read.',
+    response: ref('AtlasAssetNote'),
+    errors: { 404: 'Asset not found, it has no note_path, or the note is not in the vault', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    const unsupported = featureMissing(schema, 'notes');
+    if (unsupported) return unsupported;
+
+    const row = atlas.find(db, params.id);
+    if (!row) return { status: 404, body: { error: 'Asset not found' } };
+    if (!row.note_path) return { status: 404, body: { error: 'Asset has no note', asset_id: row.id } };
+    const note = vault.getNote(row.note_path);
+    if (!note) return { status: 404, body: { error: 'Note not found in the vault', asset_id: row.id, note_path: row.note_path } };
+
+    return { status: 200, body: { asset_id: row.id, note_path: row.note_path, ...note } };
+  });
+
+  // Our annotations for an asset (stars, tags, people, summary, task flag)
+  router.get('/api/atlas/assets/:id/annotations', {
+    scope: 'atlas:read',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'Get an asset\'s annotations',
+    response: ref('AtlasAnnotations'),
+    errors: { 404: 'Asset not found, or it has no annotations', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { id, error } = findAssetId(params.id);
+    if (error) return error;
+    const found = annotations.get(id);
+    if (!found) return { status: 404, body: { error: 'No annotations for this asset' } };
+    return { status: 200, body: found };
+  });
+
+  // POST /api/atlas/assets/:id/annotations { starred, tags, people, summary, to_task }
+  router.post('/api/atlas/assets/:id/annotations', {
+    scope: 'atlas:write',
+    summary: 'Annotate an asset',
+    description: 'Creates the asset\'s annotations; fields left out take their defaults. 409 when it already has ' +
+      'annotations (PATCH them instead).',
+    body: ref('AtlasAnnotationInput'),
+    status: 201,
+    response: ref('AtlasAnnotations'),
+    errors: { 404: 'Asset not found', 409: 'Asset already has annotations', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { id, error } = findAssetId(params.id);
+    if (error) return error;
+    const existing = annotations.get(id);
+    if (existing) return { status: 409, body: { error: 'Asset already has annotations; use PATCH', annotations: existing } };
+    return { status: 201, body: annotations.write(id, req.body || {}).annotations };
+  });
+
+  // PATCH /api/atlas/assets/:id/annotations { starred: true }
+  router.patch('/api/atlas/assets/:id/annotations', {
+    scope: 'atlas:write',
+    tool: 'atlas_annotate',
+    summary: 'Update an asset\'s annotations',
+    description: 'Changes only the fields in the body; tags and people are replaced as a whole. Creates the ' +
+      'annotations (201) when the asset has none yet.',
+    body: ref('AtlasAnnotationInput'),
+    response: ref('AtlasAnnotations'),
+    errors: { 404: 'Asset not found', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { id, error } = findAssetId(params.id);
+    if (error) return error;
+    const { annotations: updated, created } = annotations.write(id, req.body || {});
+    return { status: created ? 201 : 200, body: updated };
+  });
+
+  // DELETE /api/atlas/assets/:id/annotations
+  router.delete('/api/atlas/assets/:id/annotations', {
+    scope: 'atlas:write',
+    summary: 'Remove an asset\'s annotations',
+    response: { type: 'object', properties: { deleted: { type: 'string' } } },
+    errors: { 404: 'Asset has no annotations' },
+  }, (req, params) => {
+    // Annotations outlive their asset, so they can still be removed once it is gone from atlas.db
+    const { id = params.id } = findAssetId(params.id);
+    if (!annotations.remove(id)) return { status: 404, body: { error: 'No annotations for this asset' } };
+    return { status: 200, body: { deleted: String(id) } };
+  });
 
-    const row = db.prepare('SELECT * FROM asset WHERE id = ?').get(params.id);
+  // Stream the recording (e.g., <audio src="/api/atlas/assets/42/audio?access_token=...">)
+  router.get('/api/atlas/assets/:id/audio', {
+    scope: 'atlas:read',
+    queryToken: true,
+    summary: 'Stream the recording',
+    description: 'Serves the asset\'s source file with its MIME type. Supports Range requests (206 Partial Content, ' +
+      '416 past the end), ETag / If-None-Match and If-Range. Only files inside paths.mediaRoots are served. ' +
+      'Audio elements that cannot send headers may pass ?access_token=.',
+    contentType: 'audio/*',
+    response: { type: 'string', format: 'binary' },
+    errors: {
+      403: 'Recording is outside the media roots',
+      404: 'Asset not found, or it has no recording on disk',
+      416: 'Range not satisfiable',
+      ...UNAVAILABLE,
+    },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+
+    const row = atlas.find(db, params.id);
+    if (!row) return { status: 404, body: { error: 'Asset not found' } };
+    if (!schema.source || !row[schema.source]) return { status: 404, body: { error: 'No recording file for this asset' } };
+
+    let file;
+    let stat;
+    try {
+      file = fs.realpathSync(resolvePath(row[schema.source]));
+      stat = fs.statSync(file);
+    } catch {
+      return { status: 404, body: { error: 'Recording file not found' } };
+    }
+    if (!insideRoots(file)) return { status: 403, body: { error: 'Recording is outside the media roots' } };
+    if (!stat.isFile()) return { status: 404, body: { error: 'Recording file not found' } };
+    return fileResult(req, file, stat);
+  });
+
+  // Export the transcript (e.g., /api/atlas/assets/42/transcript?format=srt)
+  router.get('/api/atlas/assets/:id/transcript', {
+    scope: 'atlas:read',
+    tool: 'atlas_transcript',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'Export the transcript (JSON, SRT, WebVTT, text or Markdown)',
+    description: 'Cue timings come from the transcript\'s segments when atlas.db has them; otherwise sentences are ' +
+      'spread over the recording\'s duration and X-Transcript-Timing is "estimated". The Markdown export has YAML ' +
+      'frontmatter with title, recorded_at, duration_sec and source_type. 409 while transcript_status is not done.',
+    query: { properties: { format: { type: 'string', enum: ['json', ...Object.keys(TRANSCRIPT_FORMATS)], default: 'json' } } },
+    response: ref('AtlasTranscript'),
+    errors: { 404: 'Asset or transcript not found', 409: 'Transcript is not ready', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+
+    const format = new URL(req.url, 'http://localhost').searchParams.get('format') || 'json';
+    if (format !== 'json' && !TRANSCRIPT_FORMATS[format]) return { status: 400, body: { error: 'Unsupported format', format } };
+
+    const row = atlas.find(db, params.id);
     if (!row) return { status: 404, body: { error: 'Asset not found' } };
+    // Without a transcript_status column, whatever transcript atlas.db has is served
+    if (schema.fields.transcript_status && row.transcript_status !== 'done') {
+      return {
+        status: 409,
+        body: { error: `Transcript is not ready (transcript_status: ${row.transcript_status})`, transcript_status: row.transcript_status },
+      };
+    }
+    const transcript = transcripts.readTranscript(db, row);
+    if (!transcript) return { status: 404, body: { error: 'Transcript not found' } };
+
+    if (format === 'json') {
+      return {
+        status: 200,
+        body: { asset_id: row.id, title: row.title, timed: Boolean(transcript.segments), text: transcript.text, segments: transcript.segments },
+      };
+    }
+    const timed = transcripts.cues(transcript, row.duration_sec);
+    const content = {
+      srt: () => transcripts.toSrt(timed),
+      vtt: () => transcripts.toVtt(timed),
+      txt: () => transcripts.toText(transcript),
+      md: () => transcripts.toMarkdown(transcript, row),
+    }[format]();
+    const name = (row.title || '').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || `asset-${row.id}`;
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': TRANSCRIPT_FORMATS[format],
+        'Content-Disposition': `inline; filename="${name}.${format}"`,
+        'X-Transcript-Timing': timed.estimated ? 'estimated' : 'segments',
+      },
+      body: content,
+    };
+  });
+
+  // Reverse lookup: the asset a vault note was published from (e.g., /api/atlas/notes/asset?path=MemoryAtlas/voice/x.md)
+  router.get('/api/atlas/notes/asset', {
+    scope: 'atlas:read',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'Find the asset for a vault note',
+    description: 'Matches the path against asset note_path values, vault-relative or absolute, case-insensitively; ' +
+      'the .md extension is optional.',
+    query: {
+      properties: { path: { type: 'string', minLength: 1, description: 'Vault-relative note path, e.g. MemoryAtlas/voice/Morning walk.md' } },
+      required: ['path'],
+    },
+    response: ref('Asset'),
+    errors: { 400: 'Invalid path', 404: 'No asset links to this note', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    const unsupported = featureMissing(schema, 'notes');
+    if (unsupported) return unsupported;
+
+    const notePath = new URL(req.url, 'http://localhost').searchParams.get('path') || '';
+    const key = noteKey(notePath);
+    if (!key) return { status: 400, body: { error: 'Invalid path', path: notePath } };
 
-    return { status: 200, body: row };
+    const c = schema.sql;
+    const row = atlas.select(db, ` WHERE ${c.note_path} IS NOT NULL AND ${c.note_path} != '' ORDER BY ${c.id}`)
+      .find(asset => noteKey(asset.note_path) === key);
+    if (!row) return { status: 404, body: { error: 'No asset links to this note', path: notePath } };
+    return { status: 200, body: withAnnotations([row])[0] };
+  });
+
+  // Assets whose note is missing from the vault, and voice notes no asset links to
+  router.get('/api/atlas/notes/report', {
+    scope: 'atlas:read',
+    alsoRequires: ['vault:read'],
+    cache: { ttl: 60, key: 'vault' },
+    summary: 'Consistency report between atlas note_path values and the vault',
+    description: 'missing_notes: assets with a note_path that does not resolve to a note in the vault. ' +
+      `orphan_notes: notes under dir (default ${VOICE_NOTES_DIR}) that no asset's note_path points to. Also needs vault:read.`,
+    query: { properties: { dir: { type: 'string', default: VOICE_NOTES_DIR, description: 'Vault folder of published voice notes' } } },
+    response: ref('AtlasNoteReport'),
+    errors: { 400: 'Invalid dir', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    const unsupported = featureMissing(schema, 'notes');
+    if (unsupported) return unsupported;
+
+    const dir = new URL(req.url, 'http://localhost').searchParams.get('dir') || VOICE_NOTES_DIR;
+    if (dir.includes('..') || path.isAbsolute(dir)) return { status: 400, body: { error: 'Invalid dir', dir } };
+
+    const c = schema.sql;
+    const assets = atlas.select(db, ` WHERE ${c.note_path} IS NOT NULL AND ${c.note_path} != '' ORDER BY ${c.id}`);
+    const linked = new Set();
+    const missing = [];
+    for (const asset of assets) {
+      const note = vault.resolveNote(asset.note_path);
+      if (note) linked.add(noteKey(note.path));
+      else missing.push(asset);
+    }
+    const orphans = vault.allNotes(dir)
+      .filter(notePath => !linked.has(noteKey(notePath)))
+      .sort()
+      .map(notePath => ({
+        path: notePath,
+        name: path.basename(notePath, '.md'),
+        modified: fs.statSync(path.join(vault.vaultPath(), notePath)).mtime.toISOString(),
+      }));
+
+    return {
+      status: 200,
+      body: {
+        dir,
+        assets_with_notes: assets.length,
+        linked: assets.length - missing.length,
+        missing_notes: missing,
+        orphan_notes: orphans,
+      },
+    };
+  });
+
+  // Assets created, transcribed or published since a cursor (e.g., /api/atlas/changes?since=42)
+  router.get('/api/atlas/changes', {
+    scope: 'atlas:read',
+    tool: 'atlas_changes',
+    summary: 'Change feed: assets created, transcribed or published since a cursor',
+    description: 'Each call compares atlas.db with a snapshot and logs what changed, so polling is cheap. Pass the ' +
+      'returned cursor as ?since= on the next call; without since, every retained change is returned. A cursor ' +
+      'the log no longer covers is 410 with a fresh cursor: re-read /api/atlas/assets and continue from it. ' +
+      'The same changes are published on /api/events as atlas.created, atlas.transcribed and atlas.published.',
+    query: {
+      properties: {
+        since: { type: 'string', pattern: '^\\d+$', description: 'cursor from the previous response' },
+        limit: { type: 'integer', default: 100, minimum: 1, maximum: 1000 },
+        kind: { type: 'string', pattern: `^(${atlaschanges.KINDS.join('|')})(,(${atlaschanges.KINDS.join('|')}))*$`, description: 'Comma-separated kinds to return' },
+      },
+    },
+    response: ref('AtlasChangesResponse'),
+    errors: { 410: 'Cursor expired', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+
+    const url = new URL(req.url, 'http://localhost');
+    const since = url.searchParams.get('since');
+    if (since !== null && !/^\d+$/.test(since)) return { status: 400, body: { error: 'Invalid cursor', since } };
+    const kinds = url.searchParams.get('kind') ? url.searchParams.get('kind').split(',') : null;
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '100'), 1000);
+
+    atlaschanges.scan();
+    const feed = atlaschanges.read(since === null ? null : Number(since), { limit, kinds });
+    if (!feed) return { status: 503, body: { error: 'Change log unavailable' } };
+    if (feed.expired) return { status: 410, body: { error: 'Cursor expired; re-read /api/atlas/assets and continue from cursor', cursor: feed.cursor } };
+
+    const rows = atlas.select(db, ` WHERE ${schema.sql.id} IN (SELECT value FROM json_each(?))`,
+      [JSON.stringify([...new Set(feed.changes.map(c => c.asset_id))])]);
+    const byId = new Map(rows.map(row => [String(row.id), row]));
+    const changes = feed.changes.map(change => ({ ...change, asset: byId.get(change.asset_id) || null }));
+    return { status: 200, body: { changes, cursor: feed.cursor, more: feed.more } };
   });
 
   // MemoryAtlas stats
-  router.get('/api/atlas/stats', (req, params) => {
-    const db = getDb();
-    if (!db) return { status: 503, body: { error: 'MemoryAtlas database unavailable' } };
+  router.get('/api/atlas/stats', {
+    scope: 'atlas:read',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'MemoryAtlas statistics',
+    response: ref('AtlasStatsResponse'),
+    errors: UNAVAILABLE,
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
 
+    const c = schema.sql;
     const stats = db.prepare(`
       SELECT
         COUNT(*) as total_assets,
-        SUM(duration_sec) as total_duration_seconds,
-        MIN(recorded_at) as earliest,
-        MAX(recorded_at) as latest,
-        SUM(CASE WHEN transcript_status = 'done' THEN 1 ELSE 0 END) as transcribed_count,
-        SUM(CASE WHEN published_at IS NOT NULL THEN 1 ELSE 0 END) as published_count,
-        SUM(file_size_bytes) as total_size_bytes
+        SUM(${c.duration_sec}) as total_duration_seconds,
+        MIN(${c.recorded_at}) as earliest,
+        MAX(${c.recorded_at}) as latest,
+        SUM(CASE WHEN ${c.transcript_status} = 'done' THEN 1 ELSE 0 END) as transcribed_count,
+        SUM(CASE WHEN ${c.published_at} IS NOT NULL THEN 1 ELSE 0 END) as published_count,
+        SUM(${c.file_size_bytes}) as total_size_bytes
       FROM asset
     `).get();
 
     const byType = db.prepare(`
-      SELECT source_type, COUNT(*) as count
-      FROM asset GROUP BY source_type
+      SELECT ${c.source_type} AS source_type, COUNT(*) as count
+      FROM asset GROUP BY 1
     `).all();
 
     return { status: 200, body: { ...stats, byType } };
   });
 
-  // Search assets by title
-  router.get('/api/atlas/search/:query', (req, params) => {
-    const db = getDb();
-    if (!db) return { status: 503, body: { error: 'MemoryAtlas database unavailable' } };
+  // How atlas.db's asset table maps onto the asset fields we return, and what that leaves working
+  router.get('/api/atlas/schema', {
+    scope: 'atlas:read',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'atlas.db asset schema: mapped, missing and unknown columns',
+    description: 'fields maps each asset field to the atlas.db column it is read from (null when missing: the ' +
+      'field is always null, and sorting or filtering on it is a 400). unknown columns are not returned by any ' +
+      'endpoint. features lists what works with this schema. Rechecked after MemoryAtlas migrates atlas.db.',
+    response: ref('AtlasSchemaReport'),
+    errors: { 503: 'MemoryAtlas database unavailable' },
+  }, (req, params) => {
+    const opened = atlas.open();
+    if (!opened) return { status: 503, body: { error: 'MemoryAtlas database unavailable' } };
+    const { db, schema } = opened;
+
+    const features = { assets: schema.usable };
+    for (const [feature, needs] of Object.entries(FEATURES)) features[feature] = schema.usable && needs.every(f => schema.fields[f]);
+    features.audio = schema.usable && Boolean(schema.source);
+    features.transcripts = schema.usable && transcripts.source(db) !== null;
+    const filters = Object.keys(FILTER_FIELDS).filter(key => !schema.fields[FILTER_FIELDS[key]]);
+    const sorts = SORTS.filter(field => !schema.fields[field]);
 
-    const rows = db.prepare(
-      "SELECT id, title, source_type, duration_sec, recorded_at, transcript_status, note_path FROM asset WHERE title LIKE ? ORDER BY recorded_at DESC LIMIT 50"
-    ).all(`%${params.query}%`);
+    return { status: 200, body: { ...atlas.report(db), features, unsupported: { filters, sorts } } };
+  });
+
+  // Recordings per day, week or month (e.g., /api/atlas/timeline?bucket=week&from=2025-01-01)
+  router.get('/api/atlas/timeline', {
+    scope: 'atlas:read',
+    tool: 'atlas_timeline',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'Recording counts, minutes and progress per day, week or month',
+    description: 'Buckets run from from (or the first recording) to to (or the last recording), including empty ' +
+      'ones. Weeks start on Monday and are labelled with that date; months are labelled YYYY-MM. Dates are taken ' +
+      'from recorded_at as stored, in its own offset rather than UTC; recordings without one are left out. ' +
+      'Accepts the /api/atlas/assets filters.',
+    query: {
+      properties: {
+        bucket: { type: 'string', enum: Object.keys(BUCKETS), default: 'month' },
+        ...FILTERS,
+      },
+    },
+    response: ref('AtlasTimelineResponse'),
+    errors: { 400: 'Range spans too many buckets', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    const unsupported = featureMissing(schema, 'timeline');
+    if (unsupported) return unsupported;
+
+    const url = new URL(req.url, 'http://localhost');
+    const get = key => url.searchParams.get(key);
+    const bucket = get('bucket') || 'month';
+    if (!BUCKETS[bucket]) return { status: 400, body: { error: 'Unknown bucket', bucket, available: Object.keys(BUCKETS) } };
+
+    const c = schema.sql;
+    const { where, args, error: badFilter } = assetFilters(get, schema);
+    if (badFilter) return badFilter;
+    where.push(`${c.recorded_at} IS NOT NULL`);
+    const rows = db.prepare(`
+      SELECT ${BUCKETS[bucket](localTime(c.recorded_at))} AS period,
+        COUNT(*) AS assets,
+        COALESCE(SUM(${c.duration_sec}), 0) AS seconds,
+        SUM(CASE WHEN ${c.transcript_status} = 'done' THEN 1 ELSE 0 END) AS transcribed,
+        SUM(CASE WHEN ${c.published_at} IS NOT NULL THEN 1 ELSE 0 END) AS published
+      FROM asset${whereClause(where)}
+      GROUP BY period HAVING period IS NOT NULL ORDER BY period
+    `).all(...args);
+
+    const first = get('from') || (rows[0] && rows[0].period);
+    const last = get('to') || (rows.length && rows[rows.length - 1].period);
+    const labels = first && last ? bucketRange(bucket, first, last.slice(0, bucket === 'month' ? 7 : 10)) : [];
+    if (!labels) {
+      return { status: 400, body: { error: `Range spans more than ${MAX_BUCKETS} buckets; use a larger bucket or narrow from/to` } };
+    }
+
+    const byPeriod = new Map(rows.map(r => [r.period, r]));
+    const totals = { assets: 0, minutes: 0, transcribed: 0, published: 0 };
+    const buckets = labels.map((period) => {
+      const row = byPeriod.get(period) || { assets: 0, seconds: 0, transcribed: 0, published: 0 };
+      const entry = {
+        period,
+        assets: row.assets,
+        minutes: Math.round(row.seconds / 6) / 10,
+        transcribed: row.transcribed,
+        published: row.published,
+      };
+      totals.assets += entry.assets;
+      totals.minutes += row.seconds / 60;
+      totals.transcribed += entry.transcribed;
+      totals.published += entry.published;
+      return entry;
+    });
+    totals.minutes = Math.round(totals.minutes * 10) / 10;
+
+    return { status: 200, body: { bucket, from: labels[0] || null, to: labels[labels.length - 1] || null, buckets, totals } };
+  });
+
+  // When recordings happen: counts by weekday and hour of day
+  router.get('/api/atlas/heatmap', {
+    scope: 'atlas:read',
+    tool: 'atlas_heatmap',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'Recording heatmap by weekday and hour of day',
+    description: 'counts[weekday][hour] and minutes[weekday][hour], with weekday 0 = Sunday (see weekdays) and hours ' +
+      'taken from recorded_at as stored, in its own offset rather than UTC. Accepts the /api/atlas/assets filters.',
+    query: { properties: { ...FILTERS } },
+    response: ref('AtlasHeatmapResponse'),
+    errors: UNAVAILABLE,
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    const unsupported = featureMissing(schema, 'heatmap');
+    if (unsupported) return unsupported;
+
+    const url = new URL(req.url, 'http://localhost');
+    const c = schema.sql;
+    const { where, args, error: badFilter } = assetFilters(key => url.searchParams.get(key), schema);
+    if (badFilter) return badFilter;
+    where.push(`${c.recorded_at} IS NOT NULL`);
+    const rows = db.prepare(`
+      SELECT CAST(strftime('%w', ${localTime(c.recorded_at)}) AS INTEGER) AS weekday,
+        CAST(strftime('%H', ${localTime(c.recorded_at)}) AS INTEGER) AS hour,
+        COUNT(*) AS assets, COALESCE(SUM(${c.duration_sec}), 0) AS seconds
+      FROM asset${whereClause(where)}
+      GROUP BY weekday, hour HAVING weekday IS NOT NULL AND hour IS NOT NULL
+    `).all(...args);
+
+    const counts = WEEKDAYS.map(() => new Array(24).fill(0));
+    const minutes = WEEKDAYS.map(() => new Array(24).fill(0));
+    for (const row of rows) {
+      counts[row.weekday][row.hour] = row.assets;
+      minutes[row.weekday][row.hour] = Math.round(row.seconds / 6) / 10;
+    }
+    const total = rows.reduce((sum, row) => sum + row.assets, 0);
+    const max = rows.reduce((most, row) => Math.max(most, row.assets), 0);
+
+    return { status: 200, body: { weekdays: WEEKDAYS, counts, minutes, total, max } };
+  });
+
+  // Memos recorded on this calendar day in earlier years (e.g., /api/atlas/on-this-day?date=2025-06-01)
+  router.get('/api/atlas/on-this-day', {
+    scope: 'atlas:read',
+    tool: 'atlas_on_this_day',
+    cache: { ttl: 60, key: 'atlas' },
+    summary: 'Recordings from the same date in earlier years',
+    description: 'date defaults to today on the server\'s clock and matches recorded_at\'s own date, not its UTC ' +
+      'date. Years are newest first. On February 28 of a non-leap year, recordings from February 29 are included.',
+    query: {
+      properties: {
+        date: { type: 'string', pattern: `${DATE}$`, description: 'YYYY-MM-DD (default: today)' },
+        type: FILTERS.type,
+      },
+    },
+    response: ref('AtlasOnThisDayResponse'),
+    errors: { 400: 'Invalid date', ...UNAVAILABLE },
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    const unsupported = featureMissing(schema, 'on_this_day');
+    if (unsupported) return unsupported;
+
+    const url = new URL(req.url, 'http://localhost');
+    const date = url.searchParams.get('date') || today();
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== date) {
+      return { status: 400, body: { error: 'Invalid date, expected YYYY-MM-DD', date } };
+    }
+
+    const year = Number(date.slice(0, 4));
+    const days = [date.slice(5)];
+    if (days[0] === '02-28' && !isLeapYear(year)) days.push('02-29');
+    const c = schema.sql;
+    const { where, args, error: badFilter } = assetFilters(key => (key === 'type' ? url.searchParams.get(key) : null), schema);
+    if (badFilter) return badFilter;
+    where.push(`strftime('%m-%d', ${localTime(c.recorded_at)}) IN (${days.map(() => '?').join(', ')})`,
+      `CAST(strftime('%Y', ${localTime(c.recorded_at)}) AS INTEGER) < ?`);
+    args.push(...days, year);
+    const rows = withAnnotations(atlas.select(db, `${whereClause(where)} ORDER BY ${c.recorded_at} DESC, ${c.id} DESC`, args));
+
+    const years = [];
+    for (const row of rows) {
+      const y = Number(row.recorded_at.slice(0, 4));
+      if (!years.length || years[years.length - 1].year !== y) years.push({ year: y, years_ago: year - y, assets: [] });
+      years[years.length - 1].assets.push(row);
+    }
+
+    return { status: 200, body: { date, years, count: rows.length } };
+  });
+
+  // Search titles and transcripts (e.g., /api/atlas/search?q="budget meeting" studio*)
+  router.get('/api/atlas/search', {
+    scope: 'atlas:read',
+    tool: 'atlas_search',
+    cache: { ttl: 60, key: 'atlas' },
+    list: 'results',
+    summary: 'Search recordings by title and transcript',
+    description: 'Ranked full-text search over titles and transcripts of transcribed recordings. Words must all match; ' +
+      '"quoted phrases", prefix* terms and OR are supported. Each result has the best snippet and up to three ' +
+      'matching passages with their start/end times. The index catches up with atlas.db in the background, so ' +
+      'new transcripts show up shortly after they land. Falls back to a title substring match (mode: title) ' +
+      'when the search index cannot be opened or is still being built.',
+    query: {
+      properties: {
+        q: { type: 'string', minLength: 1, description: 'Words, "phrases", prefix* terms, OR' },
+        limit: { type: 'integer', default: 20, minimum: 1, maximum: 100 },
+      },
+      required: ['q'],
+    },
+    response: ref('AtlasSearchResponse'),
+    errors: UNAVAILABLE,
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    const { q, limit = 20 } = req.query;
+    return { status: 200, body: searchAssets(db, schema, q, limit) };
+  });
 
-    return { status: 200, body: { results: rows, query: params.query, count: rows.length } };
+  // Same search, query in the path (kept for existing callers)
+  router.get('/api/atlas/search/:query', {
+    scope: 'atlas:read',
+    cache: { ttl: 60, key: 'atlas' },
+    list: 'results',
+    summary: 'Search recordings (query in the path)',
+    description: 'Same as GET /api/atlas/search?q=, with up to 50 results.',
+    params: { properties: { query: { type: 'string', minLength: 1 } } },
+    response: ref('AtlasSearchResponse'),
+    errors: UNAVAILABLE,
+  }, (req, params) => {
+    const { db, schema, error } = openAtlas();
+    if (error) return error;
+    return { status: 200, body: searchAssets(db, schema, params.query, 50) };
   });
 }
 
@@ -0,0 +1,132 @@
+// POST /api/batch — several API calls in one round trip
+// Each sub-request is dispatched through the same Router (auth, validation,
+// negotiation, cache) with the caller's credentials, and gets its own status,
+// headers and body back. Runs of GETs execute concurrently; a mutation waits for
+// everything before it, so results read as if the calls were made in order.
+// With transaction: true the whole batch runs in order inside one tasks.db
+// transaction and is rolled back if any sub-request fails.
+const accesslog = require('../lib/accesslog');
+const cache = require('../lib/cache');
+const { dispatch: dispatchRequest } = require('../lib/dispatch');
+const taskdb = require('../lib/taskdb');
+const { ref } = require('../lib/schemas');
+
+const BATCH_PATH = '/api/batch';
+const TASK_QUEUE = '/api/q';
+
+// Thrown inside a transaction to roll it back once a sub-request fails
+class Rollback extends Error {}
+
+function pathnameOf(path) {
+  return new URL(path, 'http://localhost').pathname;
+}
+
+// Route one sub-request with the caller's credentials and Origin (lib/dispatch keeps the
+// headers auth reads); returns a handler result (or a Promise of one)
+function dispatch(router, parent, sub, i) {
+  if (pathnameOf(sub.path) === BATCH_PATH) return { status: 400, body: { error: 'Batches cannot be nested' } };
+  return dispatchRequest(router, {
+    id: `${parent.id}.${i + 1}`,
+    method: sub.method,
+    url: sub.path,
+    headers: parent.headers,
+    socket: parent.socket,
+    body: sub.body,
+  });
+}
+
+// Handler result → batch response entry
+function settle(sub, result) {
+  const entry = sub.id !== undefined ? { id: sub.id } : {};
+  if (!result || typeof result.status === 'undefined') {
+    return { ...entry, status: 500, body: { error: 'Internal server error - invalid handler response' } };
+  }
+  if (typeof result.stream === 'function') {
+    return { ...entry, status: 400, body: { error: 'Streaming responses are not available in a batch', path: sub.path } };
+  }
+  const headers = result.headers && Object.keys(result.headers).length ? { headers: result.headers } : {};
+  return { ...entry, status: result.status, ...headers, body: result.body };
+}
+
+function failed(parent, sub, err) {
+  console.error(`[${parent.id}] batch ${sub.method} ${accesslog.redactUrl(sub.path)}`, err);
+  return settle(sub, { status: 500, body: { error: 'Internal server error' } });
+}
+
+async function runConcurrent(router, req, requests) {
+  const responses = new Array(requests.length);
+  let reads = [];
+  const run = (sub, i) => Promise.resolve()
+    .then(() => dispatch(router, req, sub, i))
+    .then(result => settle(sub, result), err => failed(req, sub, err))
+    .then(response => { responses[i] = response; });
+
+  for (const [i, sub] of requests.entries()) {
+    if (sub.method === 'GET') {
+      reads.push(run(sub, i));
+    } else {
+      await Promise.all(reads);
+      reads = [];
+      await run(sub, i);
+    }
+  }
+  await Promise.all(reads);
+  return { status: 200, body: { responses } };
+}
+
+function runTransaction(router, req, requests) {
+  const outside = requests.find(sub => {
+    const pathname = pathnameOf(sub.path);
+    return pathname !== TASK_QUEUE && !pathname.startsWith(TASK_QUEUE + '/');
+  });
+  if (outside) {
+    return { status: 400, body: { error: 'Transactions only cover task queue paths (/api/q/...)', path: outside.path } };
+  }
+
+  const responses = [];
+  let committed = true;
+  try {
+    taskdb.transaction(() => {
+      for (const [i, sub] of requests.entries()) {
+        const result = dispatch(router, req, sub, i);
+        if (result && typeof result.then === 'function') {
+          throw new Error(`${sub.method} ${sub.path} cannot run inside a transaction (asynchronous handler)`);
+        }
+        const response = settle(sub, result);
+        responses.push(response);
+        if (response.status >= 400) throw new Rollback();
+      }
+    });
+  } catch (err) {
+    committed = false;
+    if (!(err instanceof Rollback)) responses.push(failed(req, requests[responses.length], err));
+    // Reads inside the transaction may have cached rows that no longer exist
+    cache.invalidate('tasks');
+  }
+
+  for (const sub of requests.slice(responses.length)) {
+    responses.push(settle(sub, { status: 424, body: { error: 'Not run: the transaction was rolled back' } }));
+  }
+  return { status: 200, body: { committed, responses } };
+}
+
+function register(router) {
+  router.post(BATCH_PATH, {
+    scope: 'public',
+    tag: 'batch',
+    summary: 'Run several API requests in one round trip',
+    description: 'Each sub-request is authorized on its own with the caller\'s token, so the batch itself needs no scope. ' +
+      'Consecutive GETs run concurrently; mutations run in order. With transaction: true every sub-request must target ' +
+      '/api/q/... and the batch runs in order inside one tasks.db transaction: the first sub-request with a 4xx/5xx ' +
+      'status rolls everything back, later ones are reported as 424, and committed is false.',
+    body: ref('BatchRequest'),
+    response: ref('BatchResponse'),
+    errors: { 400: 'Transactions only cover task queue paths (/api/q/...)' },
+  }, (req, params) => {
+    const { requests, transaction } = req.body;
+    if (transaction) return runTransaction(router, req, requests);
+    return runConcurrent(router, req, requests);
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,22 @@
+// /api/config — Effective configuration (read-only, secrets redacted)
+const config = require('../lib/config');
+
+function register(router) {
+  router.get('/api/config', {
+    scope: 'config:read',
+    summary: 'Effective configuration with the source of each setting (secrets redacted)',
+    response: {
+      type: 'object',
+      required: ['file', 'config', 'sources'],
+      properties: {
+        file: { type: 'string', description: 'Config file consulted ($PLIFE_CONFIG or ~/.claude/api-config.json)' },
+        config: { type: 'object', additionalProperties: true },
+        sources: { type: 'object', additionalProperties: { type: 'string', enum: ['default', 'file', 'env'] } },
+      },
+    },
+  }, (req, params) => {
+    return { status: 200, body: config.describe() };
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,80 @@
+// /api/test/*, /api/demo/* — Handler smoke tests and instrumentation demos
+
+// Langfuse wrapper for LLM tracking
+const { trackLLMCall } = require('../lib/langfuse-wrapper');
+
+function register(router) {
+  // Simple async test (no Langfuse)
+  router.get('/api/test/async', {
+    scope: 'public',
+    summary: 'Async handler smoke test',
+    response: { type: 'object', properties: { message: { type: 'string' }, timestamp: { type: 'string' } } },
+  }, async (req, params) => {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return {
+      status: 200,
+      body: { message: 'Async handler works!', timestamp: new Date().toISOString() }
+    };
+  });
+
+  // Demo endpoint: Langfuse instrumentation test
+  // This demonstrates how to track LLM calls when/if we add them
+  router.get('/api/demo/llm-call', {
+    scope: 'system:read',
+    summary: 'Langfuse instrumentation demo (mock LLM call)',
+    response: { type: 'object', additionalProperties: true },
+    errors: { 500: 'Demo endpoint failed' },
+  }, async (req, params) => {
+    try {
+      const startTime = Date.now();
+
+      // Simulate an LLM call (in real usage, this would be anthropic.messages.create() or similar)
+      const mockPrompt = "Analyze the PracticeLife OS ecosystem and suggest optimizations";
+      const mockResponse = "Based on the ecosystem analysis:\n1. Consolidate dashboard services\n2. Add caching layer\n3. Optimize database queries";
+      const mockUsage = {
+        input: 150,
+        output: 75,
+        total: 225,
+        cacheRead: 0,
+        cacheCreate: 0
+      };
+
+      // Track with Langfuse (non-blocking - fire and forget)
+      const trackingResult = await trackLLMCall({
+        name: 'ecosystem-optimization-analysis',
+        model: 'claude-sonnet-4-5-20250929',
+        input: mockPrompt,
+        output: mockResponse,
+        usage: mockUsage,
+        metadata: {
+          endpoint: '/api/demo/llm-call',
+          duration_ms: Date.now() - startTime,
+          demo: true
+        },
+        userId: 'peretz',
+        sessionId: 'demo-session'
+      });
+
+      return {
+        status: 200,
+        body: {
+          message: 'Langfuse instrumentation demo',
+          response: mockResponse,
+          usage: mockUsage,
+          langfuse: trackingResult
+        }
+      };
+    } catch (error) {
+      console.error('[Langfuse demo] Error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Demo endpoint failed',
+          details: error.message
+        }
+      };
+    }
+  });
+}
+
+module.exports = { register };
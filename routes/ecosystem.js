@@ -7,18 +7,11 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { run } = require('../lib/run');
+const { VAULT_PATH } = require('../lib/vault');
 
-function run(cmd) {
-  try {
-    return execSync(cmd, { encoding: 'utf8', timeout: 3000 }).trim();
-  } catch {
-    return null;
-  }
-}
-
-function checkPort(port) {
-  const result = run(`lsof -ti:${port}`);
+async function checkPort(port) {
+  const result = await run(`lsof -ti:${port}`, { timeout: 3000, memoize: 5000 });
   return result !== null && result.length > 0;
 }
 
@@ -54,16 +47,18 @@ function getAgentProtocol() {
   }
 }
 
-function getLaunchAgents() {
+async function getLaunchAgents() {
   const launchAgentDir = path.join(process.env.HOME, 'Library/LaunchAgents');
   const agents = [];
 
   try {
     const files = fs.readdirSync(launchAgentDir).filter(f => f.endsWith('.plist'));
+    // One launchctl call for every plist instead of one per label
+    const loaded = files.length ? await run('launchctl list', { timeout: 3000, memoize: 10000 }) : null;
 
     for (const file of files) {
       const label = file.replace('.plist', '');
-      const isLoaded = run(`launchctl list | grep ${label}`) !== null;
+      const isLoaded = loaded !== null && loaded.includes(label);
 
       agents.push({
         name: label,
@@ -101,15 +96,18 @@ function getSessionLogs() {
   }
 }
 
-function getEcosystemMap() {
+async function getEcosystemMap() {
   const agents = getAgentProtocol();
-  const launchAgents = getLaunchAgents();
   const sessionLogs = getSessionLogs();
 
   // Check service status
-  const dashboardUp = checkPort(3000);
-  const apiUp = checkPort(3001);
-  const promptBrowserUp = checkPort(3002);
+  const [launchAgents, dashboardUp, apiUp, promptBrowserUp, whisperProcess] = await Promise.all([
+    getLaunchAgents(),
+    checkPort(3000),
+    checkPort(3001),
+    checkPort(3002),
+    run('ps aux | grep -i "mlx-whisper" | grep -v grep', { timeout: 3000, memoize: 5000 }),
+  ]);
 
   return {
     meta: {
@@ -208,7 +206,7 @@ function getEcosystemMap() {
         type: "Background Process",
         interval: "continuous (one-time batch)",
         purpose: "Transcribing 929 voice memos with mlx-whisper turbo",
-        status: run('ps aux | grep -i "mlx-whisper" | grep -v grep') ? 'running' : 'stopped',
+        status: whisperProcess ? 'running' : 'stopped',
         progress: "Check: tail -f ~/tools/memoryatlas/data/transcribe-batch.log"
       }
     ],
@@ -229,7 +227,7 @@ function getEcosystemMap() {
       vault: {
         name: "Obsidian Vault",
         refrant: "vault",
-        path: path.join(process.env.HOME, 'Library/Mobile Documents/iCloud~md~obsidian/Documents/PracticeLife'),
+        path: VAULT_PATH,
         structure: [
           "Atlas/ — People, Concepts, Maps",
           "Claude/ — Agent coordination files",
@@ -307,8 +305,8 @@ function getEcosystemMap() {
 
     keyPaths: {
       home: process.env.HOME,
-      vault: path.join(process.env.HOME, 'Library/Mobile Documents/iCloud~md~obsidian/Documents/PracticeLife'),
-      vaultDashboard: path.join(process.env.HOME, 'Library/Mobile Documents/iCloud~md~obsidian/Documents/PracticeLife/Dashboards/Home.md'),
+      vault: VAULT_PATH,
+      vaultDashboard: path.join(VAULT_PATH, 'Dashboards/Home.md'),
       claudeConfig: path.join(process.env.HOME, '.claude'),
       sessionLogs: path.join(process.env.HOME, '.claude/session-logs'),
       agentProtocol: path.join(process.env.HOME, 'agent-protocol.md'),
@@ -349,9 +347,15 @@ function getEcosystemMap() {
 }
 
 function register(router) {
-  router.get('/api/ecosystem', (req, params) => {
+  router.get('/api/ecosystem', {
+    scope: 'system:read',
+    cache: { ttl: 60, key: 'ecosystem' },
+    summary: 'Complete PracticeLife OS map — services, agents, schedulers, infrastructure',
+    response: { type: 'object', additionalProperties: true },
+    errors: { 500: 'Ecosystem map failed' },
+  }, async (req, params) => {
     try {
-      const ecosystem = getEcosystemMap();
+      const ecosystem = await getEcosystemMap();
       return { status: 200, body: ecosystem };
     } catch (err) {
       return { status: 500, body: { error: err.message } };
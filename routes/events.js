@@ -0,0 +1,192 @@
+// /api/events — Server-Sent Events stream of live API events
+// Task and message events come straight from lib/taskdb; agent health, fleet probes
+// and atlas changes are polled, and the vault is watched, only while someone is listening.
+const fs = require('fs');
+const path = require('path');
+const events = require('../lib/events');
+const atlaschanges = require('../lib/atlaschanges');
+const { hasScope } = require('../lib/auth');
+const { VAULT_PATH } = require('../lib/vault');
+const { getAgentHealth } = require('./agent-lifecycle');
+const { probeFleet } = require('./fleet');
+
+const HEARTBEAT_MS = 25000;
+const AGENT_POLL_MS = 15000;
+const FLEET_POLL_MS = 30000;
+const ATLAS_POLL_MS = 15000;
+const VAULT_DEBOUNCE_MS = 500;
+
+// Scope a caller needs to receive each topic family
+const TOPIC_SCOPES = {
+  task: 'tasks:read',
+  message: 'tasks:read',
+  agent: 'agents:read',
+  fleet: 'fleet:read',
+  vault: 'vault:read',
+  atlas: 'atlas:read',
+};
+
+// agent.health — emitted when an agent's status or last activity changes
+function watchAgentHealth(publish) {
+  let previous = null;
+  let inFlight = false;
+  const check = async () => {
+    if (inFlight) return;
+    inFlight = true;
+    let health;
+    try { health = await getAgentHealth(); } catch { return; } finally { inFlight = false; }
+    const current = new Map(health.agents.map(a => [a.name, `${a.status}|${a.lastActivity || ''}`]));
+    if (previous) {
+      const changed = health.agents.filter(a => previous.get(a.name) !== current.get(a.name));
+      const removed = [...previous.keys()].filter(name => !current.has(name));
+      if (changed.length || removed.length) {
+        publish('agent.health', { changed, removed, summary: health.summary });
+      }
+    }
+    previous = current;
+  };
+  check();
+  const timer = setInterval(check, AGENT_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+// fleet.probe — emitted when a fleet service goes up or down
+function watchFleet(publish) {
+  let previous = null;
+  let inFlight = false;
+  const check = async () => {
+    if (inFlight) return;
+    inFlight = true;
+    try {
+      const current = await probeFleet();
+      if (previous) {
+        for (const [name, state] of Object.entries(current)) {
+          if (!previous[name] || previous[name].ok !== state.ok) {
+            publish('fleet.probe', { name, ...state, previous: previous[name] ? previous[name].ok : null });
+          }
+        }
+      }
+      previous = current;
+    } finally {
+      inFlight = false;
+    }
+  };
+  check();
+  const timer = setInterval(check, FLEET_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+// vault.modified — emitted (debounced per file) when a markdown note changes
+function watchVault(publish) {
+  if (!fs.existsSync(VAULT_PATH)) return null;
+  const pending = new Map();
+  let watcher;
+  try {
+    watcher = fs.watch(VAULT_PATH, { recursive: true }, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.md')) return;
+      if (filename.split(path.sep).some(part => part.startsWith('.'))) return;
+      clearTimeout(pending.get(filename));
+      pending.set(filename, setTimeout(() => {
+        pending.delete(filename);
+        const exists = fs.existsSync(path.join(VAULT_PATH, filename));
+        publish('vault.modified', { path: filename, change: exists ? 'modified' : 'deleted' });
+      }, VAULT_DEBOUNCE_MS));
+    });
+  } catch (err) {
+    console.error(`[events] Cannot watch vault: ${err.message}`);
+    return null;
+  }
+  watcher.on('error', err => console.error(`[events] Vault watcher error: ${err.message}`));
+  return () => {
+    watcher.close();
+    for (const timer of pending.values()) clearTimeout(timer);
+  };
+}
+
+// atlas.created, atlas.transcribed, atlas.published — published by lib/atlaschanges as scans find them
+function watchAtlas() {
+  const check = () => {
+    try {
+      atlaschanges.scan();
+    } catch (err) {
+      console.error(`[events] Atlas scan failed: ${err.message}`);
+    }
+  };
+  check();
+  const timer = setInterval(check, ATLAS_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+let sourcesAdded = false;
+
+function addSources() {
+  if (sourcesAdded) return;
+  sourcesAdded = true;
+  events.addSource('agent-health', watchAgentHealth);
+  events.addSource('fleet', watchFleet);
+  events.addSource('vault', watchVault);
+  events.addSource('atlas', watchAtlas);
+}
+
+function formatEvent(event) {
+  const payload = JSON.stringify({ topic: event.topic, time: event.time, data: event.data });
+  return `id: ${event.id}\nevent: ${event.topic}\ndata: ${payload}\n\n`;
+}
+
+function register(router) {
+  addSources();
+
+  // GET /api/events?topics=task,message — SSE stream; resume with Last-Event-ID
+  router.get('/api/events', {
+    scope: 'events:read',
+    queryToken: true,
+    summary: 'Live event stream (SSE) — task, message, agent, fleet, vault and atlas topics',
+    description: 'Each event is named by its topic (task.created, task.updated, task.deleted, message.added, ' +
+      'agent.health, fleet.probe, vault.modified, atlas.annotated, atlas.created, atlas.transcribed, atlas.published). Topics are further limited to the caller\'s read scopes. ' +
+      'EventSource clients that cannot send headers may pass ?access_token=.',
+    query: {
+      properties: {
+        topics: { type: 'string', description: 'Comma-separated topic prefixes, e.g. task,message (default: all permitted)' },
+        since: { type: 'integer', minimum: 0, description: 'Replay buffered events after this id (same as Last-Event-ID)' },
+      },
+    },
+    contentType: 'text/event-stream',
+    response: { type: 'string' },
+    errors: { 403: 'No permitted topics' },
+  }, (req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const scopes = req.auth ? req.auth.scopes : [];
+    const permitted = Object.keys(TOPIC_SCOPES).filter(family => hasScope(scopes, TOPIC_SCOPES[family]));
+    const requested = (url.searchParams.get('topics') || '').split(',').map(t => t.trim()).filter(Boolean);
+    const topics = requested.length
+      ? requested.filter(t => permitted.includes(t.split('.')[0]))
+      : permitted;
+    if (!topics.length) {
+      return { status: 403, body: { error: 'No permitted topics', requested, permitted } };
+    }
+
+    const lastId = parseInt((req.headers && req.headers['last-event-id']) || url.searchParams.get('since') || '0') || 0;
+
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      },
+      stream(req, res) {
+        res.write(`retry: 3000\n: topics ${topics.join(',')}\n\n`);
+        const send = event => res.write(formatEvent(event));
+        for (const event of events.since(lastId, { topics })) send(event);
+        const unsubscribe = events.subscribe(send, { topics });
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+        const cleanup = () => { clearInterval(heartbeat); unsubscribe(); };
+        req.on('close', cleanup);
+        return cleanup;
+      },
+    };
+  });
+}
+
+module.exports = { register, formatEvent, TOPIC_SCOPES };
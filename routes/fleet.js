@@ -1,20 +1,13 @@
 // /api/fleet/* — Multi-machine fleet status and coordination
 // Probes Anvil (M3 Ultra) and reports unified fleet health
-const { execSync } = require('child_process');
 const http = require('http');
 const os = require('os');
+const { run } = require('../lib/run');
+const config = require('../lib/config');
 
-const ANVIL_LAN = '192.168.1.105';
-const ANVIL_TS = '100.116.17.120';
+const { anvilLan: ANVIL_LAN, anvilTailscale: ANVIL_TS, litellmHost: LITELLM_HOST, litellmPort: LITELLM_PORT } = config.get().fleet;
 const ANVIL_OLLAMA = 11434;
 const ANVIL_DASHBOARD = 3000;
-const LITELLM_PORT = 4000;
-
-function run(cmd, timeout = 5000) {
-  try {
-    return execSync(cmd, { timeout, encoding: 'utf8' }).trim();
-  } catch { return null; }
-}
 
 // Quick HTTP probe — returns { ok, latencyMs, data? }
 function probe(host, port, path, timeout = 3000) {
@@ -37,9 +30,9 @@ function probe(host, port, path, timeout = 3000) {
   });
 }
 
-// Get Anvil system info via SSH (cached, fast)
-function getAnvilSystem() {
-  const info = run('ssh -o ConnectTimeout=3 -o StrictHostKeyChecking=no anvil "export PATH=/opt/homebrew/bin:/usr/local/bin:$PATH && echo HOSTNAME=$(hostname) && echo UPTIME=$(uptime) && echo MEM=$(vm_stat | head -5) && echo DISK=$(df -h / | tail -1)" 2>/dev/null', 8000);
+// Get Anvil system info via SSH (slow — memoized for a minute)
+async function getAnvilSystem() {
+  const info = await run('ssh -o ConnectTimeout=3 -o StrictHostKeyChecking=no anvil "export PATH=/opt/homebrew/bin:/usr/local/bin:$PATH && echo HOSTNAME=$(hostname) && echo UPTIME=$(uptime) && echo MEM=$(vm_stat | head -5) && echo DISK=$(df -h / | tail -1)" 2>/dev/null', { timeout: 8000, memoize: 60000 });
   if (!info) return null;
 
   const hostname = (info.match(/HOSTNAME=(.+)/) || [])[1] || 'unknown';
@@ -50,11 +43,15 @@ function getAnvilSystem() {
 }
 
 // Get Hearth (local) system info
-function getHearthSystem() {
+async function getHearthSystem() {
+  const [uptime, disk] = await Promise.all([
+    run('uptime', { memoize: 5000 }),
+    run('df -h / | tail -1', { memoize: 5000 }),
+  ]);
   return {
     hostname: os.hostname(),
-    uptime: run('uptime')?.replace(/.*up/, 'up') || 'unknown',
-    disk: run("df -h / | tail -1") || 'unknown',
+    uptime: uptime?.replace(/.*up/, 'up') || 'unknown',
+    disk: disk || 'unknown',
     cpus: os.cpus().length,
     totalMemGB: Math.round(os.totalmem() / 1073741824),
     freeMemGB: Math.round(os.freemem() / 1073741824 * 10) / 10,
@@ -62,9 +59,37 @@ function getHearthSystem() {
   };
 }
 
+// Whether anything is listening on a local port
+async function portStatus(port) {
+  return (await run(`/usr/sbin/lsof -ti:${port}`, { memoize: 5000 })) ? 'up' : 'down';
+}
+
+// Reachability of the fleet's network services — feeds fleet.probe events
+async function probeFleet() {
+  const [anvilLan, anvilTailscale, litellm, localOllama] = await Promise.all([
+    probe(ANVIL_LAN, ANVIL_OLLAMA, '/api/tags'),
+    probe(ANVIL_TS, ANVIL_OLLAMA, '/api/tags'),
+    probe(LITELLM_HOST, LITELLM_PORT, '/health/readiness'),
+    probe('127.0.0.1', ANVIL_OLLAMA, '/api/tags'),
+  ]);
+  const summarize = r => ({ ok: r.ok, latencyMs: r.latencyMs });
+  return {
+    'anvil-lan': summarize(anvilLan),
+    'anvil-tailscale': summarize(anvilTailscale),
+    litellm: summarize(litellm),
+    'hearth-ollama': summarize(localOllama),
+  };
+}
+
 function register(router) {
   // GET /api/fleet — Full fleet status
-  router.get('/api/fleet', async (req, params) => {
+  router.get('/api/fleet', {
+    scope: 'fleet:read',
+    tool: 'fleet_status',
+    cache: { ttl: 30, key: 'fleet' },
+    summary: 'Full fleet status — Hearth, Anvil, NAS, mobile devices, routing, Tailscale',
+    response: { type: 'object', additionalProperties: true },
+  }, async (req, params) => {
     // Probe all endpoints in parallel (Anvil dashboard replaces multiple probes)
     const [
       anvilDashboard,
@@ -76,7 +101,7 @@ function register(router) {
       probe(ANVIL_LAN, ANVIL_DASHBOARD, '/api/status'),
       probe(ANVIL_LAN, ANVIL_OLLAMA, '/api/tags'),
       probe(ANVIL_TS, ANVIL_OLLAMA, '/api/tags'),
-      probe('127.0.0.1', LITELLM_PORT, '/health/readiness'),
+      probe(LITELLM_HOST, LITELLM_PORT, '/health/readiness'),
       probe('127.0.0.1', ANVIL_OLLAMA, '/api/tags'),
     ]);
 
@@ -110,6 +135,15 @@ function register(router) {
       }));
     }
 
+    // Local commands run concurrently with the LiteLLM lookup below
+    const localChecks = Promise.all([
+      getHearthSystem(),
+      run('tailscale status --json 2>/dev/null', { timeout: 5000, memoize: 10000 }),
+      portStatus(3000),
+      portStatus(3002),
+      portStatus(3003),
+    ]);
+
     // Get Anvil system info — prefer dashboard API (fast), fallback to SSH (slow)
     let anvilSystem = null;
     let anvilMetrics = null;
@@ -123,15 +157,13 @@ function register(router) {
       anvilSystem = getAnvilSystem();
     }
 
-    const hearthSystem = getHearthSystem();
-
     // LiteLLM routes (needs auth header)
     let litellmModels = [];
     if (litellm.ok) {
       litellmModels = await new Promise(resolve => {
         const req = http.get({
-          host: '127.0.0.1', port: LITELLM_PORT, path: '/v1/models', timeout: 3000,
-          headers: { 'Authorization': 'Bearer sk-litellm-local' },
+          host: LITELLM_HOST, port: LITELLM_PORT, path: '/v1/models', timeout: 3000,
+          headers: { 'Authorization': `Bearer ${config.get().fleet.litellmToken}` },
         }, res => {
           let body = '';
           res.on('data', d => body += d);
@@ -145,8 +177,10 @@ function register(router) {
       });
     }
 
+    anvilSystem = await anvilSystem;
+    const [hearthSystem, tailscaleStatus, dashboardPort, promptBrowserPort, contactVerifyPort] = await localChecks;
+
     // Tailscale status
-    const tailscaleStatus = run('tailscale status --json 2>/dev/null', 5000);
     let tailscaleDevices = [];
     if (tailscaleStatus) {
       try {
@@ -176,10 +210,10 @@ function register(router) {
           ip: { lan: '192.168.1.113' },
           system: hearthSystem,
           services: {
-            dashboard: { port: 3000, status: run('/usr/sbin/lsof -ti:3000') ? 'up' : 'down' },
+            dashboard: { port: 3000, status: dashboardPort },
             api: { port: 3001, status: 'up' }, // we're running right now
-            promptBrowser: { port: 3002, status: run('/usr/sbin/lsof -ti:3002') ? 'up' : 'down' },
-            contactVerify: { port: 3003, status: run('/usr/sbin/lsof -ti:3003') ? 'up' : 'down' },
+            promptBrowser: { port: 3002, status: promptBrowserPort },
+            contactVerify: { port: 3003, status: contactVerifyPort },
             litellm: { port: 4000, status: litellm.ok ? 'up' : 'down', latencyMs: litellm.latencyMs },
             ollama: { port: 11434, status: localOllama.ok ? 'up' : 'down' },
           },
@@ -264,7 +298,22 @@ function register(router) {
   });
 
   // GET /api/fleet/anvil — Quick Anvil-only health check
-  router.get('/api/fleet/anvil', async (req, params) => {
+  router.get('/api/fleet/anvil', {
+    scope: 'fleet:read',
+    cache: { ttl: 15, key: 'fleet' },
+    summary: 'Quick Anvil health check (Ollama status + models)',
+    response: {
+      type: 'object',
+      required: ['status', 'latencyMs'],
+      properties: {
+        status: { type: 'string', enum: ['online', 'unreachable'] },
+        latencyMs: { type: 'integer' },
+        models: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, size: { type: 'string' } } } },
+        totalModels: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' },
+      },
+    },
+  }, async (req, params) => {
     const result = await probe(ANVIL_LAN, ANVIL_OLLAMA, '/api/tags');
     if (!result.ok) {
       return { status: 200, body: { status: 'unreachable', latencyMs: result.latencyMs } };
@@ -288,7 +337,20 @@ function register(router) {
   });
 
   // GET /api/fleet/search — Semantic search over vault embeddings (proxied to Anvil)
-  router.get('/api/fleet/search', async (req, params) => {
+  router.get('/api/fleet/search', {
+    scope: 'fleet:read',
+    cache: { ttl: 60, key: 'fleet' },
+    summary: 'Semantic search over vault embeddings (proxied to Anvil)',
+    query: {
+      properties: {
+        q: { type: 'string', minLength: 1, description: 'Search text' },
+        limit: { type: 'integer', default: 10, minimum: 1, maximum: 100 },
+      },
+      required: ['q'],
+    },
+    response: { type: 'object', additionalProperties: true },
+    errors: { 400: 'Missing ?q= parameter', 502: 'Vault embed API unreachable on Anvil' },
+  }, async (req, params) => {
     const url = new URL(req.url, 'http://localhost');
     const q = url.searchParams.get('q');
     const limit = url.searchParams.get('limit') || '10';
@@ -303,11 +365,27 @@ function register(router) {
   });
 
   // GET /api/fleet/routes — LiteLLM routing table
-  router.get('/api/fleet/routes', async (req, params) => {
+  router.get('/api/fleet/routes', {
+    scope: 'fleet:read',
+    cache: { ttl: 60, key: 'fleet' },
+    summary: 'LiteLLM routing table (anvil/local/cloud/gpu routes)',
+    response: {
+      type: 'object',
+      required: ['status'],
+      properties: {
+        status: { type: 'string', enum: ['ok', 'litellm_unreachable'] },
+        total: { type: 'integer' },
+        routes: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+        all: { type: 'array', items: { type: 'string' } },
+        models: { type: 'array', items: { type: 'string' } },
+        timestamp: { type: 'string', format: 'date-time' },
+      },
+    },
+  }, async (req, params) => {
     const models = await new Promise(resolve => {
       const req = http.get({
-        host: '127.0.0.1', port: LITELLM_PORT, path: '/v1/models', timeout: 3000,
-        headers: { 'Authorization': 'Bearer sk-litellm-local' },
+        host: LITELLM_HOST, port: LITELLM_PORT, path: '/v1/models', timeout: 3000,
+        headers: { 'Authorization': `Bearer ${config.get().fleet.litellmToken}` },
       }, res => {
         let body = '';
         res.on('data', d => body += d);
@@ -342,4 +420,4 @@ function register(router) {
   });
 }
 
-module.exports = { register };
+module.exports = { register, probeFleet };
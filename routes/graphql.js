@@ -0,0 +1,446 @@
+// /api/graphql — GraphQL over atlas assets, vault notes, the task queue and agents
+// The schema is built on the same data access as the REST routes (lib/atlas, lib/vault,
+// lib/taskdb, agent health). Each request gets its own loaders, so asking for
+// the messages of 50 tasks or the assets behind 50 ids is one SQLite query each.
+// Fields check the caller's scopes (req.auth) the way the REST routes do: a
+// field the token can't read comes back null with an error, the rest still resolves.
+
+const fs = require('fs');
+const path = require('path');
+const { buildSchema, graphql, printSchema, GraphQLError } = require('graphql');
+const atlas = require('../lib/atlas');
+const taskdb = require('../lib/taskdb');
+const vault = require('../lib/vault');
+const { hasScope } = require('../lib/auth');
+const { getAgentHealth } = require('./agent-lifecycle');
+const { listSessions, readSession } = require('./agents');
+
+const MAX_LIMIT = 200;
+
+const typeDefs = `
+  type Query {
+    task(id: Int!): Task
+    tasks(status: String, owner: String, assignee: String, limit: Int = 50, offset: Int = 0): [Task!]
+    asset(id: ID!): Asset
+    assets(type: String, limit: Int = 50, offset: Int = 0): [Asset!]
+    note(path: String!): Note
+    notes(dir: String = ""): [Note!]
+    agents: [Agent!]
+    agent(name: String!): Agent
+    sessions(limit: Int = 20): [SessionLog!]
+  }
+
+  type Task {
+    id: Int!
+    title: String!
+    description: String
+    owner: String!
+    assignee: String
+    status: String!
+    priority: Int!
+    source: String
+    category: String
+    section: String
+    tags: [String!]!
+    due_date: String
+    created_at: String!
+    updated_at: String!
+    completed_at: String
+    messages: [Message!]!
+    watchers: [String!]!
+    "Vault notes referenced from the title or description ([[wikilinks]] or paths ending in .md)"
+    notes: [Note!]
+    "The assignee, matched by name against agent health"
+    agent: Agent
+  }
+
+  type Message {
+    id: Int!
+    task_id: Int!
+    author: String!
+    type: String!
+    content: String!
+    created_at: String!
+  }
+
+  type Asset {
+    id: ID!
+    source_type: String
+    title: String
+    duration_sec: Float
+    recorded_at: String
+    transcript_status: String
+    note_path: String
+    published_at: String
+    file_size_bytes: Float
+    "The vault note at note_path"
+    note: Note
+  }
+
+  type Note {
+    path: String!
+    name: String!
+    modified: String
+    content: String
+  }
+
+  type Agent {
+    name: String!
+    id: String
+    model: String
+    status: String
+    focus: String
+    source: String
+    lastActivity: String
+    sessionLog: String
+    "The agent's most recent session log"
+    session: SessionLog
+    "Open tasks assigned to the agent"
+    tasks: [Task!]
+  }
+
+  type SessionLog {
+    name: String!
+    modified: String
+    sizeBytes: Int
+    content: String
+  }
+`;
+
+// Collects keys requested in the same tick and fetches them with one batch call
+// batch(keys) → Map key → value (missing keys resolve to null)
+function createLoader(batch) {
+  const cache = new Map();
+  let queue = null;
+  const dispatch = () => {
+    const pending = queue;
+    queue = null;
+    try {
+      const found = batch(pending.map(p => p.key));
+      for (const p of pending) p.resolve(found.has(p.key) ? found.get(p.key) : null);
+    } catch (err) {
+      for (const p of pending) p.reject(err);
+    }
+  };
+  return {
+    load(key) {
+      if (cache.has(key)) return cache.get(key);
+      if (!queue) {
+        queue = [];
+        process.nextTick(dispatch);
+      }
+      const promise = new Promise((resolve, reject) => queue.push({ key, resolve, reject }));
+      cache.set(key, promise);
+      return promise;
+    },
+  };
+}
+
+function openAtlas() {
+  const opened = atlas.open();
+  if (!opened || !opened.schema.usable) throw new GraphQLError('MemoryAtlas database unavailable', { extensions: { code: 'UNAVAILABLE' } });
+  return opened;
+}
+
+// Per-request context: the caller, loaders and once-per-request lookups
+function createContext(req) {
+  let health = null;
+  let noteIndex = null;
+  return {
+    auth: req.auth || null,
+    tasks: createLoader(ids => taskdb.getTasksById(ids)),
+    messages: createLoader(ids => {
+      const found = taskdb.getMessagesByTask(ids);
+      return new Map(ids.map(id => [id, found.get(id) || []]));
+    }),
+    watchers: createLoader(ids => {
+      const found = taskdb.getWatchersByTask(ids);
+      return new Map(ids.map(id => [id, found.get(id) || []]));
+    }),
+    assets: createLoader(ids => {
+      const { db, schema } = openAtlas();
+      const rows = atlas.select(db, ` WHERE ${schema.sql.id} IN (SELECT value FROM json_each(?))`, [JSON.stringify(ids)]);
+      return new Map(rows.map(r => [String(r.id), r]));
+    }),
+    agents: () => (health = health || getAgentHealth().then(h => h.agents)),
+    // Lower-cased note name → vault-relative path, for resolving [[wikilinks]]
+    noteIndex: () => {
+      if (!noteIndex) {
+        noteIndex = new Map();
+        const notes = fs.existsSync(vault.VAULT_PATH) ? vault.allNotes() : [];
+        for (const p of notes) {
+          const name = path.basename(p, '.md').toLowerCase();
+          if (!noteIndex.has(name)) noteIndex.set(name, p);
+        }
+      }
+      return noteIndex;
+    },
+  };
+}
+
+function requireScope(ctx, scope) {
+  if (!ctx.auth) throw new GraphQLError('Authentication required', { extensions: { code: 'UNAUTHENTICATED' } });
+  if (!hasScope(ctx.auth.scopes, scope)) {
+    throw new GraphQLError(`Insufficient scope: ${scope}`, { extensions: { code: 'FORBIDDEN', required: scope } });
+  }
+}
+
+// Wrap a resolver so it only runs for callers holding scope
+function scoped(scope, resolve) {
+  return (source, args, ctx, info) => {
+    requireScope(ctx, scope);
+    return resolve(source, args, ctx, info);
+  };
+}
+
+function clampLimit(limit) {
+  return Math.max(1, Math.min(limit, MAX_LIMIT));
+}
+
+// [[Note]], [[Folder/Note|alias]], [[Note#Heading]] and bare paths/to/note.md
+function noteReferences(text) {
+  if (!text) return [];
+  const refs = [];
+  for (const m of text.matchAll(/\[\[([^\]|#]+)(?:[#|][^\]]*)?\]\]/g)) refs.push({ link: m[1].trim() });
+  for (const m of text.matchAll(/(?:^|[\s(])([\w./-]+\.md)\b/g)) refs.push({ path: m[1].trim() });
+  return refs;
+}
+
+function resolveReference(ref, ctx) {
+  if (ref.path) return vault.resolveNote(ref.path);
+  const direct = vault.resolveNote(ref.link.endsWith('.md') ? ref.link : `${ref.link}.md`);
+  if (direct) return direct;
+  const found = ctx.noteIndex().get(path.basename(ref.link).toLowerCase());
+  return found ? vault.resolveNote(found) : null;
+}
+
+function findAgent(agents, name) {
+  if (!name) return null;
+  const wanted = name.toLowerCase();
+  return agents.find(a => a.name.toLowerCase() === wanted) || null;
+}
+
+const resolvers = {
+  Query: {
+    task: scoped('tasks:read', (_, { id }, ctx) => ctx.tasks.load(id)),
+    tasks: scoped('tasks:read', (_, { status, owner, assignee, limit, offset }) =>
+      taskdb.listTasks({ status, owner, assignee, limit: clampLimit(limit), offset }).tasks),
+    asset: scoped('atlas:read', (_, { id }, ctx) => ctx.assets.load(String(id))),
+    assets: scoped('atlas:read', (_, { type, limit, offset }) => {
+      const { db, schema } = openAtlas();
+      const c = schema.sql;
+      const args = type ? [type] : [];
+      return atlas.select(db, `${type ? ` WHERE ${c.source_type} = ?` : ''} ORDER BY ${c.recorded_at} DESC, ${c.id} DESC LIMIT ? OFFSET ?`,
+        [...args, clampLimit(limit), Math.max(0, offset)]);
+    }),
+    note: scoped('vault:read', (_, { path: notePath }) => (notePath.includes('..') ? null : vault.resolveNote(notePath))),
+    notes: scoped('vault:read', (_, { dir }) => {
+      if (dir.includes('..')) throw new GraphQLError('Invalid directory', { extensions: { code: 'BAD_REQUEST' } });
+      return vault.listNotes(dir);
+    }),
+    agents: scoped('agents:read', (_, args, ctx) => ctx.agents()),
+    agent: scoped('agents:read', async (_, { name }, ctx) => findAgent(await ctx.agents(), name)),
+    sessions: scoped('agents:read', (_, { limit }) => listSessions().slice(0, clampLimit(limit))),
+  },
+
+  Task: {
+    messages: (task, args, ctx) => ctx.messages.load(task.id),
+    watchers: (task, args, ctx) => ctx.watchers.load(task.id),
+    notes: scoped('vault:read', (task, args, ctx) => {
+      const seen = new Set();
+      return noteReferences(`${task.title}\n${task.description || ''}`)
+        .map(ref => resolveReference(ref, ctx))
+        .filter(note => note && !seen.has(note.path) && seen.add(note.path));
+    }),
+    agent: scoped('agents:read', async (task, args, ctx) => findAgent(await ctx.agents(), task.assignee)),
+  },
+
+  Asset: {
+    note: scoped('vault:read', asset => vault.resolveNote(asset.note_path)),
+  },
+
+  Note: {
+    modified: note => note.modified || fs.statSync(path.join(vault.VAULT_PATH, note.path)).mtime.toISOString(),
+    content: note => vault.readNote(note.path),
+  },
+
+  Agent: {
+    session: scoped('agents:read', agent => {
+      const sessions = listSessions();
+      const wanted = agent.name.toLowerCase();
+      return sessions.find(s => s.name === agent.sessionLog) || sessions.find(s => s.name.toLowerCase().includes(wanted)) || null;
+    }),
+    tasks: scoped('tasks:read', agent =>
+      taskdb.listTasks({ assignee: agent.name, limit: MAX_LIMIT }).tasks.filter(t => !['completed', 'cancelled'].includes(t.status))),
+  },
+
+  SessionLog: {
+    content: session => readSession(session.name) || null,
+  },
+};
+
+// Attach resolvers to the fields of an SDL-built schema
+function buildExecutableSchema(sdl, resolverMap) {
+  const built = buildSchema(sdl);
+  for (const [typeName, fields] of Object.entries(resolverMap)) {
+    const type = built.getType(typeName);
+    for (const [fieldName, resolve] of Object.entries(fields)) type.getFields()[fieldName].resolve = resolve;
+  }
+  return built;
+}
+
+const schema = buildExecutableSchema(typeDefs, resolvers);
+
+// Execute one operation for an HTTP request → { data, errors }
+function execute(req, { query, variables, operationName }) {
+  return graphql({
+    schema,
+    source: query,
+    variableValues: variables || undefined,
+    operationName: operationName || undefined,
+    contextValue: createContext(req),
+  });
+}
+
+const EXAMPLE_QUERY = `# Ctrl/Cmd+Enter to run
+{
+  tasks(status: "in_progress", limit: 10) {
+    id
+    title
+    assignee
+    notes { path }
+    agent { name status session { name modified } }
+    messages { author content }
+  }
+}
+`;
+
+// Query editor page (served from here, no CDN): query + variables, token, result, schema
+function renderPage() {
+  return `<!DOCTYPE html>
+<html lang="en"><head>
+<meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>GraphQL — PracticeLife API</title>
+<style>
+  *{margin:0;padding:0;box-sizing:border-box}
+  body{background:#0a0a0a;color:#e0e0e0;font-family:'SF Mono','Fira Code','Cascadia Code',monospace;height:100vh;display:flex;flex-direction:column}
+  a{color:#00ff88;text-decoration:none}
+  .topbar{background:#111;border-bottom:1px solid #222;padding:12px 24px;display:flex;align-items:center;gap:16px}
+  .topbar h1{color:#00ff88;font-size:16px;flex:1}
+  .topbar input{background:#151515;border:1px solid #222;border-radius:6px;color:#ccc;padding:6px 10px;font:inherit;font-size:12px;width:260px}
+  button{background:#00ff88;color:#0a0a0a;border:0;border-radius:6px;padding:7px 18px;font:inherit;font-weight:bold;cursor:pointer}
+  main{flex:1;display:grid;grid-template-columns:1fr 1fr 320px;min-height:0}
+  .col{display:flex;flex-direction:column;border-right:1px solid #1a1a1a;min-height:0}
+  .col h2{color:#555;font-size:10px;text-transform:uppercase;letter-spacing:1px;padding:8px 12px;background:#0d0d0d;border-bottom:1px solid #1a1a1a}
+  textarea,pre{flex:1;background:#0a0a0a;color:#e0e0e0;border:0;padding:12px;font:inherit;font-size:13px;resize:none;outline:none;overflow:auto;white-space:pre}
+  #variables{flex:0 0 120px;border-top:1px solid #1a1a1a}
+  #schema{font-size:11px;color:#888}
+</style>
+</head><body>
+<div class="topbar">
+  <h1>GraphQL <a href="/api/graphql/schema">schema</a></h1>
+  <input id="token" type="password" placeholder="Bearer token (optional on this machine)">
+  <button id="run">Run</button>
+</div>
+<main>
+  <div class="col"><h2>Query</h2><textarea id="query" spellcheck="false"></textarea>
+    <h2>Variables (JSON)</h2><textarea id="variables" spellcheck="false"></textarea></div>
+  <div class="col"><h2>Result</h2><pre id="result"></pre></div>
+  <div class="col"><h2>Schema</h2><pre id="schema"></pre></div>
+</main>
+<script>
+const $ = id => document.getElementById(id);
+$('query').value = localStorage.getItem('gql.query') || ${JSON.stringify(EXAMPLE_QUERY)};
+$('variables').value = localStorage.getItem('gql.variables') || '';
+$('token').value = sessionStorage.getItem('gql.token') || '';
+
+const headers = () => {
+  const h = { 'Content-Type': 'application/json' };
+  if ($('token').value) h.Authorization = 'Bearer ' + $('token').value;
+  return h;
+};
+
+async function run() {
+  localStorage.setItem('gql.query', $('query').value);
+  localStorage.setItem('gql.variables', $('variables').value);
+  sessionStorage.setItem('gql.token', $('token').value);
+  let variables = null;
+  try {
+    variables = $('variables').value.trim() ? JSON.parse($('variables').value) : null;
+  } catch (err) {
+    $('result').textContent = 'Variables are not valid JSON: ' + err.message;
+    return;
+  }
+  $('result').textContent = '…';
+  const started = performance.now();
+  try {
+    const res = await fetch('/api/graphql', { method: 'POST', headers: headers(), body: JSON.stringify({ query: $('query').value, variables }) });
+    const body = await res.json();
+    $('result').textContent = JSON.stringify(body, null, 2) + '\\n\\n// ' + res.status + ' in ' + Math.round(performance.now() - started) + 'ms';
+  } catch (err) {
+    $('result').textContent = String(err);
+  }
+}
+
+$('run').addEventListener('click', run);
+document.addEventListener('keydown', e => { if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) { e.preventDefault(); run(); } });
+fetch('/api/graphql/schema').then(r => r.text()).then(sdl => { $('schema').textContent = sdl; });
+</script>
+</body></html>`;
+}
+
+function register(router) {
+  router.post('/api/graphql', {
+    scope: 'public',
+    tag: 'graphql',
+    summary: 'Run a GraphQL query',
+    description: 'Queries tasks (with messages, watchers, linked vault notes and the assigned agent), atlas assets ' +
+      '(with their vault note), vault notes, agents and session logs. Each field checks the caller\'s scopes ' +
+      '(tasks:read, atlas:read, vault:read, agents:read); fields the caller cannot read come back null with an error. ' +
+      'Schema: GET /api/graphql/schema. Query editor: GET /graphiql.',
+    body: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string', minLength: 1 },
+        variables: { type: ['object', 'null'] },
+        operationName: { type: ['string', 'null'] },
+      },
+      additionalProperties: false,
+    },
+    response: {
+      type: 'object',
+      properties: {
+        data: { type: ['object', 'null'] },
+        errors: { type: 'array', items: { type: 'object' } },
+      },
+    },
+    errors: { 400: 'Query failed to parse or validate' },
+  }, async (req, params) => {
+    const result = await execute(req, req.body);
+    // Parse, validation and unsupported-operation errors come back without data
+    return { status: result.data ? 200 : 400, body: result };
+  });
+
+  router.get('/api/graphql/schema', {
+    scope: 'public',
+    tag: 'graphql',
+    summary: 'GraphQL schema (SDL)',
+    contentType: 'text/plain',
+    response: { type: 'string' },
+  }, (req, params) => {
+    return { status: 200, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: printSchema(schema) };
+  });
+
+  router.get('/graphiql', {
+    scope: 'public',
+    tag: 'graphql',
+    summary: 'GraphQL query editor (HTML)',
+    contentType: 'text/html',
+    response: { type: 'string' },
+  }, (req, params) => {
+    return { status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' }, body: renderPage() };
+  });
+}
+
+module.exports = { register, schema, execute, createLoader, noteReferences };
@@ -0,0 +1,47 @@
+// Route registry — builds the Router with every route module and the shared middleware
+// Used by server.js and by tooling that needs the routes without an HTTP server
+const { Router } = require('../lib/router');
+const auth = require('../lib/auth');
+const validate = require('../lib/validate');
+const cache = require('../lib/cache');
+const negotiate = require('../lib/negotiate');
+
+const modules = [
+  require('./meta'),
+  require('./batch'),
+  require('./graphql'),
+  require('./mcp'),
+  require('./config'),
+  require('./logs'),
+  require('./metrics'),
+  require('./atlas'),
+  require('./vault'),
+  require('./system'),
+  require('./agents'),
+  require('./agent-lifecycle'),
+  require('./ecosystem'),
+  require('./spend'),
+  require('./fleet'),
+  require('./tasks'),
+  require('./taskqueue'),
+  require('./events'),
+  require('./demo'),
+];
+
+function createRouter() {
+  const router = new Router();
+
+  // Every route declares the scope it needs; callers present a bearer token
+  router.use(auth.middleware);
+  // ...and declared params/query/body schemas are enforced before the handler runs
+  router.use(validate.middleware);
+  // List routes (list: '<rows key>') can answer as CSV, NDJSON or Markdown
+  router.use(negotiate.middleware);
+  // GET routes that declare cache: { ttl, key } get ETags and conditional GET
+  router.use(cache.middleware);
+
+  for (const mod of modules) mod.register(router);
+  return router;
+}
+
+module.exports = { createRouter };
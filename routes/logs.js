@@ -0,0 +1,54 @@
+// /api/logs — Query the structured access log (see lib/accesslog)
+const accesslog = require('../lib/accesslog');
+const config = require('../lib/config');
+
+function register(router) {
+  router.get('/api/logs', {
+    scope: 'logs:read',
+    list: 'entries',
+    summary: 'Access log entries, newest first',
+    description: 'One entry per request: time, id (X-Request-Id), method, path, route pattern, status, ' +
+      'durationMs, identity and response bytes. Reads the live log file and its rotations.',
+    query: {
+      properties: {
+        route: { type: 'string', description: 'Route pattern (/api/q/tasks/:id) or path prefix (/api/q)' },
+        status: { type: 'string', pattern: '^([1-5]xx|[1-5]\\d\\d)$', description: 'Exact status (404) or class (5xx)' },
+        since: { type: 'string', pattern: '^(\\d+[smhd]|\\d{4}-\\d{2}-\\d{2}.*)$', description: 'Relative (15m, 2h, 1d) or ISO timestamp' },
+        method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'] },
+        identity: { type: 'string', description: 'Caller identity (token owner, or local)' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      },
+    },
+    response: {
+      type: 'object',
+      required: ['entries', 'count'],
+      properties: {
+        entries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              time: { type: 'string', format: 'date-time' },
+              id: { type: 'string' },
+              method: { type: 'string' },
+              path: { type: 'string' },
+              route: { type: ['string', 'null'] },
+              status: { type: 'integer' },
+              durationMs: { type: 'number' },
+              identity: { type: ['string', 'null'] },
+              bytes: { type: 'integer' },
+              aborted: { type: 'boolean' },
+            },
+          },
+        },
+        count: { type: 'integer' },
+        file: { type: ['string', 'null'] },
+      },
+    },
+  }, async (req, params) => {
+    const entries = await accesslog.query(req.query);
+    return { status: 200, body: { entries, count: entries.length, file: config.get().logs.file } };
+  });
+}
+
+module.exports = { register };
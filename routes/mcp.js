@@ -0,0 +1,39 @@
+// POST /mcp — Model Context Protocol over HTTP (see lib/mcp)
+// Each POST carries one JSON-RPC message and gets its response as JSON; there is
+// no server-initiated stream, so GET /mcp answers 405. Tool calls run with the
+// caller's bearer token, exactly like the routes behind them.
+const mcp = require('../lib/mcp');
+const { isLocalOrigin } = require('../lib/auth');
+
+function register(router) {
+  router.post('/mcp', {
+    scope: 'public',
+    tag: 'mcp',
+    summary: 'Model Context Protocol endpoint (JSON-RPC)',
+    description: 'Streamable HTTP transport without server-sent streams: POST one JSON-RPC message, get the response ' +
+      'as application/json (202 with no body for notifications). Tools come from routes that declare tool: in their ' +
+      'metadata and are authorized with the caller\'s token.',
+    body: {
+      type: 'object',
+      required: ['jsonrpc'],
+      properties: {
+        jsonrpc: { const: '2.0' },
+        id: { type: ['string', 'integer'] },
+        method: { type: 'string' },
+        params: { type: 'object' },
+      },
+    },
+    status: 200,
+    response: { type: 'object', description: 'JSON-RPC response' },
+    errors: { 403: 'Origin not allowed' },
+  }, async (req, params) => {
+    // Browsers send Origin; only pages served from this machine may talk to /mcp (DNS rebinding)
+    const origin = req.headers.origin;
+    if (origin && !isLocalOrigin(origin)) return { status: 403, body: { error: 'Origin not allowed', origin } };
+    const response = await mcp.handle(router, req.body, { id: req.id, headers: req.headers, socket: req.socket });
+    if (!response) return { status: 202, headers: { 'Content-Type': 'text/plain' }, body: '' };
+    return { status: 200, body: response };
+  });
+}
+
+module.exports = { register };
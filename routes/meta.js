@@ -0,0 +1,46 @@
+// /api, /api/openapi.json, /health — Self-description generated from the route registry
+const { buildSpec, buildIndex } = require('../lib/openapi');
+const { ref } = require('../lib/schemas');
+const { version } = require('../package.json');
+
+function register(router) {
+  // Root endpoint — API index
+  router.get('/api', {
+    scope: 'public',
+    summary: 'API index',
+    response: ref('ApiIndexResponse'),
+  }, (req, params) => {
+    return {
+      status: 200,
+      body: {
+        name: 'PracticeLife API',
+        version,
+        routes: router.routes.length,
+        openapi: '/api/openapi.json',
+        endpoints: buildIndex(router),
+      },
+    };
+  });
+
+  // Live OpenAPI 3.1 document
+  router.get('/api/openapi.json', {
+    scope: 'public',
+    summary: 'OpenAPI 3.1 document for this server',
+    response: { type: 'object', additionalProperties: true },
+  }, (req, params) => {
+    const host = req.headers && req.headers.host;
+    const servers = host ? [{ url: `${req.socket && req.socket.encrypted ? 'https' : 'http'}://${host}` }] : undefined;
+    return { status: 200, body: buildSpec(router, { servers }) };
+  });
+
+  // Health check
+  router.get('/health', {
+    scope: 'public',
+    summary: 'Health check',
+    response: ref('HealthResponse'),
+  }, (req, params) => {
+    return { status: 200, body: { ok: true, uptime: process.uptime() } };
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,121 @@
+// /metrics — Prometheus scrape endpoint
+// Request series come from lib/metrics; the collectors below read app state at
+// scrape time. Slow sources (vault walk, fleet probes) are memoized between scrapes.
+const metrics = require('../lib/metrics');
+const taskdb = require('../lib/taskdb');
+const atlas = require('../lib/atlas');
+const { vaultStats } = require('../lib/vault');
+const { probeFleet } = require('./fleet');
+
+const VAULT_TTL_MS = 60000;
+const FLEET_TTL_MS = 30000;
+
+// Memoize an (optionally async) function for ttl ms
+function memo(fn, ttl) {
+  let cached = null;
+  return () => {
+    if (!cached || cached.expires <= Date.now()) {
+      cached = { expires: Date.now() + ttl, value: Promise.resolve().then(fn) };
+      cached.value.catch(() => { cached = null; });
+    }
+    return cached.value;
+  };
+}
+
+const vaultNotes = memo(() => vaultStats().totalNotes, VAULT_TTL_MS);
+const fleetProbe = memo(probeFleet, FLEET_TTL_MS);
+
+const COLLECTORS = {
+  tasks: () => [{
+    name: 'plife_tasks',
+    help: 'Tasks in the queue by owner and status',
+    type: 'gauge',
+    samples: taskdb.getDepth().map(r => ({ labels: { owner: r.owner, status: r.status }, value: r.count })),
+  }],
+
+  atlas: () => {
+    const opened = atlas.open();
+    if (!opened || !opened.schema.usable) throw new Error('MemoryAtlas database unavailable');
+    const { db, schema: { sql } } = opened;
+    const byType = db.prepare(`SELECT ${sql.source_type} AS source_type, COUNT(*) as count FROM asset GROUP BY 1`).all();
+    const byTranscript = db.prepare(`SELECT ${sql.transcript_status} AS transcript_status, COUNT(*) as count FROM asset GROUP BY 1`).all();
+    return [
+      {
+        name: 'plife_atlas_assets',
+        help: 'MemoryAtlas assets by source type',
+        type: 'gauge',
+        samples: byType.map(r => ({ labels: { source_type: r.source_type || 'unknown' }, value: r.count })),
+      },
+      {
+        name: 'plife_atlas_transcripts',
+        help: 'MemoryAtlas assets by transcript status',
+        type: 'gauge',
+        samples: byTranscript.map(r => ({ labels: { status: r.transcript_status || 'none' }, value: r.count })),
+      },
+    ];
+  },
+
+  vault: async () => [{
+    name: 'plife_vault_notes',
+    help: 'Markdown notes in the Obsidian vault',
+    type: 'gauge',
+    samples: [{ labels: {}, value: await vaultNotes() }],
+  }],
+
+  fleet: async () => {
+    const probes = Object.entries(await fleetProbe());
+    return [
+      {
+        name: 'plife_fleet_up',
+        help: 'Fleet service reachable (1) or not (0)',
+        type: 'gauge',
+        samples: probes.map(([target, p]) => ({ labels: { target }, value: p.ok ? 1 : 0 })),
+      },
+      {
+        name: 'plife_fleet_probe_latency_seconds',
+        help: 'Fleet service probe latency',
+        type: 'gauge',
+        samples: probes.map(([target, p]) => ({ labels: { target }, value: p.latencyMs / 1000 })),
+      },
+    ];
+  },
+};
+
+// Run every collector; one failing source shows up as plife_collector_up 0, not a failed scrape
+async function collect() {
+  const names = Object.keys(COLLECTORS);
+  const results = await Promise.allSettled(names.map(name => Promise.resolve().then(COLLECTORS[name])));
+  const families = [];
+  const up = [];
+  results.forEach((result, i) => {
+    up.push({ labels: { collector: names[i] }, value: result.status === 'fulfilled' ? 1 : 0 });
+    if (result.status === 'fulfilled') families.push(...result.value);
+  });
+  families.push({ name: 'plife_collector_up', help: 'Whether each metrics collector succeeded', type: 'gauge', samples: up });
+  return families;
+}
+
+function register(router) {
+  router.get('/metrics', {
+    scope: 'metrics:read',
+    tag: 'metrics',
+    summary: 'Prometheus metrics (text exposition format)',
+    description: 'Request counts and latency histograms per route pattern, task queue depth by owner and status, ' +
+      'atlas asset and transcript counts, vault note count, fleet probe up/latency, process memory and event-loop lag.',
+    contentType: 'text/plain; version=0.0.4',
+    response: { type: 'string' },
+  }, async (req, params) => {
+    const families = [
+      ...metrics.requestFamilies(),
+      ...(await collect()),
+      ...metrics.processFamilies(),
+    ];
+    return {
+      status: 200,
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+      body: metrics.render(families),
+    };
+  });
+}
+
+module.exports = { register, collect };
@@ -339,10 +339,42 @@ async function getServiceBreakdown(req, params) {
   };
 }
 
+const spendReport = { type: 'object', additionalProperties: true };
+
 module.exports = {
   register(router) {
-    router.get('/api/spend', getSpendOverview);
-    router.get('/api/spend/cache', getCacheExplainer);
-    router.get('/api/spend/services', getServiceBreakdown);
+    router.get('/api/spend', {
+      scope: 'spend:read',
+      cache: { ttl: 300, key: 'spend' },
+      summary: 'Token usage and cost analysis across all AI services',
+      response: spendReport,
+    }, getSpendOverview);
+    router.get('/api/spend/cache', {
+      scope: 'spend:read',
+      cache: { ttl: 3600, key: 'spend' },
+      summary: 'Explain how Claude prompt caching saves money',
+      response: spendReport,
+    }, getCacheExplainer);
+    router.get('/api/spend/services', {
+      scope: 'spend:read',
+      cache: { ttl: 300, key: 'spend' },
+      summary: 'Token usage apportioned by service (:3000, :3001, Cursor, etc)',
+      response: spendReport,
+    }, getServiceBreakdown);
+
+    // Spend dashboard UI
+    router.get('/spend', {
+      scope: 'spend:read',
+      summary: 'Spend dashboard (HTML)',
+      contentType: 'text/html',
+      response: { type: 'string' },
+    }, (req, params) => {
+      const html = readFileSync(path.join(__dirname, '../public/spend.html'), 'utf8');
+      return {
+        status: 200,
+        headers: { 'Content-Type': 'text/html' },
+        body: html
+      };
+    });
   },
 };
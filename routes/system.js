@@ -1,20 +1,20 @@
 // /api/system/* — System state endpoints (mirrors life-dashboard logic)
-const { execSync } = require('child_process');
-
-function run(cmd, timeout = 5000) {
-  try {
-    return execSync(cmd, { timeout, encoding: 'utf8' }).trim();
-  } catch {
-    return null;
-  }
-}
+const { run } = require('../lib/run');
+const { ref } = require('../lib/schemas');
 
 function register(router) {
-  router.get('/api/system/state', (req, params) => {
+  router.get('/api/system/state', {
+    scope: 'system:read',
+    cache: { ttl: 10, key: 'system' },
+    summary: 'System metrics (CPU, memory, disk)',
+    response: ref('SystemStateResponse'),
+  }, async (req, params) => {
     const os = require('os');
-    const disk = run("df -h / | awk 'NR==2{print $5}'");
-    const diskFree = run("df -h / | awk 'NR==2{print $4}'");
-    const uptime = run('uptime');
+    const [disk, diskFree, uptime] = await Promise.all([
+      run("df -h / | awk 'NR==2{print $5}'", { memoize: 5000 }),
+      run("df -h / | awk 'NR==2{print $4}'", { memoize: 5000 }),
+      run('uptime', { memoize: 5000 }),
+    ]);
     const loadAvg = os.loadavg();
 
     return {
@@ -34,14 +34,24 @@ function register(router) {
     };
   });
 
-  router.get('/api/system/volumes', (req, params) => {
-    const raw = run('ls /Volumes/');
+  router.get('/api/system/volumes', {
+    scope: 'system:read',
+    cache: { ttl: 60, key: 'system' },
+    summary: 'Mounted volumes',
+    response: ref('SystemVolumesResponse'),
+  }, async (req, params) => {
+    const raw = await run('ls /Volumes/');
     const volumes = raw ? raw.split('\n').filter(Boolean) : [];
     return { status: 200, body: { volumes } };
   });
 
-  router.get('/api/system/usage', (req, params) => {
-    const usageJson = run(`node ${require('os').homedir()}/.claude/prompt-store.js usage 2>/dev/null`, 10000);
+  router.get('/api/system/usage', {
+    scope: 'system:read',
+    cache: { ttl: 300, key: 'system' },
+    summary: 'Claude token usage and cost (from prompt-store)',
+    response: { type: 'object', additionalProperties: true },
+  }, async (req, params) => {
+    const usageJson = await run(`node ${require('os').homedir()}/.claude/prompt-store.js usage 2>/dev/null`, { timeout: 10000 });
     if (!usageJson) return { status: 200, body: { error: 'Usage data unavailable' } };
     try {
       return { status: 200, body: JSON.parse(usageJson) };
@@ -50,8 +60,13 @@ function register(router) {
     }
   });
 
-  router.get('/api/system/ollama', (req, params) => {
-    const models = run('ollama list 2>/dev/null');
+  router.get('/api/system/ollama', {
+    scope: 'system:read',
+    cache: { ttl: 60, key: 'system' },
+    summary: 'Ollama model list',
+    response: ref('SystemOllamaResponse'),
+  }, async (req, params) => {
+    const models = await run('ollama list 2>/dev/null');
     if (!models) return { status: 200, body: { available: false, models: [] } };
     const lines = models.split('\n').slice(1).filter(Boolean);
     const parsed = lines.map(line => {
@@ -3,6 +3,7 @@
 // Owners: peretz, kevin, any agent name
 
 const taskdb = require('../lib/taskdb');
+const { ref, TASK_STATUSES } = require('../lib/schemas');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -16,7 +17,27 @@ function register(router) {
 
   // List tasks (with filters)
   // GET /api/q/tasks?owner=peretz&status=open&priority=1&category=time-sensitive&limit=50&offset=0&sort=updated
-  router.get('/api/q/tasks', (req) => {
+  router.get('/api/q/tasks', {
+    scope: 'tasks:read',
+    tool: 'tasks_list',
+    cache: { ttl: 10, key: 'tasks' },
+    list: 'tasks',
+    summary: 'List tasks (filters: owner, assignee, status, priority, category, source)',
+    query: {
+      properties: {
+        owner: { type: 'string' },
+        assignee: { type: 'string' },
+        status: { type: 'string', enum: ['open', ...TASK_STATUSES], description: 'open = pending, in_progress or blocked' },
+        priority: { type: 'integer', minimum: 1, maximum: 5 },
+        category: { type: 'string' },
+        source: { type: 'string' },
+        limit: { type: 'integer', default: 100, minimum: 1, maximum: 1000 },
+        offset: { type: 'integer', default: 0, minimum: 0 },
+        sort: { type: 'string', enum: ['priority', 'updated'], default: 'priority' },
+      },
+    },
+    response: ref('TaskListResponse'),
+  }, (req) => {
     const url = new URL(req.url, 'http://localhost');
     const filters = {
       owner: url.searchParams.get('owner'),
@@ -35,7 +56,15 @@ function register(router) {
 
   // Create task
   // POST /api/q/tasks { title, description, owner, assignee, priority, source, category, tags, due_date }
-  router.post('/api/q/tasks', (req) => {
+  router.post('/api/q/tasks', {
+    scope: 'tasks:write',
+    tool: 'task_create',
+    summary: 'Create task',
+    body: ref('TaskInput'),
+    status: 201,
+    response: ref('Task'),
+    errors: { 400: 'title is required' },
+  }, (req) => {
     const { title, description, owner, assignee, priority, source, category, section, tags, due_date } = req.body || {};
     if (!title) return { status: 400, body: { error: 'title is required' } };
     const task = taskdb.createTask({ title, description, owner, assignee, priority, source, category, section, tags, due_date });
@@ -44,7 +73,15 @@ function register(router) {
 
   // Get single task (with thread)
   // GET /api/q/tasks/:id
-  router.get('/api/q/tasks/:id', (req, params) => {
+  router.get('/api/q/tasks/:id', {
+    scope: 'tasks:read',
+    tool: 'task_get',
+    cache: { ttl: 10, key: 'tasks' },
+    summary: 'Get task with conversation thread',
+    params: { properties: { id: { type: 'integer', description: 'Task ID' } } },
+    response: ref('Task'),
+    errors: { 404: 'Task not found' },
+  }, (req, params) => {
     const task = taskdb.getTask(parseInt(params.id));
     if (!task) return { status: 404, body: { error: 'Task not found' } };
     return { status: 200, body: task };
@@ -52,7 +89,15 @@ function register(router) {
 
   // Update task
   // PATCH /api/q/tasks/:id { status, priority, assignee, ... }
-  router.patch('/api/q/tasks/:id', (req, params) => {
+  router.patch('/api/q/tasks/:id', {
+    scope: 'tasks:write',
+    tool: 'task_update',
+    summary: 'Update task (status, priority, assignee, ...)',
+    params: { properties: { id: { type: 'integer', description: 'Task ID' } } },
+    body: ref('TaskUpdate'),
+    response: ref('Task'),
+    errors: { 404: 'Task not found' },
+  }, (req, params) => {
     const id = parseInt(params.id);
     const existing = taskdb.getTask(id);
     if (!existing) return { status: 404, body: { error: 'Task not found' } };
@@ -60,9 +105,30 @@ function register(router) {
     return { status: 200, body: task };
   });
 
+  // Replace task
+  // PUT /api/q/tasks/:id { title, ... }
+  router.put('/api/q/tasks/:id', {
+    scope: 'tasks:write',
+    summary: 'Replace task',
+    description: 'Full replacement: fields left out of the body are reset to their defaults.',
+    params: { properties: { id: { type: 'integer', description: 'Task ID' } } },
+    body: ref('TaskReplace'),
+    response: ref('Task'),
+    errors: { 404: 'Task not found' },
+  }, (req, params) => {
+    const task = taskdb.replaceTask(parseInt(params.id), req.body || {});
+    if (!task) return { status: 404, body: { error: 'Task not found' } };
+    return { status: 200, body: task };
+  });
+
   // Delete task
   // DELETE /api/q/tasks/:id
-  router.delete('/api/q/tasks/:id', (req, params) => {
+  router.delete('/api/q/tasks/:id', {
+    scope: 'tasks:admin',
+    summary: 'Delete task',
+    params: { properties: { id: { type: 'integer', description: 'Task ID' } } },
+    response: { type: 'object', properties: { deleted: { type: 'integer' } } },
+  }, (req, params) => {
     const id = parseInt(params.id);
     taskdb.deleteTask(id);
     return { status: 200, body: { deleted: id } };
@@ -73,7 +139,16 @@ function register(router) {
   // Add message to task thread
   // POST /api/q/tasks/:id/messages { author, type, content }
   // Types: update, question, answer, ack, clarification, note, blocker
-  router.post('/api/q/tasks/:id/messages', (req, params) => {
+  router.post('/api/q/tasks/:id/messages', {
+    scope: 'tasks:write',
+    tool: 'task_message',
+    summary: 'Add message to task thread',
+    params: { properties: { id: { type: 'integer', description: 'Task ID' } } },
+    body: ref('MessageInput'),
+    status: 201,
+    response: ref('TaskMessage'),
+    errors: { 400: 'author and content required', 404: 'Task not found' },
+  }, (req, params) => {
     const id = parseInt(params.id);
     const task = taskdb.getTask(id);
     if (!task) return { status: 404, body: { error: 'Task not found' } };
@@ -85,7 +160,15 @@ function register(router) {
 
   // Acknowledge receipt of a task
   // POST /api/q/tasks/:id/ack { agent }
-  router.post('/api/q/tasks/:id/ack', (req, params) => {
+  router.post('/api/q/tasks/:id/ack', {
+    scope: 'tasks:write',
+    tool: 'task_claim',
+    summary: 'Acknowledge task (assigns it and marks in_progress)',
+    params: { properties: { id: { type: 'integer', description: 'Task ID' } } },
+    body: ref('AckInput'),
+    response: ref('Task'),
+    errors: { 400: 'agent name required', 404: 'Task not found' },
+  }, (req, params) => {
     const id = parseInt(params.id);
     const task = taskdb.getTask(id);
     if (!task) return { status: 404, body: { error: 'Task not found' } };
@@ -101,28 +184,60 @@ function register(router) {
 
   // Get queue for a specific owner/person
   // GET /api/q/queue/:owner
-  router.get('/api/q/queue/:owner', (req, params) => {
+  router.get('/api/q/queue/:owner', {
+    scope: 'tasks:read',
+    cache: { ttl: 10, key: 'tasks' },
+    summary: 'Get queue for owner (peretz, kevin, agent-name)',
+    params: { properties: { owner: { type: 'string', minLength: 1 } } },
+    response: ref('QueueResponse'),
+  }, (req, params) => {
     const queue = taskdb.getQueue(params.owner);
     return { status: 200, body: queue };
   });
 
   // Priority overview across all queues
   // GET /api/q/priorities
-  router.get('/api/q/priorities', (req) => {
+  router.get('/api/q/priorities', {
+    scope: 'tasks:read',
+    cache: { ttl: 10, key: 'tasks' },
+    summary: 'Priority overview across all queues',
+    response: {
+      type: 'object',
+      properties: {
+        byPriority: { type: 'array', items: { type: 'object' } },
+        byOwner: { type: 'array', items: { type: 'object' } },
+        blockers: { type: 'array', items: ref('Task') },
+      },
+    },
+  }, (req) => {
     const priorities = taskdb.getPriorities();
     return { status: 200, body: priorities };
   });
 
   // Stats
   // GET /api/q/stats
-  router.get('/api/q/stats', (req) => {
+  router.get('/api/q/stats', {
+    scope: 'tasks:read',
+    cache: { ttl: 10, key: 'tasks' },
+    summary: 'Task queue statistics',
+    response: { type: 'object', additionalProperties: true },
+  }, (req) => {
     const stats = taskdb.getStats();
     return { status: 200, body: stats };
   });
 
   // Search tasks and messages
   // GET /api/q/search?q=query
-  router.get('/api/q/search', (req) => {
+  router.get('/api/q/search', {
+    scope: 'tasks:read',
+    tool: 'tasks_search',
+    cache: { ttl: 10, key: 'tasks' },
+    list: 'results',
+    summary: 'Search tasks (FTS5)',
+    query: { properties: { q: { type: 'string', minLength: 1, description: 'FTS5 query' } }, required: ['q'] },
+    response: ref('TaskSearchResponse'),
+    errors: { 400: 'q parameter required' },
+  }, (req) => {
     const url = new URL(req.url, 'http://localhost');
     const q = url.searchParams.get('q');
     if (!q) return { status: 400, body: { error: 'q parameter required' } };
@@ -132,8 +247,16 @@ function register(router) {
 
   // --- BACKWARD COMPAT: Import from TASKS.md ---
 
-  // GET /api/q/import — import TASKS.md into the database (idempotent)
-  router.post('/api/q/import', (req) => {
+  // POST /api/q/import — import TASKS.md into the database
+  router.post('/api/q/import', {
+    scope: 'tasks:admin',
+    summary: 'Import from TASKS.md',
+    response: {
+      type: 'object',
+      properties: { imported: { type: 'integer' }, tasks: { type: 'array', items: ref('Task') } },
+    },
+    errors: { 500: 'TASKS.md could not be read or parsed' },
+  }, (req) => {
     try {
       const content = fs.readFileSync(TASKS_PATH, 'utf8');
       const imported = importTasksMd(content);
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { ref } = require('../lib/schemas');
 
 const TASKS_PATH = path.join(os.homedir(), '.claude', 'TASKS.md');
 const QUEUE_PATH = path.join(os.homedir(), '.claude', 'ANVIL-QUEUE.md');
@@ -45,14 +46,35 @@ function extractAnvilWorkloadQueue(tasksContent) {
 
 function register(router) {
   // Full TASKS.md as raw text
-  router.get('/api/tasks', (req, params) => {
+  router.get('/api/tasks', {
+    scope: 'tasks:read',
+    cache: { ttl: 30, key: 'tasks-md' },
+    summary: 'Full TASKS.md as raw text',
+    response: ref('FileContentResponse'),
+    errors: { 404: 'TASKS.md not found' },
+  }, (req, params) => {
     const content = readFile(TASKS_PATH);
     if (!content) return { status: 404, body: { error: 'TASKS.md not found' } };
     return { status: 200, body: { path: TASKS_PATH, content, updated: fs.statSync(TASKS_PATH).mtime.toISOString() } };
   });
 
   // Anvil-specific workload from TASKS.md
-  router.get('/api/tasks/anvil', (req, params) => {
+  router.get('/api/tasks/anvil', {
+    scope: 'tasks:read',
+    cache: { ttl: 30, key: 'tasks-md' },
+    summary: 'Anvil workload queue from TASKS.md and ANVIL-QUEUE.md',
+    response: {
+      type: 'object',
+      properties: {
+        workload: { type: 'array', items: { type: 'object', properties: { text: { type: 'string' }, done: { type: 'boolean' } } } },
+        queue: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+        pending: { type: 'integer' },
+        done: { type: 'integer' },
+        queuePath: { type: 'string' },
+        tasksPath: { type: 'string' },
+      },
+    },
+  }, (req, params) => {
     const tasks = readFile(TASKS_PATH);
     const queue = readFile(QUEUE_PATH);
     const workload = extractAnvilWorkloadQueue(tasks);
@@ -71,14 +93,33 @@ function register(router) {
   });
 
   // ANVIL-QUEUE.md raw
-  router.get('/api/tasks/queue', (req, params) => {
+  router.get('/api/tasks/queue', {
+    scope: 'tasks:read',
+    cache: { ttl: 30, key: 'tasks-md' },
+    summary: 'ANVIL-QUEUE.md as raw text',
+    response: ref('FileContentResponse'),
+    errors: { 404: 'ANVIL-QUEUE.md not found' },
+  }, (req, params) => {
     const content = readFile(QUEUE_PATH);
     if (!content) return { status: 404, body: { error: 'ANVIL-QUEUE.md not found' } };
     return { status: 200, body: { path: QUEUE_PATH, content, updated: fs.statSync(QUEUE_PATH).mtime.toISOString() } };
   });
 
   // Agent protocol summary
-  router.get('/api/tasks/agents', (req, params) => {
+  router.get('/api/tasks/agents', {
+    scope: 'tasks:read',
+    cache: { ttl: 30, key: 'tasks-md' },
+    summary: 'Agent roster parsed from agent-protocol.md',
+    response: {
+      type: 'object',
+      properties: {
+        agents: { type: 'array', items: { type: 'object', additionalProperties: { type: 'string' } } },
+        count: { type: 'integer' },
+        active: { type: 'integer' },
+      },
+    },
+    errors: { 404: 'agent-protocol.md not found' },
+  }, (req, params) => {
     const content = readFile(PROTOCOL_PATH);
     if (!content) return { status: 404, body: { error: 'agent-protocol.md not found' } };
     // Extract active agents table
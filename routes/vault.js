@@ -1,14 +1,30 @@
 // /api/vault/* — Obsidian vault query endpoints
-const { listNotes, readNote, vaultStats } = require('../lib/vault');
+const { listNotes, readNote, writeNote, searchNotes, vaultStats } = require('../lib/vault');
+const cache = require('../lib/cache');
+const { ref } = require('../lib/schemas');
 
 function register(router) {
   // Vault overview stats
-  router.get('/api/vault/stats', (req, params) => {
+  router.get('/api/vault/stats', {
+    scope: 'vault:read',
+    cache: { ttl: 300, key: 'vault' },
+    summary: 'Vault note count and path',
+    response: ref('VaultStatsResponse'),
+  }, (req, params) => {
     return { status: 200, body: vaultStats() };
   });
 
   // List notes in a folder (e.g., /api/vault/notes?dir=Efforts/Active)
-  router.get('/api/vault/notes', (req, params) => {
+  router.get('/api/vault/notes', {
+    scope: 'vault:read',
+    tool: 'vault_list_notes',
+    cache: { ttl: 60, key: 'vault' },
+    list: 'notes',
+    summary: 'List notes in directory',
+    query: { properties: { dir: { type: 'string', default: '', description: 'Vault-relative directory, e.g. Efforts/Active' } } },
+    response: ref('VaultNotesResponse'),
+    errors: { 400: 'Invalid directory' },
+  }, (req, params) => {
     const url = new URL(req.url, 'http://localhost');
     const dir = url.searchParams.get('dir') || '';
     // Prevent traversal
@@ -16,8 +32,39 @@ function register(router) {
     return { status: 200, body: { notes: listNotes(dir), directory: dir } };
   });
 
+  // Search note names and contents (e.g., /api/vault/search?q=studio)
+  router.get('/api/vault/search', {
+    scope: 'vault:read',
+    tool: 'vault_search',
+    cache: { ttl: 60, key: 'vault' },
+    list: 'results',
+    summary: 'Search notes by name and content',
+    query: {
+      properties: {
+        q: { type: 'string', minLength: 2, description: 'Text to find (case-insensitive)' },
+        limit: { type: 'integer', default: 20, minimum: 1, maximum: 100 },
+      },
+      required: ['q'],
+    },
+    response: ref('VaultSearchResponse'),
+  }, (req, params) => {
+    const { q, limit = 20 } = req.query;
+    return { status: 200, body: { query: q, results: searchNotes(q, { limit }) } };
+  });
+
   // Read a specific note (e.g., /api/vault/note?path=Dashboards/Home.md)
-  router.get('/api/vault/note', (req, params) => {
+  router.get('/api/vault/note', {
+    scope: 'vault:read',
+    tool: 'vault_read_note',
+    cache: { ttl: 30, key: 'vault' },
+    summary: 'Read a note',
+    query: {
+      properties: { path: { type: 'string', description: 'Vault-relative note path, e.g. Dashboards/Home.md' } },
+      required: ['path'],
+    },
+    response: ref('VaultNoteResponse'),
+    errors: { 400: 'Invalid path', 404: 'Note not found' },
+  }, (req, params) => {
     const url = new URL(req.url, 'http://localhost');
     const notePath = url.searchParams.get('path') || '';
     if (notePath.includes('..')) return { status: 400, body: { error: 'Invalid path' } };
@@ -26,8 +73,43 @@ function register(router) {
     return { status: 200, body: { path: notePath, content } };
   });
 
+  // Create or replace a note (e.g., PUT /api/vault/note?path=Inbox/Idea.md { content })
+  router.put('/api/vault/note', {
+    scope: 'vault:write',
+    summary: 'Create or replace a note',
+    description: 'Writes the whole note. Responds 201 when the note is new, 200 when it replaced an existing one.',
+    query: {
+      properties: { path: { type: 'string', description: 'Vault-relative note path ending in .md' } },
+      required: ['path'],
+    },
+    body: {
+      type: 'object',
+      required: ['content'],
+      properties: { content: { type: 'string' } },
+      additionalProperties: false,
+    },
+    status: 201,
+    response: ref('VaultNoteResponse'),
+    errors: { 400: 'Invalid path' },
+  }, (req, params) => {
+    const url = new URL(req.url, 'http://localhost');
+    const notePath = url.searchParams.get('path') || '';
+    if (notePath.includes('..')) return { status: 400, body: { error: 'Invalid path' } };
+    const { content } = req.body;
+    const written = writeNote(notePath, content);
+    if (!written) return { status: 400, body: { error: 'Invalid path' } };
+    // The vault watcher only runs while someone is subscribed to /api/events
+    cache.invalidate('vault');
+    return { status: written.created ? 201 : 200, body: { path: notePath, content } };
+  });
+
   // List vault top-level structure
-  router.get('/api/vault/structure', (req, params) => {
+  router.get('/api/vault/structure', {
+    scope: 'vault:read',
+    cache: { ttl: 300, key: 'vault' },
+    summary: 'Top-level vault structure',
+    response: ref('VaultStructureResponse'),
+  }, (req, params) => {
     const fs = require('fs');
     const path = require('path');
     const { VAULT_PATH } = require('../lib/vault');
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// MCP server over stdio — for agents that launch the API as a tool provider
+//
+//   npm run mcp
+//   PLIFE_MCP_TOKEN=plife_... npm run mcp      (needed for task_create, task_claim, ...)
+//
+// Reads one JSON-RPC message per line on stdin and writes responses to stdout.
+// Without a token, calls run with the loopback read scopes (auth.loopbackScopes).
+
+// stdout carries protocol messages only; send stray logging to stderr
+console.log = console.error;
+
+const readline = require('readline');
+const config = require('../lib/config');
+const mcp = require('../lib/mcp');
+const { createRouter } = require('../routes');
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function main() {
+  let router;
+  try {
+    config.get();
+    router = createRouter();
+  } catch (err) {
+    console.error(err.name === 'ConfigError' ? err.message : err);
+    return process.exit(1);
+  }
+
+  const { token } = config.get().mcp;
+  const client = {
+    id: 'mcp-stdio',
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    socket: { remoteAddress: '127.0.0.1' },
+  };
+
+  const pending = new Set();
+  const lines = readline.createInterface({ input: process.stdin });
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send(mcp.parseError());
+      return;
+    }
+    const work = mcp.handle(router, message, client).then((response) => {
+      if (response) send(response);
+    });
+    pending.add(work);
+    work.finally(() => pending.delete(work));
+  });
+  // Finish in-flight calls once the client closes stdin
+  lines.on('close', () => {
+    Promise.allSettled([...pending]).then(() => process.exit(0));
+  });
+}
+
+main();
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Regenerate openapi.json from the route registry (the server also serves it live at /api/openapi.json)
+//
+//   npm run openapi           write openapi.json
+//   npm run openapi -- --check  exit 1 if openapi.json is stale
+
+const fs = require('fs');
+const path = require('path');
+const { createRouter } = require('../routes');
+const { buildSpec } = require('../lib/openapi');
+
+const OUT = path.join(__dirname, '..', 'openapi.json');
+
+const spec = JSON.stringify(buildSpec(createRouter()), null, 2) + '\n';
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUT) ? fs.readFileSync(OUT, 'utf8') : '';
+  if (current !== spec) {
+    console.error('openapi.json is out of date — run: npm run openapi');
+    process.exitCode = 1;
+  }
+} else {
+  fs.writeFileSync(OUT, spec);
+  console.log(`Wrote ${path.relative(process.cwd(), OUT)} (${Object.keys(JSON.parse(spec).paths).length} paths)`);
+}
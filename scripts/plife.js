@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// plife — command-line client for the API (see lib/cli.js for the commands)
+//
+//   plife q ls --owner kevin --status open
+//   plife q add "Rotate NAS keys" -p 1
+//   plife vault cat Dashboards/Home.md --json
+
+const cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2), { width: process.stdout.isTTY ? process.stdout.columns : undefined })
+  .then((code) => { process.exitCode = code; })
+  .catch((err) => {
+    console.error(err.name === 'ConfigError' ? err.message : err);
+    process.exitCode = 1;
+  });
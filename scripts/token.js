@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Manage API tokens (local only — writes straight to the token database)
+//
+//   npm run token -- create kevin tasks:write vault:read --label "kevin laptop"
+//   npm run token -- list
+//   npm run token -- revoke 3
+
+const auth = require('../lib/auth');
+
+function usage() {
+  console.log(`Usage:
+  token create <identity> <scope...> [--label text]
+  token list
+  token revoke <id>
+
+Scopes: <resource>:<read|write|admin>, e.g. vault:read tasks:write agents:admin
+        "*:read" for read-only everything, "*" for full access`);
+}
+
+function main(argv) {
+  const [cmd, ...rest] = argv;
+
+  if (cmd === 'create') {
+    const labelIdx = rest.indexOf('--label');
+    const label = labelIdx >= 0 ? rest.splice(labelIdx, 2)[1] : null;
+    const [identity, ...scopes] = rest;
+    if (!identity || !scopes.length) { usage(); return 1; }
+    const created = auth.createToken({ identity, scopes, label });
+    console.log(`Token #${created.id} for ${created.identity} (${created.scopes.join(', ')})`);
+    console.log('');
+    console.log(`  ${created.token}`);
+    console.log('');
+    console.log('Store it now — only its hash is kept.');
+    return 0;
+  }
+
+  if (cmd === 'list') {
+    for (const t of auth.listTokens()) {
+      const state = t.revoked_at ? `revoked ${t.revoked_at}` : `last used ${t.last_used_at || 'never'}`;
+      console.log(`#${t.id}\t${t.identity}\t${t.token_prefix}…\t${t.scopes.join(',')}\t${t.label || ''}\t${state}`);
+    }
+    return 0;
+  }
+
+  if (cmd === 'revoke') {
+    const id = parseInt(rest[0]);
+    if (!id) { usage(); return 1; }
+    console.log(auth.revokeToken(id) ? `Revoked token #${id}` : `No active token #${id}`);
+    return 0;
+  }
+
+  usage();
+  return cmd ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  auth.close();
+}
@@ -6,180 +6,42 @@
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
-const path = require('path');
-const { Router } = require('./lib/router');
+const config = require('./lib/config');
+
+// Load and validate configuration (.env, config file, defaults) before anything reads it
+try {
+  config.get();
+} catch (err) {
+  if (!(err instanceof config.ConfigError)) throw err;
+  console.error(err.message);
+  process.exit(1);
+}
+
+const { createRouter } = require('./routes');
+const { routeTag } = require('./lib/openapi');
 const { close: closeDb } = require('./lib/db');
 const { close: closeTaskDb } = require('./lib/taskdb');
-
-const PORT = process.env.PORT || 3001;
-const HOST = process.env.HOST || '0.0.0.0';
-
-// Set up router
-const router = new Router();
-
-// Register route modules
-require('./routes/atlas').register(router);
-require('./routes/vault').register(router);
-require('./routes/system').register(router);
-require('./routes/agents').register(router);
-require('./routes/agent-lifecycle').register(router);
-require('./routes/ecosystem').register(router);
-require('./routes/spend').register(router);
-require('./routes/fleet').register(router);
-require('./routes/tasks').register(router);
-require('./routes/taskqueue').register(router);
-
-// Root endpoint — API index
-router.get('/api', (req, params) => {
-  return {
-    status: 200,
-    body: {
-      name: 'PracticeLife API',
-      version: '0.1.0',
-      endpoints: {
-        atlas: {
-          'GET /api/atlas/assets': 'List assets (paginated: ?limit=50&offset=0&type=voice_memo)',
-          'GET /api/atlas/assets/:id': 'Get single asset by ID',
-          'GET /api/atlas/stats': 'MemoryAtlas statistics',
-          'GET /api/atlas/search/:query': 'Search assets by title',
-        },
-        vault: {
-          'GET /api/vault/stats': 'Vault note count and path',
-          'GET /api/vault/notes': 'List notes in directory (?dir=Efforts/Active)',
-          'GET /api/vault/note': 'Read a note (?path=Dashboards/Home.md)',
-          'GET /api/vault/structure': 'Top-level vault structure',
-        },
-        system: {
-          'GET /api/system/state': 'System metrics (CPU, memory, disk)',
-          'GET /api/system/volumes': 'Mounted volumes',
-          'GET /api/system/ollama': 'Ollama model list',
-        },
-        agents: {
-          'GET /api/agents/protocol': 'Current agent coordination protocol',
-          'GET /api/agents/sessions': 'List Claude session logs',
-          'GET /api/agents/sessions/:name': 'Read specific session log',
-          'GET /api/agents/collab-brief': 'Codex-Claude collaboration brief',
-          'GET /api/agents/health': 'Comprehensive agent health check (active, parked, processes)',
-          'GET /api/agents/active': 'List currently active agents',
-          'POST /api/agents/spawn': 'Spawn new agent (planned)',
-          'POST /api/agents/park': 'Park running agent (planned)',
-          'POST /api/agents/handoff': 'Create handoff entry (planned)',
-        },
-        ecosystem: {
-          'GET /api/ecosystem': 'Complete PracticeLife OS map — services, agents, schedulers, infrastructure (?format=json|text)',
-        },
-        fleet: {
-          'GET /api/fleet': 'Full fleet status — Hearth, Anvil, NAS, mobile devices, routing, Tailscale',
-          'GET /api/fleet/anvil': 'Quick Anvil health check (Ollama status + models)',
-          'GET /api/fleet/routes': 'LiteLLM routing table (anvil/local/cloud/gpu routes)',
-        },
-        queue: {
-          'GET /api/q/tasks': 'List tasks (filters: ?owner=peretz&status=open&priority=1&category=time-sensitive)',
-          'POST /api/q/tasks': 'Create task { title, description, owner, assignee, priority, source, category, tags }',
-          'GET /api/q/tasks/:id': 'Get task with conversation thread',
-          'PATCH /api/q/tasks/:id': 'Update task { status, priority, assignee, ... }',
-          'DELETE /api/q/tasks/:id': 'Delete task',
-          'POST /api/q/tasks/:id/messages': 'Add message to thread { author, type, content }',
-          'POST /api/q/tasks/:id/ack': 'Acknowledge task { agent }',
-          'GET /api/q/queue/:owner': 'Get queue for owner (peretz, kevin, agent-name)',
-          'GET /api/q/priorities': 'Priority overview across all queues',
-          'GET /api/q/stats': 'Task queue statistics',
-          'GET /api/q/search?q=': 'Search tasks and messages (FTS5)',
-          'POST /api/q/import': 'Import from TASKS.md (idempotent)',
-        },
-        spend: {
-          'GET /api/spend': 'Token usage and cost analysis across all AI services',
-          'GET /api/spend/cache': 'Explain how Claude prompt caching saves money',
-          'GET /api/spend/services': 'Token usage apportioned by service (:3000, :3001, Cursor, etc)',
-        },
-      },
-    },
-  };
-});
-
-// Load environment variables
-require('dotenv').config();
-
-// Langfuse wrapper for LLM tracking
-const { trackLLMCall } = require('./lib/langfuse-wrapper');
-
-// Health check
-router.get('/health', (req, params) => {
-  return { status: 200, body: { ok: true, uptime: process.uptime() } };
-});
-
-// Spend dashboard UI
-router.get('/spend', (req, params) => {
-  const html = fs.readFileSync(path.join(__dirname, 'public/spend.html'), 'utf8');
-  return {
-    status: 200,
-    headers: { 'Content-Type': 'text/html' },
-    body: html
-  };
-});
-
-// Simple async test (no Langfuse)
-router.get('/api/test/async', async (req, params) => {
-  await new Promise(resolve => setTimeout(resolve, 100));
-  return {
-    status: 200,
-    body: { message: 'Async handler works!', timestamp: new Date().toISOString() }
-  };
-});
-
-// Demo endpoint: Langfuse instrumentation test
-// This demonstrates how to track LLM calls when/if we add them
-router.get('/api/demo/llm-call', async (req, params) => {
-  try {
-    const startTime = Date.now();
-
-    // Simulate an LLM call (in real usage, this would be anthropic.messages.create() or similar)
-    const mockPrompt = "Analyze the PracticeLife OS ecosystem and suggest optimizations";
-    const mockResponse = "Based on the ecosystem analysis:\n1. Consolidate dashboard services\n2. Add caching layer\n3. Optimize database queries";
-    const mockUsage = {
-      input: 150,
-      output: 75,
-      total: 225,
-      cacheRead: 0,
-      cacheCreate: 0
-    };
-
-    // Track with Langfuse (non-blocking - fire and forget)
-    const trackingResult = await trackLLMCall({
-      name: 'ecosystem-optimization-analysis',
-      model: 'claude-sonnet-4-5-20250929',
-      input: mockPrompt,
-      output: mockResponse,
-      usage: mockUsage,
-      metadata: {
-        endpoint: '/api/demo/llm-call',
-        duration_ms: Date.now() - startTime,
-        demo: true
-      },
-      userId: 'peretz',
-      sessionId: 'demo-session'
-    });
-
-    return {
-      status: 200,
-      body: {
-        message: 'Langfuse instrumentation demo',
-        response: mockResponse,
-        usage: mockUsage,
-        langfuse: trackingResult
-      }
-    };
-  } catch (error) {
-    console.error('[Langfuse demo] Error:', error);
-    return {
-      status: 500,
-      body: {
-        error: 'Demo endpoint failed',
-        details: error.message
-      }
-    };
-  }
-});
+const atlasindex = require('./lib/atlasindex');
+const auth = require('./lib/auth');
+const accesslog = require('./lib/accesslog');
+const metrics = require('./lib/metrics');
+
+const { host: HOST, port: PORT } = config.get().server;
+
+// Set up router with every route module (see routes/index.js)
+const router = createRouter();
+
+// Endpoint list for one route group, straight from the router registry
+function endpointRows(tag) {
+  return router.routes
+    .filter(r => !r.meta.hidden && routeTag(r) === tag)
+    .map(r => {
+      const linkable = r.method === 'GET' && !r.pattern.includes(':');
+      const path = linkable ? `<a href="${r.pattern}">${r.pattern}</a>` : r.pattern;
+      return `<div class="endpoint-row"><span class="method-badge">${r.method}</span><span class="path">${path}</span><span class="desc">${r.meta.summary || ''}</span></div>`;
+    })
+    .join('\n    ');
+}
 
 function renderLandingPage() {
   const uptime = process.uptime();
@@ -265,7 +127,7 @@ function renderLandingPage() {
     <span class="dot"></span> LIVE
     <span>v0.1.0</span>
     <span>uptime ${uptimeStr}</span>
-    <span>14 routes</span>
+    <span>${router.routes.length} routes</span>
   </div>
 </div>
 
@@ -303,10 +165,7 @@ function renderLandingPage() {
   </div>
   <div class="panel" id="atlas-panel"><div class="loading">loading atlas data...</div></div>
   <div class="panel">
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/atlas/assets">/api/atlas/assets</a></span><span class="desc">paginated list (?limit=50&offset=0)</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path">/api/atlas/assets/:id</span><span class="desc">single asset by ID</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/atlas/stats">/api/atlas/stats</a></span><span class="desc">statistics overview</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path">/api/atlas/search/:query</span><span class="desc">search by title</span></div>
+    ${endpointRows('atlas')}
   </div>
 </div>
 
@@ -318,10 +177,7 @@ function renderLandingPage() {
   </div>
   <div class="panel" id="vault-panel"><div class="loading">loading vault data...</div></div>
   <div class="panel">
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/vault/stats">/api/vault/stats</a></span><span class="desc">note count and path</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/vault/structure">/api/vault/structure</a></span><span class="desc">top-level structure</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path">/api/vault/notes?dir=...</span><span class="desc">list notes in directory</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path">/api/vault/note?path=...</span><span class="desc">read a note</span></div>
+    ${endpointRows('vault')}
   </div>
 </div>
 
@@ -333,9 +189,7 @@ function renderLandingPage() {
   </div>
   <div class="panel" id="system-panel"><div class="loading">loading system data...</div></div>
   <div class="panel">
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/system/state">/api/system/state</a></span><span class="desc">CPU, memory, disk</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/system/volumes">/api/system/volumes</a></span><span class="desc">mounted volumes</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/system/ollama">/api/system/ollama</a></span><span class="desc">Ollama models</span></div>
+    ${endpointRows('system')}
   </div>
 </div>
 
@@ -347,30 +201,35 @@ function renderLandingPage() {
   </div>
   <div class="panel" id="agents-panel"><div class="loading">loading agent data...</div></div>
   <div class="panel">
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/agents/protocol">/api/agents/protocol</a></span><span class="desc">coordination protocol</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/agents/sessions">/api/agents/sessions</a></span><span class="desc">session log list</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path">/api/agents/sessions/:name</span><span class="desc">specific session log</span></div>
-    <div class="endpoint-row"><span class="method-badge">GET</span><span class="path"><a href="/api/agents/collab-brief">/api/agents/collab-brief</a></span><span class="desc">collaboration brief</span></div>
+    ${endpointRows('agents')}
   </div>
 </div>
 
 </div>
 
-<div class="footer">PracticeLife API · <a href="/health">/health</a> · <a href="/api">/api (JSON index)</a> · Auto-refreshes data every 30s</div>
+<div class="footer">PracticeLife API · <a href="/health">/health</a> · <a href="/api">/api (JSON index)</a> · <a href="/api/openapi.json">OpenAPI</a> · Live updates via <a href="/api/events">/api/events</a></div>
 
 <script>
-const api = (path) => fetch(path).then(r => r.json()).catch(() => null);
+// One POST /api/batch round trip; each entry is the body for that path, or null if it failed
+const batch = (paths) => fetch('/api/batch', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ requests: paths.map(path => ({ method: 'GET', path })) }),
+})
+  .then(r => r.json())
+  .then(data => data.responses.map(r => (r.status === 200 ? r.body : null)))
+  .catch(() => paths.map(() => null));
 
 async function loadAll() {
-  const [atlas, vaultStats, vaultStruct, system, volumes, ollama, sessions, usage] = await Promise.all([
-    api('/api/atlas/stats'),
-    api('/api/vault/stats'),
-    api('/api/vault/structure'),
-    api('/api/system/state'),
-    api('/api/system/volumes'),
-    api('/api/system/ollama'),
-    api('/api/agents/sessions'),
-    api('/api/system/usage'),
+  const [atlas, vaultStats, vaultStruct, system, volumes, ollama, sessions, usage] = await batch([
+    '/api/atlas/stats',
+    '/api/vault/stats',
+    '/api/vault/structure',
+    '/api/system/state',
+    '/api/system/volumes',
+    '/api/system/ollama',
+    '/api/agents/sessions',
+    '/api/system/usage',
   ]);
 
   // Wallet row
@@ -463,7 +322,15 @@ async function loadAll() {
 }
 
 loadAll();
-setInterval(loadAll, 30000);
+
+// Live updates: refresh when /api/events reports vault or agent changes; slow poll as a fallback
+let refreshTimer = null;
+const refreshSoon = () => { clearTimeout(refreshTimer); refreshTimer = setTimeout(loadAll, 1000); };
+if (window.EventSource) {
+  const stream = new EventSource('/api/events?topics=vault,agent');
+  ['vault.modified', 'agent.health'].forEach(topic => stream.addEventListener(topic, refreshSoon));
+}
+setInterval(loadAll, 300000);
 </script>
 
 </body></html>`;
@@ -471,103 +338,181 @@ setInterval(loadAll, 30000);
 
 // HTTP server
 
-// SSL certificate options
-const sslOptions = {
-  key: fs.readFileSync(path.join(process.env.HOME, '.ssl/localhost.key')),
-  cert: fs.readFileSync(path.join(process.env.HOME, '.ssl/localhost.crt'))
-};
+// TLS certificate (server.tlsKey / server.tlsCert) — plain HTTP when either is unset or missing
+function tlsOptions() {
+  const { tlsKey, tlsCert } = config.get().server;
+  if (!tlsKey || !tlsCert) return null;
+  const missing = [tlsKey, tlsCert].filter(f => !fs.existsSync(f));
+  if (missing.length) {
+    console.warn(`[server] TLS certificate not found (${missing.join(', ')}) — serving plain HTTP`);
+    return null;
+  }
+  return { key: fs.readFileSync(tlsKey), cert: fs.readFileSync(tlsCert) };
+}
 
-const server = https.createServer(sslOptions, (req, res) => {
-  // CORS for local development
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+const sslOptions = tlsOptions();
+const SCHEME = sslOptions ? 'https' : 'http';
+
+function handleRequest(req, res) {
+  // Request ID (echoed in X-Request-Id and error bodies) and one access log line per request
+  req.id = accesslog.requestId(req);
+  res.setHeader('X-Request-Id', req.id);
+  accesslog.track(req, res, { onEntry: metrics.observeRequest });
+
+  // CORS for pages on this machine (local development) and server.corsOrigins only
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (origin && (auth.isLocalOrigin(origin) || config.get().server.corsOrigins.includes(origin))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match, Range, If-Range, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Cache, X-Request-Id, Content-Range, Accept-Ranges, Content-Length');
+  }
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
+  // Landing page at /
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  if (pathname === '/' || pathname === '/index.html') {
+    const allow = ['GET', 'HEAD', 'OPTIONS'];
+    if (!allow.includes(req.method)) {
+      sendResult(req, res, methodNotAllowed(req, allow));
+    } else if (req.method === 'OPTIONS') {
+      sendResult(req, res, options(allow));
+    } else {
+      sendResult(req, res, { status: 200, headers: { 'Content-Type': 'text/html' }, body: renderLandingPage() });
+    }
     return;
   }
 
-  // Landing page at /
-  if (req.url === '/' || req.url === '/index.html') {
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(renderLandingPage());
+  // OPTIONS and 405 come from the methods registered for the path
+  if (req.method === 'OPTIONS') {
+    const allow = router.allowed(req.url);
+    sendResult(req, res, allow.length ? options(allow) : notFound(req));
     return;
   }
 
   const match = router.match(req.method, req.url);
 
   if (!match) {
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not found', path: req.url }));
+    const allow = router.allowed(req.url);
+    sendResult(req, res, allow.length ? methodNotAllowed(req, allow) : notFound(req));
     return;
   }
+  req.route = match.route;
 
-  // Parse JSON body for POST/PATCH/DELETE
-  const needsBody = ['POST', 'PATCH', 'DELETE'].includes(req.method);
+  // Parse JSON body for POST/PUT/PATCH/DELETE
+  const needsBody = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method);
   if (needsBody) {
     let body = '';
     req.on('data', chunk => { body += chunk; });
     req.on('end', () => {
       try {
         req.body = body ? JSON.parse(body) : {};
-      } catch { req.body = {}; }
+      } catch (err) {
+        sendResult(req, res, { status: 400, body: { error: 'Malformed JSON body', detail: err.message } });
+        return;
+      }
       handleRoute(req, res, match);
     });
     return;
   }
 
   handleRoute(req, res, match);
-});
+}
+
+function notFound(req) {
+  return { status: 404, body: { error: 'Not found', path: req.url } };
+}
+
+function methodNotAllowed(req, allow) {
+  return {
+    status: 405,
+    headers: { 'Allow': allow.join(', ') },
+    body: { error: 'Method not allowed', method: req.method, allow },
+  };
+}
+
+function options(allow) {
+  return {
+    status: 204,
+    headers: { 'Allow': allow.join(', '), 'Access-Control-Allow-Methods': allow.join(', ') },
+  };
+}
+
+const server = sslOptions ? https.createServer(sslOptions, handleRequest) : http.createServer(handleRequest);
 
 function handleRoute(req, res, match) {
   try {
     const result = match.handler(req, match.params);
     // Handle async handlers (Promise)
     if (result && typeof result.then === 'function') {
-      result.then(data => {
-        console.log('[DEBUG] Async handler returned:', JSON.stringify(data));
-        if (!data || typeof data.status === 'undefined') {
-          console.error('[ERROR] Invalid response from async handler - missing status');
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Internal server error - invalid handler response' }));
-          return;
-        }
-        res.writeHead(data.status, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(data.body, null, 2));
-      }).catch(err => {
-        console.error(`[${req.method} ${req.url}]`, err);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Internal server error' }));
-      });
+      result.then(data => sendResult(req, res, data)).catch(err => sendError(req, res, err));
     } else {
-      // Synchronous handler
-      const ct = (result.headers && result.headers['Content-Type']) || 'application/json';
-      res.writeHead(result.status, { 'Content-Type': ct });
-      res.end(ct === 'application/json' ? JSON.stringify(result.body, null, 2) : result.body);
+      sendResult(req, res, result);
     }
   } catch (err) {
-    console.error(`[${req.method} ${req.url}]`, err);
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Internal server error' }));
+    sendError(req, res, err);
+  }
+}
+
+function sendError(req, res, err) {
+  console.error(`[${req.id}] ${req.method} ${accesslog.redactUrl(req.url)}`, err);
+  sendResult(req, res, { status: 500, body: { error: 'Internal server error' } });
+}
+
+// Write a handler (or middleware) result: { status, headers?, body }
+// or, for streaming responses, { status, headers, stream(req, res) }
+function sendResult(req, res, result) {
+  if (!result || typeof result.status === 'undefined') {
+    console.error(`[${req.id}] Invalid response from handler for ${req.method} ${accesslog.redactUrl(req.url)} - missing status`);
+    result = { status: 500, body: { error: 'Internal server error - invalid handler response' } };
+  }
+  if (res.headersSent) { res.end(); return; }
+  const headers = { 'Content-Type': 'application/json', ...result.headers };
+  // Keep Vary: Origin (set with the CORS headers) alongside a route's own Vary
+  if (headers['Vary'] && res.getHeader('Vary')) headers['Vary'] = `${res.getHeader('Vary')}, ${headers['Vary']}`;
+  // No body: 204, 304, and HEAD (which still reports the GET's Content-Length)
+  if (result.status === 204 || result.status === 304) {
+    delete headers['Content-Type'];
+    res.writeHead(result.status, headers);
+    res.end();
+    return;
+  }
+  if (typeof result.stream === 'function') {
+    res.writeHead(result.status, headers);
+    if (req.method === 'HEAD') res.end();
+    else result.stream(req, res);
+    return;
+  }
+  let body = result.body;
+  // Error bodies carry the request ID so callers can quote it
+  if (result.status >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+    body = { ...body, requestId: req.id };
+  }
+  const payload = headers['Content-Type'] === 'application/json' ? JSON.stringify(body, null, 2) : body;
+  if (req.method === 'HEAD') {
+    res.writeHead(result.status, { ...headers, 'Content-Length': Buffer.byteLength(payload || '') });
+    res.end();
+    return;
   }
+  res.writeHead(result.status, headers);
+  res.end(payload);
 }
 
 server.listen(PORT, HOST, () => {
-  console.log(`PracticeLife API running at https://${HOST}:${PORT}`);
-  console.log(`Endpoints index: https://${HOST}:${PORT}/api`);
+  console.log(`PracticeLife API running at ${SCHEME}://${HOST}:${PORT}`);
+  console.log(`Endpoints index: ${SCHEME}://${HOST}:${PORT}/api`);
+  // Build or catch up the atlas search index now rather than on the first search
+  atlasindex.refresh();
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  closeDb(); closeTaskDb();
+  closeDb(); closeTaskDb(); auth.close(); atlasindex.close();
   server.close();
-  process.exit(0);
+  accesslog.close().finally(() => process.exit(0));
 });
 
 process.on('SIGTERM', () => {
-  closeDb(); closeTaskDb();
+  closeDb(); closeTaskDb(); auth.close(); atlasindex.close();
   server.close();
-  process.exit(0);
+  accesslog.close().finally(() => process.exit(0));
 });
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-logs-'));
+const LOG_FILE = path.join(tmp, 'logs', 'access.log');
+process.env.PLIFE_LOG_FILE = LOG_FILE;
+process.env.PLIFE_LOG_MAX_BYTES = '2048';
+process.env.PLIFE_LOG_KEEP = '2';
+require('../lib/config').reload();
+
+const accesslog = require('../lib/accesslog');
+
+test.after(async () => {
+  await accesslog.close();
+  delete process.env.PLIFE_LOG_FILE;
+  delete process.env.PLIFE_LOG_MAX_BYTES;
+  delete process.env.PLIFE_LOG_KEEP;
+  require('../lib/config').reload();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// Serve one request through track() and return the response
+function serve(handler, url, headers = {}) {
+  const server = http.createServer((req, res) => {
+    req.id = accesslog.requestId(req);
+    res.setHeader('X-Request-Id', req.id);
+    accesslog.track(req, res);
+    handler(req, res);
+  });
+  return new Promise((resolve, reject) => {
+    server.listen(0, '127.0.0.1', () => {
+      http.get({ host: '127.0.0.1', port: server.address().port, path: url, headers }, res => {
+        let body = '';
+        res.on('data', d => body += d);
+        res.on('end', () => server.close(() => resolve({ headers: res.headers, body })));
+      }).on('error', reject);
+    });
+  });
+}
+
+test('each request gets one JSON log line with route, status, identity and size', async () => {
+  const res = await serve((req, res) => {
+    req.route = { pattern: '/api/q/tasks/:id' };
+    req.auth = { identity: 'kevin' };
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end('{"error":"Task not found"}');
+  }, '/api/q/tasks/99?access_token=plife_secret');
+
+  await accesslog.flush();
+  const [entry] = await accesslog.query({ limit: 1 });
+  assert.equal(entry.id, res.headers['x-request-id']);
+  assert.equal(entry.method, 'GET');
+  assert.equal(entry.path, '/api/q/tasks/99?access_token=REDACTED');
+  assert.equal(entry.route, '/api/q/tasks/:id');
+  assert.equal(entry.status, 404);
+  assert.equal(entry.identity, 'kevin');
+  assert.equal(entry.bytes, Buffer.byteLength(res.body));
+  assert.equal(typeof entry.durationMs, 'number');
+  assert.ok(!fs.readFileSync(LOG_FILE, 'utf8').includes('plife_secret'));
+});
+
+test('well-formed incoming X-Request-Id values are kept, others replaced', () => {
+  assert.equal(accesslog.requestId({ headers: { 'x-request-id': 'retry-42.a' } }), 'retry-42.a');
+  assert.notEqual(accesslog.requestId({ headers: { 'x-request-id': 'bad id\n' } }), 'bad id\n');
+  assert.match(accesslog.requestId({ headers: {} }), /^[0-9a-f-]{36}$/);
+});
+
+test('query filters by route, status class and since', async () => {
+  const now = Date.now();
+  const line = (route, status, ago) => accesslog.write({
+    time: new Date(now - ago).toISOString(), id: `${route}-${status}`, method: 'GET',
+    path: route, route, status, durationMs: 1, identity: 'local', bytes: 2,
+  });
+  line('/api/old', 200, 3 * 3600000);
+  line('/api/vault/stats', 200, 1000);
+  line('/api/vault/notes', 500, 500);
+  line('/api/fleet', 503, 100);
+  await accesslog.flush();
+
+  assert.deepEqual((await accesslog.query({ status: '5xx', since: '1h' })).map(e => e.route), ['/api/fleet', '/api/vault/notes']);
+  assert.deepEqual((await accesslog.query({ route: '/api/vault', since: '1h' })).map(e => e.status), [500, 200]);
+  assert.deepEqual((await accesslog.query({ status: '200', since: '1h' })).map(e => e.route), ['/api/vault/stats']);
+  assert.equal((await accesslog.query({ route: '/api/old' })).length, 1);
+  assert.equal((await accesslog.query({ route: '/api/old', since: '1h' })).length, 0);
+});
+
+test('the log rotates past maxBytes and queries span rotations', async () => {
+  for (let i = 0; i < 40; i++) {
+    accesslog.write({ time: new Date().toISOString(), id: `r${i}`, method: 'GET', path: '/x', route: '/x', status: 200, durationMs: 1, identity: null, bytes: 0 });
+  }
+  await accesslog.flush();
+  assert.ok(fs.existsSync(`${LOG_FILE}.1`));
+  assert.ok(fs.existsSync(`${LOG_FILE}.2`));
+  assert.ok(!fs.existsSync(`${LOG_FILE}.3`));
+  assert.ok(fs.statSync(LOG_FILE).size <= 2048);
+  const ids = (await accesslog.query({ route: '/x', limit: 1000 })).map(e => e.id);
+  assert.equal(ids[0], 'r39');
+  assert.ok(ids.length > 20);
+});
+
+test('query keeps the newest matches and skips a line still being written', async () => {
+  for (let i = 0; i < 5; i++) {
+    accesslog.write({ time: new Date().toISOString(), id: `s${i}`, method: 'GET', path: '/s', route: '/s', status: 200, durationMs: 1, identity: null, bytes: 0 });
+  }
+  await accesslog.flush();
+  fs.appendFileSync(LOG_FILE, '{"time":"2026-');
+  assert.deepEqual((await accesslog.query({ route: '/s', limit: 2 })).map(e => e.id), ['s4', 's3']);
+  assert.equal((await accesslog.query({ route: '/s' })).length, 5);
+});
+
+test('parseSince accepts relative durations and timestamps', () => {
+  assert.equal(accesslog.parseSince('15m', 1000000000), 1000000000 - 900000);
+  assert.equal(accesslog.parseSince('2026-01-01T00:00:00Z'), Date.parse('2026-01-01T00:00:00Z'));
+  assert.equal(accesslog.parseSince('whenever'), null);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const events = require('../lib/events');
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+const atlas = createAtlas();
+for (const id of [1, 2, 3, 4]) {
+  atlas.insert({ id, title: `Memo ${id}`, source_type: 'voice_memo', recorded_at: `2025-01-0${id}T09:00:00`, transcript_status: 'done' });
+}
+
+test.after(() => atlas.remove());
+
+const router = new Router();
+router.use(validate.middleware);
+atlasRoutes.register(router);
+
+function call(method, url, body) {
+  return atlas.use(() => dispatch(router, { method, url, body, socket: {} }));
+}
+
+async function ids(query) {
+  const result = await call('GET', `/api/atlas/assets?sort=id&${query}`);
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  return result.body.assets.map(a => a.id);
+}
+
+test('reads do not create the annotations database', async () => {
+  const list = await call('GET', '/api/atlas/assets');
+  assert.equal(list.status, 200);
+  assert.ok(list.body.assets.every(a => a.annotations === null));
+  assert.equal((await call('GET', '/api/atlas/assets/1/annotations')).status, 404);
+  assert.equal(fs.existsSync(path.join(atlas.dir, 'annotations.db')), false);
+});
+
+test('POST creates, PATCH merges, DELETE removes', async () => {
+  const seen = [];
+  const unsubscribe = events.subscribe(event => seen.push(event), { topics: ['atlas'], passive: true });
+  try {
+    const created = await call('POST', '/api/atlas/assets/1/annotations', { starred: true, tags: ['Garden', ' garden ', 'ideas'] });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.tags, ['Garden', 'ideas']);
+    assert.equal(created.body.to_task, false);
+
+    const again = await call('POST', '/api/atlas/assets/1/annotations', { starred: false });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.annotations.starred, true);
+
+    const patched = await call('PATCH', '/api/atlas/assets/1/annotations', { people: ['Kevin'], summary: 'Seeds to order' });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.starred, true);
+    assert.deepEqual(patched.body.people, ['Kevin']);
+
+    const asset = await call('GET', '/api/atlas/assets/1');
+    assert.equal(asset.body.annotations.summary, 'Seeds to order');
+
+    const deleted = await call('DELETE', '/api/atlas/assets/1/annotations');
+    assert.deepEqual(deleted.body, { deleted: '1' });
+    assert.equal((await call('DELETE', '/api/atlas/assets/1/annotations')).status, 404);
+    assert.equal((await call('GET', '/api/atlas/assets/1')).body.annotations, null);
+  } finally {
+    unsubscribe();
+  }
+  assert.deepEqual(seen.map(e => [e.topic, e.data.asset_id, e.data.created]),
+    [['atlas.annotated', '1', true], ['atlas.annotated', '1', false], ['atlas.annotated', '1', false]]);
+  assert.deepEqual(seen[1].data.changed, ['people', 'summary']);
+});
+
+test('PATCH creates annotations; unknown assets and fields are rejected', async () => {
+  assert.equal((await call('PATCH', '/api/atlas/assets/2/annotations', { to_task: true })).status, 201);
+  assert.equal((await call('PATCH', '/api/atlas/assets/99/annotations', { starred: true })).status, 404);
+  assert.equal((await call('POST', '/api/atlas/assets/3/annotations', { stars: 5 })).status, 400);
+});
+
+test('other spellings of an asset id reach the same annotations', async () => {
+  const created = await call('PATCH', '/api/atlas/assets/04/annotations', { summary: 'Zero-padded' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.asset_id, '4');
+  assert.equal((await call('GET', '/api/atlas/assets/4')).body.annotations.summary, 'Zero-padded');
+  assert.equal((await call('GET', '/api/atlas/assets/4.0/annotations')).body.summary, 'Zero-padded');
+  assert.deepEqual((await call('DELETE', '/api/atlas/assets/004/annotations')).body, { deleted: '4' });
+});
+
+test('annotations filter /api/atlas/assets', async () => {
+  await call('PATCH', '/api/atlas/assets/3/annotations', { starred: true, tags: ['Garden'], people: ['Kevin', 'Peretz'] });
+  await call('PATCH', '/api/atlas/assets/4/annotations', { tags: ['work'] });
+
+  assert.deepEqual(await ids('starred=true'), [3]);
+  assert.deepEqual(await ids('starred=false'), [1, 2, 4]);
+  assert.deepEqual(await ids('to_task=true'), [2]);
+  assert.deepEqual(await ids('tag=garden'), [3]);
+  assert.deepEqual(await ids('person=peretz&tag=garden'), [3]);
+  assert.deepEqual(await ids('annotated=false'), [1]);
+  assert.equal((await call('GET', '/api/atlas/assets?tag=garden')).body.total, 1);
+
+  const projected = await call('GET', '/api/atlas/assets?sort=id&fields=id,annotations&annotated=true');
+  assert.deepEqual(projected.body.assets.map(a => [a.id, a.annotations.tags]), [[2, []], [3, ['Garden']], [4, ['work']]]);
+});
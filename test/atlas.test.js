@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+const atlas = createAtlas();
+const MB = 1024 * 1024;
+// id, recorded_at, duration_sec, transcript_status, published_at, note_path, file_size_bytes
+for (const [id, recorded_at, duration_sec, transcript_status, published_at, note_path, file_size_bytes] of [
+  [1, '2025-01-05T08:00:00', 30, 'done', '2025-01-06', 'MemoryAtlas/voice/one.md', 1 * MB],
+  [2, '2025-01-20T21:15:00', 600, 'done', null, null, 8 * MB],
+  [3, '2025-02-01T07:30:00', null, 'pending', null, null, null],
+  [4, '2025-02-14T12:00:00', 95, 'failed', null, '', 2 * MB],
+  [5, '2025-02-14T18:45:00', 95, 'done', '2025-02-15', 'MemoryAtlas/voice/five.md', 3 * MB],
+  [6, '2025-03-02T10:00:00', 1800, 'pending', null, null, 25 * MB],
+  [7, '2025-03-02T10:00:00', null, 'done', null, 'MemoryAtlas/voice/seven.md', 500 * 1024],
+]) {
+  atlas.insert({ id, title: `Memo ${id}`, source_type: 'voice_memo', recorded_at, duration_sec, transcript_status, published_at, note_path, file_size_bytes });
+}
+
+test.after(() => atlas.remove());
+
+const router = new Router();
+router.use(validate.middleware);
+atlasRoutes.register(router);
+
+function list(query) {
+  return atlas.use(() => dispatch(router, { method: 'GET', url: `/api/atlas/assets?${query}`, socket: {} }));
+}
+
+async function ids(query) {
+  const result = await list(query);
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  return result.body.assets.map(a => a.id);
+}
+
+// Follow next_cursor to the end; returns every id in page order
+async function walk(query, { between } = {}) {
+  const seen = [];
+  let cursor = null;
+  do {
+    const result = await list(`${query}&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(result.status, 200, JSON.stringify(result.body));
+    seen.push(...result.body.assets.map(a => a.id));
+    cursor = result.body.next_cursor;
+    if (between) between(seen.length);
+  } while (cursor);
+  return seen;
+}
+
+test('filters combine: status, published, has_note, dates, duration and size', async () => {
+  assert.deepEqual(await ids('status=done'), [7, 5, 2, 1]);
+  assert.deepEqual(await ids('status=done&published=false'), [7, 2]);
+  assert.deepEqual(await ids('has_note=true'), [7, 5, 1]);
+  assert.deepEqual(await ids('has_note=false'), [6, 4, 3, 2]);
+  assert.deepEqual(await ids('from=2025-02-01&to=2025-02-14'), [5, 4, 3]);
+  assert.deepEqual(await ids('from=2025-02-14T13:00:00'), [7, 6, 5]);
+  assert.deepEqual(await ids('min_duration=60&max_duration=600'), [5, 4, 2]);
+  assert.deepEqual(await ids('min_size=2097152&max_size=10485760'), [5, 4, 2]);
+
+  const result = await list('status=done&published=false');
+  assert.equal(result.body.total, 2);
+  assert.equal(result.body.next_cursor, null);
+});
+
+test('sort and fields projection', async () => {
+  assert.deepEqual(await ids('sort=duration_sec'), [3, 7, 1, 4, 5, 2, 6]);
+  assert.deepEqual(await ids('sort=-duration_sec'), [6, 2, 5, 4, 1, 7, 3]);
+  assert.deepEqual(await ids('sort=title&status=pending'), [3, 6]);
+
+  const projected = await list('fields=id,title,duration_sec&limit=1');
+  assert.deepEqual(projected.body.assets, [{ id: 7, title: 'Memo 7', duration_sec: null }]);
+
+  const unknown = await list('fields=id,secret_column');
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body.fields, ['secret_column']);
+  assert.equal((await list('sort=file_path')).status, 400);
+});
+
+test('cursor pages cover every row once, across NULLs and ties', async () => {
+  for (const sort of ['-recorded_at', 'recorded_at', '-duration_sec', 'duration_sec', 'published_at', 'id']) {
+    const all = await ids(`sort=${sort}`);
+    assert.deepEqual(await walk(`sort=${sort}`), all, sort);
+  }
+  assert.deepEqual(await walk('sort=-duration_sec&status=done'), [2, 5, 1, 7]);
+});
+
+test('cursor pages stay stable while new recordings are inserted', async () => {
+  const before = await ids('');
+  let next = 100;
+  const seen = await walk('sort=-recorded_at', {
+    // New memos land at the top of the default order while we page
+    between: () => atlas.insert({ id: next, title: `New ${next}`, recorded_at: `2025-04-0${next++ - 99}T09:00:00` }),
+  });
+  assert.deepEqual(seen, before);
+  atlas.db.prepare('DELETE FROM asset WHERE id >= 100').run();
+});
+
+test('offset and foreign cursors are rejected', async () => {
+  const offset = await list('offset=50');
+  assert.equal(offset.status, 400);
+  assert.match(offset.body.error, /cursor/);
+
+  const first = await list('sort=duration_sec&limit=2');
+  assert.equal((await list(`sort=-recorded_at&cursor=${first.body.next_cursor}`)).status, 400);
+  assert.equal((await list('cursor=not-a-cursor')).status, 400);
+});
+
+test('GET /api/atlas/assets/:id/audio streams files inside the media roots only', async () => {
+  const bytes = Buffer.alloc(4096, 7);
+  fs.writeFileSync(path.join(atlas.dir, 'media', 'memo.m4a'), bytes);
+  fs.mkdirSync(path.join(atlas.dir, 'private'));
+  fs.writeFileSync(path.join(atlas.dir, 'private', 'secret.m4a'), 'secret');
+  fs.symlinkSync(path.join(atlas.dir, 'private', 'secret.m4a'), path.join(atlas.dir, 'media', 'link.m4a'));
+  atlas.insert({ id: 20, title: 'Relative path', file_path: 'media/memo.m4a' });
+  atlas.insert({ id: 21, title: 'Outside', file_path: path.join(atlas.dir, 'private', 'secret.m4a') });
+  atlas.insert({ id: 22, title: 'Symlink out', file_path: 'media/link.m4a' });
+  atlas.insert({ id: 23, title: 'Gone', file_path: 'media/gone.m4a' });
+  atlas.insert({ id: 24, title: 'Traversal', file_path: 'media/../private/secret.m4a' });
+
+  // dispatch() only forwards auth headers, so call the route directly to send Range
+  const audio = (id, headers = {}) => atlas.use(() => {
+    const url = `/api/atlas/assets/${id}/audio`;
+    const match = router.match('GET', url);
+    return match.handler({ method: 'GET', url, headers }, match.params);
+  });
+
+  const part = await audio(20, { range: 'bytes=0-1023' });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers['Content-Type'], 'audio/mp4');
+  assert.equal(part.headers['Content-Range'], 'bytes 0-1023/4096');
+  assert.ok(part.headers.ETag);
+  assert.equal((await audio(20)).headers['Content-Length'], '4096');
+
+  assert.equal((await audio(21)).status, 403);
+  assert.equal((await audio(22)).status, 403);
+  assert.equal((await audio(24)).status, 403);
+  assert.equal((await audio(23)).status, 404);
+  assert.equal((await audio(1)).status, 404);
+  assert.equal((await audio(999)).status, 404);
+  atlas.db.prepare('DELETE FROM asset WHERE id >= 20').run();
+});
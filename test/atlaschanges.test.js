@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const events = require('../lib/events');
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+const atlas = createAtlas();
+atlas.insert({ id: 1, title: 'Memo 1', source_type: 'voice_memo', transcript_status: 'pending' });
+atlas.insert({ id: 2, title: 'Memo 2', source_type: 'voice_memo', transcript_status: 'done' });
+
+test.after(() => atlas.remove());
+
+const router = new Router();
+router.use(validate.middleware);
+atlasRoutes.register(router);
+
+function changes(query = '') {
+  return atlas.use(() => dispatch(router, { method: 'GET', url: `/api/atlas/changes${query}`, socket: {} }));
+}
+
+function summary(body) {
+  return body.changes.map(c => [c.asset_id, c.kind]);
+}
+
+test('the change feed reports created, transcribed and published assets', async () => {
+  const first = await changes();
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body, { changes: [], cursor: '0', more: false });
+
+  atlas.db.prepare("UPDATE asset SET transcript_status = 'done' WHERE id = 1").run();
+  atlas.db.prepare("UPDATE asset SET published_at = '2025-03-01' WHERE id = 2").run();
+  atlas.insert({ id: 3, title: 'Memo 3', source_type: 'voice_memo', transcript_status: 'done' });
+
+  const seen = [];
+  const unsubscribe = events.subscribe(event => seen.push(event), { topics: ['atlas'], passive: true });
+  let next;
+  try {
+    next = await changes(`?since=${first.body.cursor}`);
+  } finally {
+    unsubscribe();
+  }
+  assert.equal(next.status, 200);
+  assert.deepEqual(summary(next.body), [['1', 'transcribed'], ['2', 'published'], ['3', 'created'], ['3', 'transcribed']]);
+  assert.equal(next.body.changes[0].asset.transcript_status, 'done');
+  assert.equal(next.body.cursor, String(next.body.changes[3].seq));
+  assert.deepEqual(seen.map(e => [e.topic, e.data.asset_id]),
+    [['atlas.transcribed', '1'], ['atlas.published', '2'], ['atlas.created', '3'], ['atlas.transcribed', '3']]);
+
+  const idle = await changes(`?since=${next.body.cursor}`);
+  assert.deepEqual(idle.body, { changes: [], cursor: next.body.cursor, more: false });
+});
+
+test('limit pages through the log and kind filters it', async () => {
+  const page = await changes('?limit=2');
+  assert.equal(page.body.more, true);
+  assert.equal(page.body.changes.length, 2);
+  const rest = await changes(`?since=${page.body.cursor}`);
+  assert.deepEqual(summary(rest.body), [['3', 'created'], ['3', 'transcribed']]);
+
+  const transcribed = await changes('?kind=transcribed');
+  assert.deepEqual(summary(transcribed.body), [['1', 'transcribed'], ['3', 'transcribed']]);
+  assert.equal(transcribed.body.cursor, '4');
+  assert.equal((await changes('?kind=deleted')).status, 400);
+});
+
+test('deleted assets come back with a null asset; unknown cursors are 410', async () => {
+  atlas.db.prepare('DELETE FROM asset WHERE id = 3').run();
+  const { body } = await changes();
+  assert.equal(body.changes.find(c => c.asset_id === '3').asset, null);
+
+  const expired = await changes('?since=999');
+  assert.equal(expired.status, 410);
+  assert.equal(expired.body.cursor, '4');
+  assert.equal((await changes('?since=abc')).status, 400);
+});
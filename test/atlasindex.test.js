@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const db = require('../lib/db');
+const atlasindex = require('../lib/atlasindex');
+const transcripts = require('../lib/transcripts');
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+const atlas = createAtlas();
+
+function addAsset(id, title, status, segments = []) {
+  atlas.insert({ id, title, source_type: 'voice_memo', duration_sec: 120, recorded_at: `2025-0${id}-01T09:00:00`, transcript_status: status }, segments);
+}
+
+addAsset(1, 'Studio planning', 'done', [
+  [0, 'Okay so this is about the studio budget.'],
+  [5, 'We need new acoustic panels before the recording session.'],
+  [10, 'Then a long stretch about cables, stands, lamps and which room gets the old desk. '.repeat(5)],
+  [62, 'Budget meeting with Kevin is on Thursday.'],
+]);
+addAsset(2, 'Budget meeting notes', 'done', [[0, 'Quick notes after the budget review.']]);
+addAsset(3, 'Walk and talk', 'pending', [[0, 'acoustic panels should not be indexed yet']]);
+
+test.after(() => atlas.remove());
+
+function buildRouter() {
+  const router = new Router();
+  router.use(validate.middleware);
+  atlasRoutes.register(router);
+  return router;
+}
+
+const ids = results => results.map(r => Number(r.asset_id || r.id));
+
+test('toMatchQuery keeps phrases, prefixes and OR and quotes everything else', () => {
+  assert.equal(atlasindex.toMatchQuery('budget meeting'), '"budget" "meeting"');
+  assert.equal(atlasindex.toMatchQuery('"budget meeting" stud*'), '"budget meeting" "stud"*');
+  assert.equal(atlasindex.toMatchQuery("kevin's c++ OR panels OR"), '"kevin s" "c" OR "panels"');
+  assert.equal(atlasindex.toMatchQuery('NEAR( -- ***'), '"NEAR"');
+  assert.equal(atlasindex.toMatchQuery('!!'), '');
+});
+
+test('search answers null until the first background build has finished', () => atlas.use(async () => {
+  assert.equal(atlasindex.search('budget'), null);
+  assert.equal(await atlasindex.refresh(), 3);
+  assert.deepEqual(ids(atlasindex.search('budget')).sort(), [1, 2]);
+}));
+
+test('search ranks transcripts and titles, with highlighted snippets and timestamps', () => atlas.use(async () => {
+  assert.equal(transcripts.source(db.getDb()).kind, 'segments');
+  await atlasindex.refresh();
+
+  const results = atlasindex.search('budget');
+  assert.deepEqual(ids(results).sort(), [1, 2]);
+
+  const [panels] = atlasindex.search('acoustic panels');
+  assert.equal(Number(panels.asset_id), 1);
+  assert.match(panels.snippet, /<mark>acoustic<\/mark> <mark>panels<\/mark>/);
+  assert.equal(panels.matches[0].start_sec, 0);
+  assert.ok(panels.score > 0);
+
+  const [thursday] = atlasindex.search('thursday');
+  assert.deepEqual(thursday.matches.map(m => m.start_sec), [62]);
+
+  assert.deepEqual(ids(atlasindex.search('"budget review"')), [2]);
+  assert.deepEqual(ids(atlasindex.search('"review budget"')), []);
+  assert.deepEqual(ids(atlasindex.search('acous*')), [1]);
+  assert.deepEqual(ids(atlasindex.search('walk')), [3], 'untranscribed assets are found by title');
+}));
+
+test('the index catches up with atlas.db changes in the background', () => atlas.use(async () => {
+  await atlasindex.refresh();
+  addAsset(4, 'Mixing session', 'done', [[30, 'The acoustic treatment made the mix translate.']]);
+  // Answered from the index as it stands; the refresh it starts runs after this request
+  assert.deepEqual(ids(atlasindex.search('acoustic')), [1]);
+  assert.equal(await atlasindex.refresh(), 1);
+  assert.deepEqual(ids(atlasindex.search('acoustic')).sort(), [1, 4]);
+
+  atlas.db.prepare("UPDATE asset SET transcript_status = 'done' WHERE id = 3").run();
+  assert.equal(atlasindex.sync(), 1);
+  assert.deepEqual(ids(atlasindex.search('acoustic')).sort(), [1, 3, 4]);
+
+  atlas.db.prepare('DELETE FROM asset WHERE id = 4').run();
+  await atlasindex.refresh();
+  assert.deepEqual(ids(atlasindex.search('acoustic')).sort(), [1, 3]);
+  assert.equal(atlasindex.sync(), 0, 'nothing left to index');
+}));
+
+test('a large refresh yields to other work between batches', () => atlas.use(async () => {
+  await atlasindex.refresh();
+  for (let id = 100; id < 160; id++) {
+    atlas.insert({ id, title: `Bulk ${id}`, source_type: 'voice_memo', transcript_status: 'done' }, [[0, `bulk memo number ${id}`]]);
+  }
+  let ticks = 0;
+  const ticker = setInterval(() => { ticks += 1; }, 0);
+  const refreshed = atlasindex.refresh();
+  assert.equal(atlasindex.refresh(), refreshed, 'concurrent refreshes share one run');
+  assert.equal(await refreshed, 60);
+  clearInterval(ticker);
+  assert.ok(ticks > 0, 'timers ran while the refresh was in progress');
+  assert.equal(atlasindex.search('bulk').length, 20);
+  atlas.db.prepare('DELETE FROM asset WHERE id >= 100').run();
+}));
+
+test('GET /api/atlas/search returns asset rows with search fields', () => atlas.use(async () => {
+  const router = buildRouter();
+  await atlasindex.refresh();
+  const result = await dispatch(router, { method: 'GET', url: '/api/atlas/search?q=%22budget%20meeting%22', socket: {} });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.mode, 'fulltext');
+  assert.deepEqual(ids(result.body.results).sort(), [1, 2]);
+  const studio = result.body.results.find(r => r.id === 1);
+  assert.equal(studio.title, 'Studio planning');
+  assert.equal(studio.transcript_status, 'done');
+  assert.equal(studio.matches[0].start_sec, 62);
+
+  const legacy = await dispatch(router, { method: 'GET', url: '/api/atlas/search/panels', socket: {} });
+  assert.equal(legacy.body.query, 'panels');
+  assert.ok(legacy.body.count >= 1);
+}));
+
+test('transcript files: Whisper JSON and SRT give segments, text files plain text', () => {
+  const whisper = path.join(atlas.dir, 'memo.json');
+  fs.writeFileSync(whisper, JSON.stringify({ text: 'Hello there.', segments: [{ start: 1.5, end: 3, text: ' Hello there.' }] }));
+  const srt = path.join(atlas.dir, 'memo.srt');
+  fs.writeFileSync(srt, '1\n00:00:01,000 --> 00:00:04,500\nFirst line\n\n2\n00:01:02,250 --> 00:01:05,000\nSecond <i>line</i>\n');
+  const txt = path.join(atlas.dir, 'memo.txt');
+  fs.writeFileSync(txt, 'Just text.\n');
+
+  const files = new Database(':memory:');
+  files.exec('CREATE TABLE asset (id INTEGER PRIMARY KEY, title TEXT, transcript_path TEXT)');
+  assert.deepEqual(transcripts.source(files), { kind: 'file', column: 'transcript_path' });
+  assert.deepEqual(transcripts.readTranscript(files, { id: 1, transcript_path: whisper }),
+    { text: 'Hello there.', segments: [{ start: 1.5, end: 3, text: 'Hello there.' }] });
+  assert.deepEqual(transcripts.readTranscript(files, { id: 2, transcript_path: srt }).segments,
+    [{ start: 1, end: 4.5, text: 'First line' }, { start: 62.25, end: 65, text: 'Second line' }]);
+  assert.deepEqual(transcripts.readTranscript(files, { id: 3, transcript_path: txt }), { text: 'Just text.', segments: null });
+  assert.equal(transcripts.readTranscript(files, { id: 4, transcript_path: path.join(atlas.dir, 'missing.txt') }), null);
+  files.close();
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const auth = require('../lib/auth');
+const cache = require('../lib/cache');
+const vault = require('../lib/vault');
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+const atlas = createAtlas();
+const voice = path.join(atlas.dir, 'vault', 'MemoryAtlas', 'voice');
+fs.mkdirSync(voice, { recursive: true });
+fs.writeFileSync(path.join(voice, 'Morning walk.md'),
+  '---\ntitle: "Morning walk: ideas"\nrecorded_at: 2025-01-05\nduration_sec: 75\ntags: [voice, garden]\naliases:\n  - walk\n---\n# Morning walk\n\nPlant tomatoes.\n');
+fs.writeFileSync(path.join(voice, 'Orphan.md'), 'No asset links here.\n');
+fs.writeFileSync(path.join(atlas.dir, 'vault', 'Elsewhere.md'), 'Outside the voice folder.\n');
+
+// id, note_path
+for (const [id, note_path] of [
+  [1, 'MemoryAtlas/voice/Morning walk.md'],
+  [2, path.join(atlas.dir, 'vault', 'MemoryAtlas', 'voice', 'Morning walk')], // absolute, no extension
+  [3, 'MemoryAtlas/voice/Deleted.md'],
+  [4, null],
+]) {
+  atlas.insert({ id, title: `Memo ${id}`, source_type: 'voice_memo', recorded_at: '2025-01-05T08:00:00', note_path });
+}
+
+test.after(() => atlas.remove());
+
+const router = new Router();
+router.use(validate.middleware);
+atlasRoutes.register(router);
+
+// The full middleware stack, so scopes are checked ahead of the response cache
+const secured = new Router();
+secured.use(auth.middleware);
+secured.use(validate.middleware);
+secured.use(cache.middleware);
+atlasRoutes.register(secured);
+
+function get(url) {
+  return atlas.use(() => dispatch(router, { method: 'GET', url, socket: {} }));
+}
+
+test('parseNote reads flat frontmatter and leaves notes without it alone', () => {
+  const { frontmatter, body } = vault.parseNote('---\na: 1\nb: \'x\'\'s\'\nc:\nd: [p, q]\nflag: false\n---\ntext\n');
+  assert.deepEqual(frontmatter, { a: 1, b: "x's", c: null, d: ['p', 'q'], flag: false });
+  assert.equal(body, 'text\n');
+  assert.deepEqual(vault.parseNote('# Title\n'), { frontmatter: {}, body: '# Title\n' });
+});
+
+test('GET /api/atlas/assets/:id/note returns the parsed note', async () => {
+  const { status, body } = await get('/api/atlas/assets/1/note');
+  assert.equal(status, 200);
+  assert.equal(body.path, path.join('MemoryAtlas', 'voice', 'Morning walk.md'));
+  assert.deepEqual(body.frontmatter, { title: 'Morning walk: ideas', recorded_at: '2025-01-05', duration_sec: 75, tags: ['voice', 'garden'], aliases: ['walk'] });
+  assert.equal(body.body, '# Morning walk\n\nPlant tomatoes.\n');
+  assert.ok(body.modified);
+
+  assert.equal((await get('/api/atlas/assets/2/note')).body.name, 'Morning walk');
+  const missing = await get('/api/atlas/assets/3/note');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.note_path, 'MemoryAtlas/voice/Deleted.md');
+  assert.equal((await get('/api/atlas/assets/4/note')).status, 404);
+  assert.equal((await get('/api/atlas/assets/99/note')).status, 404);
+});
+
+test('vault content needs vault:read as well, even once it is cached', async () => {
+  cache.invalidate();
+  await atlas.use(async () => {
+    const restricted = auth.createToken({ identity: 'kevin', scopes: ['atlas:read'] }).token;
+    const full = auth.createToken({ identity: 'peretz', scopes: ['*:read'] }).token;
+    const call = (url, token) => dispatch(secured, { method: 'GET', url, headers: { authorization: `Bearer ${token}` }, socket: {} });
+
+    for (const url of ['/api/atlas/assets/1/note', '/api/atlas/notes/report']) {
+      const cold = await call(url, restricted);
+      assert.equal(cold.status, 403);
+      assert.equal(cold.body.required, 'vault:read');
+      assert.equal((await call(url, full)).headers['X-Cache'], 'MISS');
+      assert.equal((await call(url, full)).headers['X-Cache'], 'HIT');
+      assert.equal((await call(url, restricted)).status, 403, `${url} served from a warm cache`);
+    }
+  });
+});
+
+test('a note path resolves back to its asset', async () => {
+  const found = await get('/api/atlas/notes/asset?path=memoryatlas/voice/morning%20walk');
+  assert.equal(found.status, 200);
+  assert.equal(found.body.id, 1);
+  assert.equal(found.body.annotations, null);
+  assert.equal((await get('/api/atlas/notes/asset?path=MemoryAtlas/voice/Orphan.md')).status, 404);
+  assert.equal((await get('/api/atlas/notes/asset?path=../../etc/passwd')).status, 400);
+});
+
+test('report lists assets with missing notes and orphaned voice notes', async () => {
+  const { status, body } = await get('/api/atlas/notes/report');
+  assert.equal(status, 200);
+  assert.equal(body.dir, 'MemoryAtlas/voice');
+  assert.equal(body.assets_with_notes, 3);
+  assert.equal(body.linked, 2);
+  assert.deepEqual(body.missing_notes.map(a => [a.id, a.note_path]), [[3, 'MemoryAtlas/voice/Deleted.md']]);
+  assert.deepEqual(body.orphan_notes.map(n => n.name), ['Orphan']);
+  assert.equal((await get('/api/atlas/notes/report?dir=..')).status, 400);
+});
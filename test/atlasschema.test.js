@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+// A later MemoryAtlas: renamed id, title, type, status and duration (now ms) columns, no
+// note_path, published_at or file_size_bytes, and two columns we know nothing about
+const migrated = createAtlas(`
+  CREATE TABLE asset (asset_id INTEGER PRIMARY KEY, name TEXT, kind TEXT, duration_ms INTEGER, recorded_at TEXT,
+    transcription_status TEXT, file_path TEXT, mood TEXT, embedding BLOB);
+`);
+migrated.insert({ asset_id: 1, name: 'Morning walk', kind: 'voice_memo', duration_ms: 75000, recorded_at: '2025-01-05T08:00:00', transcription_status: 'done', file_path: 'media/1.m4a', mood: 'calm' });
+migrated.insert({ asset_id: 2, name: 'Studio take', kind: 'audio_import', duration_ms: 30000, recorded_at: '2025-02-01T20:00:00', transcription_status: 'pending', mood: 'tired' });
+
+const bare = createAtlas('CREATE TABLE recording (id INTEGER PRIMARY KEY, title TEXT);');
+
+test.after(() => {
+  migrated.remove();
+  bare.remove();
+});
+
+const router = new Router();
+router.use(validate.middleware);
+atlasRoutes.register(router);
+
+function get(url) {
+  return dispatch(router, { method: 'GET', url, socket: {} });
+}
+
+test('/api/atlas/schema maps renamed columns and lists missing and unknown ones', async () => {
+  const { status, body } = await migrated.use(() => get('/api/atlas/schema'));
+  assert.equal(status, 200);
+  assert.equal(body.usable, true);
+  assert.deepEqual(body.fields, {
+    id: 'asset_id',
+    title: 'name',
+    source_type: 'kind',
+    duration_sec: 'duration_ms',
+    recorded_at: 'recorded_at',
+    transcript_status: 'transcription_status',
+    note_path: null,
+    published_at: null,
+    file_size_bytes: null,
+  });
+  assert.deepEqual(body.missing, ['note_path', 'published_at', 'file_size_bytes']);
+  assert.deepEqual(body.unknown, ['mood', 'embedding']);
+  assert.deepEqual(body.internal, ['file_path']);
+  assert.equal(body.features.timeline, true);
+  assert.equal(body.features.notes, false);
+  assert.equal(body.features.audio, true);
+  assert.deepEqual(body.unsupported, { filters: ['min_size', 'max_size', 'published', 'has_note'], sorts: ['file_size_bytes', 'published_at'] });
+});
+
+test('assets come back in the public shape, without internal or unknown columns', async () => {
+  const { status, body } = await migrated.use(() => get('/api/atlas/assets?sort=-duration_sec'));
+  assert.equal(status, 200);
+  assert.deepEqual(body.assets[0], {
+    id: 1,
+    title: 'Morning walk',
+    source_type: 'voice_memo',
+    duration_sec: 75,
+    recorded_at: '2025-01-05T08:00:00',
+    transcript_status: 'done',
+    note_path: null,
+    published_at: null,
+    file_size_bytes: null,
+    annotations: null,
+  });
+  await migrated.use(async () => {
+    assert.deepEqual((await get('/api/atlas/assets?status=pending&fields=id,title')).body.assets, [{ id: 2, title: 'Studio take' }]);
+    assert.deepEqual((await get('/api/atlas/assets?max_duration=60')).body.assets.map(a => a.id), [2]);
+    assert.equal((await get('/api/atlas/assets/1')).body.duration_sec, 75);
+    assert.equal((await get('/api/atlas/stats')).body.total_duration_seconds, 105);
+    assert.equal((await get('/api/atlas/timeline?bucket=month')).body.totals.transcribed, 1);
+  });
+});
+
+test('features that need a missing column are a 400 or 503, not a 500', async () => {
+  await migrated.use(async () => {
+    const filter = await get('/api/atlas/assets?published=true');
+    assert.equal(filter.status, 400);
+    assert.deepEqual(filter.body.missing, ['published_at']);
+    assert.equal((await get('/api/atlas/assets?sort=-file_size_bytes')).status, 400);
+    assert.equal((await get('/api/atlas/timeline?has_note=true')).status, 400);
+
+    const note = await get('/api/atlas/assets/1/note');
+    assert.equal(note.status, 503);
+    assert.deepEqual(note.body.missing, ['note_path']);
+    assert.equal((await get('/api/atlas/notes/report')).status, 503);
+  });
+});
+
+test('a migration while atlas.db is open is picked up', async () => {
+  await migrated.use(async () => {
+    assert.equal((await get('/api/atlas/assets?published=true')).status, 400);
+    migrated.db.exec('ALTER TABLE asset ADD COLUMN published_at TEXT');
+    migrated.db.prepare("UPDATE asset SET published_at = '2025-03-01' WHERE asset_id = 2").run();
+
+    const published = await get('/api/atlas/assets?published=true');
+    assert.equal(published.status, 200);
+    assert.deepEqual(published.body.assets.map(a => [a.id, a.published_at]), [[2, '2025-03-01']]);
+    assert.equal((await get('/api/atlas/schema')).body.fields.published_at, 'published_at');
+  });
+});
+
+test('without an asset table every endpoint is 503 and the schema says why', async () => {
+  await bare.use(async () => {
+    const list = await get('/api/atlas/assets');
+    assert.equal(list.status, 503);
+    assert.equal(list.body.error, 'atlas.db has no asset table');
+    assert.equal((await get('/api/atlas/stats')).status, 503);
+
+    const { status, body } = await get('/api/atlas/schema');
+    assert.equal(status, 200);
+    assert.equal(body.table, false);
+    assert.equal(body.usable, false);
+    assert.equal(body.features.assets, false);
+  });
+});
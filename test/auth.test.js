@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-auth-'));
+process.env.PLIFE_TOKENS_DB = path.join(tmp, 'tokens.db');
+require('../lib/config').reload();
+
+const auth = require('../lib/auth');
+const { Router } = require('../lib/router');
+const batch = require('../routes/batch');
+const mcp = require('../routes/mcp');
+
+test.after(() => {
+  auth.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function buildRouter() {
+  const router = new Router();
+  router.use(auth.middleware);
+  router.get('/health', { scope: 'public' }, () => ({ status: 200, body: { ok: true } }));
+  router.get('/api/vault/stats', { scope: 'vault:read', tool: 'vault_stats' }, () => ({ status: 200, body: {} }));
+  router.delete('/api/q/tasks/:id', { scope: 'tasks:admin' }, () => ({ status: 200, body: {} }));
+  router.get('/api/undeclared', () => ({ status: 200, body: {} }));
+  batch.register(router);
+  mcp.register(router);
+  return router;
+}
+
+function invoke(router, method, url, headers = {}, remoteAddress = '100.64.0.9', body) {
+  const match = router.match(method, url);
+  assert.ok(match, `Expected route to match: ${method} ${url}`);
+  return match.handler({ method, url, headers, socket: { remoteAddress }, body }, match.params);
+}
+
+test('scope levels and wildcards', () => {
+  assert.ok(auth.hasScope(['tasks:admin'], 'tasks:write'));
+  assert.ok(auth.hasScope(['tasks:write'], 'tasks:read'));
+  assert.ok(!auth.hasScope(['tasks:read'], 'tasks:write'));
+  assert.ok(!auth.hasScope(['vault:admin'], 'tasks:read'));
+  assert.ok(auth.hasScope(['*:read'], 'atlas:read'));
+  assert.ok(!auth.hasScope(['*:read'], 'atlas:write'));
+  assert.ok(auth.hasScope(['tasks:*'], 'tasks:admin'));
+  assert.ok(auth.hasScope(['*'], 'agents:admin'));
+  assert.ok(auth.hasScope([], 'public'));
+});
+
+test('public routes need no token', () => {
+  const result = invoke(buildRouter(), 'GET', '/health');
+  assert.equal(result.status, 200);
+});
+
+test('missing token gets 401 with WWW-Authenticate', () => {
+  const result = invoke(buildRouter(), 'GET', '/api/vault/stats');
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'Authentication required');
+  assert.match(result.headers['WWW-Authenticate'], /^Bearer/);
+});
+
+test('unknown token gets 401', () => {
+  const result = invoke(buildRouter(), 'GET', '/api/vault/stats', { authorization: 'Bearer plife_nope' });
+  assert.equal(result.status, 401);
+  assert.equal(result.body.error, 'Invalid or revoked token');
+});
+
+test('token with enough scope passes, insufficient scope gets 403', () => {
+  const router = buildRouter();
+  const { token } = auth.createToken({ identity: 'kevin', scopes: ['vault:read', 'tasks:write'] });
+  const headers = { authorization: `Bearer ${token}` };
+
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', headers).status, 200);
+
+  const denied = invoke(router, 'DELETE', '/api/q/tasks/5', headers);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.required, 'tasks:admin');
+  assert.equal(denied.body.identity, 'kevin');
+});
+
+test('revoked tokens stop working', () => {
+  const router = buildRouter();
+  const created = auth.createToken({ identity: 'watcher', scopes: ['*'] });
+  const headers = { authorization: `Bearer ${created.token}` };
+  assert.equal(invoke(router, 'DELETE', '/api/q/tasks/5', headers).status, 200);
+
+  assert.ok(auth.revokeToken(created.id));
+  assert.equal(invoke(router, 'DELETE', '/api/q/tasks/5', headers).status, 401);
+});
+
+test('only token hashes are stored', () => {
+  const { token } = auth.createToken({ identity: 'peretz', scopes: ['*'] });
+  const rows = auth.getDb().prepare('SELECT token_hash FROM api_tokens').all();
+  assert.ok(rows.every(r => r.token_hash !== token && /^[0-9a-f]{64}$/.test(r.token_hash)));
+});
+
+test('loopback callers get read scopes only', () => {
+  const router = buildRouter();
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', {}, '127.0.0.1').status, 200);
+  assert.equal(invoke(router, 'DELETE', '/api/q/tasks/5', {}, '::1').status, 403);
+});
+
+test('pages on other sites get no loopback scopes', () => {
+  const router = buildRouter();
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', { origin: 'https://evil.example' }, '127.0.0.1').status, 401);
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', { origin: 'null' }, '127.0.0.1').status, 401);
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', { origin: 'http://localhost:5173' }, '127.0.0.1').status, 200);
+});
+
+test('batch and MCP sub-requests from other sites get no loopback scopes either', async () => {
+  const router = buildRouter();
+  const viaBatch = headers => invoke(router, 'POST', '/api/batch', headers, '127.0.0.1', {
+    requests: [{ method: 'GET', path: '/api/vault/stats' }],
+  }).then(result => result.body.responses[0].status);
+  assert.equal(await viaBatch({ origin: 'https://evil.example' }), 401);
+  assert.equal(await viaBatch({ host: 'evil.example:3001' }), 401);
+  assert.equal(await viaBatch({ origin: 'http://localhost:5173', host: '127.0.0.1:3001' }), 200);
+
+  const viaMcp = headers => invoke(router, 'POST', '/mcp', headers, '127.0.0.1', {
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'vault_stats', arguments: {} },
+  });
+  assert.equal((await viaMcp({ origin: 'https://evil.example' })).status, 403);
+  assert.equal((await viaMcp({ host: 'evil.example:3001' })).body.result.isError, true);
+  assert.equal((await viaMcp({ host: 'localhost:3001' })).body.result.isError, false);
+});
+
+test('requests naming another host get no loopback scopes (DNS rebinding)', () => {
+  const router = buildRouter();
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', { host: 'evil.example:3001' }, '127.0.0.1').status, 401);
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', { host: 'LOCALHOST:3001' }, '127.0.0.1').status, 200);
+  assert.equal(invoke(router, 'GET', '/api/vault/stats', { host: '[::1]:3001' }, '::1').status, 200);
+});
+
+test('routes without a declared scope fail closed', () => {
+  const { token } = auth.createToken({ identity: 'peretz', scopes: ['*'] });
+  const result = invoke(buildRouter(), 'GET', '/api/undeclared', { authorization: `Bearer ${token}` });
+  assert.equal(result.status, 403);
+});
+
+test('createToken rejects bad identities and scopes', () => {
+  assert.throws(() => auth.createToken({ identity: '', scopes: ['*'] }));
+  assert.throws(() => auth.createToken({ identity: 'kevin', scopes: ['tasks:delete'] }));
+  assert.throws(() => auth.createToken({ identity: 'kevin', scopes: ['tasks'] }));
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-batch-'));
+process.env.TASKS_DB_PATH = path.join(tmp, 'tasks.db');
+require('../lib/config').reload();
+
+const auth = require('../lib/auth');
+const config = require('../lib/config');
+const taskdb = require('../lib/taskdb');
+const events = require('../lib/events');
+const validate = require('../lib/validate');
+const { Router } = require('../lib/router');
+const batch = require('../routes/batch');
+const taskqueue = require('../routes/taskqueue');
+
+taskdb.close();
+
+test.after(() => {
+  taskdb.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function buildRouter(extra) {
+  const router = new Router();
+  router.use(validate.middleware);
+  batch.register(router);
+  taskqueue.register(router);
+  if (extra) extra(router);
+  return router;
+}
+
+function post(router, body, headers = {}, socket) {
+  const match = router.match('POST', '/api/batch');
+  return match.handler({ id: 'req1', method: 'POST', url: '/api/batch', headers, socket, body }, match.params);
+}
+
+test('consecutive GETs run concurrently; mutations wait for what came before', async () => {
+  const log = [];
+  const router = buildRouter(r => {
+    r.get('/api/slow/:name', { scope: 'public' }, async (req, params) => {
+      log.push(`start ${params.name}`);
+      await sleep(20);
+      log.push(`end ${params.name}`);
+      return { status: 200, body: { name: params.name } };
+    });
+    r.post('/api/mark', { scope: 'public' }, () => {
+      log.push('mark');
+      return { status: 201, body: { marked: true } };
+    });
+  });
+
+  const result = await post(router, { requests: [
+    { id: 'a', method: 'GET', path: '/api/slow/a' },
+    { id: 'b', method: 'GET', path: '/api/slow/b' },
+    { method: 'POST', path: '/api/mark' },
+    { method: 'GET', path: '/api/slow/c' },
+  ] });
+
+  assert.deepEqual(log, ['start a', 'start b', 'end a', 'end b', 'mark', 'start c', 'end c']);
+  assert.deepEqual(result.body.responses.map(r => r.status), [200, 200, 201, 200]);
+  assert.deepEqual(result.body.responses[0], { id: 'a', status: 200, body: { name: 'a' } });
+  assert.equal(result.body.committed, undefined);
+});
+
+test('each sub-request reports its own 404, 405, validation and handler errors', async () => {
+  const router = buildRouter(r => {
+    r.get('/api/boom', { scope: 'public' }, () => { throw new Error('boom'); });
+    r.get('/api/stream', { scope: 'public' }, () => ({ status: 200, headers: {}, stream: () => {} }));
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  let result;
+  try {
+    result = await post(router, { requests: [
+      { method: 'GET', path: '/api/nope' },
+      { method: 'DELETE', path: '/api/q/stats' },
+      { method: 'POST', path: '/api/q/tasks', body: { title: 'x', priority: 9 } },
+      { method: 'GET', path: '/api/boom' },
+      { method: 'GET', path: '/api/stream' },
+      { method: 'POST', path: '/api/batch', body: { requests: [] } },
+    ] });
+  } finally {
+    console.error = originalError;
+  }
+
+  const [missing, wrongMethod, invalid, thrown, stream, nested] = result.body.responses;
+  assert.equal(missing.status, 404);
+  assert.equal(wrongMethod.status, 405);
+  assert.equal(wrongMethod.headers.Allow, 'GET, HEAD, OPTIONS');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Validation failed');
+  assert.equal(thrown.status, 500);
+  assert.equal(stream.status, 400);
+  assert.equal(nested.status, 400);
+});
+
+test('a transaction batch commits together and publishes events after the commit', () => {
+  const router = buildRouter();
+  const seen = [];
+  const unsubscribe = events.subscribe(event => seen.push(event.topic), { topics: ['task'], passive: true });
+
+  const result = post(router, { transaction: true, requests: [
+    { method: 'POST', path: '/api/q/tasks', body: { title: 'first' } },
+    { method: 'POST', path: '/api/q/tasks', body: { title: 'second' } },
+  ] });
+  unsubscribe();
+
+  assert.equal(result.body.committed, true);
+  assert.deepEqual(result.body.responses.map(r => r.status), [201, 201]);
+  const ids = result.body.responses.map(r => r.body.id);
+  assert.ok(ids.every(id => taskdb.getTask(id)));
+  assert.deepEqual(seen, ['task.created', 'task.created']);
+});
+
+test('a failing sub-request rolls the transaction back and skips the rest', () => {
+  const router = buildRouter();
+  const before = taskdb.listTasks({ limit: 1000 }).total;
+  const seen = [];
+  const unsubscribe = events.subscribe(event => seen.push(event.topic), { topics: ['task'], passive: true });
+
+  const result = post(router, { transaction: true, requests: [
+    { method: 'POST', path: '/api/q/tasks', body: { title: 'doomed' } },
+    { method: 'PATCH', path: '/api/q/tasks/999999', body: { status: 'completed' } },
+    { method: 'POST', path: '/api/q/tasks', body: { title: 'never' } },
+  ] });
+  unsubscribe();
+
+  assert.equal(result.body.committed, false);
+  assert.deepEqual(result.body.responses.map(r => r.status), [201, 404, 424]);
+  assert.equal(taskdb.listTasks({ limit: 1000 }).total, before);
+  assert.deepEqual(seen, []);
+});
+
+test('transactions only accept task queue paths', () => {
+  const router = buildRouter();
+  const result = post(router, { transaction: true, requests: [
+    { method: 'GET', path: '/api/q/stats' },
+    { method: 'PUT', path: '/api/vault/note?path=x.md', body: { content: '' } },
+  ] });
+
+  assert.equal(result.status, 400);
+  assert.equal(result.body.path, '/api/vault/note?path=x.md');
+});
+
+test('a batch from a page on another site gets no loopback scopes', async () => {
+  process.env.PLIFE_LOOPBACK_SCOPES = '*:read,tasks:write';
+  config.reload();
+  try {
+    const router = new Router();
+    router.use(auth.middleware);
+    router.use(validate.middleware);
+    batch.register(router);
+    taskqueue.register(router);
+    const requests = [
+      { method: 'GET', path: '/api/q/tasks' },
+      { method: 'POST', path: '/api/q/tasks', body: { title: 'from evil.example' } },
+    ];
+    const loopback = { remoteAddress: '127.0.0.1' };
+
+    const foreign = await post(router, { requests }, { origin: 'https://evil.example' }, loopback);
+    assert.equal(foreign.status, 200);
+    assert.deepEqual(foreign.body.responses.map(r => r.status), [401, 401]);
+    assert.ok(!taskdb.listTasks({ limit: 1000 }).tasks.some(t => t.title === 'from evil.example'));
+
+    const local = await post(router, { requests: requests.slice(0, 1) }, {}, loopback);
+    assert.deepEqual(local.body.responses.map(r => r.status), [200]);
+  } finally {
+    delete process.env.PLIFE_LOOPBACK_SCOPES;
+    config.reload();
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const cache = require('../lib/cache');
+const events = require('../lib/events');
+const { Router } = require('../lib/router');
+
+function setup(ttl = 60) {
+  cache.invalidate();
+  const router = new Router();
+  router.use(cache.middleware);
+  let calls = 0;
+  router.get('/api/things', { scope: 'public', cache: { ttl, key: 'tasks' } }, () => {
+    calls++;
+    return { status: 200, body: { calls } };
+  });
+  router.get('/api/missing', { scope: 'public', cache: { ttl, key: 'tasks' } }, () => {
+    calls++;
+    return { status: 404, body: { error: 'Not found' } };
+  });
+  const get = (url, headers = {}) => {
+    const match = router.match('GET', url);
+    return match.handler({ method: 'GET', url, headers }, match.params);
+  };
+  return { get, calls: () => calls };
+}
+
+test('second GET is served from cache with the same ETag', () => {
+  const { get, calls } = setup();
+  const first = get('/api/things');
+  const second = get('/api/things');
+  assert.equal(first.headers['X-Cache'], 'MISS');
+  assert.equal(second.headers['X-Cache'], 'HIT');
+  assert.equal(second.headers.ETag, first.headers.ETag);
+  assert.match(second.headers['Cache-Control'], /^private, max-age=\d+$/);
+  assert.deepEqual(second.body, { calls: 1 });
+  assert.equal(calls(), 1);
+});
+
+test('If-None-Match with the current ETag returns 304 without a body', () => {
+  const { get } = setup();
+  const { headers } = get('/api/things');
+  const result = get('/api/things', { 'if-none-match': headers.ETag });
+  assert.equal(result.status, 304);
+  assert.equal(result.body, undefined);
+  assert.equal(result.headers.ETag, headers.ETag);
+  assert.equal(get('/api/things', { 'if-none-match': 'W/"stale"' }).status, 200);
+});
+
+test('?fresh=1 bypasses and refreshes the entry; query order does not matter', () => {
+  const { get, calls } = setup();
+  get('/api/things?a=1&b=2');
+  assert.equal(get('/api/things?b=2&a=1').headers['X-Cache'], 'HIT');
+  assert.equal(get('/api/things?a=1&b=2&fresh=1').headers['X-Cache'], 'MISS');
+  assert.deepEqual(get('/api/things?a=1&b=2').body, { calls: 2 });
+  assert.equal(calls(), 2);
+});
+
+test('events invalidate entries under their key', () => {
+  const { get, calls } = setup();
+  get('/api/things');
+  events.publish('vault.modified', { path: 'a.md' });
+  assert.equal(get('/api/things').headers['X-Cache'], 'HIT');
+  events.publish('task.updated', { task: { id: 1 }, changed: ['status'] });
+  assert.equal(get('/api/things').headers['X-Cache'], 'MISS');
+  assert.equal(calls(), 2);
+});
+
+test('expired entries and non-200 responses are not served from cache', () => {
+  const { get, calls } = setup(0);
+  get('/api/things');
+  assert.equal(get('/api/things').headers['X-Cache'], 'MISS');
+  const missing = get('/api/missing');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.headers, undefined);
+  get('/api/missing');
+  assert.equal(calls(), 4);
+});
+
+test('the cache subscription does not start event sources', () => {
+  assert.equal(events.subscriberCount(), 0);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-cli-'));
+process.env.TASKS_DB_PATH = path.join(tmp, 'tasks.db');
+require('../lib/config').reload();
+
+const taskdb = require('../lib/taskdb');
+const validate = require('../lib/validate');
+const cli = require('../lib/cli');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const taskqueue = require('../routes/taskqueue');
+
+taskdb.close();
+
+test.after(() => {
+  taskdb.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const router = new Router();
+router.use(validate.middleware);
+taskqueue.register(router);
+
+// fetch stand-in that runs the request through the router in-process
+async function fetch(url, init) {
+  const { pathname, search } = new URL(url);
+  const result = await dispatch(router, {
+    id: 'cli', method: init.method, url: pathname + search, headers: init.headers,
+    socket: { remoteAddress: '127.0.0.1' }, body: init.body ? JSON.parse(init.body) : undefined,
+  });
+  return new Response(JSON.stringify(result.body), { status: result.status, headers: { 'content-type': 'application/json' } });
+}
+
+async function plife(...argv) {
+  const out = [];
+  const err = [];
+  const code = await cli.run([...argv, '--url', 'http://api.test'], { fetch, stdout: t => out.push(t), stderr: t => err.push(t) });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+test('parseArgs handles long, short, = and flag options', () => {
+  const { args, opts } = cli.parseArgs(['Fix', 'the', '-p', '1', '--owner=kevin', '--json', '--', '-x'], { priority: { alias: 'p' }, owner: {} });
+  assert.deepEqual(args, ['Fix', 'the', '-x']);
+  assert.deepEqual(opts, { priority: '1', owner: 'kevin', json: true });
+  assert.throws(() => cli.parseArgs(['--nope']), cli.UsageError);
+  assert.throws(() => cli.parseArgs(['--owner'], { owner: {} }), /Missing value/);
+});
+
+test('table aligns columns and cuts lines at the given width', () => {
+  const rows = [{ id: 7, title: 'Short' }, { id: 42, title: 'A much longer title' }];
+  assert.equal(cli.table(rows, [['id', 'ID'], ['title', 'TITLE']]), 'ID  TITLE\n7   Short\n42  A much longer title');
+  assert.equal(cli.table(rows, [['id', 'ID'], ['title', 'TITLE']], { width: 10 }).split('\n')[2], '42  A muc…');
+  assert.equal(cli.table([], [['id', 'ID']]), '(none)');
+});
+
+test('q add, ack, msg, ls and show round-trip through the API', async () => {
+  const added = await plife('q', 'add', 'Rotate', 'NAS', 'keys', '-p', '1', '--owner', 'kevin');
+  assert.equal(added.code, 0, added.err);
+  const id = Number(added.out.match(/^Created #(\d+) Rotate NAS keys$/)[1]);
+
+  assert.equal((await plife('q', 'ack', String(id), '--agent', 'watcher')).out, `#${id} in_progress, assigned to watcher`);
+  assert.equal((await plife('q', 'msg', String(id), 'Keys', 'rotated', '--author', 'watcher')).code, 0);
+
+  const listed = await plife('q', 'ls', '--owner', 'kevin', '--status', 'open');
+  const [header, row] = listed.out.split('\n');
+  assert.match(header, /^ID\s+P\s+STATUS\s+OWNER\s+ASSIGNEE\s+DUE\s+TITLE$/);
+  assert.match(row, new RegExp(`^${id}\\s+1\\s+in_progress\\s+kevin\\s+watcher\\s+Rotate NAS keys$`));
+
+  const shown = await plife('q', 'show', String(id));
+  assert.match(shown.out, /Thread:\n.*watcher \[ack\].*\n.*watcher \[update\] Keys rotated/);
+
+  const json = JSON.parse((await plife('q', 'show', String(id), '--json')).out);
+  assert.equal(json.assignee, 'watcher');
+  assert.equal(json.source, 'cli');
+});
+
+test('API errors and usage errors set the exit code', async () => {
+  const invalid = await plife('q', 'add', 'Too urgent', '-p', '9');
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.err, /Validation failed \[HTTP 400\]\n  body priority: must be <= 5/);
+
+  const missing = await plife('q', 'show', '999999');
+  assert.equal(missing.code, 1);
+  assert.match(missing.err, /Task not found \[HTTP 404\]/);
+
+  const usage = await plife('q', 'ack', '1');
+  assert.equal(usage.code, 2);
+  assert.match(usage.err, /Missing --agent\nUsage: plife q ack <id> --agent name/);
+
+  assert.equal((await plife('nope')).code, 2);
+  assert.match((await plife('help')).out, /plife vault cat <path>/);
+});
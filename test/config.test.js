@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../lib/config');
+const { Router } = require('../lib/router');
+const configRoutes = require('../routes/config');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-config-'));
+const missing = path.join(tmp, 'none.json');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function writeConfig(name, contents) {
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+test('defaults apply when there is no config file or env', () => {
+  const { values, sources } = config.load({ file: writeConfig('empty.json', {}), env: {} });
+  assert.equal(values['server.port'], 3001);
+  assert.equal(values['fleet.anvilLan'], '192.168.1.105');
+  assert.equal(values['paths.tasksDb'], path.join(os.homedir(), '.claude', 'tasks.db'));
+  assert.deepEqual(values['auth.loopbackScopes'], ['*:read']);
+  assert.equal(sources['server.port'], 'default');
+});
+
+test('config file overrides defaults and env overrides the file', () => {
+  const file = writeConfig('layered.json', { server: { port: 3101, host: '127.0.0.1' }, paths: { vault: '~/Notes' } });
+  const { values, sources } = config.load({ file, env: { PORT: '3202', PLIFE_LOOPBACK_SCOPES: 'vault:read, tasks:read' } });
+  assert.equal(values['server.port'], 3202);
+  assert.equal(sources['server.port'], 'env');
+  assert.equal(values['server.host'], '127.0.0.1');
+  assert.equal(sources['server.host'], 'file');
+  assert.equal(values['paths.vault'], path.join(os.homedir(), 'Notes'));
+  assert.deepEqual(values['auth.loopbackScopes'], ['vault:read', 'tasks:read']);
+});
+
+test('an empty TLS env var disables HTTPS', () => {
+  const { values } = config.load({ file: writeConfig('empty.json', {}), env: { PLIFE_TLS_KEY: '' } });
+  assert.equal(values['server.tlsKey'], null);
+});
+
+test('invalid and unknown settings are all reported together', () => {
+  const file = writeConfig('bad.json', { server: { port: 'abc' }, vault: '/x' });
+  assert.throws(() => config.load({ file, env: { LITELLM_PORT: '99999' } }), err => {
+    assert.ok(err instanceof config.ConfigError);
+    assert.deepEqual(err.violations.map(v => v.key).sort(), ['fleet.litellmPort', 'server.port', 'vault']);
+    assert.match(err.message, /server\.port \(file\): must be integer/);
+    assert.match(err.message, /fleet\.litellmPort \(\$LITELLM_PORT\): must be <= 65535/);
+    return true;
+  });
+});
+
+test('an explicit config file must exist and parse', () => {
+  assert.throws(() => config.load({ env: { PLIFE_CONFIG: missing } }), /config file not found/);
+  assert.throws(() => config.load({ file: writeConfig('broken.json', '{ nope') }), /cannot parse/);
+});
+
+test('/api/config redacts secrets and reports sources', () => {
+  const router = new Router();
+  configRoutes.register(router);
+  const match = router.match('GET', '/api/config');
+  const result = match.handler({ method: 'GET', url: '/api/config', headers: {} }, match.params);
+  assert.equal(result.status, 200);
+  assert.equal(result.body.config.fleet.litellmToken, config.REDACTED);
+  assert.equal(typeof result.body.config.server.port, 'number');
+  assert.ok(['default', 'file', 'env'].includes(result.body.sources['fleet.litellmToken']));
+  assert.ok(!JSON.stringify(result.body).includes('sk-litellm-local'));
+});
+
+test('the loaded config is read-only', () => {
+  const live = config.get();
+  assert.ok(Object.isFrozen(live));
+  assert.ok(Object.isFrozen(live.server));
+  assert.ok(Object.isFrozen(live.auth.loopbackScopes));
+});
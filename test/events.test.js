@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const events = require('../lib/events');
+const { Router } = require('../lib/router');
+const eventRoutes = require('../routes/events');
+
+test('subscribers receive events matching their topic prefixes', () => {
+  const seen = [];
+  const unsubscribe = events.subscribe(e => seen.push(e.topic), { topics: ['task'] });
+  events.publish('task.created', { id: 1 });
+  events.publish('message.added', { id: 2 });
+  events.publish('task.deleted', { id: 1 });
+  unsubscribe();
+  events.publish('task.updated', { id: 1 });
+
+  assert.deepEqual(seen, ['task.created', 'task.deleted']);
+});
+
+test('since() replays buffered events after an id for resume', () => {
+  const first = events.publish('vault.modified', { path: 'a.md' });
+  events.publish('fleet.probe', { name: 'litellm', ok: false });
+  const third = events.publish('vault.modified', { path: 'b.md' });
+
+  const replay = events.since(first.id, { topics: ['vault'] });
+  assert.deepEqual(replay.map(e => e.id), [third.id]);
+  assert.equal(events.since(third.id).length, 0);
+});
+
+test('events are formatted as SSE frames named by topic', () => {
+  const frame = eventRoutes.formatEvent({ id: 42, topic: 'task.updated', time: 't', data: { id: 7 } });
+  assert.equal(frame, 'id: 42\nevent: task.updated\ndata: {"topic":"task.updated","time":"t","data":{"id":7}}\n\n');
+});
+
+function invoke(url, scopes, headers = {}) {
+  const router = new Router();
+  eventRoutes.register(router);
+  const match = router.match('GET', url);
+  return match.handler({ method: 'GET', url, headers, auth: { scopes } }, match.params);
+}
+
+test('/api/events opens a stream limited to permitted topics', () => {
+  const result = invoke('/api/events?topics=task,vault', ['tasks:read']);
+  assert.equal(result.status, 200);
+  assert.equal(result.headers['Content-Type'], 'text/event-stream');
+  assert.equal(typeof result.stream, 'function');
+});
+
+test('/api/events refuses when no requested topic is permitted', () => {
+  const result = invoke('/api/events?topics=vault', ['tasks:read']);
+  assert.equal(result.status, 403);
+  assert.deepEqual(result.body.permitted, ['task', 'message']);
+});
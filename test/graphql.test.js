@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-graphql-'));
+process.env.TASKS_DB_PATH = path.join(tmp, 'tasks.db');
+require('../lib/config').reload();
+
+const taskdb = require('../lib/taskdb');
+const validate = require('../lib/validate');
+const { Router } = require('../lib/router');
+const graphqlRoutes = require('../routes/graphql');
+
+taskdb.close();
+
+test.after(() => {
+  taskdb.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const READ_ALL = { identity: 'test', scopes: ['*:read'] };
+
+// Results as plain JSON (graphql-js builds null-prototype objects)
+async function run(query, auth = READ_ALL, variables) {
+  return JSON.parse(JSON.stringify(await graphqlRoutes.execute({ auth }, { query, variables })));
+}
+
+// Count prepared statements on a database handle while fn runs
+async function countQueries(handle, fn) {
+  const prepare = handle.prepare;
+  const sql = [];
+  handle.prepare = function (text) { sql.push(text); return prepare.call(this, text); };
+  try {
+    return { result: await fn(), sql };
+  } finally {
+    handle.prepare = prepare;
+  }
+}
+
+test('task threads and watchers are loaded with one query each', async () => {
+  for (const title of ['one', 'two', 'three']) {
+    const task = taskdb.createTask({ title, assignee: 'graphql-test' });
+    taskdb.addMessage(task.id, { author: 'kevin', content: `re: ${title}` });
+    taskdb.addWatcher(task.id, 'peretz');
+  }
+
+  const { result, sql } = await countQueries(taskdb.getDb(), () =>
+    run('{ tasks(assignee: "graphql-test", limit: 10) { title messages { content } watchers } }'));
+
+  assert.equal(result.errors, undefined);
+  assert.equal(result.data.tasks.length, 3);
+  const byTitle = Object.fromEntries(result.data.tasks.map(t => [t.title, t]));
+  assert.deepEqual(byTitle.two.messages, [{ content: 're: two' }]);
+  assert.deepEqual(byTitle.two.watchers, ['peretz']);
+  assert.equal(sql.filter(s => s.includes('task_messages')).length, 1);
+  assert.equal(sql.filter(s => s.includes('task_watchers')).length, 1);
+});
+
+test('loaders batch the keys requested in one tick and cache them', async () => {
+  const calls = [];
+  const loader = graphqlRoutes.createLoader(keys => {
+    calls.push(keys);
+    return new Map(keys.filter(k => k !== 'missing').map(k => [k, k.toUpperCase()]));
+  });
+
+  const values = await Promise.all([loader.load('a'), loader.load('b'), loader.load('a'), loader.load('missing')]);
+  assert.deepEqual(values, ['A', 'B', 'A', null]);
+  assert.deepEqual(calls, [['a', 'b', 'missing']]);
+
+  assert.equal(await loader.load('b'), 'B');
+  assert.equal(calls.length, 1);
+});
+
+test('fields the caller cannot read come back null with an error', async () => {
+  const result = await run('{ tasks(limit: 1) { id agent { name } } assets { id } }', { identity: 'kevin', scopes: ['tasks:read'] });
+
+  assert.equal(result.data.tasks.length, 1);
+  assert.equal(result.data.tasks[0].agent, null);
+  assert.equal(result.data.assets, null);
+  assert.deepEqual(result.errors.map(e => e.extensions.code), ['FORBIDDEN', 'FORBIDDEN']);
+  assert.deepEqual(result.errors.map(e => e.path[0]).sort(), ['assets', 'tasks']);
+
+  const anonymous = await run('{ tasks { id } }', null);
+  assert.equal(anonymous.errors[0].extensions.code, 'UNAUTHENTICATED');
+});
+
+test('wikilinks and .md paths are picked out of task text', () => {
+  assert.deepEqual(
+    graphqlRoutes.noteReferences('See [[Weekly Review|review]] and [[Efforts/Studio#Plan]], then Inbox/idea.md.'),
+    [{ link: 'Weekly Review' }, { link: 'Efforts/Studio' }, { path: 'Inbox/idea.md' }]
+  );
+});
+
+test('POST /api/graphql answers 400 for queries that do not parse or validate', async () => {
+  const router = new Router();
+  router.use(validate.middleware);
+  graphqlRoutes.register(router);
+  const post = body => {
+    const match = router.match('POST', '/api/graphql');
+    return match.handler({ method: 'POST', url: '/api/graphql', headers: {}, body, auth: READ_ALL }, match.params);
+  };
+
+  assert.equal((await post({ query: '{ tasks { id ' })).status, 400);
+  assert.equal((await post({ query: '{ nope }' })).status, 400);
+  assert.equal((await post({ query: 'mutation { x }' })).status, 400);
+  const task = taskdb.createTask({ title: 'by id' });
+  const ok = await post({ query: 'query One($id: Int!) { task(id: $id) { title } }', variables: { id: task.id } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.data.task.title, 'by id');
+});
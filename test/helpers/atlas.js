@@ -0,0 +1,87 @@
+// Temporary MemoryAtlas database for tests
+// atlas.db is configured through env (DB_PATH) and lib/db keeps one connection,
+// and test/index.js runs every suite in one process, so fixtures are only
+// switched in for the duration of a test: atlas.use(() => { ... }).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../lib/config');
+const db = require('../../lib/db');
+const auth = require('../../lib/auth');
+const atlasindex = require('../../lib/atlasindex');
+const annotations = require('../../lib/annotations');
+const atlaschanges = require('../../lib/atlaschanges');
+
+const SCHEMA = `
+  CREATE TABLE asset (id INTEGER PRIMARY KEY, title TEXT, source_type TEXT, duration_sec REAL,
+    recorded_at TEXT, transcript_status TEXT, note_path TEXT, published_at TEXT, file_size_bytes INTEGER, file_path TEXT);
+  CREATE TABLE transcript_segment (id INTEGER PRIMARY KEY, asset_id INTEGER, start_sec REAL, end_sec REAL, text TEXT);
+`;
+
+function setEnv(values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  config.reload();
+  db.close();
+  auth.close();
+  atlasindex.close();
+  annotations.close();
+  atlaschanges.close();
+}
+
+// { db: writable connection, dir (media/ is the media root, vault/ the vault), insert(asset, segments), use(fn), remove() }
+// schema replaces the default tables, e.g. to stand in for another MemoryAtlas release
+function createAtlas(schema = SCHEMA) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-atlas-'));
+  const env = {
+    DB_PATH: path.join(dir, 'atlas.db'),
+    ATLAS_INDEX_PATH: path.join(dir, 'atlas-search.db'),
+    ATLAS_ANNOTATIONS_PATH: path.join(dir, 'annotations.db'),
+    ATLAS_CHANGES_PATH: path.join(dir, 'atlas-changes.db'),
+    PLIFE_MEDIA_ROOTS: path.join(dir, 'media'),
+    VAULT_PATH: path.join(dir, 'vault'),
+    PLIFE_TOKENS_DB: path.join(dir, 'tokens.db'),
+  };
+  fs.mkdirSync(env.PLIFE_MEDIA_ROOTS);
+  fs.mkdirSync(env.VAULT_PATH);
+  const writer = new Database(env.DB_PATH);
+  writer.pragma('journal_mode = WAL');
+  writer.exec(schema);
+
+  return {
+    db: writer,
+    dir,
+
+    // Insert an asset row and its transcript segments ([[start_sec, text], ...])
+    insert(asset, segments = []) {
+      const keys = Object.keys(asset);
+      writer.prepare(`INSERT INTO asset (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`).run(...Object.values(asset));
+      if (!segments.length) return;
+      const add = writer.prepare('INSERT INTO transcript_segment (asset_id, start_sec, end_sec, text) VALUES (?, ?, ?, ?)');
+      for (const [start, text] of segments) add.run(asset.id, start, start + 5, text);
+    },
+
+    // Run fn with the atlas modules (db, search index, annotations, change feed), the media roots,
+    // the vault and the API token store pointed at this fixture
+    async use(fn) {
+      const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+      setEnv(env);
+      try {
+        return await fn();
+      } finally {
+        setEnv(saved);
+      }
+    },
+
+    remove() {
+      writer.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { createAtlas };
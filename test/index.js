@@ -1,4 +1,15 @@
 require('./smoke.test');
+require('./router.test');
+require('./auth.test');
+require('./openapi.test');
+require('./validate.test');
+require('./events.test');
+require('./cache.test');
+require('./run.test');
+require('./config.test');
+require('./accesslog.test');
+require('./metrics.test');
+require('./negotiate.test');
 
 /*
 ---
@@ -11,3 +22,16 @@ Conversation Link: Codex desktop thread (local)
 Artifact Path: /Users/peretz/api/test/index.js
 ---
 */
+require('./batch.test');
+require('./graphql.test');
+require('./mcp.test');
+require('./cli.test');
+require('./atlas.test');
+require('./atlasindex.test');
+require('./media.test');
+require('./transcripts.test');
+require('./timeline.test');
+require('./annotations.test');
+require('./atlasnotes.test');
+require('./atlaschanges.test');
+require('./atlasschema.test');
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-mcp-'));
+process.env.TASKS_DB_PATH = path.join(tmp, 'tasks.db');
+require('../lib/config').reload();
+
+const taskdb = require('../lib/taskdb');
+const auth = require('../lib/auth');
+const validate = require('../lib/validate');
+const mcp = require('../lib/mcp');
+const { Router } = require('../lib/router');
+const taskqueue = require('../routes/taskqueue');
+
+taskdb.close();
+
+test.after(() => {
+  taskdb.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function buildRouter({ withAuth = false } = {}) {
+  const router = new Router();
+  if (withAuth) router.use(auth.middleware);
+  router.use(validate.middleware);
+  taskqueue.register(router);
+  return router;
+}
+
+const CLIENT = { id: 'test', headers: {}, socket: { remoteAddress: '100.64.0.9' } };
+let nextId = 1;
+
+function call(router, method, params, client = CLIENT) {
+  return mcp.handle(router, { jsonrpc: '2.0', id: nextId++, method, params }, client);
+}
+
+function toolCall(router, name, args, client) {
+  return call(router, 'tools/call', { name, arguments: args }, client).then(r => r.result);
+}
+
+test('tool input schemas are built from route params, query and body', async () => {
+  const { result } = await call(buildRouter(), 'tools/list');
+  const tools = Object.fromEntries(result.tools.map(t => [t.name, t]));
+
+  assert.ok(tools.task_create && tools.task_claim && tools.tasks_list && tools.task_message);
+  assert.deepEqual(tools.task_create.inputSchema.required, ['title']);
+  assert.equal(tools.task_create.inputSchema.properties.priority.maximum, 5);
+  assert.deepEqual(tools.task_claim.inputSchema.required, ['id', 'agent']);
+  assert.equal(tools.task_claim.inputSchema.properties.id.type, 'integer');
+  assert.ok(tools.tasks_list.inputSchema.properties.status.enum.includes('open'));
+  assert.equal(tools.tasks_list.annotations.readOnlyHint, true);
+  assert.equal(tools.task_create.annotations.readOnlyHint, false);
+});
+
+test('tool calls go through the route: create, claim and message a task', async () => {
+  const router = buildRouter();
+  const created = await toolCall(router, 'task_create', { title: 'Rotate NAS keys', priority: 2 });
+  assert.equal(created.isError, false);
+  const task = JSON.parse(created.content[0].text);
+  assert.equal(task.title, 'Rotate NAS keys');
+
+  const claimed = JSON.parse((await toolCall(router, 'task_claim', { id: task.id, agent: 'codex' })).content[0].text);
+  assert.equal(claimed.assignee, 'codex');
+  assert.equal(claimed.status, 'in_progress');
+
+  await toolCall(router, 'task_message', { id: task.id, author: 'codex', content: 'Started' });
+  const listed = JSON.parse((await toolCall(router, 'tasks_list', { assignee: 'codex', limit: 5 })).content[0].text);
+  assert.deepEqual(listed.tasks.map(t => t.id), [task.id]);
+  assert.equal(taskdb.getTask(task.id).messages.length, 2);
+});
+
+test('validation and auth failures come back as tool errors', async () => {
+  const invalid = await toolCall(buildRouter(), 'task_create', { title: 'x', priority: 9 });
+  assert.equal(invalid.isError, true);
+  assert.equal(JSON.parse(invalid.content[0].text).error, 'Validation failed');
+
+  const loopback = { id: 'test', headers: {}, socket: { remoteAddress: '127.0.0.1' } };
+  const denied = await toolCall(buildRouter({ withAuth: true }), 'task_create', { title: 'x' }, loopback);
+  assert.equal(denied.isError, true);
+  assert.equal(JSON.parse(denied.content[0].text).required, 'tasks:write');
+});
+
+test('JSON-RPC errors for unknown methods, tools and arguments; notifications get no reply', async () => {
+  const router = buildRouter();
+  assert.equal((await call(router, 'resources/list')).error.code, -32601);
+  assert.equal((await call(router, 'tools/call', { name: 'nope' })).error.code, -32602);
+  assert.equal((await call(router, 'tools/call', { name: 'task_get', arguments: {} })).error.code, -32602);
+  assert.equal((await call(router, 'tools/call', { name: 'task_get', arguments: { id: 1, extra: true } })).error.code, -32602);
+  assert.equal(await mcp.handle(router, { jsonrpc: '2.0', method: 'notifications/initialized' }, CLIENT), null);
+  assert.equal((await mcp.handle(router, { id: 9, method: 'ping' }, CLIENT)).error.code, -32600);
+
+  const init = await call(router, 'initialize', { protocolVersion: '2024-11-05', capabilities: {} });
+  assert.equal(init.result.protocolVersion, '2024-11-05');
+  assert.ok(init.result.capabilities.tools);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const media = require('../lib/media');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'plife-media-'));
+const FILE = path.join(tmp, 'memo.m4a');
+const BYTES = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+fs.writeFileSync(FILE, BYTES);
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function read(result) {
+  return new Promise((resolve) => {
+    const out = new PassThrough();
+    const chunks = [];
+    out.on('data', c => chunks.push(c));
+    out.on('end', () => resolve(Buffer.concat(chunks)));
+    result.stream({}, out);
+  });
+}
+
+test('parseRange: single ranges, suffixes, past-the-end and ignored forms', () => {
+  assert.deepEqual(media.parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepEqual(media.parseRange('bytes=900-', 1000), { start: 900, end: 999 });
+  assert.deepEqual(media.parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepEqual(media.parseRange('bytes=990-5000', 1000), { start: 990, end: 999 });
+  assert.deepEqual(media.parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+  assert.equal(media.parseRange('bytes=1000-', 1000), 'unsatisfiable');
+  assert.equal(media.parseRange('bytes=-0', 1000), 'unsatisfiable');
+  assert.equal(media.parseRange('bytes=0-1,5-9', 1000), null);
+  assert.equal(media.parseRange('bytes=9-5', 1000), null);
+  assert.equal(media.parseRange('items=0-5', 1000), null);
+});
+
+test('fileResult serves the whole file, a range, 304 and 416', async () => {
+  const full = media.fileResult({ headers: {} }, FILE);
+  assert.equal(full.status, 200);
+  assert.equal(full.headers['Content-Type'], 'audio/mp4');
+  assert.equal(full.headers['Content-Length'], '1000');
+  assert.equal(full.headers['Accept-Ranges'], 'bytes');
+  assert.deepEqual(await read(full), BYTES);
+
+  const part = media.fileResult({ headers: { range: 'bytes=100-199' } }, FILE);
+  assert.equal(part.status, 206);
+  assert.equal(part.headers['Content-Range'], 'bytes 100-199/1000');
+  assert.equal(part.headers['Content-Length'], '100');
+  assert.deepEqual(await read(part), BYTES.subarray(100, 200));
+
+  const etag = full.headers.ETag;
+  assert.equal(media.fileResult({ headers: { 'if-none-match': etag } }, FILE).status, 304);
+  assert.equal(media.fileResult({ headers: { range: 'bytes=100-', 'if-range': etag } }, FILE).status, 206);
+  assert.equal(media.fileResult({ headers: { range: 'bytes=100-', 'if-range': '"stale"' } }, FILE).status, 200);
+
+  const past = media.fileResult({ headers: { range: 'bytes=5000-' } }, FILE);
+  assert.equal(past.status, 416);
+  assert.equal(past.headers['Content-Range'], 'bytes */1000');
+});
+
+test('insideRoots follows the resolved path', () => {
+  const root = path.join(tmp, 'root');
+  fs.mkdirSync(root);
+  assert.ok(media.insideRoots(path.join(fs.realpathSync(root), 'a.m4a'), [root]));
+  assert.ok(!media.insideRoots(fs.realpathSync(FILE), [root]));
+  assert.ok(!media.insideRoots(fs.realpathSync(root), [root]));
+  assert.ok(!media.insideRoots(path.join(fs.realpathSync(tmp), 'root-other', 'a.m4a'), [root]));
+  assert.ok(!media.insideRoots(fs.realpathSync(FILE), [path.join(tmp, 'missing')]));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const metrics = require('../lib/metrics');
+
+test('requests are counted per method, route pattern and status', () => {
+  metrics.reset();
+  metrics.observeRequest({ method: 'GET', route: '/api/q/tasks/:id', status: 200, durationMs: 3 });
+  metrics.observeRequest({ method: 'GET', route: '/api/q/tasks/:id', status: 200, durationMs: 40 });
+  metrics.observeRequest({ method: 'GET', route: null, status: 404, durationMs: 1 });
+
+  const text = metrics.render(metrics.requestFamilies());
+  assert.match(text, /^# TYPE plife_http_requests_total counter$/m);
+  assert.match(text, /^plife_http_requests_total\{method="GET",route="\/api\/q\/tasks\/:id",status="200"\} 2$/m);
+  assert.match(text, /^plife_http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+});
+
+test('latency histograms have cumulative buckets, sum and count', () => {
+  metrics.reset();
+  metrics.observeRequest({ method: 'GET', route: '/api/fleet', status: 200, durationMs: 3 });
+  metrics.observeRequest({ method: 'GET', route: '/api/fleet', status: 200, durationMs: 300 });
+
+  const text = metrics.render(metrics.requestFamilies());
+  const bucket = le => Number(text.match(new RegExp(`plife_http_request_duration_seconds_bucket\\{method="GET",route="/api/fleet",le="${le.replace('+', '\\+')}"\\} (\\d+)`))[1]);
+  assert.equal(bucket('0.005'), 1);
+  assert.equal(bucket('0.25'), 1);
+  assert.equal(bucket('0.5'), 2);
+  assert.equal(bucket('+Inf'), 2);
+  assert.match(text, /plife_http_request_duration_seconds_sum\{method="GET",route="\/api\/fleet"\} 0\.303/);
+  assert.match(text, /plife_http_request_duration_seconds_count\{method="GET",route="\/api\/fleet"\} 2/);
+});
+
+test('label values are escaped', () => {
+  const text = metrics.render([{
+    name: 'x', help: 'h', type: 'gauge',
+    samples: [{ labels: { owner: 'a"b\\c\nd' }, value: 1 }],
+  }]);
+  assert.equal(text, '# HELP x h\n# TYPE x gauge\nx{owner="a\\"b\\\\c\\nd"} 1\n');
+});
+
+test('process families report memory and event-loop lag', () => {
+  const text = metrics.render(metrics.processFamilies());
+  assert.match(text, /^process_resident_memory_bytes \d+$/m);
+  assert.match(text, /^nodejs_heap_used_bytes \d+$/m);
+  assert.match(text, /^nodejs_eventloop_lag_seconds\{quantile="0.99"\} [\d.e-]+$/m);
+});
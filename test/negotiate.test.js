@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const negotiate = require('../lib/negotiate');
+const cache = require('../lib/cache');
+const { Router } = require('../lib/router');
+
+const ROWS = [
+  { id: 1, title: 'Call "Kevin", re: NAS', meta: { owner: 'peretz', due: null }, tags: ['ops', 'nas'] },
+  { id: 2, title: 'Line one\nline two | pipe', meta: { owner: 'kevin' }, extra: true },
+];
+
+function buildRouter() {
+  cache.invalidate();
+  const router = new Router();
+  router.use(negotiate.middleware);
+  router.use(cache.middleware);
+  router.get('/api/things', { scope: 'public', list: 'things', cache: { ttl: 60, key: 'things' } },
+    () => ({ status: 200, body: { things: ROWS, total: 2 } }));
+  router.get('/api/thing', { scope: 'public' }, () => ({ status: 200, body: { id: 1 } }));
+  return router;
+}
+
+function get(router, url, headers = {}) {
+  const match = router.match('GET', url);
+  return match.handler({ method: 'GET', url, headers }, match.params);
+}
+
+// Run a streaming result against a fake response and collect the output
+function drain(result) {
+  const req = new EventEmitter();
+  const res = new EventEmitter();
+  let out = '';
+  res.write = chunk => { out += chunk; return true; };
+  return new Promise(resolve => {
+    res.end = () => resolve(out);
+    result.stream(req, res);
+  });
+}
+
+test('Accept picks the highest-q supported type; ?format= wins over Accept', () => {
+  assert.equal(negotiate.fromAccept('text/html, text/csv;q=0.5, application/x-ndjson;q=0.9'), 'ndjson');
+  assert.equal(negotiate.fromAccept('text/markdown'), 'md');
+  assert.equal(negotiate.fromAccept('*/*'), null);
+  const req = { url: '/api/things?format=csv', headers: { accept: 'text/markdown' } };
+  assert.deepEqual(negotiate.formatFor(req), { format: 'csv' });
+});
+
+test('CSV flattens nested fields and quotes per RFC 4180', () => {
+  const csv = negotiate.toCsv(ROWS);
+  assert.equal(csv,
+    'id,title,meta.owner,meta.due,tags,extra\r\n' +
+    '1,"Call ""Kevin"", re: NAS",peretz,,ops; nas,\r\n' +
+    '2,"Line one\nline two | pipe",kevin,,,true\r\n');
+});
+
+test('Markdown renders a table that survives pipes and newlines', () => {
+  const md = negotiate.toMarkdown(ROWS).split('\n');
+  assert.equal(md[0], '| id | title | meta.owner | meta.due | tags | extra |');
+  assert.equal(md[1], '| --- | --- | --- | --- | --- | --- |');
+  assert.equal(md[3], '| 2 | Line one<br>line two \\| pipe | kevin |  |  | true |');
+});
+
+test('list endpoints answer in the negotiated format', async () => {
+  const router = buildRouter();
+  const csv = get(router, '/api/things?format=csv');
+  assert.equal(csv.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.match(csv.body, /^id,title,/);
+
+  const md = get(router, '/api/things', { accept: 'text/markdown' });
+  assert.match(md.body, /^\| id \| title/);
+
+  const ndjson = get(router, '/api/things?format=ndjson');
+  assert.equal(ndjson.headers['Content-Type'], 'application/x-ndjson');
+  const lines = (await drain(ndjson)).trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines, ROWS);
+
+  const json = get(router, '/api/things');
+  assert.deepEqual(json.body.things, ROWS);
+  assert.equal(json.headers.Vary, 'Accept');
+});
+
+test('each format gets its own cache entry and ETag', () => {
+  const router = buildRouter();
+  const json = get(router, '/api/things');
+  const csv = get(router, '/api/things?format=csv');
+  assert.notEqual(json.headers.ETag, csv.headers.ETag);
+  assert.equal(get(router, '/api/things?format=csv').headers['X-Cache'], 'HIT');
+  const notModified = get(router, '/api/things', { accept: 'text/csv', 'if-none-match': csv.headers.ETag });
+  assert.equal(notModified.status, 304);
+  assert.equal(get(router, '/api/things', { 'if-none-match': csv.headers.ETag }).status, 200);
+});
+
+test('unknown formats are rejected; non-list routes ignore negotiation', () => {
+  const router = buildRouter();
+  const bad = get(router, '/api/things?format=xml');
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.supported, ['json', 'csv', 'ndjson', 'md']);
+  assert.deepEqual(get(router, '/api/thing?format=csv').body, { id: 1 });
+});
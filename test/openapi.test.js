@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createRouter } = require('../routes');
+const { buildSpec } = require('../lib/openapi');
+
+test('every registered route declares a scope and summary', () => {
+  const router = createRouter();
+  for (const route of router.routes) {
+    assert.ok(route.meta.scope, `${route.method} ${route.pattern} has no scope`);
+    assert.ok(route.meta.summary, `${route.method} ${route.pattern} has no summary`);
+  }
+});
+
+test('OpenAPI document covers every registered route', () => {
+  const router = createRouter();
+  const spec = buildSpec(router);
+
+  assert.equal(spec.openapi, '3.1.0');
+  for (const route of router.routes) {
+    const p = route.pattern.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+    assert.ok(spec.paths[p] && spec.paths[p][route.method.toLowerCase()], `missing ${route.method} ${p}`);
+  }
+  const del = spec.paths['/api/q/tasks/{id}'].delete;
+  assert.deepEqual(del.security, [{ bearerAuth: ['tasks:admin'] }]);
+  assert.equal(del.parameters[0].in, 'path');
+});
+
+test('every $ref resolves to a component schema', () => {
+  const spec = buildSpec(createRouter());
+  const refs = JSON.stringify(spec).match(/#\/components\/schemas\/[A-Za-z]+/g) || [];
+  for (const ref of new Set(refs)) {
+    assert.ok(spec.components.schemas[ref.split('/').pop()], `dangling ${ref}`);
+  }
+});
+
+test('checked-in openapi.json matches the route registry', () => {
+  const onDisk = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'openapi.json'), 'utf8'));
+  assert.deepEqual(onDisk, buildSpec(createRouter()), 'openapi.json is stale — run: npm run openapi');
+});
+
+test('/api index is built from the registry', () => {
+  const router = createRouter();
+  const match = router.match('GET', '/api');
+  const result = match.handler({ method: 'GET', url: '/api', headers: {} }, match.params);
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.routes, router.routes.length);
+  assert.equal(typeof result.body.endpoints.queue['DELETE /api/q/tasks/:id'], 'string');
+  assert.ok(result.body.endpoints.tasks['GET /api/tasks/anvil']);
+  assert.ok(result.body.endpoints.fleet['GET /api/fleet/search']);
+  assert.ok(result.body.endpoints.ecosystem['GET /api/ecosystem']);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Router } = require('../lib/router');
+
+test('middleware runs before and after the handler in registration order', () => {
+  const router = new Router();
+  const calls = [];
+  router.use((req, params, next) => {
+    calls.push('outer:before');
+    const result = next();
+    calls.push('outer:after');
+    return { ...result, headers: { 'X-Outer': '1' } };
+  });
+  router.use((req, params, next) => {
+    calls.push('inner:before');
+    return next();
+  });
+  router.get('/api/things/:id', (req, params) => {
+    calls.push('handler');
+    return { status: 200, body: { id: params.id } };
+  });
+
+  const match = router.match('GET', '/api/things/7');
+  const result = match.handler({ method: 'GET', url: '/api/things/7' }, match.params);
+
+  assert.deepEqual(calls, ['outer:before', 'inner:before', 'handler', 'outer:after']);
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body, { id: '7' });
+  assert.equal(result.headers['X-Outer'], '1');
+});
+
+test('middleware can short-circuit with its own response', () => {
+  const router = new Router();
+  let handled = false;
+  router.use((req) => ({ status: 401, body: { error: 'nope' } }));
+  router.get('/api/things', () => { handled = true; return { status: 200, body: {} }; });
+
+  const match = router.match('GET', '/api/things');
+  const result = match.handler({ method: 'GET', url: '/api/things' }, match.params);
+
+  assert.equal(result.status, 401);
+  assert.equal(handled, false);
+});
+
+test('scoped middleware only applies under its path prefix', () => {
+  const router = new Router();
+  router.use('/api/q/*', (req, params, next) => ({ ...next(), scoped: true }));
+  router.get('/api/q/tasks', () => ({ status: 200, body: {} }));
+  router.get('/api/qux', () => ({ status: 200, body: {} }));
+
+  const inScope = router.match('GET', '/api/q/tasks?status=open');
+  const outOfScope = router.match('GET', '/api/qux');
+
+  assert.equal(inScope.handler({}, inScope.params).scoped, true);
+  assert.equal(outOfScope.handler({}, outOfScope.params).scoped, undefined);
+});
+
+test('middleware composes with async handlers', async () => {
+  const router = new Router();
+  router.use(async (req, params, next) => {
+    const result = await next();
+    return { ...result, body: { ...result.body, wrapped: true } };
+  });
+  router.get('/api/slow', async () => ({ status: 200, body: { ok: true } }));
+
+  const match = router.match('GET', '/api/slow');
+  const result = await match.handler({}, match.params);
+
+  assert.deepEqual(result.body, { ok: true, wrapped: true });
+});
+
+test('matched route is exposed to middleware as req.route', () => {
+  const router = new Router();
+  let seen = null;
+  router.use((req, params, next) => { seen = req.route.pattern; return next(); });
+  router.get('/api/atlas/assets/:id', () => ({ status: 200, body: {} }));
+
+  const match = router.match('GET', '/api/atlas/assets/abc');
+  match.handler({}, match.params);
+
+  assert.equal(seen, '/api/atlas/assets/:id');
+  assert.equal(match.route.pattern, '/api/atlas/assets/:id');
+});
+
+test('HEAD falls back to the GET route for the same path', () => {
+  const router = new Router();
+  router.get('/api/things/:id', (req, params) => ({ status: 200, body: { id: params.id } }));
+
+  const match = router.match('HEAD', '/api/things/7');
+
+  assert.equal(match.route.method, 'GET');
+  assert.deepEqual(match.params, { id: '7' });
+  assert.equal(router.match('HEAD', '/api/other'), null);
+});
+
+test('allowed() lists the methods registered for a path, in a stable order', () => {
+  const router = new Router();
+  router.delete('/api/things/:id', () => ({ status: 200 }));
+  router.get('/api/things/:id', () => ({ status: 200 }));
+  router.put('/api/things/:id', () => ({ status: 200 }));
+  router.post('/api/things', () => ({ status: 201 }));
+
+  assert.deepEqual(router.allowed('/api/things/7?x=1'), ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+  assert.deepEqual(router.allowed('/api/things'), ['POST', 'OPTIONS']);
+  assert.deepEqual(router.allowed('/api/nothing'), []);
+  assert.equal(router.match('PATCH', '/api/things/7'), null);
+});
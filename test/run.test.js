@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { run, stats, clearMemo, MAX_CONCURRENT } = require('../lib/run');
+
+test('run resolves trimmed stdout, or null on failure', async () => {
+  assert.equal(await run('echo "  hello  "'), 'hello');
+  assert.equal(await run('exit 3'), null);
+  assert.equal(await run('definitely-not-a-command-xyz 2>/dev/null'), null);
+});
+
+test('commands are killed after their timeout', async () => {
+  const started = Date.now();
+  const before = stats().timedOut;
+  assert.equal(await run('sleep 5', { timeout: 100 }), null);
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(stats().timedOut, before + 1);
+});
+
+test('run does not block the event loop', async () => {
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 10);
+  await run('sleep 0.2');
+  clearInterval(timer);
+  assert.ok(ticks >= 5, `expected timers to fire while waiting, got ${ticks}`);
+});
+
+test('at most MAX_CONCURRENT commands run at once; the rest queue', async () => {
+  const pending = Array.from({ length: MAX_CONCURRENT + 2 }, (_, i) => run(`sleep 0.1; echo ${i}`));
+  assert.equal(stats().active, MAX_CONCURRENT);
+  assert.equal(stats().queued, 2);
+  const outputs = await Promise.all(pending);
+  assert.deepEqual(outputs, pending.map((_, i) => String(i)));
+  assert.equal(stats().active, 0);
+  assert.equal(stats().queued, 0);
+});
+
+test('memoized commands share one process until the memo expires', async () => {
+  clearMemo();
+  const cmd = 'date +%s%N';
+  const before = stats().started;
+  const [a, b] = await Promise.all([run(cmd, { memoize: 60000 }), run(cmd, { memoize: 60000 })]);
+  const c = await run(cmd, { memoize: 60000 });
+  assert.equal(a, b);
+  assert.equal(a, c);
+  assert.equal(stats().started, before + 1);
+
+  const d = await run(cmd);
+  assert.notEqual(d, a);
+  clearMemo();
+  assert.notEqual(await run(cmd, { memoize: 60000 }), a);
+});
@@ -24,13 +24,13 @@ function invoke(router, url) {
 
 test('atlas assets endpoint returns data or service-unavailable', () => {
   const router = buildRouter();
-  const result = invoke(router, '/api/atlas/assets?limit=5&offset=0&type=voice_memo');
+  const result = invoke(router, '/api/atlas/assets?limit=5&type=voice_memo');
 
   assert.ok([200, 503].includes(result.status));
   if (result.status === 200) {
     assert.ok(Array.isArray(result.body.assets));
     assert.equal(result.body.limit, 5);
-    assert.equal(result.body.offset, 0);
+    assert.ok(result.body.next_cursor === null || typeof result.body.next_cursor === 'string');
     assert.equal(typeof result.body.total, 'number');
   }
 });
@@ -113,9 +113,9 @@ test('vault structure endpoint returns top-level structure', () => {
   assert.ok(Array.isArray(result.body.structure));
 });
 
-test('system state endpoint returns machine metrics', () => {
+test('system state endpoint returns machine metrics', async () => {
   const router = buildRouter();
-  const result = invoke(router, '/api/system/state');
+  const result = await invoke(router, '/api/system/state');
 
   assert.equal(result.status, 200);
   assert.equal(typeof result.body.hostname, 'string');
@@ -124,17 +124,17 @@ test('system state endpoint returns machine metrics', () => {
   assert.equal(typeof result.body.loadAvg, 'object');
 });
 
-test('system volumes endpoint returns array', () => {
+test('system volumes endpoint returns array', async () => {
   const router = buildRouter();
-  const result = invoke(router, '/api/system/volumes');
+  const result = await invoke(router, '/api/system/volumes');
 
   assert.equal(result.status, 200);
   assert.ok(Array.isArray(result.body.volumes));
 });
 
-test('system ollama endpoint returns availability flag and models', () => {
+test('system ollama endpoint returns availability flag and models', async () => {
   const router = buildRouter();
-  const result = invoke(router, '/api/system/ollama');
+  const result = await invoke(router, '/api/system/ollama');
 
   assert.equal(result.status, 200);
   assert.equal(typeof result.body.available, 'boolean');
@@ -178,6 +178,16 @@ test('agents collab brief endpoint returns content or missing-file error', () =>
   }
 });
 
+test('vault note PUT rejects paths outside the vault and non-markdown files', () => {
+  const router = buildRouter();
+  for (const path of ['../escape.md', '/etc/passwd.md', 'Inbox/notes.txt']) {
+    const url = `/api/vault/note?path=${encodeURIComponent(path)}`;
+    const match = router.match('PUT', url);
+    const result = match.handler({ method: 'PUT', url, body: { content: 'x' } }, match.params);
+    assert.equal(result.status, 400, path);
+  }
+});
+
 /*
 ---
 Timestamp: 2026-02-08T15:18:54-0800
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+const atlas = createAtlas();
+// id, recorded_at, duration_sec, transcript_status, published_at, source_type
+for (const [id, recorded_at, duration_sec, transcript_status, published_at, source_type] of [
+  [1, '2023-03-14T07:05:00', 120, 'done', '2023-03-15', 'voice_memo'],
+  [2, '2024-02-29T22:40:00', 60, 'done', null, 'voice_memo'],
+  [3, '2024-03-14T07:45:00', 30, 'pending', null, 'voice_memo'],
+  [4, '2025-01-06T09:00:00', 90, 'done', null, 'voice_memo'], // Monday
+  [5, '2025-01-12T09:30:00', 30, 'done', '2025-01-13', 'video'], // Sunday, same week
+  [6, '2025-01-13T23:00:00', null, 'failed', null, 'voice_memo'], // next Monday
+  [7, '2025-03-14T08:00:00', 600, 'done', null, 'voice_memo'],
+  [8, null, 45, 'done', null, 'voice_memo'],
+]) {
+  atlas.insert({ id, title: `Memo ${id}`, recorded_at, duration_sec, transcript_status, published_at, source_type });
+}
+
+// Evening recordings with a UTC offset: SQLite's date functions would put them on the next day
+const offsets = createAtlas();
+offsets.insert({ id: 1, title: 'Late take', recorded_at: '2024-05-01T23:30:00-07:00', duration_sec: 60 }); // Wednesday
+offsets.insert({ id: 2, title: 'Month end', recorded_at: '2024-05-31T22:15:00-08:00', duration_sec: 60 });
+
+test.after(() => {
+  atlas.remove();
+  offsets.remove();
+});
+
+const router = new Router();
+router.use(validate.middleware);
+atlasRoutes.register(router);
+
+function get(url) {
+  return atlas.use(() => dispatch(router, { method: 'GET', url, socket: {} }));
+}
+
+test('timeline buckets by month with empty months filled in', async () => {
+  const { status, body } = await get('/api/atlas/timeline?from=2025-01-01');
+  assert.equal(status, 200);
+  assert.equal(body.bucket, 'month');
+  assert.deepEqual(body.buckets, [
+    { period: '2025-01', assets: 3, minutes: 2, transcribed: 2, published: 1 },
+    { period: '2025-02', assets: 0, minutes: 0, transcribed: 0, published: 0 },
+    { period: '2025-03', assets: 1, minutes: 10, transcribed: 1, published: 0 },
+  ]);
+  assert.deepEqual(body.totals, { assets: 4, minutes: 12, transcribed: 3, published: 1 });
+});
+
+test('timeline weeks start on Monday; days honour from/to and filters', async () => {
+  // The first week only counts recordings from the 8th on
+  const weeks = await get('/api/atlas/timeline?bucket=week&from=2025-01-08&to=2025-01-19');
+  assert.equal(weeks.status, 200);
+  assert.deepEqual(weeks.body.buckets.map(b => [b.period, b.assets]), [['2025-01-06', 1], ['2025-01-13', 1]]);
+
+  const days = await get('/api/atlas/timeline?bucket=day&from=2025-01-11&to=2025-01-13&type=voice_memo');
+  assert.deepEqual(days.body.buckets.map(b => [b.period, b.assets]), [['2025-01-11', 0], ['2025-01-12', 0], ['2025-01-13', 1]]);
+  assert.equal(days.body.from, '2025-01-11');
+  assert.equal(days.body.to, '2025-01-13');
+});
+
+test('timeline rejects unknown buckets and oversized ranges', async () => {
+  assert.equal((await get('/api/atlas/timeline?bucket=year')).status, 400);
+  const huge = await get('/api/atlas/timeline?bucket=day&from=1900-01-01&to=2025-01-01');
+  assert.equal(huge.status, 400);
+  assert.match(huge.body.error, /buckets/);
+});
+
+test('heatmap counts recordings by weekday and hour', async () => {
+  const { status, body } = await get('/api/atlas/heatmap');
+  assert.equal(status, 200);
+  assert.equal(body.weekdays[1], 'Mon');
+  assert.equal(body.counts.length, 7);
+  assert.equal(body.counts[0].length, 24);
+  assert.equal(body.total, 7);
+  assert.equal(body.counts[1][9], 1); // 2025-01-06 09:00, Monday
+  assert.equal(body.minutes[1][9], 1.5);
+  assert.equal(body.counts[2][7], 1); // 2023-03-14 07:05, Tuesday
+  assert.equal(body.max, 1);
+
+  const filtered = await get('/api/atlas/heatmap?from=2025-01-01');
+  assert.equal(filtered.body.total, 4);
+});
+
+test('on this day lists earlier years, newest first', async () => {
+  const { status, body } = await get('/api/atlas/on-this-day?date=2025-03-14');
+  assert.equal(status, 200);
+  assert.equal(body.count, 2);
+  assert.deepEqual(body.years.map(y => [y.year, y.years_ago, y.assets.map(a => a.id)]), [[2024, 1, [3]], [2023, 2, [1]]]);
+});
+
+test('on this day includes February 29 on February 28 of a non-leap year', async () => {
+  assert.deepEqual((await get('/api/atlas/on-this-day?date=2025-02-28')).body.years.map(y => y.year), [2024]);
+  assert.equal((await get('/api/atlas/on-this-day?date=2028-02-28')).body.count, 0);
+  assert.equal((await get('/api/atlas/on-this-day?date=2025-02-30')).status, 400);
+});
+
+test('timeline, heatmap and on this day use recorded_at\'s own date and hour, not UTC', async () => {
+  const get = url => offsets.use(() => dispatch(router, { method: 'GET', url, socket: {} }));
+
+  const days = await get('/api/atlas/timeline?bucket=day&from=2024-05-01&to=2024-05-02');
+  assert.deepEqual(days.body.buckets.map(b => [b.period, b.assets]), [['2024-05-01', 1], ['2024-05-02', 0]]);
+  const months = await get('/api/atlas/timeline?bucket=month');
+  assert.deepEqual(months.body.buckets.map(b => [b.period, b.assets]), [['2024-05', 2]]);
+
+  const heatmap = await get('/api/atlas/heatmap');
+  assert.equal(heatmap.body.counts[3][23], 1);
+  assert.equal(heatmap.body.counts[4][6], 0);
+
+  const onThisDay = await get('/api/atlas/on-this-day?date=2025-05-01');
+  assert.deepEqual(onThisDay.body.years.map(y => y.assets.map(a => a.id)), [[1]]);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const transcripts = require('../lib/transcripts');
+const validate = require('../lib/validate');
+const { dispatch } = require('../lib/dispatch');
+const { Router } = require('../lib/router');
+const atlasRoutes = require('../routes/atlas');
+const { createAtlas } = require('./helpers/atlas');
+
+const atlas = createAtlas();
+atlas.insert({ id: 1, title: 'Morning walk: ideas', source_type: 'voice_memo', recorded_at: '2025-01-05T08:00:00', duration_sec: 75, transcript_status: 'done' }, [
+  [0, 'Walking to the bakery.'],
+  [4.5, 'Thinking about the garden.'],
+  [62.25, 'Plant tomatoes in May.'],
+]);
+atlas.insert({ id: 2, title: 'Still processing', source_type: 'voice_memo', transcript_status: 'pending' });
+atlas.insert({ id: 3, title: 'No words', source_type: 'voice_memo', transcript_status: 'done' });
+
+test.after(() => atlas.remove());
+
+const router = new Router();
+router.use(validate.middleware);
+atlasRoutes.register(router);
+
+function get(id, format) {
+  const url = `/api/atlas/assets/${id}/transcript${format ? `?format=${format}` : ''}`;
+  return atlas.use(() => dispatch(router, { method: 'GET', url, socket: {} }));
+}
+
+test('cues spread untimed text over the recording by sentence length', () => {
+  const { estimated, segments } = transcripts.cues({ text: 'One two. Three four five six!', segments: null }, 30);
+  assert.equal(estimated, true);
+  assert.deepEqual(segments.map(s => s.text), ['One two.', 'Three four five six!']);
+  assert.equal(segments[0].start, 0);
+  assert.equal(segments[1].start, segments[0].end);
+  assert.equal(segments[1].end, 30);
+});
+
+test('cues fill missing end times from the next segment', () => {
+  const { estimated, segments } = transcripts.cues({
+    text: 'a b',
+    segments: [{ start: 1, end: null, text: 'a' }, { start: 3, end: 4, text: 'b' }],
+  });
+  assert.equal(estimated, false);
+  assert.deepEqual(segments.map(s => [s.start, s.end]), [[1, 3], [3, 4]]);
+});
+
+test('SRT and WebVTT use the segment timestamps', async () => {
+  const srt = await get(1, 'srt');
+  assert.equal(srt.status, 200);
+  assert.match(srt.headers['Content-Type'], /^application\/x-subrip/);
+  assert.equal(srt.headers['Content-Disposition'], 'inline; filename="Morning-walk-ideas.srt"');
+  assert.equal(srt.headers['X-Transcript-Timing'], 'segments');
+  assert.match(srt.body, /^1\n00:00:00,000 --> 00:00:05,000\nWalking to the bakery\.\n/);
+  assert.match(srt.body, /\n3\n00:01:02,250 --> 00:01:07,250\nPlant tomatoes in May\.\n$/);
+
+  const vtt = await get(1, 'vtt');
+  assert.match(vtt.headers['Content-Type'], /^text\/vtt/);
+  assert.match(vtt.body, /^WEBVTT\n\n00:00:00\.000 --> 00:00:05\.000\n/);
+  assert.doesNotMatch(vtt.body, /NOTE/);
+});
+
+test('Markdown has frontmatter and timestamped paragraphs', async () => {
+  const md = await get(1, 'md');
+  assert.equal(md.status, 200);
+  assert.match(md.headers['Content-Type'], /^text\/markdown/);
+  assert.match(md.body, /^---\ntitle: "Morning walk: ideas"\nrecorded_at: "2025-01-05T08:00:00"\nduration_sec: 75\nsource_type: "voice_memo"\n/);
+  assert.match(md.body, /\n# Morning walk: ideas\n\n\*\*\[0:00\]\*\* Walking to the bakery\. Thinking about the garden\. Plant tomatoes in May\.\n$/);
+});
+
+test('JSON and plain text', async () => {
+  const json = await get(1);
+  assert.equal(json.status, 200);
+  assert.equal(json.body.timed, true);
+  assert.equal(json.body.segments.length, 3);
+  assert.equal(json.body.text, 'Walking to the bakery. Thinking about the garden. Plant tomatoes in May.');
+
+  const txt = await get(1, 'txt');
+  assert.match(txt.headers['Content-Type'], /^text\/plain/);
+  assert.equal(txt.body, json.body.text + '\n');
+});
+
+test('409 until the transcript is done, 404 without one', async () => {
+  const pending = await get(2, 'srt');
+  assert.equal(pending.status, 409);
+  assert.equal(pending.body.transcript_status, 'pending');
+  assert.match(pending.body.error, /not ready/);
+
+  assert.equal((await get(3)).status, 404);
+  assert.equal((await get(99)).status, 404);
+  assert.equal((await get(1, 'docx')).status, 400);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Router } = require('../lib/router');
+const validate = require('../lib/validate');
+const taskqueue = require('../routes/taskqueue');
+const atlas = require('../routes/atlas');
+
+function buildRouter() {
+  const router = new Router();
+  router.use(validate.middleware);
+  taskqueue.register(router);
+  atlas.register(router);
+  return router;
+}
+
+function invoke(router, method, url, body) {
+  const match = router.match(method, url);
+  assert.ok(match, `Expected route to match: ${method} ${url}`);
+  return match.handler({ method, url, headers: {}, body }, match.params);
+}
+
+test('schema validator handles types, enums, ranges and nesting', () => {
+  const schema = {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      priority: { type: 'integer', minimum: 1, maximum: 5 },
+      tags: { type: 'array', items: { type: 'string' } },
+      due: { type: ['string', 'null'], format: 'date' },
+    },
+    additionalProperties: false,
+  };
+
+  assert.deepEqual(validate.validate(schema, { title: 'x', priority: 2, tags: ['a'], due: null }), []);
+  const errors = validate.validate(schema, { priority: 9, tags: ['a', 3], due: 'soon', color: 'red' });
+  assert.deepEqual(errors.map(e => e.path).sort(), ['color', 'due', 'priority', 'tags[1]', 'title']);
+});
+
+test('$ref resolves against shared schemas', () => {
+  assert.deepEqual(validate.validate({ $ref: '#/components/schemas/AckInput' }, { agent: 'watcher' }), []);
+  assert.equal(validate.validate({ $ref: '#/components/schemas/AckInput' }, {}).length, 1);
+});
+
+test('POST /api/q/tasks rejects bad priority, unknown fields and non-array tags', () => {
+  const result = invoke(buildRouter(), 'POST', '/api/q/tasks', {
+    title: 'Ship it',
+    priority: 'high',
+    tags: 'urgent',
+    bogus: true,
+  });
+
+  assert.equal(result.status, 400);
+  assert.equal(result.body.error, 'Validation failed');
+  const paths = result.body.violations.map(v => `${v.in}:${v.path}`).sort();
+  assert.deepEqual(paths, ['body:bogus', 'body:priority', 'body:tags']);
+});
+
+test('PATCH /api/q/tasks/:id rejects unknown status and non-integer id', () => {
+  const result = invoke(buildRouter(), 'PATCH', '/api/q/tasks/abc', { status: 'done-ish' });
+
+  assert.equal(result.status, 400);
+  const paths = result.body.violations.map(v => `${v.in}:${v.path}`).sort();
+  assert.deepEqual(paths, ['body:status', 'path:id']);
+});
+
+test('query strings are coerced before validation', () => {
+  const router = buildRouter();
+  const bad = invoke(router, 'GET', '/api/atlas/assets?limit=abc&min_duration=-1');
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.violations.map(v => v.path).sort(), ['limit', 'min_duration']);
+
+  const missing = invoke(router, 'GET', '/api/q/search');
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.violations[0].message, 'is required');
+});
+
+test('valid requests reach the handler with typed req.query', () => {
+  const router = new Router();
+  let seen = null;
+  router.use(validate.middleware);
+  router.get('/api/things', {
+    query: { properties: { limit: { type: 'integer' }, verbose: { type: 'boolean' } } },
+  }, (req) => { seen = req.query; return { status: 200, body: {} }; });
+
+  const match = router.match('GET', '/api/things?limit=5&verbose=true&extra=x');
+  const result = match.handler({ method: 'GET', url: '/api/things?limit=5&verbose=true&extra=x' }, match.params);
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(seen, { limit: 5, verbose: true, extra: 'x' });
+});
+
+test('typed path params are exposed as req.params', () => {
+  const router = new Router();
+  let seen = null;
+  router.use(validate.middleware);
+  router.get('/api/things/:id', { params: { properties: { id: { type: 'integer' } } } }, (req, params) => {
+    seen = { typed: req.params, matched: params };
+    return { status: 200, body: {} };
+  });
+
+  const match = router.match('GET', '/api/things/05');
+  match.handler({ method: 'GET', url: '/api/things/05' }, match.params);
+  assert.deepEqual(seen, { typed: { id: 5 }, matched: { id: '05' } });
+});